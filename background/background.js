@@ -4,11 +4,50 @@
  */
 
 import { db } from './indexeddb-helper.js';
+import { getSearchableText, scoreRecord, tokenize } from './search-tokenizer.js';
+import {
+  scheduleAnnotationReminders,
+  clearAnnotationReminders,
+  rescheduleAllReminders,
+  handleReminderAlarm,
+  openReminder,
+  claimPendingReveal
+} from './reminders.js';
+import {
+  getTrashRetentionDays,
+  purgeExpiredTrash,
+  ensureTrashPurgeAlarm,
+  handleTrashAlarm
+} from './trash.js';
+import {
+  resolvePageUrl,
+  resolveReportedPageUrl,
+  getPageUrlConfig,
+  addPageAlias,
+  removePageAlias,
+  migratePageUrls,
+  PAGE_URL_SETTING_KEYS
+} from './page-urls.js';
+import { saveScreenshot, updateScreenshot, getScreenshotImage } from './screenshots.js';
+import '../shared/settings.js';
+import '../shared/site-rules.js';
+import '../shared/tags.js';
+
+const { normalizeTagList } = globalThis.AnnotateProTags;
+
+const DEFAULT_SEARCH_PAGE_SIZE = 50;
+
+// Patch fields that can add, move or cancel a task reminder
+const REMINDER_FIELDS = ['checked', 'note', 'dueAt', 'remindAt'];
+
+// Where an edit came from, as recorded in the revision history
+const UPDATE_SOURCES = ['popup', 'sidebar', 'dashboard', 'content'];
 
 // Message types
 const MessageType = {
   ADD_ANNOTATION: 'ADD_ANNOTATION',
   UPDATE_ANNOTATION: 'UPDATE_ANNOTATION',
+  UPDATE_ANCHOR_STATUS: 'UPDATE_ANCHOR_STATUS',
   DELETE_ANNOTATION: 'DELETE_ANNOTATION',
   GET_ANNOTATION: 'GET_ANNOTATION',
   GET_PAGE_ANNOTATIONS: 'GET_PAGE_ANNOTATIONS',
@@ -18,15 +57,48 @@ const MessageType = {
   CLEAR_PAGE_ANNOTATIONS: 'CLEAR_PAGE_ANNOTATIONS',
   IMPORT_ANNOTATIONS: 'IMPORT_ANNOTATIONS',
   SEARCH_ANNOTATIONS: 'SEARCH_ANNOTATIONS',
+  CLAIM_PENDING_REVEAL: 'CLAIM_PENDING_REVEAL',
+  GET_ANNOTATION_REVISIONS: 'GET_ANNOTATION_REVISIONS',
+  // Trash operations
+  GET_TRASH: 'GET_TRASH',
+  RESTORE_ANNOTATIONS: 'RESTORE_ANNOTATIONS',
+  PURGE_ANNOTATIONS: 'PURGE_ANNOTATIONS',
+  EMPTY_TRASH: 'EMPTY_TRASH',
+  // Saved screenshots
+  SAVE_SCREENSHOT: 'SAVE_SCREENSHOT',
+  UPDATE_SCREENSHOT: 'UPDATE_SCREENSHOT',
+  GET_SCREENSHOT_IMAGE: 'GET_SCREENSHOT_IMAGE',
+  // Page URL normalization and aliases
+  RESOLVE_PAGE_URL: 'RESOLVE_PAGE_URL',
+  GET_PAGE_URL_CONFIG: 'GET_PAGE_URL_CONFIG',
+  ADD_PAGE_ALIAS: 'ADD_PAGE_ALIAS',
+  DELETE_PAGE_ALIAS: 'DELETE_PAGE_ALIAS',
+  // Collection (group) operations
   ADD_GROUP: 'ADD_GROUP',
   GET_ALL_GROUPS: 'GET_ALL_GROUPS',
+  GET_GROUPS_SUMMARY: 'GET_GROUPS_SUMMARY',
+  GET_GROUP_CONTENTS: 'GET_GROUP_CONTENTS',
+  UPDATE_GROUP: 'UPDATE_GROUP',
   DELETE_GROUP: 'DELETE_GROUP',
+  ADD_TO_GROUP: 'ADD_TO_GROUP',
+  REMOVE_FROM_GROUP: 'REMOVE_FROM_GROUP',
+  // Saved search (smart view) operations
+  ADD_SAVED_SEARCH: 'ADD_SAVED_SEARCH',
+  GET_ALL_SAVED_SEARCHES: 'GET_ALL_SAVED_SEARCHES',
+  UPDATE_SAVED_SEARCH: 'UPDATE_SAVED_SEARCH',
+  DELETE_SAVED_SEARCH: 'DELETE_SAVED_SEARCH',
   // Color operations
   ADD_COLOR: 'ADD_COLOR',
   GET_ALL_COLORS: 'GET_ALL_COLORS',
   GET_COLOR: 'GET_COLOR',
   UPDATE_COLOR: 'UPDATE_COLOR',
-  DELETE_COLOR: 'DELETE_COLOR'
+  DELETE_COLOR: 'DELETE_COLOR',
+  // Tag operations
+  ADD_TAG: 'ADD_TAG',
+  GET_ALL_TAGS: 'GET_ALL_TAGS',
+  RENAME_TAG: 'RENAME_TAG',
+  MERGE_TAG: 'MERGE_TAG',
+  DELETE_TAG: 'DELETE_TAG'
 };
 
 /**
@@ -41,8 +113,8 @@ async function broadcastMessage(messageType, data = {}) {
       // Send to dashboard tabs
       browser.tabs.sendMessage(tab.id, { type: messageType, ...data }).catch(() => {});
     } else if (data.pageUrl && tab.url) {
-      // Send to content scripts on matching pages (exact URL match including hash)
-      if (tab.url === data.pageUrl) {
+      // Send to content scripts on pages with the same page key
+      if (await resolvePageUrl(tab.url) === data.pageUrl) {
         browser.tabs.sendMessage(tab.id, { type: messageType, ...data }).catch(() => {});
       }
     }
@@ -52,25 +124,287 @@ async function broadcastMessage(messageType, data = {}) {
   browser.runtime.sendMessage({ type: messageType, ...data }).catch(() => {});
 }
 
+/**
+ * Run an operation that re-keys stored pages, then refresh usage counts, the
+ * dashboard, and open tabs (which look up their page key again)
+ */
+async function rekeyPages(operation) {
+  const result = await operation();
+  await db.recalculateTagUsageCounts();
+  await db.recalculateColorUsageCounts();
+  await rescheduleAllReminders();
+  broadcastMessage('REFRESH_DATA', {});
+
+  const tabs = await browser.tabs.query({});
+  for (const tab of tabs) {
+    browser.tabs.sendMessage(tab.id, { type: 'PAGE_KEYS_CHANGED' }).catch(() => {});
+  }
+  return result;
+}
+
+/**
+ * Take annotations out of the trash. Open tabs re-render them from the same
+ * ANNOTATION_ADDED broadcast a new annotation gets.
+ */
+async function restoreAnnotations(ids) {
+  const restored = await db.restoreAnnotations(ids);
+
+  for (const annotation of restored) {
+    await scheduleAnnotationReminders(annotation);
+    broadcastMessage('ANNOTATION_ADDED', { annotation, pageUrl: annotation.pageUrl });
+  }
+
+  await db.recalculateTagUsageCounts();
+  await db.recalculateColorUsageCounts();
+  broadcastMessage('TRASH_UPDATED', {});
+  return restored;
+}
+
+/**
+ * Work out which UI sent an update: the sidebar says so (it shares the content
+ * script's context), extension pages are told apart by URL.
+ */
+function getUpdateSource(payload, sender) {
+  if (UPDATE_SOURCES.includes(payload.source)) {
+    return payload.source;
+  }
+  if (sender.url?.startsWith(browser.runtime.getURL('dashboard/'))) {
+    return 'dashboard';
+  }
+  if (sender.url?.startsWith(browser.runtime.getURL('popup/'))) {
+    return 'popup';
+  }
+  return sender.tab ? 'content' : 'unknown';
+}
+
+/**
+ * Store re-anchoring results reported by content scripts (orphaned flag, match confidence).
+ * This is bookkeeping rather than a user edit, so updatedAt is left alone.
+ */
+async function updateAnchorStatus(payload) {
+  const patch = {};
+  if (payload.orphaned !== undefined) patch.orphaned = payload.orphaned;
+  if (payload.anchorConfidence !== undefined) patch.anchorConfidence = payload.anchorConfidence;
+
+  const updated = await db.updateAnnotation(payload.id, patch, { touch: false });
+  broadcastMessage('ANNOTATION_UPDATED', {
+    annotationId: payload.id,
+    patch,
+    pageUrl: updated?.pageUrl
+  });
+  return updated;
+}
+
+/**
+ * Send ANNOTATION_UPDATED for a field rewritten in bulk (tags, groupIds)
+ * so each affected page and sidebar picks up the change
+ */
+function broadcastAnnotationField(annotations, field) {
+  for (const annotation of annotations) {
+    broadcastMessage('ANNOTATION_UPDATED', {
+      annotationId: annotation.id,
+      patch: { [field]: annotation[field] },
+      pageUrl: annotation.pageUrl
+    });
+  }
+}
+
+/**
+ * Notify dashboards/popup that tags changed, and each affected page that its
+ * annotations' tags were rewritten (rename, merge, delete)
+ */
+function broadcastTagChange(messageType, data, annotations = []) {
+  broadcastMessage(messageType, data);
+  broadcastAnnotationField(annotations, 'tags');
+}
+
+/**
+ * Add annotations or a whole page to a collection
+ */
+async function addToGroup(payload) {
+  if (payload.annotationIds?.length) {
+    const annotations = await db.addAnnotationsToGroup(payload.groupId, payload.annotationIds);
+    broadcastAnnotationField(annotations, 'groupIds');
+  }
+
+  let group = null;
+  if (payload.pageUrl) {
+    group = await db.addPageToGroup(payload.groupId, {
+      pageUrl: payload.pageUrl,
+      pageTitle: payload.pageTitle
+    });
+  } else {
+    group = await db.getGroup(payload.groupId);
+  }
+
+  broadcastMessage('GROUP_UPDATED', { group });
+  return group;
+}
+
+/**
+ * Remove an annotation or a page from a collection
+ */
+async function removeFromGroup(payload) {
+  if (payload.annotationId) {
+    const annotation = await db.removeAnnotationFromGroup(payload.groupId, payload.annotationId);
+    broadcastAnnotationField([annotation], 'groupIds');
+  }
+
+  let group = null;
+  if (payload.pageUrl) {
+    group = await db.removePageFromGroup(payload.groupId, payload.pageUrl);
+  } else {
+    group = await db.getGroup(payload.groupId);
+  }
+
+  broadcastMessage('GROUP_UPDATED', { group });
+  return group;
+}
+
+/**
+ * Create tag records for new names and adjust usage counts after an annotation's tags change
+ */
+async function syncAnnotationTags(oldTags, newTags) {
+  const created = await db.syncTagUsage(oldTags || [], newTags || []);
+  for (const tag of created) {
+    broadcastMessage('TAG_ADDED', { tag });
+  }
+}
+
+// Clipboard history is cached in memory and kept current via storage.onChanged
+let clipboardCache = null;
+
+async function getClipboardHistory() {
+  if (!clipboardCache) {
+    const { clipboardHistory = [] } = await browser.storage.local.get('clipboardHistory');
+    clipboardCache = clipboardHistory;
+  }
+  return clipboardCache;
+}
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.clipboardHistory) {
+    clipboardCache = changes.clipboardHistory.newValue || [];
+  }
+});
+
+/**
+ * Match clipboard items against the query as annotation-like records. Like
+ * annotation search, a query with no indexable words is matched as substrings.
+ */
+async function searchClipboard(query, queryTokens) {
+  const clipboardHistory = await getClipboardHistory();
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const results = [];
+
+  for (const item of clipboardHistory) {
+    const record = {
+      id: `clipboard-${item.timestamp}`,
+      annotationType: 'clipboard',
+      textSnapshot: item.text,
+      pageUrl: item.pageUrl,
+      pageTitle: item.pageTitle,
+      createdAt: item.timestamp,
+      updatedAt: item.timestamp,
+      isClipboard: true
+    };
+
+    if (queryTokens.length > 0) {
+      record.searchScore = scoreRecord(record, queryTokens);
+      if (record.searchScore === 0) continue;
+    } else if (terms.length > 0) {
+      const text = getSearchableText(record);
+      if (!terms.every(term => text.includes(term))) continue;
+    }
+
+    results.push(record);
+  }
+
+  return results;
+}
+
+/**
+ * Ranked search over annotations and clipboard items, returning one page of results
+ */
+async function searchAnnotations({ query = '', options = {}, offset = 0, limit = DEFAULT_SEARCH_PAGE_SIZE } = {}) {
+  const queryTokens = tokenize([query, ...(options.phrases || [])].join(' '));
+  let results = await db.searchAnnotations(query, options);
+
+  // Also search clipboard items if not filtering by type (or if clipboard type included),
+  // unless the caller only wants annotations
+  const typeFilter = options.types || [];
+  const includeClipboard = !options.excludeClipboard &&
+    (typeFilter.length === 0 || typeFilter.includes('clipboard'));
+
+  if (includeClipboard) {
+    try {
+      // The same filters apply (clipboard items have no tags or color, so those exclude them)
+      const clipboardMatches = db.applyFilters(await searchClipboard(query, queryTokens), options);
+      results = [...results, ...clipboardMatches];
+      results.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+      if (queryTokens.length > 0) {
+        results.sort((a, b) => b.searchScore - a.searchScore);
+      }
+    } catch (e) {
+      console.error('Failed to search clipboard:', e);
+    }
+  }
+
+  return {
+    results: results.slice(offset, offset + limit),
+    total: results.length,
+    offset,
+    limit
+  };
+}
+
 /**
  * Handle messages from content scripts and popup
  */
+// Requests keyed by a page; clients may send a raw tab URL
+const PAGE_URL_MESSAGES = [
+  MessageType.ADD_ANNOTATION,
+  MessageType.SAVE_SCREENSHOT,
+  MessageType.GET_PAGE_ANNOTATIONS,
+  MessageType.CLEAR_PAGE_ANNOTATIONS,
+  MessageType.ADD_TO_GROUP,
+  MessageType.REMOVE_FROM_GROUP
+];
+
 browser.runtime.onMessage.addListener((message, sender) => {
+  if (PAGE_URL_MESSAGES.includes(message.type) && message.payload?.pageUrl) {
+    return resolvePageUrl(message.payload.pageUrl).then(pageUrl =>
+      handleMessage({ ...message, payload: { ...message.payload, pageUrl } }, sender)
+    );
+  }
+  return handleMessage(message, sender);
+});
+
+function handleMessage(message, sender) {
   const { type, payload } = message;
 
   switch (type) {
     case MessageType.ADD_ANNOTATION:
-      return db.addAnnotation(payload).then(async saved => {
+      return db.addAnnotation({ ...payload, tags: normalizeTagList(payload.tags) }).then(async saved => {
         // Track color usage
         if (saved.colorId) {
           await db.incrementColorUsage(saved.colorId);
         }
+        await syncAnnotationTags([], saved.tags);
+        await scheduleAnnotationReminders(saved);
         broadcastMessage('ANNOTATION_ADDED', { annotation: saved, pageUrl: saved.pageUrl });
         return saved;
       });
 
     case MessageType.UPDATE_ANNOTATION:
+      if (payload.patch.tags !== undefined) {
+        payload.patch.tags = normalizeTagList(payload.patch.tags);
+      }
       return db.getAnnotation(payload.id).then(async oldAnnotation => {
+        // Trashed annotations are read-only until restored
+        if (!oldAnnotation) {
+          throw new Error(`Annotation not found: ${payload.id}`);
+        }
         const updated = await db.updateAnnotation(payload.id, payload.patch);
 
         // Track color usage changes
@@ -81,6 +415,22 @@ browser.runtime.onMessage.addListener((message, sender) => {
           await db.incrementColorUsage(payload.patch.colorId);
         }
 
+        // Track tag usage changes
+        if (payload.patch.tags !== undefined) {
+          await syncAnnotationTags(oldAnnotation?.tags, payload.patch.tags);
+        }
+
+        if (updated && REMINDER_FIELDS.some(field => field in payload.patch)) {
+          await scheduleAnnotationReminders(updated);
+        }
+
+        if (oldAnnotation && updated) {
+          await db.addAnnotationRevision(oldAnnotation, updated, {
+            source: getUpdateSource(payload, sender),
+            restoredFrom: payload.restoredFrom || null
+          });
+        }
+
         broadcastMessage('ANNOTATION_UPDATED', {
           annotationId: payload.id,
           patch: payload.patch,
@@ -89,14 +439,21 @@ browser.runtime.onMessage.addListener((message, sender) => {
         return updated;
       });
 
+    case MessageType.UPDATE_ANCHOR_STATUS:
+      return updateAnchorStatus(payload);
+
     case MessageType.DELETE_ANNOTATION:
       return db.getAnnotation(payload.id).then(async annotation => {
         await db.deleteAnnotation(payload.id);
+        await clearAnnotationReminders(payload.id);
 
         // Track color usage
         if (annotation?.colorId) {
           await db.decrementColorUsage(annotation.colorId);
         }
+        if (annotation?.tags?.length) {
+          await db.syncTagUsage(annotation.tags, []);
+        }
 
         broadcastMessage('ANNOTATION_DELETED', {
           annotationId: payload.id,
@@ -107,6 +464,65 @@ browser.runtime.onMessage.addListener((message, sender) => {
     case MessageType.GET_ANNOTATION:
       return db.getAnnotation(payload.id);
 
+    case MessageType.GET_ANNOTATION_REVISIONS:
+      return db.getAnnotationRevisions(payload.annotationId);
+
+    // Trash operations
+    case MessageType.GET_TRASH:
+      return Promise.all([db.getTrashedAnnotations(), getTrashRetentionDays()])
+        .then(([annotations, retentionDays]) => ({ annotations, retentionDays }));
+
+    case MessageType.RESTORE_ANNOTATIONS:
+      return restoreAnnotations(payload.ids);
+
+    case MessageType.PURGE_ANNOTATIONS:
+      return db.getTrashedAnnotations().then(async trashed => {
+        // Only ever purge from the trash
+        const ids = trashed.filter(a => payload.ids.includes(a.id)).map(a => a.id);
+        const result = await db.purgeAnnotations(ids);
+        broadcastMessage('TRASH_UPDATED', {});
+        return result;
+      });
+
+    case MessageType.EMPTY_TRASH:
+      return db.purgeTrash().then(result => {
+        broadcastMessage('TRASH_UPDATED', {});
+        return result;
+      });
+
+    // Saved screenshots
+    case MessageType.SAVE_SCREENSHOT:
+      return saveScreenshot(payload).then(saved => {
+        broadcastMessage('ANNOTATION_ADDED', { annotation: saved, pageUrl: saved.pageUrl });
+        return saved;
+      });
+
+    case MessageType.UPDATE_SCREENSHOT:
+      return updateScreenshot(payload).then(({ annotation, patch }) => {
+        broadcastMessage('ANNOTATION_UPDATED', {
+          annotationId: annotation.id,
+          patch,
+          pageUrl: annotation.pageUrl
+        });
+        return annotation;
+      });
+
+    case MessageType.GET_SCREENSHOT_IMAGE:
+      return getScreenshotImage(payload.annotationId);
+
+    // Page URL normalization and aliases
+    case MessageType.RESOLVE_PAGE_URL:
+      return resolveReportedPageUrl(payload);
+
+    case MessageType.GET_PAGE_URL_CONFIG:
+      return getPageUrlConfig();
+
+    case MessageType.ADD_PAGE_ALIAS:
+      return rekeyPages(() => addPageAlias(payload.url, payload.targetUrl));
+
+    case MessageType.DELETE_PAGE_ALIAS:
+      return rekeyPages(() => removePageAlias(payload.url));
+
     case MessageType.GET_PAGE_ANNOTATIONS:
       return db.getAnnotationsByPage(payload.pageUrl);
 
@@ -120,7 +536,7 @@ browser.runtime.onMessage.addListener((message, sender) => {
       return db.getPagesSummary().then(async (pages) => {
         // Add clipboard counts from storage
         try {
-          const { clipboardHistory = [] } = await browser.storage.local.get('clipboardHistory');
+          const clipboardHistory = await getClipboardHistory();
 
           // Count clipboard items per page
           const clipboardCounts = {};
@@ -160,91 +576,107 @@ browser.runtime.onMessage.addListener((message, sender) => {
       });
 
     case MessageType.CLEAR_PAGE_ANNOTATIONS:
-      return db.clearPageAnnotations(payload.pageUrl).then(() => {
+      return db.clearPageAnnotations(payload.pageUrl).then(async result => {
+        await db.recalculateTagUsageCounts();
+        await db.recalculateColorUsageCounts();
+        await rescheduleAllReminders();
         broadcastMessage('PAGE_CLEARED', { pageUrl: payload.pageUrl });
+        return result;
       });
 
     case MessageType.IMPORT_ANNOTATIONS:
-      return db.importAnnotations(payload.annotations).then(result => {
+      return db.importAnnotations(payload.annotations, {
+        tags: payload.tags,
+        collection: payload.collection
+      }).then(async result => {
+        // Exports from older versions (or other settings) may use raw page URLs
+        await migratePageUrls();
+        await db.recalculateTagUsageCounts();
+        await rescheduleAllReminders();
+        if (result.collection) {
+          broadcastMessage('GROUP_UPDATED', { group: result.collection });
+          createContextMenus();
+        }
         broadcastMessage('ANNOTATIONS_IMPORTED', { result });
         return result;
       });
 
     case MessageType.SEARCH_ANNOTATIONS:
-      return db.searchAnnotations(payload.query, payload.options).then(async (annotations) => {
-        // Also search clipboard items if not filtering by type (or if clipboard type included)
-        const typeFilter = payload.options?.types || [];
-        const includeClipboard = typeFilter.length === 0 || typeFilter.includes('clipboard');
-
-        if (includeClipboard) {
-          try {
-            const { clipboardHistory = [] } = await browser.storage.local.get('clipboardHistory');
-            const query = (payload.query || '').toLowerCase();
-
-            let matchingClipboard = clipboardHistory;
-
-            // Filter by search query
-            if (query) {
-              matchingClipboard = matchingClipboard.filter(item =>
-                (item.text || '').toLowerCase().includes(query) ||
-                (item.pageTitle || '').toLowerCase().includes(query) ||
-                (item.pageUrl || '').toLowerCase().includes(query)
-              );
-            }
+      return searchAnnotations(payload);
 
-            // Apply date range filter if present
-            if (payload.options?.dateRange) {
-              const now = Date.now();
-              const ranges = {
-                'today': 24 * 60 * 60 * 1000,
-                'week': 7 * 24 * 60 * 60 * 1000,
-                'month': 30 * 24 * 60 * 60 * 1000
-              };
-              const maxAge = ranges[payload.options.dateRange];
-              if (maxAge) {
-                matchingClipboard = matchingClipboard.filter(item =>
-                  (now - (item.timestamp || 0)) <= maxAge
-                );
-              }
-            }
-
-            // Convert clipboard items to annotation-like format
-            const clipboardAsAnnotations = matchingClipboard.map(item => ({
-              id: `clipboard-${item.timestamp}`,
-              annotationType: 'clipboard',
-              textSnapshot: item.text,
-              pageUrl: item.pageUrl,
-              pageTitle: item.pageTitle,
-              createdAt: item.timestamp,
-              updatedAt: item.timestamp,
-              isClipboard: true
-            }));
-
-            // Combine and sort by updatedAt
-            const combined = [...annotations, ...clipboardAsAnnotations];
-            combined.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
-            return combined;
-          } catch (e) {
-            console.error('Failed to search clipboard:', e);
-          }
-        }
-
-        return annotations;
-      });
+    case MessageType.CLAIM_PENDING_REVEAL:
+      return Promise.resolve(sender.tab ? claimPendingReveal(sender.tab.id) : null);
 
     case 'CLEAR_ALL_ANNOTATIONS':
-      return db.clearAllAnnotations().then(() => {
+      return db.clearAllAnnotations().then(async () => {
+        await db.recalculateTagUsageCounts();
+        await db.recalculateColorUsageCounts();
+        await rescheduleAllReminders();
         broadcastMessage('DATABASE_CLEARED', {});
       });
 
+    // Collection (group) operations
     case MessageType.ADD_GROUP:
-      return db.addGroup(payload);
+      return db.addGroup(payload).then(group => {
+        broadcastMessage('GROUP_ADDED', { group });
+        // Rebuild context menus with the new collection
+        createContextMenus();
+        return group;
+      });
 
     case MessageType.GET_ALL_GROUPS:
       return db.getAllGroups();
 
+    case MessageType.GET_GROUPS_SUMMARY:
+      return db.getGroupsSummary();
+
+    case MessageType.GET_GROUP_CONTENTS:
+      return db.getGroupContents(payload.id);
+
+    case MessageType.UPDATE_GROUP:
+      return db.updateGroup(payload.id, payload.patch).then(group => {
+        broadcastMessage('GROUP_UPDATED', { group });
+        if (payload.patch.name) {
+          createContextMenus();
+        }
+        return group;
+      });
+
     case MessageType.DELETE_GROUP:
-      return db.deleteGroup(payload.id);
+      return db.deleteGroup(payload.id).then(result => {
+        broadcastMessage('GROUP_DELETED', { groupId: payload.id });
+        broadcastAnnotationField(result.annotations, 'groupIds');
+        createContextMenus();
+        return { success: true, id: payload.id };
+      });
+
+    case MessageType.ADD_TO_GROUP:
+      return addToGroup(payload);
+
+    case MessageType.REMOVE_FROM_GROUP:
+      return removeFromGroup(payload);
+
+    // Saved search (smart view) operations
+    case MessageType.ADD_SAVED_SEARCH:
+      return db.addSavedSearch(payload).then(savedSearch => {
+        broadcastMessage('SAVED_SEARCH_ADDED', { savedSearch });
+        return savedSearch;
+      });
+
+    case MessageType.GET_ALL_SAVED_SEARCHES:
+      return db.getAllSavedSearches();
+
+    case MessageType.UPDATE_SAVED_SEARCH:
+      return db.updateSavedSearch(payload.id, payload.patch).then(savedSearch => {
+        broadcastMessage('SAVED_SEARCH_UPDATED', { savedSearch });
+        return savedSearch;
+      });
+
+    case MessageType.DELETE_SAVED_SEARCH:
+      return db.deleteSavedSearch(payload.id).then(result => {
+        broadcastMessage('SAVED_SEARCH_DELETED', { savedSearchId: payload.id });
+        return result;
+      });
 
     // Color operations
     case MessageType.ADD_COLOR:
@@ -279,6 +711,34 @@ browser.runtime.onMessage.addListener((message, sender) => {
         return result;
       });
 
+    // Tag operations
+    case MessageType.ADD_TAG:
+      return db.addTag(payload.name).then(tag => {
+        broadcastMessage('TAG_ADDED', { tag });
+        return tag;
+      });
+
+    case MessageType.GET_ALL_TAGS:
+      return db.getAllTags();
+
+    case MessageType.RENAME_TAG:
+      return db.renameTag(payload.id, payload.name).then(result => {
+        broadcastTagChange('TAG_UPDATED', { tag: result.tag }, result.annotations);
+        return result.tag;
+      });
+
+    case MessageType.MERGE_TAG:
+      return db.mergeTag(payload.sourceId, payload.targetId).then(result => {
+        broadcastTagChange('TAG_DELETED', { tagId: payload.sourceId, mergedInto: result.tag }, result.annotations);
+        return result.tag;
+      });
+
+    case MessageType.DELETE_TAG:
+      return db.deleteTag(payload.id).then(result => {
+        broadcastTagChange('TAG_DELETED', { tagId: payload.id }, result.annotations);
+        return { success: true, id: payload.id };
+      });
+
     case 'OPEN_DASHBOARD':
       browser.tabs.create({ url: browser.runtime.getURL('dashboard/dashboard.html') });
       return Promise.resolve();
@@ -303,7 +763,7 @@ browser.runtime.onMessage.addListener((message, sender) => {
     default:
       return Promise.reject(new Error(`Unknown message type: ${type}`));
   }
-});
+}
 
 /**
  * Handle keyboard commands
@@ -314,6 +774,10 @@ browser.commands.onCommand.addListener(async (command) => {
 
   const tabId = tabs[0].id;
 
+  // Site rules can switch the shortcuts off (or AnnotatePro entirely) for a site
+  const siteRules = await globalThis.AnnotateProSiteRules.getSiteRules(tabs[0].url);
+  if (!siteRules.enabled || !siteRules.shortcuts) return;
+
   switch (command) {
     case 'toggle-highlight':
       browser.tabs.sendMessage(tabId, { type: 'COMMAND_HIGHLIGHT' });
@@ -327,6 +791,9 @@ browser.commands.onCommand.addListener(async (command) => {
     case 'capture-screenshot':
       browser.tabs.sendMessage(tabId, { type: 'COMMAND_CAPTURE_AREA' });
       break;
+    case 'capture-element':
+      browser.tabs.sendMessage(tabId, { type: 'COMMAND_PICK_ELEMENT' });
+      break;
   }
 });
 
@@ -392,6 +859,46 @@ async function createContextMenus() {
     }
   }
 
+  // Add to collection submenu (annotation under the cursor, otherwise the whole page)
+  browser.contextMenus.create({
+    id: 'annotatepro-collection-parent',
+    parentId: 'annotatepro-parent',
+    title: 'Add to Collection',
+    contexts: ['all']
+  });
+
+  try {
+    const groups = await db.getAllGroups();
+    groups.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const group of groups) {
+      browser.contextMenus.create({
+        id: `annotatepro-collection-${group.id}`,
+        parentId: 'annotatepro-collection-parent',
+        title: group.name,
+        contexts: ['all']
+      });
+    }
+
+    if (groups.length > 0) {
+      browser.contextMenus.create({
+        id: 'annotatepro-collection-separator',
+        parentId: 'annotatepro-collection-parent',
+        type: 'separator',
+        contexts: ['all']
+      });
+    }
+  } catch (error) {
+    console.error('AnnotatePro: Failed to load collections for context menu', error);
+  }
+
+  browser.contextMenus.create({
+    id: 'annotatepro-collection-new',
+    parentId: 'annotatepro-collection-parent',
+    title: 'New Collection...',
+    contexts: ['all']
+  });
+
   // Add/Edit Note
   browser.contextMenus.create({
     id: 'annotatepro-edit-note',
@@ -493,6 +1000,13 @@ async function createContextMenus() {
     contexts: ['all']
   });
 
+  browser.contextMenus.create({
+    id: 'annotatepro-capture-element',
+    parentId: 'annotatepro-screenshot-parent',
+    title: 'Pick Element',
+    contexts: ['all']
+  });
+
   browser.contextMenus.create({
     id: 'annotatepro-capture-visible',
     parentId: 'annotatepro-screenshot-parent',
@@ -515,8 +1029,8 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
   const menuId = info.menuItemId;
 
   if (menuId === 'annotatepro-highlight') {
-    // Use default color (first color in sort order)
-    browser.tabs.sendMessage(tab.id, { type: 'COMMAND_HIGHLIGHT', colorId: 'default-action' });
+    // Use the default color (the site rule's, else first in sort order)
+    browser.tabs.sendMessage(tab.id, { type: 'COMMAND_HIGHLIGHT' });
   } else if (menuId.startsWith('annotatepro-color-')) {
     const colorId = menuId.replace('annotatepro-color-', '');
     browser.tabs.sendMessage(tab.id, { type: 'COMMAND_HIGHLIGHT', colorId });
@@ -524,6 +1038,12 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
     // Legacy support for old intent-based menu items
     const intent = menuId.replace('annotatepro-intent-', '');
     browser.tabs.sendMessage(tab.id, { type: 'COMMAND_HIGHLIGHT', intent });
+  } else if (menuId === 'annotatepro-collection-new') {
+    // Content script prompts for a name
+    browser.tabs.sendMessage(tab.id, { type: 'COMMAND_ADD_TO_COLLECTION', groupId: null });
+  } else if (menuId.startsWith('annotatepro-collection-')) {
+    const groupId = menuId.replace('annotatepro-collection-', '');
+    browser.tabs.sendMessage(tab.id, { type: 'COMMAND_ADD_TO_COLLECTION', groupId });
   } else if (menuId === 'annotatepro-checkbox') {
     browser.tabs.sendMessage(tab.id, { type: 'COMMAND_CHECKBOX' });
   } else if (menuId === 'annotatepro-edit-note') {
@@ -541,6 +1061,8 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
     browser.tabs.sendMessage(tab.id, { type: 'COMMAND_SWITCH_SIDEBAR_POSITION' });
   } else if (menuId === 'annotatepro-capture-area') {
     browser.tabs.sendMessage(tab.id, { type: 'COMMAND_CAPTURE_AREA' });
+  } else if (menuId === 'annotatepro-capture-element') {
+    browser.tabs.sendMessage(tab.id, { type: 'COMMAND_PICK_ELEMENT' });
   } else if (menuId === 'annotatepro-capture-visible') {
     browser.tabs.sendMessage(tab.id, { type: 'COMMAND_CAPTURE_VISIBLE' });
   } else if (menuId === 'annotatepro-capture-fullpage') {
@@ -548,12 +1070,51 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+// Settings older versions stored under their own keys
+const LEGACY_SETTING_KEYS = ['sidebarSettings', 'trashRetentionDays', 'urlNormalization'];
+
+/**
+ * Move settings stored under their own keys into the settings object
+ * (shared/settings.js)
+ */
+async function migrateLegacySettings() {
+  const legacy = await browser.storage.local.get(LEGACY_SETTING_KEYS);
+  if (Object.keys(legacy).length === 0) return;
+
+  const values = {
+    sidebarPosition: legacy.sidebarSettings?.position,
+    sidebarWidth: legacy.sidebarSettings?.width && Math.round(legacy.sidebarSettings.width),
+    trashRetentionDays: legacy.trashRetentionDays,
+    ...legacy.urlNormalization
+  };
+
+  const patch = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    try {
+      patch[key] = globalThis.AnnotateProSettings.validateSetting(key, value);
+    } catch {
+      // No longer a setting or out of range; the default applies
+    }
+  }
+
+  await globalThis.AnnotateProSettings.updateSettings(patch);
+  await browser.storage.local.remove(LEGACY_SETTING_KEYS);
+}
+
 /**
  * Initialize database and context menus on install
  */
 browser.runtime.onInstalled.addListener(async () => {
   await db.open();
   createContextMenus();
+  // Older versions kept the background awake with a heartbeat alarm
+  await browser.alarms.clear('keepalive');
+  await migrateLegacySettings();
+  // Stored pages may predate URL normalization (or a change to it)
+  await migratePageUrls();
+  await db.recalculateTagUsageCounts();
+  await rescheduleAllReminders();
   console.log('AnnotatePro: Extension installed/updated, context menus created');
 });
 
@@ -564,6 +1125,7 @@ browser.runtime.onInstalled.addListener(async () => {
   try {
     // Pre-open database immediately so it's ready for requests
     await db.open();
+    await ensureTrashPurgeAlarm();
     console.log('AnnotatePro: Background script ready');
   } catch (error) {
     console.error('AnnotatePro: Failed to initialize background:', error);
@@ -571,12 +1133,39 @@ browser.runtime.onInstalled.addListener(async () => {
 })();
 
 /**
- * Keep background script alive by responding to alarms
- * This helps prevent Firefox from suspending the background too aggressively
+ * Alarms are lost when the browser closes; rebuild reminders on startup
  */
-browser.alarms?.create('keepalive', { periodInMinutes: 0.5 });
-browser.alarms?.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'keepalive') {
-    // Just a heartbeat to keep the script alive
+browser.runtime.onStartup.addListener(() => {
+  rescheduleAllReminders().catch(error => {
+    console.error('AnnotatePro: Failed to schedule reminders:', error);
+  });
+  purgeExpiredTrash().catch(error => {
+    console.error('AnnotatePro: Failed to purge trash:', error);
+  });
+});
+
+browser.alarms.onAlarm.addListener(handleReminderAlarm);
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  const result = await handleTrashAlarm(alarm);
+  if (result?.purged > 0) {
+    broadcastMessage('TRASH_UPDATED', {});
+  }
+});
+browser.notifications.onClicked.addListener(openReminder);
+
+/**
+ * Apply settings changed from the options page, dashboard or sidebar
+ */
+globalThis.AnnotateProSettings.onSettingsChanged(async (settings, changedKeys) => {
+  try {
+    if (changedKeys.includes('trashRetentionDays')) {
+      await purgeExpiredTrash();
+      broadcastMessage('TRASH_UPDATED', {});
+    }
+    if (changedKeys.some(key => PAGE_URL_SETTING_KEYS.includes(key))) {
+      await rekeyPages(migratePageUrls);
+    }
+  } catch (error) {
+    console.error('AnnotatePro: Failed to apply settings change:', error);
   }
 });
@@ -3,8 +3,32 @@
  * Background-owned singleton for all database operations
  */
 
+import { buildTokenWeights, getSearchableText, scoreTokenMatch, tokenize, INDEXED_FIELDS } from './search-tokenizer.js';
+import '../shared/task-items.js';
+import '../shared/color-styles.js';
+import '../shared/tags.js';
+import '../shared/query-parser.js';
+
+const { hasOverdueItem } = globalThis.AnnotateProTasks;
+const { validateColorStyle } = globalThis.AnnotateProColorStyles;
+const { normalizeTagName, normalizeTagList } = globalThis.AnnotateProTags;
+const { matchesSite } = globalThis.AnnotateProQuery;
+
 const DB_NAME = 'annotatepro-db';
-const DB_VERSION = 2;
+const DB_VERSION = 9;
+
+// Annotations indexed per transaction when (re)building the search index
+const SEARCH_INDEX_BATCH_SIZE = 500;
+
+// User-editable fields recorded in the revision history
+const REVISION_FIELDS = ['note', 'colorId', 'color', 'checked', 'tags', 'dueAt', 'remindAt'];
+
+// Note edits from the same source within this long of a revision's first edit
+// (auto-save while typing) share that revision
+const REVISION_MERGE_WINDOW = 60 * 1000;
+
+// Oldest revisions beyond this are dropped
+const MAX_REVISIONS_PER_ANNOTATION = 50;
 
 // Default colors (seeded on install/upgrade)
 const DEFAULT_COLORS = [
@@ -14,6 +38,35 @@ const DEFAULT_COLORS = [
   { id: 'default-reference', name: 'Reference', color: '#81C784', isDefault: true, sortOrder: 3 },
 ];
 
+/**
+ * Not in the trash
+ */
+function isLive(annotation) {
+  return !annotation.deletedAt;
+}
+
+/**
+ * Patch folding a duplicate annotation of the same element into the one kept:
+ * its note is appended and its tags and collections are combined
+ */
+function getDuplicateMergePatch(kept, duplicate) {
+  const patch = {};
+
+  const note = (duplicate.note || '').trim();
+  if (note && !(kept.note || '').includes(note)) {
+    patch.note = kept.note ? `${kept.note}\n\n${note}` : note;
+  }
+
+  for (const field of ['tags', 'groupIds']) {
+    const combined = [...new Set([...(kept[field] || []), ...(duplicate[field] || [])])];
+    if (combined.length !== (kept[field] || []).length) {
+      patch[field] = combined;
+    }
+  }
+
+  return patch;
+}
+
 // Map old intent values to new colorIds
 const INTENT_TO_COLOR_ID = {
   'ACTION': 'default-action',
@@ -29,6 +82,7 @@ class IndexedDBHelper {
     this.db = null;
     this.openPromise = null;
     this.needsMigration = false;
+    this.needsSearchIndexBuild = false;
   }
 
   async open() {
@@ -81,6 +135,58 @@ class IndexedDBHelper {
             this.needsMigration = true;
           }
         }
+
+        if (oldVersion < 3) {
+          // v2 → v3: Tags
+
+          // 1. Create tags store
+          const tagStore = db.createObjectStore('tags', { keyPath: 'id' });
+          tagStore.createIndex('by_name', 'name', { unique: true });
+
+          // 2. Index annotations by each of their tag names
+          const annotationStore = transaction.objectStore('annotations');
+          annotationStore.createIndex('by_tags', 'tags', { unique: false, multiEntry: true });
+        }
+
+        if (oldVersion < 4) {
+          // v3 → v4: Collections (groups store) - index annotations by group membership
+          const annotationStore = transaction.objectStore('annotations');
+          annotationStore.createIndex('by_group', 'groupIds', { unique: false, multiEntry: true });
+        }
+
+        if (oldVersion < 5) {
+          // v4 → v5: Inverted full-text index, one row per (token, annotation)
+          const searchStore = db.createObjectStore('search_index', { keyPath: ['token', 'annotationId'] });
+          searchStore.createIndex('by_annotation', 'annotationId', { unique: false });
+
+          // Existing annotations are indexed once the database is open
+          if (oldVersion >= 1) {
+            this.needsSearchIndexBuild = true;
+          }
+        }
+
+        if (oldVersion < 6) {
+          // v5 → v6: Saved searches (dashboard smart views)
+          const savedSearchStore = db.createObjectStore('saved_searches', { keyPath: 'id' });
+          savedSearchStore.createIndex('by_name', 'name', { unique: false });
+        }
+
+        if (oldVersion < 7) {
+          // v6 → v7: Revision history of user edits (note, color, checked, ...)
+          const revisionStore = db.createObjectStore('annotation_revisions', { keyPath: 'id' });
+          revisionStore.createIndex('by_annotation', 'annotationId', { unique: false });
+        }
+
+        if (oldVersion < 8) {
+          // v7 → v8: Page aliases (several URLs of one document share its annotations)
+          db.createObjectStore('page_aliases', { keyPath: 'url' });
+        }
+
+        if (oldVersion < 9) {
+          // v8 → v9: Attachments (screenshot images, stored as Blobs)
+          const attachmentStore = db.createObjectStore('attachments', { keyPath: 'id' });
+          attachmentStore.createIndex('by_annotation', 'annotationId', { unique: false });
+        }
       };
 
       request.onsuccess = () => {
@@ -105,6 +211,11 @@ class IndexedDBHelper {
       this.needsMigration = false;
     }
 
+    if (this.needsSearchIndexBuild) {
+      await this.rebuildSearchIndex();
+      this.needsSearchIndexBuild = false;
+    }
+
     return db;
   }
 
@@ -201,18 +312,27 @@ class IndexedDBHelper {
       updatedAt: Date.now()
     };
 
-    return new Promise((resolve, reject) => {
+    await this.purgeTrashedDuplicate(record);
+
+    await new Promise((resolve, reject) => {
       const store = this.getStore('annotations', 'readwrite');
       const request = store.add(record);
-      request.onsuccess = () => resolve(record);
+      request.onsuccess = () => resolve();
       request.onerror = () => reject(new Error(`Failed to add annotation: ${request.error?.message}`));
     });
+
+    await this.indexAnnotation(record);
+    return record;
   }
 
-  async updateAnnotation(id, patch) {
+  /**
+   * Update an annotation. Pass { touch: false } for bookkeeping fields
+   * (e.g. anchor status) that should not bump updatedAt.
+   */
+  async updateAnnotation(id, patch, { touch = true } = {}) {
     await this.open();
 
-    return new Promise((resolve, reject) => {
+    const saved = await new Promise((resolve, reject) => {
       const store = this.getStore('annotations', 'readwrite');
       const getRequest = store.get(id);
 
@@ -224,9 +344,11 @@ class IndexedDBHelper {
 
         const updated = {
           ...getRequest.result,
-          ...patch,
-          updatedAt: Date.now()
+          ...patch
         };
+        if (touch) {
+          updated.updatedAt = Date.now();
+        }
 
         const putRequest = store.put(updated);
         putRequest.onsuccess = () => resolve(updated);
@@ -235,107 +357,94 @@ class IndexedDBHelper {
 
       getRequest.onerror = () => reject(new Error(`Failed to get annotation: ${getRequest.error?.message}`));
     });
+
+    if (!saved.deletedAt && INDEXED_FIELDS.some(field => field in patch)) {
+      await this.indexAnnotation(saved);
+    }
+    return saved;
   }
 
+  /**
+   * Move an annotation to the trash (see Trash Operations)
+   */
   async deleteAnnotation(id) {
-    await this.open();
-
-    return new Promise((resolve, reject) => {
-      const store = this.getStore('annotations', 'readwrite');
-      const request = store.delete(id);
-      request.onsuccess = () => resolve({ success: true, id });
-      request.onerror = () => reject(new Error(`Failed to delete annotation: ${request.error?.message}`));
-    });
+    await this.trashAnnotations([id]);
+    return { success: true, id };
   }
 
-  async getAnnotation(id) {
+  /**
+   * Get an annotation. Trashed annotations are only returned with { includeDeleted: true }.
+   */
+  async getAnnotation(id, { includeDeleted = false } = {}) {
     await this.open();
 
     return new Promise((resolve, reject) => {
       const store = this.getStore('annotations', 'readonly');
       const request = store.get(id);
-      request.onsuccess = () => resolve(request.result || null);
+      request.onsuccess = () => {
+        const annotation = request.result || null;
+        resolve(annotation && (includeDeleted || isLive(annotation)) ? annotation : null);
+      };
       request.onerror = () => reject(new Error(`Failed to get annotation: ${request.error?.message}`));
     });
   }
 
-  async getAnnotationsByPage(pageUrl) {
+  async getAnnotationsByPage(pageUrl, { includeDeleted = false } = {}) {
     await this.open();
 
     return new Promise((resolve, reject) => {
       const store = this.getStore('annotations', 'readonly');
       const index = store.index('by_page');
       const request = index.getAll(pageUrl);
-      request.onsuccess = () => resolve(request.result || []);
+      request.onsuccess = () => {
+        const annotations = request.result || [];
+        resolve(includeDeleted ? annotations : annotations.filter(isLive));
+      };
       request.onerror = () => reject(new Error(`Failed to get annotations: ${request.error?.message}`));
     });
   }
 
-  async getAllAnnotations() {
+  async getAllAnnotations({ includeDeleted = false } = {}) {
     await this.open();
 
     return new Promise((resolve, reject) => {
       const store = this.getStore('annotations', 'readonly');
       const request = store.getAll();
-      request.onsuccess = () => resolve(request.result || []);
+      request.onsuccess = () => {
+        const annotations = request.result || [];
+        resolve(includeDeleted ? annotations : annotations.filter(isLive));
+      };
       request.onerror = () => reject(new Error(`Failed to get all annotations: ${request.error?.message}`));
     });
   }
 
   async getAnnotationCount() {
-    await this.open();
-
-    return new Promise((resolve, reject) => {
-      const store = this.getStore('annotations', 'readonly');
-      const request = store.count();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(new Error(`Failed to count annotations: ${request.error?.message}`));
-    });
+    const annotations = await this.getAllAnnotations();
+    return annotations.length;
   }
 
+  /**
+   * Move all annotations on a page to the trash
+   */
   async clearPageAnnotations(pageUrl) {
-    await this.open();
     const annotations = await this.getAnnotationsByPage(pageUrl);
-
-    return new Promise((resolve, reject) => {
-      const store = this.getStore('annotations', 'readwrite');
-      let deleted = 0;
-
-      if (annotations.length === 0) {
-        resolve({ deleted: 0 });
-        return;
-      }
-
-      for (const annotation of annotations) {
-        const request = store.delete(annotation.id);
-        request.onsuccess = () => {
-          deleted++;
-          if (deleted === annotations.length) {
-            resolve({ deleted });
-          }
-        };
-        request.onerror = () => reject(new Error(`Failed to delete annotation: ${request.error?.message}`));
-      }
-    });
+    const ids = annotations.map(a => a.id);
+    await this.trashAnnotations(ids);
+    return { deleted: ids.length, ids };
   }
 
   /**
-   * Clear ALL annotations from the database
+   * Move ALL annotations to the trash
    */
   async clearAllAnnotations() {
-    await this.open();
-
-    return new Promise((resolve, reject) => {
-      const store = this.getStore('annotations', 'readwrite');
-      const request = store.clear();
-      request.onsuccess = () => resolve({ success: true });
-      request.onerror = () => reject(new Error(`Failed to clear annotations: ${request.error?.message}`));
-    });
+    const annotations = await this.getAllAnnotations();
+    await this.trashAnnotations(annotations.map(a => a.id));
+    return { success: true, deleted: annotations.length };
   }
 
   /**
    * Get summary of all pages with annotations
-   * Returns array of { pageUrl, title, highlightCount, checkboxCount, pageNoteCount, lastUpdated }
+   * Returns array of { pageUrl, title, highlightCount, checkboxCount, pageNoteCount, screenshotCount, lastUpdated }
    */
   async getPagesSummary() {
     await this.open();
@@ -353,6 +462,8 @@ class IndexedDBHelper {
           highlightCount: 0,
           checkboxCount: 0,
           pageNoteCount: 0,
+          screenshotCount: 0,
+          orphanCount: 0,
           lastUpdated: annotation.updatedAt
         });
       }
@@ -367,6 +478,13 @@ class IndexedDBHelper {
         }
       } else if (annotation.annotationType === 'page-note') {
         page.pageNoteCount++;
+      } else if (annotation.annotationType === 'screenshot') {
+        page.screenshotCount++;
+      }
+
+      // Flag is set by the content script when the annotation failed to anchor on last load
+      if (annotation.orphaned) {
+        page.orphanCount++;
       }
 
       if (annotation.updatedAt > page.lastUpdated) {
@@ -401,30 +519,322 @@ class IndexedDBHelper {
     }
   }
 
+  // ============ Trash Operations ============
+  // Deleting sets deletedAt; every read except these and { includeDeleted: true }
+  // skips trashed annotations. They are purged for good on request or after the
+  // retention period (background/trash.js).
+
+  async trashAnnotations(ids) {
+    await this.open();
+    if (ids.length === 0) return [];
+
+    const deletedAt = Date.now();
+    const trashed = await new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readwrite');
+      const results = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result && !request.result.deletedAt) {
+            const record = { ...request.result, deletedAt };
+            store.put(record);
+            results.push(record);
+          }
+        };
+      }
+
+      store.transaction.oncomplete = () => resolve(results);
+      store.transaction.onerror = () => reject(new Error(`Failed to trash annotations: ${store.transaction.error?.message}`));
+    });
+
+    await this.unindexAnnotations(trashed.map(a => a.id));
+    return trashed;
+  }
+
+  /**
+   * Get trashed annotations, most recently deleted first
+   */
+  async getTrashedAnnotations() {
+    const annotations = await this.getAllAnnotations({ includeDeleted: true });
+    return annotations
+      .filter(a => a.deletedAt)
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  async restoreAnnotations(ids) {
+    await this.open();
+    if (ids.length === 0) return [];
+
+    const restored = await new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readwrite');
+      const results = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result && request.result.deletedAt) {
+            const { deletedAt, ...record } = request.result;
+            store.put(record);
+            results.push(record);
+          }
+        };
+      }
+
+      store.transaction.oncomplete = () => resolve(results);
+      store.transaction.onerror = () => reject(new Error(`Failed to restore annotations: ${store.transaction.error?.message}`));
+    });
+
+    for (const annotation of restored) {
+      await this.indexAnnotation(annotation);
+    }
+    return restored;
+  }
+
+  /**
+   * Permanently delete annotations with their search index rows, revisions and attachments
+   */
+  async purgeAnnotations(ids) {
+    await this.open();
+    if (ids.length === 0) return { purged: 0 };
+
+    await new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readwrite');
+      for (const id of ids) {
+        store.delete(id);
+      }
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(new Error(`Failed to purge annotations: ${store.transaction.error?.message}`));
+    });
+
+    await this.unindexAnnotations(ids);
+    await this.deleteAnnotationRevisions(ids);
+    await this.deleteAttachmentsForAnnotations(ids);
+    return { purged: ids.length };
+  }
+
+  /**
+   * Permanently delete trashed annotations deleted before a time (all of them by default)
+   */
+  async purgeTrash(deletedBefore = Infinity) {
+    const trashed = await this.getTrashedAnnotations();
+    const expired = trashed.filter(a => a.deletedAt < deletedBefore);
+    return this.purgeAnnotations(expired.map(a => a.id));
+  }
+
+  /**
+   * A trashed copy still holds the unique (pageUrl, elementFingerprint) slot;
+   * annotating the same element again replaces it
+   */
+  async purgeTrashedDuplicate(record) {
+    if (!record.pageUrl || !record.elementFingerprint) return;
+
+    const existing = await new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readonly');
+      const request = store.index('by_page_element').get([record.pageUrl, record.elementFingerprint]);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get annotation: ${request.error?.message}`));
+    });
+
+    if (existing?.deletedAt) {
+      await this.purgeAnnotations([existing.id]);
+    }
+  }
+
   // ============ Search Operations ============
 
   /**
-   * Search annotations by query string
-   * Searches textSnapshot, note, pageUrl, pageTitle
+   * Search annotations by query string using the inverted index.
+   * Every query word must match a word (or word prefix) in textSnapshot, note,
+   * tags, pageTitle or pageUrl. Results are ranked by weighted relevance, most
+   * recently updated first among equal scores, and carry a searchScore. A query
+   * with no indexable words (one letter, stop words) is matched as substrings.
    */
   async searchAnnotations(query, options = {}) {
     await this.open();
-    const all = await this.getAllAnnotations();
+    // Phrase words narrow the candidates too; applyFilters then checks the exact phrase
+    const queryTokens = tokenize([query, ...(options.phrases || [])].join(' '));
+
+    if (queryTokens.length === 0) {
+      const all = await this.getAllAnnotations();
+      const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+      if (terms.length === 0) {
+        return this.applyFilters(all, options);
+      }
+
+      // Too short or only stop words to be indexed: match as substrings instead
+      const matches = all.filter(a => {
+        const text = getSearchableText(a);
+        return terms.every(term => text.includes(term));
+      });
+      return this.applyFilters(matches, options);
+    }
+
+    const scores = await this.scoreFromIndex(queryTokens);
+    const matches = await this.getAnnotationsByIds(Array.from(scores.keys()));
+    for (const annotation of matches) {
+      annotation.searchScore = scores.get(annotation.id);
+    }
+
+    // applyFilters sorts by updatedAt; the stable sort keeps that order for ties
+    return this.applyFilters(matches, options)
+      .sort((a, b) => b.searchScore - a.searchScore);
+  }
+
+  /**
+   * Score annotations from the index. Returns Map annotationId → score,
+   * containing only annotations that match every query token.
+   */
+  async scoreFromIndex(queryTokens) {
+    let scores = null;
+
+    for (const queryToken of new Set(queryTokens)) {
+      const rows = await this.getIndexRowsByPrefix(queryToken);
+      const tokenScores = new Map();
+
+      for (const row of rows) {
+        const score = scoreTokenMatch(row.token, row.weight, queryToken);
+        tokenScores.set(row.annotationId, (tokenScores.get(row.annotationId) || 0) + score);
+      }
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const intersection = new Map();
+        for (const [id, score] of tokenScores) {
+          if (scores.has(id)) {
+            intersection.set(id, scores.get(id) + score);
+          }
+        }
+        scores = intersection;
+      }
 
-    if (!query || query.trim() === '') {
-      return this.applyFilters(all, options);
+      if (scores.size === 0) break;
     }
 
-    const queryLower = query.toLowerCase().trim();
+    return scores || new Map();
+  }
+
+  /**
+   * Get all index rows whose token starts with prefix (includes the exact token)
+   */
+  async getIndexRowsByPrefix(prefix) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('search_index', 'readonly');
+      const range = IDBKeyRange.bound([prefix], [prefix + '\uffff'], false, true);
+      const request = store.getAll(range);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(new Error(`Failed to read search index: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Get annotations by id in a single transaction (missing ids are skipped)
+   */
+  async getAnnotationsByIds(ids) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readonly');
+      const results = [];
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result && isLive(request.result)) results.push(request.result);
+        };
+      }
+
+      store.transaction.oncomplete = () => resolve(results);
+      store.transaction.onerror = () => reject(new Error(`Failed to get annotations: ${store.transaction.error?.message}`));
+    });
+  }
+
+  /**
+   * (Re)index one annotation, replacing its previous index rows
+   */
+  async indexAnnotation(annotation) {
+    await this.open();
+    const weights = buildTokenWeights(annotation);
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('search_index', 'readwrite');
+      const keysRequest = store.index('by_annotation').getAllKeys(annotation.id);
+
+      keysRequest.onsuccess = () => {
+        for (const key of keysRequest.result) {
+          if (!weights.has(key[0])) store.delete(key);
+        }
+        for (const [token, weight] of weights) {
+          store.put({ token, annotationId: annotation.id, weight });
+        }
+      };
+
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(new Error(`Failed to index annotation: ${store.transaction.error?.message}`));
+    });
+  }
+
+  /**
+   * Remove index rows for the given annotation ids
+   */
+  async unindexAnnotations(ids) {
+    await this.open();
+    if (ids.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('search_index', 'readwrite');
+      const index = store.index('by_annotation');
+
+      for (const id of ids) {
+        const keysRequest = index.getAllKeys(id);
+        keysRequest.onsuccess = () => {
+          for (const key of keysRequest.result) store.delete(key);
+        };
+      }
+
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(new Error(`Failed to unindex annotations: ${store.transaction.error?.message}`));
+    });
+  }
+
+  async clearSearchIndex() {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('search_index', 'readwrite');
+      const request = store.clear();
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to clear search index: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Rebuild the whole search index (after upgrading to v5)
+   */
+  async rebuildSearchIndex() {
+    console.log('AnnotatePro: Building search index...');
+    const annotations = await this.getAllAnnotations();
+    await this.clearSearchIndex();
+
+    for (let i = 0; i < annotations.length; i += SEARCH_INDEX_BATCH_SIZE) {
+      const batch = annotations.slice(i, i + SEARCH_INDEX_BATCH_SIZE);
 
-    const matches = all.filter(a =>
-      (a.textSnapshot && a.textSnapshot.toLowerCase().includes(queryLower)) ||
-      (a.note && a.note.toLowerCase().includes(queryLower)) ||
-      (a.pageUrl && a.pageUrl.toLowerCase().includes(queryLower)) ||
-      (a.pageTitle && a.pageTitle.toLowerCase().includes(queryLower))
-    );
+      await new Promise((resolve, reject) => {
+        const store = this.getStore('search_index', 'readwrite');
+        for (const annotation of batch) {
+          for (const [token, weight] of buildTokenWeights(annotation)) {
+            store.put({ token, annotationId: annotation.id, weight });
+          }
+        }
+        store.transaction.oncomplete = () => resolve();
+        store.transaction.onerror = () => reject(new Error(`Failed to build search index: ${store.transaction.error?.message}`));
+      });
+    }
 
-    return this.applyFilters(matches, options);
+    console.log(`AnnotatePro: Indexed ${annotations.length} annotations`);
   }
 
   /**
@@ -443,6 +853,11 @@ class IndexedDBHelper {
       filtered = filtered.filter(a => options.colorIds.includes(a.colorId));
     }
 
+    // Filter by tag name (OR logic)
+    if (options.tags && options.tags.length > 0) {
+      filtered = filtered.filter(a => (a.tags || []).some(tag => options.tags.includes(tag)));
+    }
+
     // Legacy: Filter by intent (OR logic) - for backwards compatibility
     if (options.intents && options.intents.length > 0) {
       const colorIds = options.intents.map(i => INTENT_TO_COLOR_ID[i] || 'default-action');
@@ -473,21 +888,85 @@ class IndexedDBHelper {
       }
     }
 
-    // Sort by updated time descending
-    filtered.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    // Query language predicates (see shared/query-parser.js)
 
-    return filtered;
-  }
+    // Filter by site (OR logic)
+    if (options.sites && options.sites.length > 0) {
+      filtered = filtered.filter(a => options.sites.some(site => matchesSite(a.pageUrl, site)));
+    }
 
-  // ============ Group Operations ============
+    // is:checked / is:unchecked only match checkboxes
+    if (typeof options.checked === 'boolean') {
+      filtered = filtered.filter(a => a.annotationType === 'checkbox' && !!a.checked === options.checked);
+    }
 
-  async addGroup(group) {
-    await this.open();
+    if (options.orphaned) {
+      filtered = filtered.filter(a => a.orphaned);
+    }
+
+    if (options.hasNote) {
+      filtered = filtered.filter(a => a.note && a.note.trim());
+    }
+
+    if (options.hasTags) {
+      filtered = filtered.filter(a => a.tags && a.tags.length > 0);
+    }
+
+    // Open checkbox or note checklist item past its due date
+    if (options.overdue) {
+      const now = Date.now();
+      filtered = filtered.filter(a => hasOverdueItem(a, now));
+    }
+
+    // before: is exclusive, after: includes that day
+    if (options.before) {
+      filtered = filtered.filter(a => (a.updatedAt || a.createdAt || 0) < options.before);
+    }
+
+    if (options.after) {
+      filtered = filtered.filter(a => (a.updatedAt || a.createdAt || 0) >= options.after);
+    }
+
+    // Exact phrases (AND logic) and excluded terms
+    if (options.phrases && options.phrases.length > 0) {
+      filtered = filtered.filter(a => {
+        const text = getSearchableText(a);
+        return options.phrases.every(phrase => text.includes(phrase.toLowerCase()));
+      });
+    }
+
+    if (options.excludeTerms && options.excludeTerms.length > 0) {
+      filtered = filtered.filter(a => {
+        const text = getSearchableText(a);
+        return !options.excludeTerms.some(term => text.includes(term.toLowerCase()));
+      });
+    }
+
+    // Sort by updated time descending
+    filtered.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+
+    return filtered;
+  }
+
+  // ============ Group Operations ============
+  // Groups are user-facing "collections". Annotation membership lives on the
+  // annotation (groupIds); whole pages live on the group record (pages).
+
+  async addGroup(group) {
+    await this.open();
+
+    const name = (group.name || '').trim();
+    if (!name) {
+      throw new Error('Collection name cannot be empty');
+    }
 
     const record = {
       ...group,
       id: group.id || this.generateId(),
-      createdAt: Date.now()
+      name,
+      pages: group.pages || [],
+      createdAt: Date.now(),
+      updatedAt: Date.now()
     };
 
     return new Promise((resolve, reject) => {
@@ -509,17 +988,189 @@ class IndexedDBHelper {
     });
   }
 
+  async getGroup(id) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('groups', 'readonly');
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get group: ${request.error?.message}`));
+    });
+  }
+
+  async updateGroup(id, patch) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('groups', 'readwrite');
+      const getRequest = store.get(id);
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error(`Group not found: ${id}`));
+          return;
+        }
+
+        const updated = {
+          ...getRequest.result,
+          ...patch,
+          updatedAt: Date.now()
+        };
+
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve(updated);
+        putRequest.onerror = () => reject(new Error(`Failed to update group: ${putRequest.error?.message}`));
+      };
+
+      getRequest.onerror = () => reject(new Error(`Failed to get group: ${getRequest.error?.message}`));
+    });
+  }
+
+  /**
+   * Delete a group and remove it from every annotation's groupIds
+   * Returns the annotations that changed
+   */
   async deleteGroup(id) {
     await this.open();
 
+    const members = await this.getAnnotationsByGroup(id);
+    const annotations = [];
+    for (const annotation of members) {
+      const groupIds = (annotation.groupIds || []).filter(g => g !== id);
+      annotations.push(await this.updateAnnotation(annotation.id, { groupIds }, { touch: false }));
+    }
+
     return new Promise((resolve, reject) => {
       const store = this.getStore('groups', 'readwrite');
       const request = store.delete(id);
-      request.onsuccess = () => resolve({ success: true, id });
+      request.onsuccess = () => resolve({ success: true, id, annotations });
       request.onerror = () => reject(new Error(`Failed to delete group: ${request.error?.message}`));
     });
   }
 
+  /**
+   * Get annotations added to a group directly (uses the multiEntry by_group index)
+   */
+  async getAnnotationsByGroup(groupId) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readonly');
+      const index = store.index('by_group');
+      const request = index.getAll(groupId);
+      request.onsuccess = () => resolve((request.result || []).filter(isLive));
+      request.onerror = () => reject(new Error(`Failed to get annotations by group: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Get everything in a group: direct annotation members plus every
+   * annotation on the group's pages (de-duplicated)
+   */
+  async getGroupContents(groupId) {
+    const group = await this.getGroup(groupId);
+    if (!group) {
+      throw new Error(`Group not found: ${groupId}`);
+    }
+
+    const byId = new Map();
+    for (const annotation of await this.getAnnotationsByGroup(groupId)) {
+      byId.set(annotation.id, annotation);
+    }
+    for (const page of group.pages || []) {
+      for (const annotation of await this.getAnnotationsByPage(page.pageUrl)) {
+        byId.set(annotation.id, annotation);
+      }
+    }
+
+    const annotations = Array.from(byId.values());
+    annotations.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+
+    return { group, annotations };
+  }
+
+  /**
+   * Get all groups with member counts for list views
+   */
+  async getGroupsSummary() {
+    const groups = await this.getAllGroups();
+    const summaries = [];
+
+    for (const group of groups) {
+      const direct = await this.getAnnotationsByGroup(group.id);
+      summaries.push({
+        ...group,
+        annotationCount: direct.length,
+        pageCount: (group.pages || []).length
+      });
+    }
+
+    summaries.sort((a, b) => a.name.localeCompare(b.name));
+    return summaries;
+  }
+
+  /**
+   * Add annotations to a group. Membership is organizational, so updatedAt is left alone.
+   * Returns the annotations that changed
+   */
+  async addAnnotationsToGroup(groupId, annotationIds) {
+    const group = await this.getGroup(groupId);
+    if (!group) {
+      throw new Error(`Group not found: ${groupId}`);
+    }
+
+    const changed = [];
+    for (const id of annotationIds) {
+      const annotation = await this.getAnnotation(id);
+      if (!annotation || (annotation.groupIds || []).includes(groupId)) continue;
+      const groupIds = [...(annotation.groupIds || []), groupId];
+      changed.push(await this.updateAnnotation(id, { groupIds }, { touch: false }));
+    }
+
+    return changed;
+  }
+
+  async removeAnnotationFromGroup(groupId, annotationId) {
+    const annotation = await this.getAnnotation(annotationId);
+    if (!annotation) {
+      throw new Error(`Annotation not found: ${annotationId}`);
+    }
+
+    const groupIds = (annotation.groupIds || []).filter(g => g !== groupId);
+    return this.updateAnnotation(annotationId, { groupIds }, { touch: false });
+  }
+
+  /**
+   * Add a whole page to a group
+   */
+  async addPageToGroup(groupId, { pageUrl, pageTitle }) {
+    const group = await this.getGroup(groupId);
+    if (!group) {
+      throw new Error(`Group not found: ${groupId}`);
+    }
+
+    const pages = group.pages || [];
+    if (pages.some(p => p.pageUrl === pageUrl)) {
+      return group;
+    }
+
+    return this.updateGroup(groupId, {
+      pages: [...pages, { pageUrl, pageTitle: pageTitle || pageUrl, addedAt: Date.now() }]
+    });
+  }
+
+  async removePageFromGroup(groupId, pageUrl) {
+    const group = await this.getGroup(groupId);
+    if (!group) {
+      throw new Error(`Group not found: ${groupId}`);
+    }
+
+    return this.updateGroup(groupId, {
+      pages: (group.pages || []).filter(p => p.pageUrl !== pageUrl)
+    });
+  }
+
   // ============ Color Operations ============
 
   /**
@@ -536,6 +1187,9 @@ class IndexedDBHelper {
       id: colorData.id || this.generateId(),
       name: colorData.name,
       color: colorData.color,
+      style: 'fill',
+      opacity: null,
+      ...validateColorStyle(colorData),
       isDefault: false,
       sortOrder: maxSortOrder + 1,
       usageCount: 0,
@@ -589,6 +1243,8 @@ class IndexedDBHelper {
   async updateColor(id, patch) {
     await this.open();
 
+    const styleFields = validateColorStyle(patch);
+
     return new Promise((resolve, reject) => {
       const store = this.getStore('colors', 'readwrite');
       const getRequest = store.get(id);
@@ -601,7 +1257,8 @@ class IndexedDBHelper {
 
         const updated = {
           ...getRequest.result,
-          ...patch
+          ...patch,
+          ...styleFields
         };
 
         const putRequest = store.put(updated);
@@ -630,8 +1287,8 @@ class IndexedDBHelper {
       throw new Error('Cannot delete default colors');
     }
 
-    // Reassign annotations using this color
-    const annotations = await this.getAllAnnotations();
+    // Reassign annotations using this color (trashed ones too, for when they are restored)
+    const annotations = await this.getAllAnnotations({ includeDeleted: true });
     for (const annotation of annotations) {
       if (annotation.colorId === id) {
         await this.updateAnnotation(annotation.id, { colorId: reassignToColorId });
@@ -667,46 +1324,751 @@ class IndexedDBHelper {
     }
   }
 
+  // ============ Tag Operations ============
+
+  /**
+   * Add a tag, or return the existing one with the same (normalized) name
+   */
+  async addTag(name) {
+    await this.open();
+
+    const normalized = normalizeTagName(name);
+    if (!normalized) {
+      throw new Error('Tag name cannot be empty');
+    }
+
+    const existing = await this.getTagByName(normalized);
+    if (existing) return existing;
+
+    const record = {
+      id: this.generateId(),
+      name: normalized,
+      usageCount: 0,
+      createdAt: Date.now()
+    };
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('tags', 'readwrite');
+      const request = store.add(record);
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(new Error(`Failed to add tag: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Get all tags sorted by name
+   */
+  async getAllTags() {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('tags', 'readonly');
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const tags = request.result || [];
+        tags.sort((a, b) => a.name.localeCompare(b.name));
+        resolve(tags);
+      };
+      request.onerror = () => reject(new Error(`Failed to get tags: ${request.error?.message}`));
+    });
+  }
+
+  async getTag(id) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('tags', 'readonly');
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get tag: ${request.error?.message}`));
+    });
+  }
+
+  async getTagByName(name) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('tags', 'readonly');
+      const index = store.index('by_name');
+      const request = index.get(normalizeTagName(name));
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get tag: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Get all annotations carrying a tag (uses the multiEntry by_tags index)
+   */
+  async getAnnotationsByTag(name, { includeDeleted = false } = {}) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotations', 'readonly');
+      const index = store.index('by_tags');
+      const request = index.getAll(normalizeTagName(name));
+      request.onsuccess = () => {
+        const annotations = request.result || [];
+        resolve(includeDeleted ? annotations : annotations.filter(isLive));
+      };
+      request.onerror = () => reject(new Error(`Failed to get annotations by tag: ${request.error?.message}`));
+    });
+  }
+
+  async updateTag(id, patch) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('tags', 'readwrite');
+      const getRequest = store.get(id);
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error(`Tag not found: ${id}`));
+          return;
+        }
+
+        const updated = {
+          ...getRequest.result,
+          ...patch
+        };
+
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve(updated);
+        putRequest.onerror = () => reject(new Error(`Failed to update tag: ${putRequest.error?.message}`));
+      };
+
+      getRequest.onerror = () => reject(new Error(`Failed to get tag: ${getRequest.error?.message}`));
+    });
+  }
+
+  /**
+   * Rename a tag and rewrite it on every annotation that carries it
+   * Returns the updated tag and the annotations that changed
+   */
+  async renameTag(id, newName) {
+    const tag = await this.getTag(id);
+    if (!tag) {
+      throw new Error(`Tag not found: ${id}`);
+    }
+
+    const normalized = normalizeTagName(newName);
+    if (!normalized) {
+      throw new Error('Tag name cannot be empty');
+    }
+    if (normalized === tag.name) {
+      return { tag, annotations: [] };
+    }
+
+    const existing = await this.getTagByName(normalized);
+    if (existing) {
+      throw new Error(`A tag named "${normalized}" already exists`);
+    }
+
+    const updatedTag = await this.updateTag(id, { name: normalized });
+    const annotations = await this.replaceTagOnAnnotations(tag.name, normalized);
+
+    return { tag: updatedTag, annotations };
+  }
+
+  /**
+   * Merge the source tag into the target tag, then delete the source tag
+   */
+  async mergeTag(sourceId, targetId) {
+    if (sourceId === targetId) {
+      throw new Error('Cannot merge a tag into itself');
+    }
+
+    const source = await this.getTag(sourceId);
+    const target = await this.getTag(targetId);
+    if (!source || !target) {
+      throw new Error(`Tag not found: ${!source ? sourceId : targetId}`);
+    }
+
+    const annotations = await this.replaceTagOnAnnotations(source.name, target.name);
+    await this.removeTagRecord(sourceId);
+    const updatedTag = await this.recalculateTagUsage(target);
+
+    return { tag: updatedTag, annotations };
+  }
+
+  /**
+   * Delete a tag and strip it from every annotation that carries it
+   */
+  async deleteTag(id) {
+    const tag = await this.getTag(id);
+    if (!tag) {
+      throw new Error(`Tag not found: ${id}`);
+    }
+
+    const annotations = await this.replaceTagOnAnnotations(tag.name, null);
+    await this.removeTagRecord(id);
+
+    return { success: true, id, annotations };
+  }
+
+  async removeTagRecord(id) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('tags', 'readwrite');
+      const request = store.delete(id);
+      request.onsuccess = () => resolve({ success: true, id });
+      request.onerror = () => reject(new Error(`Failed to delete tag: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Replace (or remove, when newName is null) a tag name on all annotations carrying it
+   * Tag edits are organizational, so updatedAt is left alone
+   */
+  async replaceTagOnAnnotations(oldName, newName) {
+    // Trashed annotations too, so restoring one does not bring back a renamed or deleted tag
+    const annotations = await this.getAnnotationsByTag(oldName, { includeDeleted: true });
+    const changed = [];
+
+    for (const annotation of annotations) {
+      const tags = (annotation.tags || []).filter(t => t !== oldName);
+      if (newName && !tags.includes(newName)) {
+        tags.push(newName);
+      }
+      changed.push(await this.updateAnnotation(annotation.id, { tags }, { touch: false }));
+    }
+
+    return changed;
+  }
+
+  /**
+   * Make sure a tag record exists for each name and adjust usage counts
+   * for an annotation whose tags changed from oldTags to newTags
+   */
+  async syncTagUsage(oldTags = [], newTags = []) {
+    const added = newTags.filter(t => !oldTags.includes(t));
+    const removed = oldTags.filter(t => !newTags.includes(t));
+    const created = [];
+
+    for (const name of added) {
+      let tag = await this.getTagByName(name);
+      if (!tag) {
+        tag = await this.addTag(name);
+        created.push(tag);
+      }
+      await this.updateTag(tag.id, { usageCount: (tag.usageCount || 0) + 1 });
+    }
+
+    for (const name of removed) {
+      const tag = await this.getTagByName(name);
+      if (tag && tag.usageCount > 0) {
+        await this.updateTag(tag.id, { usageCount: tag.usageCount - 1 });
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Recount a single tag's usage from the by_tags index
+   */
+  async recalculateTagUsage(tag) {
+    const annotations = await this.getAnnotationsByTag(tag.name);
+    return this.updateTag(tag.id, { usageCount: annotations.length });
+  }
+
+  /**
+   * Recalculate usage counts for all tags
+   */
+  async recalculateTagUsageCounts() {
+    const tags = await this.getAllTags();
+    for (const tag of tags) {
+      await this.recalculateTagUsage(tag);
+    }
+  }
+
+  // ============ Saved Search Operations ============
+  // A saved search ("smart view") stores the raw query-language string plus the
+  // dashboard filter chips; the dashboard parses and runs it on demand.
+
+  async addSavedSearch(search) {
+    await this.open();
+
+    const name = (search.name || '').trim();
+    if (!name) {
+      throw new Error('Smart view name cannot be empty');
+    }
+
+    const record = {
+      id: this.generateId(),
+      name,
+      query: search.query || '',
+      filters: search.filters || {},
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('saved_searches', 'readwrite');
+      const request = store.add(record);
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(new Error(`Failed to add saved search: ${request.error?.message}`));
+    });
+  }
+
+  async getAllSavedSearches() {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('saved_searches', 'readonly');
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const searches = request.result || [];
+        searches.sort((a, b) => a.name.localeCompare(b.name));
+        resolve(searches);
+      };
+      request.onerror = () => reject(new Error(`Failed to get saved searches: ${request.error?.message}`));
+    });
+  }
+
+  async updateSavedSearch(id, patch) {
+    await this.open();
+
+    if (patch.name !== undefined && !patch.name.trim()) {
+      throw new Error('Smart view name cannot be empty');
+    }
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('saved_searches', 'readwrite');
+      const getRequest = store.get(id);
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error(`Saved search not found: ${id}`));
+          return;
+        }
+
+        const updated = {
+          ...getRequest.result,
+          ...patch,
+          id,
+          updatedAt: Date.now()
+        };
+        if (patch.name !== undefined) {
+          updated.name = patch.name.trim();
+        }
+
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve(updated);
+        putRequest.onerror = () => reject(new Error(`Failed to update saved search: ${putRequest.error?.message}`));
+      };
+
+      getRequest.onerror = () => reject(new Error(`Failed to get saved search: ${getRequest.error?.message}`));
+    });
+  }
+
+  async deleteSavedSearch(id) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('saved_searches', 'readwrite');
+      const request = store.delete(id);
+      request.onsuccess = () => resolve({ success: true, id });
+      request.onerror = () => reject(new Error(`Failed to delete saved search: ${request.error?.message}`));
+    });
+  }
+
+  // ============ Page Alias Operations ============
+  // An alias maps a normalized URL to the URL its annotations are stored under
+  // (background/page-urls.js). source is 'manual' (dashboard) or 'canonical'
+  // (the page's <link rel="canonical">).
+
+  async getAllPageAliases() {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('page_aliases', 'readonly');
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(new Error(`Failed to get page aliases: ${request.error?.message}`));
+    });
+  }
+
+  async putPageAlias(alias) {
+    await this.open();
+
+    const record = { ...alias, createdAt: alias.createdAt || Date.now() };
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('page_aliases', 'readwrite');
+      const request = store.put(record);
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(new Error(`Failed to save page alias: ${request.error?.message}`));
+    });
+  }
+
+  async deletePageAlias(url) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('page_aliases', 'readwrite');
+      const request = store.delete(url);
+      request.onsuccess = () => resolve({ success: true, url });
+      request.onerror = () => reject(new Error(`Failed to delete page alias: ${request.error?.message}`));
+    });
+  }
+
+  /**
+   * Move a page's annotations (trashed ones too) and collection entries to another
+   * URL. An annotation of an element already annotated on the target page, or a
+   * second page note, is merged into the target's annotation instead.
+   */
+  async movePageAnnotations(fromUrl, toUrl) {
+    const annotations = await this.getAnnotationsByPage(fromUrl, { includeDeleted: true });
+    const targets = await this.getAnnotationsByPage(toUrl, { includeDeleted: true });
+    const targetsByElement = new Map(targets.map(a => [a.elementFingerprint, a]));
+    const targetPageNote = targets.find(a => a.annotationType === 'page-note' && isLive(a));
+
+    let moved = 0;
+    let merged = 0;
+
+    for (const annotation of annotations) {
+      let existing = targetsByElement.get(annotation.elementFingerprint) ||
+        (annotation.annotationType === 'page-note' ? targetPageNote : null);
+
+      // A live annotation beats a trashed duplicate
+      if (existing?.deletedAt && isLive(annotation)) {
+        await this.purgeAnnotations([existing.id]);
+        existing = null;
+      }
+
+      if (!existing) {
+        await this.updateAnnotation(annotation.id, { pageUrl: toUrl }, { touch: false });
+        moved++;
+        continue;
+      }
+
+      if (isLive(annotation)) {
+        const patch = getDuplicateMergePatch(existing, annotation);
+        if (Object.keys(patch).length > 0) {
+          Object.assign(existing, await this.updateAnnotation(existing.id, patch, { touch: false }));
+        }
+        merged++;
+      }
+      await this.purgeAnnotations([annotation.id]);
+    }
+
+    await this.movePageInGroups(fromUrl, toUrl);
+    return { moved, merged };
+  }
+
+  /**
+   * Point collection page entries at a new URL, dropping duplicates
+   */
+  async movePageInGroups(fromUrl, toUrl) {
+    const groups = await this.getAllGroups();
+
+    for (const group of groups) {
+      const pages = group.pages || [];
+      if (!pages.some(p => p.pageUrl === fromUrl)) continue;
+
+      const hasTarget = pages.some(p => p.pageUrl === toUrl);
+      await this.updateGroup(group.id, {
+        pages: hasTarget
+          ? pages.filter(p => p.pageUrl !== fromUrl)
+          : pages.map(p => (p.pageUrl === fromUrl ? { ...p, pageUrl: toUrl } : p))
+      });
+    }
+  }
+
+  // ============ Revision Operations ============
+  // Each user edit made through UPDATE_ANNOTATION is recorded as
+  // { changes: { field: { from, to } }, snapshot } so any version can be restored.
+
+  /**
+   * Record the change between two versions of an annotation. Returns the revision,
+   * or null when no revisioned field changed.
+   */
+  async addAnnotationRevision(before, after, { source = 'unknown', restoredFrom = null } = {}) {
+    await this.open();
+
+    const changes = {};
+    for (const field of REVISION_FIELDS) {
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+    if (Object.keys(changes).length === 0) return null;
+
+    const snapshot = {};
+    for (const field of REVISION_FIELDS) {
+      snapshot[field] = after[field] ?? null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotation_revisions', 'readwrite');
+      const request = store.index('by_annotation').getAll(after.id);
+      let saved;
+
+      request.onsuccess = () => {
+        const revisions = request.result.sort((a, b) => b.timestamp - a.timestamp);
+        const latest = revisions[0];
+        const now = Date.now();
+
+        const isNoteOnly = (c) => Object.keys(c).length === 1 && 'note' in c;
+        // Emptying or mostly deleting the note always gets its own revision, so
+        // the text before it can be restored
+        const isDeletion = (c) => String(c.note.to ?? '').length < String(c.note.from ?? '').length / 2;
+        const merge = latest && !restoredFrom && !latest.restoredFrom &&
+          latest.source === source &&
+          now - (latest.startedAt ?? latest.timestamp) < REVISION_MERGE_WINDOW &&
+          isNoteOnly(changes) && isNoteOnly(latest.changes) &&
+          !isDeletion(latest.changes) &&
+          !isDeletion({ note: { from: latest.changes.note.from, to: changes.note.to } });
+
+        if (merge) {
+          saved = {
+            ...latest,
+            startedAt: latest.startedAt ?? latest.timestamp,
+            timestamp: now,
+            changes: { note: { from: latest.changes.note.from, to: changes.note.to } },
+            snapshot
+          };
+          store.put(saved);
+        } else {
+          saved = {
+            id: this.generateId(),
+            annotationId: after.id,
+            timestamp: now,
+            startedAt: now,
+            source,
+            changes,
+            snapshot,
+            restoredFrom
+          };
+          store.add(saved);
+          revisions.unshift(saved);
+        }
+
+        for (const old of revisions.slice(MAX_REVISIONS_PER_ANNOTATION)) {
+          store.delete(old.id);
+        }
+      };
+
+      store.transaction.oncomplete = () => resolve(saved);
+      store.transaction.onerror = () => reject(new Error(`Failed to add revision: ${store.transaction.error?.message}`));
+    });
+  }
+
+  /**
+   * Get an annotation's revisions, newest first
+   */
+  async getAnnotationRevisions(annotationId) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotation_revisions', 'readonly');
+      const request = store.index('by_annotation').getAll(annotationId);
+      request.onsuccess = () => resolve(request.result.sort((a, b) => b.timestamp - a.timestamp));
+      request.onerror = () => reject(new Error(`Failed to get revisions: ${request.error?.message}`));
+    });
+  }
+
+  async deleteAnnotationRevisions(annotationIds) {
+    await this.open();
+    if (annotationIds.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotation_revisions', 'readwrite');
+      const index = store.index('by_annotation');
+
+      for (const id of annotationIds) {
+        const keysRequest = index.getAllKeys(id);
+        keysRequest.onsuccess = () => {
+          for (const key of keysRequest.result) store.delete(key);
+        };
+      }
+
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(new Error(`Failed to delete revisions: ${store.transaction.error?.message}`));
+    });
+  }
+
+  async clearAnnotationRevisions() {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('annotation_revisions', 'readwrite');
+      const request = store.clear();
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error(`Failed to clear revisions: ${request.error?.message}`));
+    });
+  }
+
+  // ============ Attachment Operations ============
+  // Binary data belonging to an annotation (the image of a 'screenshot'
+  // annotation). Kept out of the annotations store so listing annotations never
+  // loads images; removed with the annotation when it is purged.
+
+  async addAttachment(attachment) {
+    await this.open();
+
+    const record = {
+      ...attachment,
+      id: attachment.id || this.generateId(),
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('attachments', 'readwrite');
+      const request = store.add(record);
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(new Error(`Failed to add attachment: ${request.error?.message}`));
+    });
+  }
+
+  async getAttachment(id) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('attachments', 'readonly');
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to get attachment: ${request.error?.message}`));
+    });
+  }
+
+  async updateAttachment(id, patch) {
+    await this.open();
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('attachments', 'readwrite');
+      const getRequest = store.get(id);
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          reject(new Error(`Attachment not found: ${id}`));
+          return;
+        }
+
+        const updated = { ...getRequest.result, ...patch, updatedAt: Date.now() };
+        const putRequest = store.put(updated);
+        putRequest.onsuccess = () => resolve(updated);
+        putRequest.onerror = () => reject(new Error(`Failed to update attachment: ${putRequest.error?.message}`));
+      };
+
+      getRequest.onerror = () => reject(new Error(`Failed to get attachment: ${getRequest.error?.message}`));
+    });
+  }
+
+  async deleteAttachmentsForAnnotations(annotationIds) {
+    await this.open();
+    if (annotationIds.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('attachments', 'readwrite');
+      const index = store.index('by_annotation');
+
+      for (const id of annotationIds) {
+        const keysRequest = index.getAllKeys(id);
+        keysRequest.onsuccess = () => {
+          for (const key of keysRequest.result) store.delete(key);
+        };
+      }
+
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(new Error(`Failed to delete attachments: ${store.transaction.error?.message}`));
+    });
+  }
+
   // ============ Import/Export Operations ============
 
   /**
    * Import annotations from backup
    * Skips duplicates based on pageUrl + elementFingerprint
+   * Tags from the backup (and any tag names found on annotations) are recreated.
+   * A collection export recreates its collection (reusing one with the same name).
    */
-  async importAnnotations(annotations) {
+  async importAnnotations(annotations, { tags = [], collection = null } = {}) {
     await this.open();
 
     let imported = 0;
     let skipped = 0;
 
+    // Only keep memberships for groups that exist here (or the imported collection)
+    const knownGroupIds = new Set((await this.getAllGroups()).map(g => g.id));
+    let collectionGroup = null;
+    if (collection && collection.name) {
+      collectionGroup = await this.importGroup(collection);
+    }
+
+    const mapGroupIds = (groupIds) => (groupIds || [])
+      .map(id => (collectionGroup && id === collection.id ? collectionGroup.id : id))
+      .filter(id => knownGroupIds.has(id) || id === collectionGroup?.id);
+
     for (const annotation of annotations) {
       try {
         // Generate new ID to avoid conflicts
         const record = {
           ...annotation,
+          tags: normalizeTagList(annotation.tags),
+          groupIds: mapGroupIds(annotation.groupIds),
           id: this.generateId(),
           importedAt: Date.now()
         };
+        delete record.deletedAt;
+        await this.purgeTrashedDuplicate(record);
 
-        await new Promise((resolve, reject) => {
+        const added = await new Promise((resolve) => {
           const store = this.getStore('annotations', 'readwrite');
           const request = store.add(record);
-          request.onsuccess = () => {
-            imported++;
-            resolve();
-          };
-          request.onerror = () => {
-            // Likely duplicate (unique constraint on pageUrl + elementFingerprint)
-            skipped++;
-            resolve();
-          };
+          request.onsuccess = () => resolve(true);
+          // Likely duplicate (unique constraint on pageUrl + elementFingerprint)
+          request.onerror = () => resolve(false);
         });
+
+        if (added) {
+          imported++;
+          await this.indexAnnotation(record);
+        } else {
+          skipped++;
+        }
       } catch (error) {
         skipped++;
       }
     }
 
-    return { imported, skipped };
+    // Create tag records for imported tag names, then recount usage
+    const tagNames = new Set([
+      ...(tags || []).map(t => t.name),
+      ...annotations.flatMap(a => a.tags || [])
+    ]);
+    for (const name of tagNames) {
+      if (normalizeTagName(name)) {
+        await this.addTag(name);
+      }
+    }
+    await this.recalculateTagUsageCounts();
+
+    return { imported, skipped, collection: collectionGroup };
+  }
+
+  /**
+   * Find a group by name (case-insensitive) or create it, then merge in the exported pages
+   */
+  async importGroup(collection) {
+    const groups = await this.getAllGroups();
+    const name = collection.name.trim();
+    let group = groups.find(g => g.name.toLowerCase() === name.toLowerCase());
+
+    if (!group) {
+      group = await this.addGroup({ name });
+    }
+
+    for (const page of collection.pages || []) {
+      group = await this.addPageToGroup(group.id, page);
+    }
+
+    return group;
   }
 }
 
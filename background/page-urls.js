@@ -0,0 +1,281 @@
+/**
+ * Page URL Normalization for AnnotatePro
+ * Annotations are stored under a page key rather than the raw tab URL, so
+ * tracking-parameter variants, in-page anchors, AMP copies and pages that
+ * declare a <link rel="canonical"> all share one set of annotations.
+ *
+ *   key = aliases(normalize(url))
+ *
+ * normalize() applies the 'pageUrls' section of the settings (shared/settings.js);
+ * aliases map a normalized URL to another page key and come from canonical
+ * links or the dashboard.
+ */
+
+import { db } from './indexeddb-helper.js';
+import '../shared/settings.js';
+
+// Settings that change page keys; stored pages are re-keyed when they change
+export const PAGE_URL_SETTING_KEYS = ['stripTrackingParams', 'extraTrackingParams', 'hashMode', 'useCanonicalLink'];
+
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id',
+  'oly_enc_id', 'vero_id', 'wickedid', 'ref_src', 'ref_url'
+];
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'hsa_'];
+
+// Alias chains longer than this are treated as a cycle
+const MAX_ALIAS_DEPTH = 10;
+
+let settings = null;
+let aliases = null; // normalized URL → alias record
+let migration = Promise.resolve();
+
+async function loadConfig() {
+  settings = await globalThis.AnnotateProSettings.getSettings();
+  if (!aliases) {
+    aliases = new Map((await db.getAllPageAliases()).map(alias => [alias.url, alias]));
+  }
+}
+
+/**
+ * Drop cached aliases so the next lookup reads them again
+ */
+export function invalidatePageUrlConfig() {
+  aliases = null;
+}
+
+export async function getPageUrlConfig() {
+  await loadConfig();
+  return {
+    settings: Object.fromEntries(PAGE_URL_SETTING_KEYS.map(key => [key, settings[key]])),
+    aliases: [...aliases.values()].sort((a, b) => b.createdAt - a.createdAt)
+  };
+}
+
+function isTrackingParam(name, options) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.includes(lower) ||
+    TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix)) ||
+    options.extraTrackingParams.some(param => param.toLowerCase() === lower);
+}
+
+/**
+ * AMP cache addresses wrap the publisher URL:
+ *   https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story
+ *   https://www.google.com/amp/s/www.example.com/story
+ */
+function unwrapAmpCacheUrl(url) {
+  const isAmpCache = url.hostname.endsWith('.cdn.ampproject.org') ||
+    (/^(www\.)?google\.[a-z.]+$/.test(url.hostname) && url.pathname.startsWith('/amp/'));
+  if (!isAmpCache) return url;
+
+  // /c/s/<host>/<path> (ampproject) or /amp/s/<host>/<path> (Google); "s/" means https
+  const match = /^\/(?:amp|[a-z])\/(s\/)?([^/]+\.[^/]+(?:\/.*)?)$/.exec(url.pathname);
+  if (!match) return url;
+
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${url.search}${url.hash}`);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Normalize a URL with the given settings. Non-web URLs (file:, about:, ...)
+ * are returned unchanged.
+ */
+export function normalizePageUrl(rawUrl, options = settings || globalThis.AnnotateProSettings.getDefaultSettings()) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return rawUrl;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return rawUrl;
+  }
+
+  url = unwrapAmpCacheUrl(url);
+
+  if (options.stripTrackingParams) {
+    for (const name of [...url.searchParams.keys()]) {
+      if (isTrackingParam(name, options)) {
+        url.searchParams.delete(name);
+      }
+    }
+  }
+  if (!url.searchParams.toString()) {
+    url.search = '';
+  }
+
+  const isRoute = url.hash.startsWith('#/') || url.hash.startsWith('#!');
+  if (options.hashMode === 'strip' || (options.hashMode === 'routes' && !isRoute)) {
+    url.hash = '';
+  }
+
+  return url.href;
+}
+
+function followAliases(key) {
+  const seen = new Set();
+  while (aliases.has(key) && !seen.has(key) && seen.size < MAX_ALIAS_DEPTH) {
+    seen.add(key);
+    key = aliases.get(key).targetUrl;
+  }
+  return key;
+}
+
+/**
+ * Page key for a URL
+ */
+export async function resolvePageUrl(url) {
+  if (!url) return url;
+  await loadConfig();
+  return followAliases(normalizePageUrl(url));
+}
+
+// Hosts serving AMP cache copies of other sites' pages
+const AMP_CACHE_HOST = /(^|\.)(cdn\.ampproject\.org|ampproject\.net)$/;
+
+// AMP cache paths carry the origin's host: /c/s/example.com/article
+const AMP_CACHE_PATH = /^\/[cvi]\/(?:s\/)?([^/]+)\//;
+
+/**
+ * Whether an AMP page is a cache copy of the canonical page: served from a
+ * known AMP cache with the canonical host in its path
+ */
+function isAmpCacheCopy(page, canonical) {
+  if (!AMP_CACHE_HOST.test(page.hostname)) return false;
+  const match = AMP_CACHE_PATH.exec(page.pathname);
+  return !!match && match[1].toLowerCase() === canonical.hostname.toLowerCase();
+}
+
+/**
+ * Whether a page's canonical link can be trusted as the same document. Sites
+ * sometimes point every page at their home page, and any page can claim
+ * another site's canonical (or mark itself AMP), so cross-site canonicals are
+ * only followed from AMP cache copies. Other cross-site links are ignored; the
+ * user can still join such pages with a manual alias in the dashboard.
+ */
+function isUsableCanonical(pageUrl, canonicalUrl, isAmp) {
+  let page;
+  let canonical;
+  try {
+    page = new URL(pageUrl);
+    canonical = new URL(canonicalUrl);
+  } catch {
+    return false;
+  }
+
+  if (canonical.protocol !== 'http:' && canonical.protocol !== 'https:') return false;
+  if (canonical.pathname === '/' && page.pathname !== '/') return false;
+
+  const site = (hostname) => hostname.replace(/^(www|m|amp)\./, '');
+  if (site(page.hostname) === site(canonical.hostname)) return true;
+  return isAmp && isAmpCacheCopy(page, canonical);
+}
+
+/**
+ * Page key for a tab's URL, as reported by its content script. A usable
+ * canonical link is remembered as an alias, and any annotations already stored
+ * under the page's own URL move to the canonical page.
+ */
+export async function resolveReportedPageUrl({ url, canonicalUrl = null, isAmp = false }) {
+  await loadConfig();
+  const normalized = normalizePageUrl(url);
+
+  if (settings.useCanonicalLink && canonicalUrl && isUsableCanonical(normalized, canonicalUrl, isAmp)) {
+    const target = followAliases(normalizePageUrl(canonicalUrl));
+    const existing = aliases.get(normalized);
+
+    // Manual aliases win over the page's own claim
+    if (target !== normalized && existing?.source !== 'manual' && existing?.targetUrl !== target) {
+      await setAlias(normalized, target, 'canonical');
+    }
+  }
+
+  return followAliases(normalized);
+}
+
+async function setAlias(url, targetUrl, source) {
+  const alias = await db.putPageAlias({ url, targetUrl, source, createdAt: Date.now() });
+  aliases.set(url, alias);
+  await db.movePageAnnotations(url, followAliases(url));
+  return alias;
+}
+
+/**
+ * Treat url as the same document as targetUrl (dashboard tool)
+ */
+export async function addPageAlias(url, targetUrl) {
+  await loadConfig();
+  const from = normalizePageUrl(url);
+  const to = followAliases(normalizePageUrl(targetUrl));
+
+  if (followAliases(from) === to) {
+    throw new Error('Both addresses already point to the same page');
+  }
+
+  return setAlias(from, to, 'manual');
+}
+
+/**
+ * Remove an alias. Annotations already merged stay on the target page.
+ */
+export async function removePageAlias(url) {
+  await loadConfig();
+  await db.deletePageAlias(url);
+  aliases.delete(url);
+  return { success: true, url };
+}
+
+/**
+ * Re-key every stored page (annotations, collection pages, clipboard history)
+ * with the current settings and aliases, merging pages that now share a key.
+ * Idempotent; runs on install/update and whenever the settings change. Runs
+ * are queued so overlapping triggers never move the same page twice at once.
+ */
+export function migratePageUrls() {
+  migration = migration.catch(() => {}).then(runPageUrlMigration);
+  return migration;
+}
+
+async function runPageUrlMigration() {
+  await loadConfig();
+
+  const annotations = await db.getAllAnnotations({ includeDeleted: true });
+  const groups = await db.getAllGroups();
+  const pageUrls = new Set([
+    ...annotations.map(a => a.pageUrl),
+    ...groups.flatMap(g => (g.pages || []).map(p => p.pageUrl))
+  ]);
+
+  let pages = 0;
+  for (const pageUrl of pageUrls) {
+    if (!pageUrl) continue;
+    const key = followAliases(normalizePageUrl(pageUrl));
+    if (key !== pageUrl) {
+      await db.movePageAnnotations(pageUrl, key);
+      pages++;
+    }
+  }
+
+  const { clipboardHistory = [] } = await browser.storage.local.get('clipboardHistory');
+  let clipboardChanged = false;
+  for (const entry of clipboardHistory) {
+    const key = entry.pageUrl && followAliases(normalizePageUrl(entry.pageUrl));
+    if (key && key !== entry.pageUrl) {
+      entry.pageUrl = key;
+      clipboardChanged = true;
+    }
+  }
+  if (clipboardChanged) {
+    await browser.storage.local.set({ clipboardHistory });
+  }
+
+  if (pages > 0) {
+    console.log(`AnnotatePro: Merged ${pages} page address(es) into their normalized page`);
+  }
+  return { pages };
+}
@@ -0,0 +1,179 @@
+/**
+ * Task Reminders for AnnotatePro
+ * Schedules an alarm per task item with a reminder time and raises a notification
+ * that opens the page and scrolls to the annotation.
+ */
+
+import { db } from './indexeddb-helper.js';
+import { resolvePageUrl } from './page-urls.js';
+import '../shared/task-items.js';
+
+const { getTaskItems } = globalThis.AnnotateProTasks;
+
+const ALARM_PREFIX = 'reminder:';
+
+// Reminders already shown, by alarm name → remindAt (so restarts do not repeat them)
+const SENT_REMINDERS_KEY = 'sentReminders';
+
+// Reminders missed while the browser was closed are still shown if this recent
+const MISSED_REMINDER_WINDOW = 24 * 60 * 60 * 1000;
+
+// Tabs opened from a notification, waiting for their content script: tabId → annotationId
+const pendingReveals = new Map();
+
+function getReminderName(annotationId, lineIndex) {
+  return lineIndex === null ? `${ALARM_PREFIX}${annotationId}` : `${ALARM_PREFIX}${annotationId}:${lineIndex}`;
+}
+
+function parseReminderName(name) {
+  const [annotationId, lineIndex] = name.slice(ALARM_PREFIX.length).split(':');
+  return { annotationId, lineIndex: lineIndex === undefined ? null : Number(lineIndex) };
+}
+
+async function getSentReminders() {
+  const { [SENT_REMINDERS_KEY]: sent = {} } = await browser.storage.local.get(SENT_REMINDERS_KEY);
+  return sent;
+}
+
+async function markReminderSent(name, remindAt) {
+  const sent = await getSentReminders();
+  sent[name] = remindAt;
+  await browser.storage.local.set({ [SENT_REMINDERS_KEY]: sent });
+}
+
+async function clearReminderAlarms(matches) {
+  const alarms = await browser.alarms.getAll();
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(ALARM_PREFIX) && matches(alarm.name)) {
+      await browser.alarms.clear(alarm.name);
+    }
+  }
+}
+
+/**
+ * Remove all reminder alarms for an annotation
+ */
+export async function clearAnnotationReminders(annotationId) {
+  const name = getReminderName(annotationId, null);
+  await clearReminderAlarms(alarmName => alarmName === name || alarmName.startsWith(`${name}:`));
+}
+
+/**
+ * (Re)schedule reminder alarms for an annotation's open task items
+ */
+export async function scheduleAnnotationReminders(annotation) {
+  await clearAnnotationReminders(annotation.id);
+  const now = Date.now();
+
+  for (const item of getTaskItems(annotation)) {
+    if (item.checked || !item.remindAt || item.remindAt <= now) continue;
+    browser.alarms.create(getReminderName(annotation.id, item.lineIndex), { when: item.remindAt });
+  }
+}
+
+/**
+ * Rebuild every reminder alarm from the database. Alarms do not survive a browser
+ * restart, so this runs on startup and after bulk changes (import, clear).
+ */
+export async function rescheduleAllReminders() {
+  await clearReminderAlarms(() => true);
+
+  const annotations = await db.getAllAnnotations();
+  const sent = await getSentReminders();
+  const stillSent = {};
+  const now = Date.now();
+
+  for (const annotation of annotations) {
+    for (const item of getTaskItems(annotation)) {
+      if (item.checked || !item.remindAt) continue;
+      const name = getReminderName(annotation.id, item.lineIndex);
+
+      if (item.remindAt > now) {
+        browser.alarms.create(name, { when: item.remindAt });
+      } else if (sent[name] === item.remindAt) {
+        stillSent[name] = item.remindAt;
+      } else if (now - item.remindAt <= MISSED_REMINDER_WINDOW) {
+        await showReminder(name, annotation, item);
+        stillSent[name] = item.remindAt;
+      }
+    }
+  }
+
+  // Drop entries for reminders that were removed, completed or rescheduled
+  await browser.storage.local.set({ [SENT_REMINDERS_KEY]: stillSent });
+}
+
+async function showReminder(name, annotation, item) {
+  const due = item.dueAt ? `\nDue ${new Date(item.dueAt).toLocaleDateString()}` : '';
+
+  await browser.notifications.create(name, {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+    title: `Reminder: ${annotation.pageTitle || annotation.pageUrl}`,
+    message: `${item.text}${due}`
+  });
+}
+
+/**
+ * alarms.onAlarm handler: notify if the task item is still open and still due for this reminder
+ */
+export async function handleReminderAlarm(alarm) {
+  if (!alarm.name.startsWith(ALARM_PREFIX)) return;
+
+  const { annotationId, lineIndex } = parseReminderName(alarm.name);
+  const annotation = await db.getAnnotation(annotationId);
+  if (!annotation) return;
+
+  const item = getTaskItems(annotation).find(i => i.lineIndex === lineIndex);
+  if (!item || item.checked || !item.remindAt) return;
+
+  // Ignore stale alarms whose reminder has since moved later
+  if (item.remindAt > Date.now() + 60 * 1000) return;
+
+  await showReminder(alarm.name, annotation, item);
+  await markReminderSent(alarm.name, item.remindAt);
+}
+
+/**
+ * notifications.onClicked handler: focus or open the page, then scroll to the annotation
+ */
+export async function openReminder(notificationId) {
+  if (!notificationId.startsWith(ALARM_PREFIX)) return;
+  browser.notifications.clear(notificationId);
+
+  const { annotationId } = parseReminderName(notificationId);
+  const annotation = await db.getAnnotation(annotationId);
+  if (!annotation) return;
+
+  // pageUrl is a page key, so compare each tab's key rather than its raw URL
+  const tabs = await browser.tabs.query({});
+  let existing = null;
+  for (const tab of tabs) {
+    if (tab.url && await resolvePageUrl(tab.url) === annotation.pageUrl) {
+      existing = tab;
+      break;
+    }
+  }
+
+  if (existing) {
+    await browser.tabs.update(existing.id, { active: true });
+    await browser.windows.update(existing.windowId, { focused: true });
+    browser.tabs.sendMessage(existing.id, {
+      type: 'COMMAND_REVEAL_ANNOTATION',
+      annotationId
+    }).catch(() => {});
+  } else {
+    // The content script claims this once its annotations are rendered
+    const tab = await browser.tabs.create({ url: annotation.pageUrl });
+    pendingReveals.set(tab.id, annotationId);
+  }
+}
+
+/**
+ * Return (and forget) the annotation a newly opened tab should scroll to
+ */
+export function claimPendingReveal(tabId) {
+  const annotationId = pendingReveals.get(tabId) || null;
+  pendingReveals.delete(tabId);
+  return annotationId;
+}
@@ -0,0 +1,111 @@
+/**
+ * Saved Screenshots for AnnotatePro
+ * A saved screenshot is a 'screenshot' annotation on the page it was taken
+ * from. Its attachment holds the finished image (blob), the original capture
+ * (sourceBlob) and the editor's shapes (markup), so the shapes can be edited
+ * again; the annotation only carries a small thumbnail so lists stay light.
+ */
+
+import { db } from './indexeddb-helper.js';
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Failed to read image: ${reader.error?.message}`));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Attachment fields from the editor's { dataUrl, sourceDataUrl, markup, width, height }
+ */
+async function toAttachmentFields({ dataUrl, sourceDataUrl, markup, width, height }) {
+  const blob = await dataUrlToBlob(dataUrl);
+  return {
+    blob,
+    mimeType: blob.type,
+    sourceBlob: sourceDataUrl ? await dataUrlToBlob(sourceDataUrl) : null,
+    markup: markup || null,
+    width,
+    height
+  };
+}
+
+/**
+ * Store a new screenshot. Returns the annotation.
+ */
+export async function saveScreenshot({ pageUrl, pageTitle, thumbnail, width, height, ...image }) {
+  const attachmentId = db.generateId();
+
+  const annotation = await db.addAnnotation({
+    annotationType: 'screenshot',
+    pageUrl,
+    pageTitle,
+    // Unique per screenshot; there is no element to anchor to
+    elementFingerprint: `screenshot_${attachmentId}`,
+    attachmentId,
+    thumbnail,
+    imageWidth: width,
+    imageHeight: height,
+    note: '',
+    tags: []
+  });
+
+  await db.addAttachment({
+    id: attachmentId,
+    annotationId: annotation.id,
+    ...await toAttachmentFields({ width, height, ...image })
+  });
+
+  return annotation;
+}
+
+/**
+ * Replace the image of a saved screenshot. Returns { annotation, patch }.
+ */
+export async function updateScreenshot({ annotationId, thumbnail, width, height, ...rest }) {
+  const annotation = await db.getAnnotation(annotationId);
+  if (annotation?.annotationType !== 'screenshot') {
+    throw new Error(`Screenshot not found: ${annotationId}`);
+  }
+
+  const image = await toAttachmentFields({ width, height, ...rest });
+
+  // Imported screenshots have no stored image yet
+  if (await db.getAttachment(annotation.attachmentId)) {
+    await db.updateAttachment(annotation.attachmentId, image);
+  } else {
+    await db.addAttachment({ id: annotation.attachmentId, annotationId, ...image });
+  }
+
+  const patch = { thumbnail, imageWidth: width, imageHeight: height };
+  return { annotation: await db.updateAnnotation(annotationId, patch), patch };
+}
+
+/**
+ * The images of a saved screenshot as { annotation, dataUrl, sourceDataUrl,
+ * markup, width, height }, or null when it has no stored image. sourceDataUrl
+ * and markup are null for screenshots saved without editable shapes.
+ */
+export async function getScreenshotImage(annotationId) {
+  const annotation = await db.getAnnotation(annotationId);
+  if (annotation?.annotationType !== 'screenshot') return null;
+
+  const attachment = await db.getAttachment(annotation.attachmentId);
+  if (!attachment) return null;
+
+  return {
+    annotation,
+    dataUrl: await blobToDataUrl(attachment.blob),
+    sourceDataUrl: attachment.sourceBlob ? await blobToDataUrl(attachment.sourceBlob) : null,
+    markup: attachment.markup || null,
+    width: attachment.width,
+    height: attachment.height
+  };
+}
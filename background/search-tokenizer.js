@@ -0,0 +1,112 @@
+/**
+ * Search Tokenizer for AnnotatePro
+ * Shared by the persistent inverted index (indexeddb-helper.js) and in-memory
+ * scoring of clipboard items (background.js)
+ */
+
+// Relevance weight per indexed field
+export const FIELD_WEIGHTS = {
+  textSnapshot: 4,
+  note: 3,
+  tags: 3,
+  pageTitle: 2,
+  pageUrl: 1
+};
+
+// Fields whose changes require re-indexing an annotation
+export const INDEXED_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// A prefix match counts for less than the whole word
+export const PREFIX_MATCH_FACTOR = 0.5;
+
+export const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+
+// Repeated words only count up to this many times per field
+const MAX_TERM_FREQUENCY = 3;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will', 'with',
+  'www', 'http', 'https', 'com', 'html'
+]);
+
+/**
+ * Split text into lowercase, accent-folded word tokens (stop words removed)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH &&
+      token.length <= MAX_TOKEN_LENGTH &&
+      !STOP_WORDS.has(token));
+}
+
+/**
+ * Build token → weight for a record, summing field weights (capped term frequency)
+ */
+export function buildTokenWeights(record) {
+  const weights = new Map();
+
+  for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+    const value = Array.isArray(record[field]) ? record[field].join(' ') : record[field];
+    const counts = new Map();
+
+    for (const token of tokenize(value)) {
+      counts.set(token, Math.min((counts.get(token) || 0) + 1, MAX_TERM_FREQUENCY));
+    }
+
+    for (const [token, count] of counts) {
+      weights.set(token, (weights.get(token) || 0) + fieldWeight * count);
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Score one index entry against a query token (whole word or prefix match)
+ */
+export function scoreTokenMatch(indexedToken, weight, queryToken) {
+  if (indexedToken === queryToken) return weight;
+  if (indexedToken.startsWith(queryToken)) return weight * PREFIX_MATCH_FACTOR;
+  return 0;
+}
+
+/**
+ * Score a record in memory. Every query token must match (AND); returns 0 otherwise.
+ */
+export function scoreRecord(record, queryTokens) {
+  const weights = buildTokenWeights(record);
+  let total = 0;
+
+  for (const queryToken of queryTokens) {
+    let tokenScore = 0;
+    for (const [token, weight] of weights) {
+      tokenScore += scoreTokenMatch(token, weight, queryToken);
+    }
+    if (tokenScore === 0) return 0;
+    total += tokenScore;
+  }
+
+  return total;
+}
+
+/**
+ * Lowercased text a search phrase or excluded term is matched against
+ */
+export function getSearchableText(annotation) {
+  return [
+    annotation.textSnapshot,
+    annotation.note,
+    annotation.pageTitle,
+    annotation.pageUrl,
+    ...(annotation.tags || [])
+  ].filter(Boolean).join('\n').toLowerCase();
+}
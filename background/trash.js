@@ -0,0 +1,55 @@
+/**
+ * Trash Retention for AnnotatePro
+ * Purges trashed annotations once they are older than the retention period,
+ * checked by a periodic alarm.
+ */
+
+import { db } from './indexeddb-helper.js';
+import '../shared/settings.js';
+
+const TRASH_PURGE_ALARM = 'trash-purge';
+const TRASH_PURGE_INTERVAL_MINUTES = 6 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention period in days (the trashRetentionDays setting); 0 keeps trashed
+ * annotations until the trash is emptied
+ */
+export async function getTrashRetentionDays() {
+  const { trashRetentionDays } = await globalThis.AnnotateProSettings.getSettings();
+  return trashRetentionDays;
+}
+
+/**
+ * Purge annotations that have been in the trash longer than the retention period
+ */
+export async function purgeExpiredTrash() {
+  const days = await getTrashRetentionDays();
+  if (!days) return { purged: 0 };
+
+  const result = await db.purgeTrash(Date.now() - days * DAY_MS);
+  if (result.purged > 0) {
+    console.log(`AnnotatePro: Purged ${result.purged} expired annotation(s) from the trash`);
+  }
+  return result;
+}
+
+/**
+ * Create the periodic purge alarm unless it already exists (re-creating it
+ * on every background wake-up would keep pushing it back)
+ */
+export async function ensureTrashPurgeAlarm() {
+  const existing = await browser.alarms.get(TRASH_PURGE_ALARM);
+  if (!existing) {
+    browser.alarms.create(TRASH_PURGE_ALARM, { periodInMinutes: TRASH_PURGE_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * alarms.onAlarm handler
+ */
+export async function handleTrashAlarm(alarm) {
+  if (alarm.name !== TRASH_PURGE_ALARM) return null;
+  return purgeExpiredTrash();
+}
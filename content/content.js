@@ -166,6 +166,11 @@
     if (!selection || selection.isCollapsed) return null;
 
     const range = selection.getRangeAt(0);
+    // Text in our own UI (margin cards, sidebar) cannot be annotated
+    if (isIgnoredForAnchoring(range.startContainer) || isIgnoredForAnchoring(range.endContainer)) {
+      return null;
+    }
+
     const container = range.commonAncestorContainer;
     const element = container.nodeType === Node.TEXT_NODE
       ? container.parentElement
@@ -179,6 +184,9 @@
     const elementText = normalizeText(element.textContent || '');
     const startOffset = elementText.indexOf(selectedText);
 
+    // W3C-style selectors let multi-element ranges be re-anchored precisely
+    const textSelectors = describeRange(range);
+
     return {
       elementFingerprint: `highlight_${textHash}_${hashText(selector)}`,
       selector,
@@ -189,13 +197,525 @@
       contextBefore: context.before,
       contextAfter: context.after,
       selectionStartOffset: startOffset,
-      selectionLength: selectedText.length
+      selectionLength: selectedText.length,
+      textQuote: textSelectors?.textQuote,
+      textPosition: textSelectors?.textPosition
     };
   }
 
-  // ============ Reattach Module ============
+  // ============ Anchoring Module ============
+  // TextQuoteSelector / TextPositionSelector model from the W3C Web Annotation spec.
+  // Positions are character offsets into the concatenated text nodes of the page body.
+
+  const QUOTE_CONTEXT_LENGTH = 32;
+
+  // Our own UI must never contribute to page text offsets
+  const ANCHOR_IGNORE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'textarea',
+    '.annotatepro-sidebar', '.annotatepro-note-editor', '.annotatepro-note-modal-overlay',
+    '.annotatepro-note-tooltip', '.annotatepro-confirm-overlay', '.annotatepro-page-note-bubble',
+    '.annotatepro-page-note-tooltip', '.annotatepro-screenshot-editor', '.annotatepro-selection-overlay',
+    '.annotatepro-capture-progress', '.annotatepro-toast', '.annotatepro-pdf-overlay-container',
+    '.annotatepro-pdf-popup', '.annotatepro-margin-notes'
+  ].join(', ');
+
+  /**
+   * Whether a node is part of our own UI (or other text that is not page text)
+   */
+  function isIgnoredForAnchoring(node) {
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    return !element || !!element.closest(ANCHOR_IGNORE_SELECTOR);
+  }
+
+  /**
+   * Build a flat text index of the page: full text plus the offset range of each text node
+   */
+  function getTextIndex(root = document.body) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || parent.closest(ANCHOR_IGNORE_SELECTOR)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const nodes = [];
+    let text = '';
+    let node;
+
+    while ((node = walker.nextNode())) {
+      const value = node.nodeValue || '';
+      nodes.push({ node, start: text.length, end: text.length + value.length });
+      text += value;
+    }
+
+    return { text, nodes };
+  }
+
+  /**
+   * Convert a DOM boundary point (container + offset) to a text index offset
+   */
+  function getBoundaryOffset(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = index.nodes.find(n => n.node === container);
+      if (entry) {
+        return entry.start + Math.min(offset, entry.end - entry.start);
+      }
+    }
+
+    // Element boundary (or ignored text): use the first indexed text node at or after it
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    for (const entry of index.nodes) {
+      if (boundary.comparePoint(entry.node, 0) >= 0) {
+        return entry.start;
+      }
+    }
+    return index.text.length;
+  }
+
+  /**
+   * Describe a live Range as TextQuote + TextPosition selectors
+   */
+  function describeRange(range) {
+    const index = getTextIndex();
+    const start = getBoundaryOffset(index, range.startContainer, range.startOffset);
+    const end = getBoundaryOffset(index, range.endContainer, range.endOffset);
+    if (end <= start) return null;
+
+    return {
+      textQuote: {
+        exact: index.text.slice(start, end),
+        prefix: index.text.slice(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+        suffix: index.text.slice(end, end + QUOTE_CONTEXT_LENGTH)
+      },
+      textPosition: { start, end }
+    };
+  }
+
+  function commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+  }
+
+  function commonSuffixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++;
+    return i;
+  }
+
+  /**
+   * Find every occurrence of the quote and pick the one whose prefix/suffix
+   * context agrees best, breaking ties by distance from the stored position
+   */
+  function matchTextQuote(text, textQuote, positionHint) {
+    const { exact, prefix = '', suffix = '' } = textQuote;
+    if (!exact) return null;
+
+    // normalizeQuotes is length-preserving, so offsets stay valid in the original text
+    const haystacks = [[text, exact], [normalizeQuotes(text), normalizeQuotes(exact)]];
+
+    for (const [haystack, needle] of haystacks) {
+      let best = null;
+      let bestScore = -Infinity;
+      let idx = haystack.indexOf(needle);
+
+      while (idx !== -1) {
+        const end = idx + needle.length;
+        let score = 0;
+        if (prefix) {
+          score += commonSuffixLength(haystack.slice(Math.max(0, idx - prefix.length), idx), prefix) / prefix.length;
+        }
+        if (suffix) {
+          score += commonPrefixLength(haystack.slice(end, end + suffix.length), suffix) / suffix.length;
+        }
+        if (positionHint !== undefined) {
+          score += 0.5 * (1 - Math.min(Math.abs(idx - positionHint) / Math.max(haystack.length, 1), 1));
+        }
+
+        if (score > bestScore) {
+          bestScore = score;
+          best = { start: idx, end };
+        }
+        idx = haystack.indexOf(needle, idx + 1);
+      }
+
+      if (best) return best;
+    }
+
+    return null;
+  }
+
+  // ============ Fuzzy Matching ============
+
+  // Bitap works on 32-bit words, so patterns longer than this are searched by head and tail
+  const BITAP_MAX_BITS = 31;
+  // Share of edits (insertions, deletions, substitutions) tolerated inside a quote
+  const FUZZY_MAX_ERROR_RATE = 0.25;
+  // Overall confidence (quote + context) a fuzzy match needs to be accepted
+  const FUZZY_MIN_CONFIDENCE = 0.7;
+  // Longer quotes are compared by their head and tail only to bound edit-distance cost
+  const FUZZY_FULL_COMPARE_LIMIT = 500;
+  // Shortest stretch of the quote's head that must still match exactly to pin its start
+  const FUZZY_ANCHOR_RUN = 4;
+  // Bitap hits scored per search; pages full of near-repeats would otherwise take seconds
+  const FUZZY_MAX_CANDIDATES = 20;
+
+  /**
+   * Approximate search (Wu-Manber bitap) allowing up to maxErrors edits.
+   * Returns [{end, errors}] with `end` just past the match; neighbouring hits
+   * are collapsed into the one with fewest errors.
+   */
+  function bitapSearch(text, pattern, maxErrors) {
+    const m = pattern.length;
+    if (m === 0 || m > BITAP_MAX_BITS) return [];
+
+    const masks = new Map();
+    for (let i = 0; i < m; i++) {
+      masks.set(pattern[i], (masks.get(pattern[i]) || 0) | (1 << i));
+    }
+
+    const matchBit = 1 << (m - 1);
+    // rows[d] bit i set = pattern[0..i] matches a suffix of the text read so far with <= d edits
+    const rows = [];
+    for (let d = 0; d <= maxErrors; d++) {
+      rows.push((1 << d) - 1);
+    }
+
+    const hits = [];
+    for (let j = 0; j < text.length; j++) {
+      const mask = masks.get(text[j]) || 0;
+      let previousOld = rows[0];
+      rows[0] = ((rows[0] << 1) | 1) & mask;
+      let errors = (rows[0] & matchBit) ? 0 : -1;
+
+      for (let d = 1; d <= maxErrors; d++) {
+        const old = rows[d];
+        // match | substitution | insertion | deletion
+        rows[d] = (((old << 1) | 1) & mask) | ((previousOld << 1) | 1) | previousOld | (rows[d - 1] << 1);
+        previousOld = old;
+        if (errors === -1 && (rows[d] & matchBit)) {
+          errors = d;
+        }
+      }
+
+      if (errors === -1) continue;
+
+      const last = hits[hits.length - 1];
+      if (last && j + 1 - last.end < m) {
+        if (errors < last.errors) {
+          last.end = j + 1;
+          last.errors = errors;
+        }
+      } else {
+        hits.push({ end: j + 1, errors });
+      }
+    }
+
+    return hits;
+  }
+
+  function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity in [0, 1] based on edit distance
+   */
+  function textSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+
+    if (longest > FUZZY_FULL_COMPARE_LIMIT) {
+      const half = FUZZY_FULL_COMPARE_LIMIT / 2;
+      return (textSimilarity(a.slice(0, half), b.slice(0, half)) +
+        textSimilarity(a.slice(-half), b.slice(-half))) / 2;
+    }
+
+    return 1 - levenshtein(a, b) / longest;
+  }
+
+  /**
+   * Occurrence of needle closest to `expected`, at most `slack` characters away; -1 if none
+   */
+  function findNearestOccurrence(text, needle, expected, slack) {
+    let nearest = -1;
+    let idx = text.indexOf(needle, Math.max(0, expected - slack));
+    while (idx !== -1 && idx <= expected + slack) {
+      if (nearest === -1 || Math.abs(idx - expected) < Math.abs(nearest - expected)) {
+        nearest = idx;
+      }
+      idx = text.indexOf(needle, idx + 1);
+    }
+    return nearest;
+  }
+
+  /**
+   * Indels make a fuzzy start ambiguous - pin it on the first stretch of the
+   * head still intact near the hit. If the characters before that stretch were
+   * edited, the start only moves left over them as far as the stored prefix
+   * agrees, so a replaced first word doesn't pull in the text before it.
+   */
+  function alignFuzzyStart(text, approxStart, head, prefix, maxErrors) {
+    const runLength = Math.min(FUZZY_ANCHOR_RUN, head.length);
+
+    for (let offset = 0; offset + runLength <= head.length; offset++) {
+      const run = head.slice(offset, offset + runLength);
+      const runStart = findNearestOccurrence(text, run, approxStart + offset, maxErrors);
+      if (runStart === -1) continue;
+      if (offset === 0) return runStart;
+
+      const lead = head.slice(0, offset);
+      let bestStart = runStart;
+      let bestScore = -Infinity;
+      // Walk left from the run; ties keep the later start
+      for (let s = runStart; s >= Math.max(0, runStart - offset - maxErrors); s--) {
+        let score = textSimilarity(text.slice(s, runStart), lead);
+        if (prefix) {
+          score += textSimilarity(text.slice(Math.max(0, s - prefix.length), s), prefix);
+        }
+        if (score > bestScore) {
+          bestScore = score;
+          bestStart = s;
+        }
+      }
+      return bestStart;
+    }
+
+    return Math.max(0, approxStart);
+  }
+
+  /**
+   * The most promising bitap hits: fewest errors first, then nearest the
+   * stored position (hits start `length` characters before their end)
+   */
+  function pickFuzzyHits(hits, length, positionHint) {
+    const distance = hit => (positionHint !== undefined ? Math.abs(hit.end - length - positionHint) : 0);
+    return hits
+      .sort((a, b) => a.errors - b.errors || distance(a) - distance(b))
+      .slice(0, FUZZY_MAX_CANDIDATES);
+  }
+
+  /**
+   * Find where a long quote ends, given its (approximate) start
+   */
+  function findFuzzySpanEnd(text, start, exact, maxErrors) {
+    const tail = exact.slice(-BITAP_MAX_BITS);
+    const slack = Math.ceil(exact.length * FUZZY_MAX_ERROR_RATE);
+    const windowText = text.slice(start, start + exact.length + slack);
+
+    const hits = bitapSearch(windowText, tail, maxErrors)
+      .sort((a, b) => a.errors - b.errors ||
+        Math.abs(a.end - exact.length) - Math.abs(b.end - exact.length));
+
+    return start + (hits.length > 0 ? hits[0].end : exact.length);
+  }
+
+  /**
+   * Locate a quote whose text was edited since it was anchored.
+   * Candidates come from bitap searches for the head and tail of the quote
+   * (capped at FUZZY_MAX_CANDIDATES each), and are ranked by quote similarity plus prefix/suffix agreement.
+   * Returns {start, end, confidence} or null when nothing is within tolerance.
+   */
+  function fuzzyMatchTextQuote(text, textQuote, positionHint) {
+    const exact = normalizeQuotes(textQuote.exact || '');
+    if (!exact.trim()) return null;
+
+    const haystack = normalizeQuotes(text);
+    const prefix = normalizeQuotes(textQuote.prefix || '');
+    const suffix = normalizeQuotes(textQuote.suffix || '');
+
+    const head = exact.slice(0, BITAP_MAX_BITS);
+    const maxErrors = Math.floor(head.length * FUZZY_MAX_ERROR_RATE);
+    const spans = [];
+
+    for (const hit of pickFuzzyHits(bitapSearch(haystack, head, maxErrors), head.length, positionHint)) {
+      const start = alignFuzzyStart(haystack, hit.end - head.length, head, prefix, maxErrors);
+      const end = exact.length > BITAP_MAX_BITS
+        ? findFuzzySpanEnd(haystack, start, exact, maxErrors)
+        : hit.end;
+      spans.push({ start, end });
+    }
+
+    // The edit may have hit the head of a long quote - try anchoring by its tail
+    if (exact.length > BITAP_MAX_BITS) {
+      const tailHits = bitapSearch(haystack, exact.slice(-BITAP_MAX_BITS), maxErrors);
+      for (const hit of pickFuzzyHits(tailHits, exact.length, positionHint)) {
+        const start = alignFuzzyStart(haystack, hit.end - exact.length, head, prefix, maxErrors);
+        spans.push({ start, end: hit.end });
+      }
+    }
+
+    let best = null;
+    for (const { start, end } of spans) {
+      if (end <= start) continue;
+
+      const quoteScore = textSimilarity(haystack.slice(start, end), exact);
+      if (quoteScore < 1 - FUZZY_MAX_ERROR_RATE) continue;
+
+      let contextScore = 0;
+      let contextParts = 0;
+      if (prefix) {
+        contextScore += textSimilarity(haystack.slice(Math.max(0, start - prefix.length), start), prefix);
+        contextParts++;
+      }
+      if (suffix) {
+        contextScore += textSimilarity(haystack.slice(end, end + suffix.length), suffix);
+        contextParts++;
+      }
 
-  const MIN_SCORE = 0.3;
+      const confidence = contextParts > 0
+        ? 0.7 * quoteScore + 0.3 * (contextScore / contextParts)
+        : quoteScore;
+
+      // Distance from the stored position only breaks near-ties
+      const proximity = positionHint !== undefined
+        ? Math.abs(start - positionHint) / Math.max(haystack.length, 1)
+        : 0;
+      const rank = confidence - 0.05 * proximity;
+
+      if (!best || rank > best.rank) {
+        best = { start, end, confidence, rank };
+      }
+    }
+
+    if (!best || best.confidence < FUZZY_MIN_CONFIDENCE) return null;
+
+    return {
+      start: best.start,
+      end: best.end,
+      confidence: Math.round(best.confidence * 100) / 100
+    };
+  }
+
+  /**
+   * Resolve an annotation's text selectors against the current page.
+   * Returns {start, end, confidence} text offsets (confidence 1 = exact) or null.
+   */
+  function anchorTextSelectors(record, index = getTextIndex()) {
+    const { textQuote, textPosition } = record;
+    if (!textQuote || !textQuote.exact) return null;
+
+    // Fast path: stored position still holds the exact quote
+    if (textPosition && index.text.slice(textPosition.start, textPosition.end) === textQuote.exact) {
+      return { start: textPosition.start, end: textPosition.end, confidence: 1 };
+    }
+
+    const match = matchTextQuote(index.text, textQuote, textPosition?.start);
+    if (match) {
+      return { ...match, confidence: 1 };
+    }
+
+    // Page text changed - fall back to approximate matching
+    return fuzzyMatchTextQuote(index.text, textQuote, textPosition?.start);
+  }
+
+  function getRangeElement(range) {
+    const container = range.commonAncestorContainer;
+    const element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+    return getHostElement(element);
+  }
+
+  /**
+   * Climb out of our own inline wrappers so element-level fallbacks and listeners
+   * never re-tag another annotation's <mark> (which would clobber its id)
+   */
+  function getHostElement(element) {
+    let current = element;
+    while (current && current !== document.body && current.hasAttribute('data-annotatepro-id') &&
+        (current.tagName === 'MARK' || current.classList.contains('annotatepro-checkbox-text'))) {
+      current = current.parentElement;
+    }
+    return current || element;
+  }
+
+  /**
+   * Build a DOM Range from text index offsets
+   */
+  function rangeFromOffsets(index, start, end) {
+    const startEntry = index.nodes.find(n => n.end > start);
+    const endEntry = index.nodes.find(n => n.end >= end && n.start < end);
+    if (!startEntry || !endEntry) return null;
+
+    const range = document.createRange();
+    range.setStart(startEntry.node, start - startEntry.start);
+    range.setEnd(endEntry.node, end - endEntry.start);
+    return range;
+  }
+
+  /**
+   * Whitespace-only text between block elements (or inside lists/tables) must not be wrapped
+   */
+  function isLayoutWhitespace(node) {
+    if (/\S/.test(node.nodeValue || '')) return false;
+
+    const parent = node.parentElement;
+    if (!parent || /^(UL|OL|DL|TABLE|THEAD|TBODY|TFOOT|TR|SELECT)$/.test(parent.tagName)) {
+      return true;
+    }
+
+    return [node.previousSibling, node.nextSibling].some(sibling =>
+      sibling && sibling.nodeType === Node.ELEMENT_NODE &&
+      !window.getComputedStyle(sibling).display.startsWith('inline')
+    );
+  }
+
+  /**
+   * Split a Range into per-text-node segments: [{node, start, end}]
+   */
+  function getRangeTextSegments(range, index) {
+    const segments = [];
+
+    for (const { node } of index.nodes) {
+      if (!range.intersectsNode(node)) continue;
+
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+      if (end <= start || isLayoutWhitespace(node)) continue;
+
+      segments.push({ node, start, end });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Wrap [start, end) of a text node in a wrapper element, splitting the node as needed
+   */
+  function wrapTextSegment(node, start, end, wrapper) {
+    let target = node;
+    if (start > 0) {
+      target = target.splitText(start);
+    }
+    if (end - start < target.nodeValue.length) {
+      target.splitText(end - start);
+    }
+
+    target.parentNode.insertBefore(wrapper, target);
+    wrapper.appendChild(target);
+    return wrapper;
+  }
+
+  // ============ Reattach Module ============
 
   function scoreCandidate(element, record) {
     let score = 0;
@@ -261,13 +781,30 @@
     return score / maxScore;
   }
 
-  function reattach(record) {
+  function reattach(record, textIndex = null) {
+    // Method 0: Resolve W3C text selectors (handles ranges spanning several elements)
+    if (record.textQuote) {
+      const index = textIndex || getTextIndex();
+      const anchor = anchorTextSelectors(record, index);
+      const range = anchor && rangeFromOffsets(index, anchor.start, anchor.end);
+      if (range) {
+        return {
+          element: getRangeElement(range),
+          score: anchor.confidence,
+          method: anchor.confidence < 1 ? 'fuzzy' : 'text-quote',
+          anchor
+        };
+      }
+      // The quoted text is gone - tinting a guessed container would be misleading
+      return null;
+    }
+
     // Method 1: Try exact selector first
     try {
       const element = document.querySelector(record.selector);
       if (element) {
         const score = scoreCandidate(element, record);
-        if (score >= MIN_SCORE) {
+        if (score >= settings.anchorMinScore) {
           return { element, score, method: 'selector' };
         }
       }
@@ -292,7 +829,7 @@
       }
     }
 
-    if (bestScore >= MIN_SCORE) {
+    if (bestScore >= settings.anchorMinScore) {
       return { element: best, score: bestScore, method: 'scoring' };
     }
 
@@ -318,6 +855,14 @@
           }
         }
       }
+
+      // Method 4: Approximate match for older records saved without text selectors
+      const index = textIndex || getTextIndex();
+      const anchor = fuzzyMatchTextQuote(index.text, { exact: record.textSnapshot });
+      const range = anchor && rangeFromOffsets(index, anchor.start, anchor.end);
+      if (range) {
+        return { element: getRangeElement(range), score: anchor.confidence, method: 'fuzzy', anchor };
+      }
     }
 
     return null;
@@ -329,14 +874,18 @@
       orphaned: []
     };
 
+    // Nothing mutates the DOM while matching, so one text index serves every record
+    const textIndex = annotations.some(a => a.textQuote || a.textSnapshot) ? getTextIndex() : null;
+
     for (const record of annotations) {
-      const match = reattach(record);
+      const match = reattach(record, textIndex);
       if (match) {
         results.attached.push({
           annotation: record,
           element: match.element,
           score: match.score,
-          method: match.method
+          method: match.method,
+          anchor: match.anchor
         });
       } else {
         results.orphaned.push(record);
@@ -372,7 +921,7 @@
     if (colorId) {
       const colorObj = cachedColors.find(c => c.id === colorId);
       if (colorObj) {
-        return hexToRgba(colorObj.color, 0.5);
+        return window.AnnotateProColorStyles.getColorPaint(colorObj, settings.highlightOpacity);
       }
     }
 
@@ -384,7 +933,41 @@
     return INTENT_COLORS.DEFAULT;
   }
 
-  function applyHighlight(element, annotation) {
+  /**
+   * Get the render style for an annotation; explicit and legacy colors are fills
+   */
+  function getAnnotationStyle(annotation) {
+    if (annotation.color || !annotation.colorId) return 'fill';
+    return window.AnnotateProColorStyles.getColorStyle(getColorById(annotation.colorId));
+  }
+
+  /**
+   * Apply an annotation's color and render style to one of its elements
+   */
+  function paintAnnotationElement(el, annotation) {
+    el.style.setProperty('--annotatepro-color', getAnnotationColor(annotation));
+
+    const style = getAnnotationStyle(annotation);
+    if (style === 'fill') {
+      el.removeAttribute('data-annotatepro-style');
+    } else {
+      el.setAttribute('data-annotatepro-style', style);
+    }
+  }
+
+  /**
+   * Repaint every annotation on the page, e.g. after a color record changed
+   */
+  function repaintAnnotations() {
+    for (const annotation of annotationDataMap.values()) {
+      if (annotation.color === 'transparent') continue;
+      document.querySelectorAll(`[data-annotatepro-id="${annotation.id}"]`)
+        .forEach(el => paintAnnotationElement(el, annotation));
+    }
+    scheduleMarginNotes();
+  }
+
+  function applyHighlight(element, annotation, anchor = null) {
     const { id, textSnapshot, selectionStartOffset, selectionLength } = annotation;
 
     // Check if annotation already exists in DOM - prevent duplicates
@@ -393,18 +976,91 @@
       return existing;
     }
 
+    if (annotation.textQuote || anchor) {
+      const mark = applyRangeHighlight(annotation, anchor);
+      if (mark) return mark;
+    }
+
     if (selectionStartOffset !== undefined && selectionLength) {
       return applyTextHighlight(element, annotation);
     }
 
+    const host = getHostElement(element);
+
+    host.setAttribute('data-annotatepro-id', id);
+    host.setAttribute('data-annotatepro-type', 'highlight');
+    host.classList.add('annotatepro-highlight');
+    paintAnnotationElement(host, annotation);
+
+    return host;
+  }
+
+  /**
+   * Create a <mark> wrapper for a highlight (one per text segment)
+   */
+  function createHighlightMark(annotation) {
     const highlightColor = getAnnotationColor(annotation);
 
-    element.setAttribute('data-annotatepro-id', id);
-    element.setAttribute('data-annotatepro-type', 'highlight');
-    element.classList.add('annotatepro-highlight');
-    element.style.setProperty('--annotatepro-color', highlightColor);
+    const wrapper = document.createElement('mark');
+    wrapper.setAttribute('data-annotatepro-id', annotation.id);
+    wrapper.setAttribute('data-annotatepro-type', 'highlight');
+    wrapper.classList.add('annotatepro-text-highlight');
+
+    // Only add highlight class and background if not transparent
+    if (highlightColor === 'transparent') {
+      wrapper.style.cssText = 'background: transparent !important; background-color: transparent !important; color: inherit !important; position: relative;';
+    } else {
+      wrapper.classList.add('annotatepro-highlight');
+      paintAnnotationElement(wrapper, annotation);
+    }
+
+    return wrapper;
+  }
+
+  /**
+   * Render a highlight from its text selectors, wrapping each text node segment
+   * in its own <mark> so ranges crossing <a>, <code>, <em> etc. stay intact.
+   * Returns the first mark, or null if the selectors could not be resolved.
+   */
+  function applyRangeHighlight(annotation, anchor = null) {
+    const index = getTextIndex();
+    const resolved = anchor || anchorTextSelectors(annotation, index);
+    if (!resolved) return null;
+
+    const range = rangeFromOffsets(index, resolved.start, resolved.end);
+    if (!range) return null;
+
+    const segments = getRangeTextSegments(range, index);
+    if (segments.length === 0) return null;
+
+    const marks = [];
+    try {
+      for (const { node, start, end } of segments) {
+        marks.push(wrapTextSegment(node, start, end, createHighlightMark(annotation)));
+      }
+    } catch (err) {
+      console.error('AnnotatePro: Failed to wrap text for highlight:', err);
+      removeAnnotation(annotation.id);
+      return null;
+    }
+
+    if (marks.length > 1) {
+      for (const mark of marks) {
+        mark.setAttribute('data-annotatepro-segment', 'middle');
+      }
+      marks[0].setAttribute('data-annotatepro-segment', 'first');
+      marks[marks.length - 1].setAttribute('data-annotatepro-segment', 'last');
+    }
+
+    // Flag highlights whose text changed since they were saved
+    if (resolved.confidence !== undefined && resolved.confidence < 1) {
+      for (const mark of marks) {
+        mark.setAttribute('data-annotatepro-reanchored', 'true');
+        mark.title = `Re-anchored with changes (${Math.round(resolved.confidence * 100)}% match)`;
+      }
+    }
 
-    return element;
+    return marks[0];
   }
 
   function applyTextHighlight(element, annotation) {
@@ -416,43 +1072,19 @@
       return existing;
     }
 
-    const highlightColor = getAnnotationColor(annotation);
-    const hasTransparentColor = highlightColor === 'transparent';
-
     const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
     let node;
 
     while ((node = walker.nextNode())) {
       const nodeText = node.textContent || '';
 
-      // Skip text nodes that are inside an INLINE annotation wrapper (mark, span with our class)
-      // Don't skip if parent is the container element itself
-      const parent = node.parentElement;
-      if (parent && parent.hasAttribute('data-annotatepro-id')) {
-        const isInlineWrapper = parent.tagName === 'MARK' || parent.classList.contains('annotatepro-checkbox-text');
-        if (isInlineWrapper) {
-          continue;
-        }
-      }
-
       // Use robust text matching
       const match = findTextMatch(nodeText, textSnapshot);
       if (match) {
         const endIndex = Math.min(match.start + match.length, nodeText.length);
 
         try {
-          const wrapper = document.createElement('mark');
-          wrapper.setAttribute('data-annotatepro-id', id);
-          wrapper.setAttribute('data-annotatepro-type', 'highlight');
-          wrapper.classList.add('annotatepro-text-highlight');
-
-          // Only add highlight class and background if not transparent
-          if (hasTransparentColor) {
-            wrapper.style.cssText = 'background: transparent !important; background-color: transparent !important; color: inherit !important; position: relative;';
-          } else {
-            wrapper.classList.add('annotatepro-highlight');
-            wrapper.style.setProperty('--annotatepro-color', highlightColor);
-          }
+          const wrapper = createHighlightMark(annotation);
 
           const range = document.createRange();
           range.setStart(node, match.start);
@@ -484,6 +1116,9 @@
       return applyTextCheckbox(element, annotation);
     }
 
+    // Never take over another annotation's inline wrapper
+    element = getHostElement(element);
+
     const checkbox = document.createElement('input');
     checkbox.type = 'checkbox';
     checkbox.checked = !!checked;
@@ -526,14 +1161,10 @@
     while ((node = walker.nextNode())) {
       const nodeText = node.textContent || '';
 
-      // Skip text nodes that are inside an INLINE annotation wrapper (mark, span with our class)
-      // Don't skip if parent is the container element itself
-      const parent = node.parentElement;
-      if (parent && parent.hasAttribute('data-annotatepro-id')) {
-        const isInlineWrapper = parent.tagName === 'MARK' || parent.classList.contains('annotatepro-checkbox-text');
-        if (isInlineWrapper) {
-          continue;
-        }
+      // Text inside other highlights is fine (overlapping annotations nest),
+      // but a checkbox wrapper inside another checkbox wrapper is not
+      if (node.parentElement && node.parentElement.closest('.annotatepro-checkbox-text')) {
+        continue;
       }
 
       // Use robust text matching
@@ -547,7 +1178,7 @@
           wrapper.setAttribute('data-annotatepro-id', id);
           wrapper.setAttribute('data-annotatepro-type', 'checkbox');
           wrapper.classList.add('annotatepro-checkbox-text');
-          wrapper.style.setProperty('--annotatepro-color', checkboxColor);
+          paintAnnotationElement(wrapper, annotation);
 
           // Wrap the selected text
           const range = document.createRange();
@@ -585,22 +1216,30 @@
   }
 
   function removeAnnotation(annotationId) {
+    // Badges are appended inside the wrapper and would otherwise survive the unwrap
+    document.querySelectorAll(`.annotatepro-note-badge[data-annotation-id="${annotationId}"]`)
+      .forEach(badge => badge.remove());
+
+    // Only this annotation's wrappers are unwrapped; nested or enclosing
+    // wrappers of overlapping annotations keep their own marks
     const highlights = document.querySelectorAll(`[data-annotatepro-id="${annotationId}"]`);
     for (const el of highlights) {
       // Check element type BEFORE removing classes/attributes
       const isMark = el.tagName === 'MARK';
       const isTextCheckbox = el.classList.contains('annotatepro-checkbox-text');
 
-      el.classList.remove('annotatepro-highlight', 'annotatepro-text-highlight', 'annotatepro-checkbox-text');
+      el.classList.remove('annotatepro-highlight', 'annotatepro-text-highlight', 'annotatepro-checkbox-text', 'annotatepro-margin-focus');
       el.style.removeProperty('--annotatepro-color');
+      el.removeAttribute('data-annotatepro-style');
       el.removeAttribute('data-annotatepro-id');
       el.removeAttribute('data-annotatepro-type');
+      el.removeAttribute('data-annotatepro-segment');
 
       // Unwrap mark elements or text checkbox spans (remove the tag but keep the text)
       if (isMark || isTextCheckbox) {
         // First remove the checkbox input if it's a text checkbox
         if (isTextCheckbox) {
-          const checkbox = el.querySelector('.annotatepro-checkbox');
+          const checkbox = el.querySelector(`:scope > [data-annotatepro-checkbox-id="${annotationId}"]`);
           if (checkbox) checkbox.remove();
         }
 
@@ -620,12 +1259,28 @@
     for (const cb of checkboxes) {
       cb.remove();
     }
+
+    scheduleMarginNotes();
   }
 
-  function applyAnnotation(element, annotation) {
+  /**
+   * Scroll an annotation into view and flash it (e.g. when opened from a reminder)
+   */
+  function revealAnnotation(annotationId) {
+    const elements = document.querySelectorAll(`[data-annotatepro-id="${annotationId}"]`);
+    if (elements.length === 0) return;
+
+    elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    for (const element of elements) {
+      element.classList.add('annotatepro-reveal');
+      setTimeout(() => element.classList.remove('annotatepro-reveal'), 2000);
+    }
+  }
+
+  function applyAnnotation(element, annotation, anchor = null) {
     switch (annotation.annotationType) {
       case 'highlight':
-        return applyHighlight(element, annotation);
+        return applyHighlight(element, annotation, anchor);
       case 'checkbox':
         return applyCheckbox(element, annotation);
       default:
@@ -659,7 +1314,7 @@
         </div>
         <div class="annotatepro-confirm-body">
           <p><strong>You are about to delete all annotations on this page.</strong></p>
-          <p>This action cannot be undone. All highlights, checkboxes, and notes on this page will be permanently lost.</p>
+          <p>All highlights, checkboxes, and notes on this page will be moved to the Trash. You can restore them from the Dashboard until the trash is emptied.</p>
           <p class="annotatepro-confirm-tip">You can export your data first from the Dashboard to create a backup.</p>
         </div>
         <div class="annotatepro-confirm-actions">
@@ -685,12 +1340,17 @@
     overlay.querySelector('.delete').addEventListener('click', async () => {
       overlay.remove();
       // Send message to background to clear and reload
-      const pageUrl = window.location.href;
-      await browser.runtime.sendMessage({
+      const pageUrl = getPageUrl();
+      const result = await browser.runtime.sendMessage({
         type: 'CLEAR_PAGE_ANNOTATIONS',
         payload: { pageUrl }
       });
       clearAllAnnotationsFromDOM();
+
+      if (result?.ids?.length) {
+        const entry = recordClearPage(pageUrl, result.ids);
+        showUndoToast(`${result.ids.length} annotation${result.ids.length !== 1 ? 's' : ''} moved to the trash`, entry);
+      }
     });
 
     // Click outside to cancel
@@ -714,11 +1374,13 @@
    * Update note badge on annotation element (purple circle at bottom-right)
    */
   function updateNoteBadge(annotationId, hasNote) {
-    const annotatedEl = document.querySelector(`[data-annotatepro-id="${annotationId}"]`);
+    // Multi-segment highlights carry the badge on their last segment
+    const annotatedEls = document.querySelectorAll(`[data-annotatepro-id="${annotationId}"]`);
+    const annotatedEl = annotatedEls[annotatedEls.length - 1];
     if (!annotatedEl) return;
 
-    // Find or create badge
-    let badge = annotatedEl.querySelector('.annotatepro-note-badge');
+    // Find or create badge (a nested highlight inside may have its own)
+    let badge = annotatedEl.querySelector(`:scope > .annotatepro-note-badge[data-annotation-id="${annotationId}"]`);
 
     if (hasNote) {
       if (!badge) {
@@ -749,13 +1411,15 @@
           }
         });
       }
-      annotatedEl.setAttribute('data-has-note', 'true');
+      annotatedEls.forEach(el => el.setAttribute('data-has-note', 'true'));
     } else {
       if (badge) {
         badge.remove();
       }
-      annotatedEl.removeAttribute('data-has-note');
+      annotatedEls.forEach(el => el.removeAttribute('data-has-note'));
     }
+
+    scheduleMarginNotes();
   }
 
   /**
@@ -877,12 +1541,13 @@
           html += '</ul>';
           inList = false;
         }
-        const checked = !!checkedMatch;
-        const content = checked ? checkedMatch[1] : uncheckedMatch[1];
+        // @due(...) / @remind(...) tokens render as badges
+        const task = window.AnnotateProTasks.parseNoteTaskLine(line);
         const dataAttr = annotationId ? `data-annotation-id="${annotationId}"` : '';
-        html += `<div class="annotatepro-note-checkbox-item" ${dataAttr}>
-          <input type="checkbox" class="annotatepro-note-cb" ${checked ? 'checked' : ''}>
-          <span>${escapeHtml(content)}</span>
+        html += `<div class="annotatepro-note-checkbox-item${window.AnnotateProTasks.isOverdue(task) ? ' overdue' : ''}" ${dataAttr}>
+          <input type="checkbox" class="annotatepro-note-cb" ${task.checked ? 'checked' : ''}>
+          <span>${escapeHtml(task.text)}</span>
+          ${buildTaskBadgesHTML(task)}
         </div>`;
       } else {
         if (inList) {
@@ -902,6 +1567,20 @@
     return html;
   }
 
+  /**
+   * Due date / reminder badges for a task item
+   */
+  function buildTaskBadgesHTML({ dueAt, remindAt }) {
+    let html = '';
+    if (dueAt) {
+      html += `<span class="annotatepro-task-badge annotatepro-task-due">📅 ${escapeHtml(new Date(dueAt).toLocaleDateString())}</span>`;
+    }
+    if (remindAt) {
+      html += `<span class="annotatepro-task-badge">⏰ ${escapeHtml(new Date(remindAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }))}</span>`;
+    }
+    return html;
+  }
+
   /**
    * Build color swatches HTML from cached colors
    */
@@ -909,7 +1588,7 @@
     const hasNoColor = currentColor === 'transparent' || !currentColor;
 
     let html = cachedColors.map(c => {
-      const colorValue = hexToRgba(c.color, 0.5);
+      const colorValue = window.AnnotateProColorStyles.getColorPaint(c, settings.highlightOpacity);
       const isActive = c.id === currentColorId || colorValue === currentColor;
       return `
         <button class="annotatepro-color-swatch ${isActive ? 'active' : ''}"
@@ -1000,6 +1679,7 @@
     const currentColor = getAnnotationColor(annotation);
     const isCheckbox = annotation.annotationType === 'checkbox';
     const hasNoColor = currentColor === 'transparent' || !annotation.colorId;
+    const { formatLocalDate, formatLocalTime } = window.AnnotateProTasks;
     const snippetText = annotation.textSnapshot || '(element annotation)';
     const modalTypeClass = isCheckbox ? 'annotatepro-checkbox-modal' : 'annotatepro-highlight-modal';
     const typeLabel = isCheckbox ? 'Checkbox' : 'Highlight';
@@ -1009,7 +1689,7 @@
 
     // Build color swatches from cached colors
     const colorSwatches = cachedColors.map(c => {
-      const colorValue = hexToRgba(c.color, 0.5);
+      const colorValue = window.AnnotateProColorStyles.getColorPaint(c, settings.highlightOpacity);
       const isActive = c.id === annotation.colorId || colorValue === currentColor;
       return `
         <button class="annotatepro-note-modal-color ${isActive ? 'active' : ''}"
@@ -1036,6 +1716,25 @@
           ${colorSwatches}
           <button class="annotatepro-note-modal-color annotatepro-note-modal-color-clear ${hasNoColor ? 'active' : ''}" data-color="transparent" title="Clear color">&times;</button>
         </div>
+        <div class="annotatepro-note-modal-tags">
+          <span class="annotatepro-note-modal-tags-label">Tags:</span>
+          <div class="annotatepro-note-modal-tag-list"></div>
+          <div class="annotatepro-note-modal-tag-input-wrapper">
+            <input type="text" class="annotatepro-note-modal-tag-input" placeholder="Add tag..." autocomplete="off">
+            <div class="annotatepro-note-modal-tag-suggestions"></div>
+          </div>
+        </div>
+        ${isCheckbox ? `
+        <div class="annotatepro-note-modal-schedule">
+          <label class="annotatepro-note-modal-schedule-field">
+            <span class="annotatepro-note-modal-schedule-label">Due:</span>
+            <input type="date" class="annotatepro-note-modal-due" value="${annotation.dueAt ? formatLocalDate(annotation.dueAt) : ''}">
+          </label>
+          <label class="annotatepro-note-modal-schedule-field">
+            <span class="annotatepro-note-modal-schedule-label">Remind:</span>
+            <input type="datetime-local" class="annotatepro-note-modal-remind" value="${annotation.remindAt ? `${formatLocalDate(annotation.remindAt)}T${formatLocalTime(annotation.remindAt)}` : ''}">
+          </label>
+        </div>` : ''}
         <div class="annotatepro-note-modal-toolbar-wrapper">
           <div class="annotatepro-note-modal-toolbar">
             <button class="annotatepro-note-modal-toolbar-btn" data-action="bullet" title="Add bullet point">•</button>
@@ -1058,7 +1757,7 @@
     `;
 
     document.body.appendChild(overlay);
-    activeNoteModal = { overlay, annotation, originalNote: annotation.note || '' };
+    activeNoteModal = { overlay, annotation, originalNote: annotation.note || '', openingNote: annotation.note || '' };
 
     // Setup event listeners
     setupNoteModalListeners(overlay, annotation);
@@ -1074,6 +1773,11 @@
 
   function removeNoteModal() {
     if (activeNoteModal) {
+      // One undo step per editing session rather than per auto-save
+      const { annotation, originalNote, openingNote } = activeNoteModal;
+      if (originalNote !== openingNote) {
+        recordPatch(annotation.id, 'note edit', { note: openingNote }, { note: originalNote });
+      }
       activeNoteModal.overlay.remove();
       activeNoteModal = null;
     }
@@ -1144,6 +1848,7 @@
 
         // Build patch - use colorId if available, otherwise color (for transparent)
         const patch = newColorId ? { colorId: newColorId, color: null } : { colorId: null, color: newColor };
+        const previous = { colorId: annotation.colorId || null, color: annotation.color || null };
 
         // Update annotation color
         try {
@@ -1153,21 +1858,22 @@
             patch
           });
 
+          if (previous.colorId !== patch.colorId || previous.color !== patch.color) {
+            recordPatch(annotation.id, 'color change', previous, patch);
+          }
+
           annotation.colorId = newColorId || null;
           annotation.color = newColorId ? null : newColor;
 
-          // Update the element on the page
-          const annotatedEl = document.querySelector(`[data-annotatepro-id="${annotation.id}"]`);
-          if (annotatedEl) {
-            const displayColor = newColorId ? hexToRgba(getColorById(newColorId)?.color || '#FFEB3B', 0.5) : newColor;
-            if (displayColor === 'transparent') {
+          // Update the element(s) on the page
+          const annotatedEls = document.querySelectorAll(`[data-annotatepro-id="${annotation.id}"]`);
+          for (const annotatedEl of annotatedEls) {
+            if (annotation.color === 'transparent') {
               annotatedEl.style.removeProperty('--annotatepro-color');
+              annotatedEl.removeAttribute('data-annotatepro-style');
               annotatedEl.style.backgroundColor = 'transparent';
             } else {
-              annotatedEl.style.setProperty('--annotatepro-color', displayColor);
-              if (annotatedEl.classList.contains('annotatepro-checkbox-text')) {
-                annotatedEl.style.backgroundColor = displayColor;
-              }
+              paintAnnotationElement(annotatedEl, annotation);
             }
           }
 
@@ -1180,6 +1886,12 @@
       });
     });
 
+    // Tag editor
+    setupTagEditor(overlay, annotation, statusEl);
+
+    // Due date and reminder (checkboxes only)
+    setupScheduleEditor(overlay, annotation, statusEl);
+
     // Toolbar button handlers
     overlay.querySelectorAll('.annotatepro-note-modal-toolbar-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -1248,6 +1960,187 @@
     document.addEventListener('keydown', handleEscape);
   }
 
+  // Due date and reminder inputs; each change is saved immediately
+  function setupScheduleEditor(overlay, annotation, statusEl) {
+    const dueInput = overlay.querySelector('.annotatepro-note-modal-due');
+    const remindInput = overlay.querySelector('.annotatepro-note-modal-remind');
+    if (!dueInput || !remindInput) return;
+
+    const saveSchedule = async () => {
+      const [remindDate, remindTime] = remindInput.value.split('T');
+      const patch = {
+        dueAt: window.AnnotateProTasks.parseLocalDate(dueInput.value),
+        remindAt: window.AnnotateProTasks.parseLocalDate(remindDate, remindTime)
+      };
+
+      try {
+        statusEl.textContent = 'Saving...';
+        await sendMessage(MessageType.UPDATE_ANNOTATION, { id: annotation.id, patch });
+        Object.assign(annotation, patch);
+        const data = annotationDataMap.get(annotation.id);
+        if (data) Object.assign(data, patch);
+        statusEl.textContent = 'Saved';
+        setTimeout(() => { statusEl.textContent = ''; }, 1500);
+      } catch (err) {
+        statusEl.textContent = 'Error';
+        console.error('AnnotatePro: Failed to save due date', err);
+      }
+    };
+
+    dueInput.addEventListener('change', saveSchedule);
+    remindInput.addEventListener('change', saveSchedule);
+  }
+
+  // ============ Tag Editor ============
+
+  const MAX_TAG_SUGGESTIONS = 8;
+
+  /**
+   * Tag pills + input with autocomplete from existing tags.
+   * Changes are saved immediately, like color changes.
+   */
+  function setupTagEditor(overlay, annotation, statusEl) {
+    const listEl = overlay.querySelector('.annotatepro-note-modal-tag-list');
+    const input = overlay.querySelector('.annotatepro-note-modal-tag-input');
+    const suggestionsEl = overlay.querySelector('.annotatepro-note-modal-tag-suggestions');
+    if (!listEl || !input || !suggestionsEl) return;
+
+    let tags = [...(annotation.tags || [])];
+    let knownTags = [];
+    let suggestions = [];
+    let activeSuggestion = -1;
+
+    sendMessage(MessageType.GET_ALL_TAGS, {})
+      .then(result => { knownTags = result || []; })
+      .catch(err => console.error('AnnotatePro: Failed to load tags', err));
+
+    const renderTags = () => {
+      listEl.innerHTML = tags.map(tag => `
+        <span class="annotatepro-tag-pill">
+          #${escapeHtml(tag)}
+          <button class="annotatepro-tag-pill-remove" data-tag="${escapeHtml(tag)}" title="Remove tag">&times;</button>
+        </span>
+      `).join('');
+    };
+
+    const hideSuggestions = () => {
+      suggestions = [];
+      activeSuggestion = -1;
+      suggestionsEl.innerHTML = '';
+      suggestionsEl.classList.remove('visible');
+    };
+
+    const renderSuggestions = () => {
+      const query = window.AnnotateProTags.normalizeTagName(input.value);
+      suggestions = knownTags
+        .map(t => t.name)
+        .filter(name => !tags.includes(name) && (!query || name.includes(query)))
+        // Prefix matches first
+        .sort((a, b) => Number(b.startsWith(query)) - Number(a.startsWith(query)))
+        .slice(0, MAX_TAG_SUGGESTIONS);
+      activeSuggestion = Math.min(activeSuggestion, suggestions.length - 1);
+
+      if (suggestions.length === 0) {
+        hideSuggestions();
+        return;
+      }
+
+      suggestionsEl.innerHTML = suggestions.map((name, i) => `
+        <div class="annotatepro-note-modal-tag-suggestion ${i === activeSuggestion ? 'active' : ''}" data-tag="${escapeHtml(name)}">#${escapeHtml(name)}</div>
+      `).join('');
+      suggestionsEl.classList.add('visible');
+    };
+
+    const saveTags = async () => {
+      try {
+        statusEl.textContent = 'Saving...';
+        const updated = await sendMessage(MessageType.UPDATE_ANNOTATION, {
+          id: annotation.id,
+          patch: { tags }
+        });
+        annotation.tags = updated?.tags || [...tags];
+        statusEl.textContent = 'Saved';
+        setTimeout(() => { statusEl.textContent = ''; }, 1500);
+      } catch (err) {
+        statusEl.textContent = 'Error';
+        console.error('AnnotatePro: Failed to save tags', err);
+      }
+    };
+
+    const addTag = async (name) => {
+      const normalized = window.AnnotateProTags.normalizeTagName(name);
+      input.value = '';
+      hideSuggestions();
+      if (!normalized || tags.includes(normalized)) return;
+
+      if (!knownTags.some(t => t.name === normalized)) {
+        try {
+          knownTags.push(await sendMessage(MessageType.ADD_TAG, { name: normalized }));
+        } catch (err) {
+          statusEl.textContent = 'Error';
+          console.error('AnnotatePro: Failed to add tag', err);
+          return;
+        }
+      }
+
+      tags.push(normalized);
+      renderTags();
+      saveTags();
+    };
+
+    const removeTag = (name) => {
+      tags = tags.filter(t => t !== name);
+      renderTags();
+      saveTags();
+    };
+
+    input.addEventListener('input', () => {
+      activeSuggestion = -1;
+      renderSuggestions();
+    });
+
+    input.addEventListener('focus', renderSuggestions);
+    input.addEventListener('blur', hideSuggestions);
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addTag(activeSuggestion >= 0 ? suggestions[activeSuggestion] : input.value);
+      } else if (e.key === 'ArrowDown' && suggestions.length > 0) {
+        e.preventDefault();
+        activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+        renderSuggestions();
+      } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+        e.preventDefault();
+        activeSuggestion = activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1;
+        renderSuggestions();
+      } else if (e.key === 'Backspace' && !input.value && tags.length > 0) {
+        removeTag(tags[tags.length - 1]);
+      } else if (e.key === 'Escape' && suggestions.length > 0) {
+        // Close the suggestions, not the modal
+        e.stopPropagation();
+        hideSuggestions();
+      }
+    });
+
+    // mousedown (not click) so the input doesn't blur and hide the list first
+    suggestionsEl.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('.annotatepro-note-modal-tag-suggestion');
+      if (!item) return;
+      e.preventDefault();
+      addTag(item.dataset.tag);
+    });
+
+    listEl.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.annotatepro-tag-pill-remove');
+      if (!removeBtn) return;
+      e.stopPropagation();
+      removeTag(removeBtn.dataset.tag);
+    });
+
+    renderTags();
+  }
+
   // ============ Page Note Functionality ============
 
   let pageNoteBubble = null;
@@ -1381,6 +2274,7 @@
     removeNoteEditor();
 
     const noteText = pageNoteData?.note || '';
+    const openingPageNoteId = pageNoteData?.id;
 
     const overlay = document.createElement('div');
     overlay.className = 'annotatepro-note-modal-overlay';
@@ -1479,6 +2373,9 @@
     const closeModal = () => {
       clearTimeout(saveTimer);
       overlay.remove();
+      if (pageNoteData && pageNoteData.id === openingPageNoteId && pageNoteData.note !== noteText) {
+        recordPatch(pageNoteData.id, 'page note edit', { note: noteText }, { note: pageNoteData.note });
+      }
     };
 
     closeBtn.addEventListener('click', (e) => {
@@ -1534,6 +2431,7 @@
 
         // Build patch - use colorId if available, otherwise color (for transparent)
         const patch = newColorId ? { colorId: newColorId, color: null } : { colorId: null, color: newColor };
+        const previous = { colorId: annotation.colorId || null, color: annotation.color || null };
 
         // Update annotation color
         try {
@@ -1545,18 +2443,17 @@
             patch
           });
 
+          if (previous.colorId !== patch.colorId || previous.color !== patch.color) {
+            recordPatch(annotation.id, 'color change', previous, patch);
+          }
+
           annotation.colorId = newColorId || null;
           annotation.color = newColorId ? null : newColor;
 
-          // Update the element on the page (highlight or checkbox wrapper)
-          const annotatedEl = document.querySelector(`[data-annotatepro-id="${annotation.id}"]`);
-          if (annotatedEl) {
-            const displayColor = newColorId ? hexToRgba(getColorById(newColorId)?.color || '#FFEB3B', 0.5) : newColor;
-            if (displayColor === 'transparent') {
-              annotatedEl.style.setProperty('--annotatepro-color', 'transparent');
-            } else {
-              annotatedEl.style.setProperty('--annotatepro-color', displayColor);
-            }
+          // Update the element(s) on the page (highlight segments or checkbox wrapper)
+          const annotatedEls = document.querySelectorAll(`[data-annotatepro-id="${annotation.id}"]`);
+          for (const annotatedEl of annotatedEls) {
+            paintAnnotationElement(annotatedEl, annotation);
           }
 
           statusEl.textContent = 'Saved';
@@ -1645,6 +2542,299 @@
     }
   }
 
+  // ============ Margin Notes ============
+
+  // With the marginNotes setting on, notes are laid out as cards in a gutter
+  // beside the page instead of hover tooltips. Cards sit level with their
+  // anchors where they can, are pushed down so they never overlap, and are joined
+  // to their highlights by connector lines. The layer is fixed to the viewport
+  // and laid out again on scroll, resize and page reflow.
+  const MARGIN_CARD_GAP = 8;
+  const MARGIN_CONNECTOR_OFFSET = 14; // Connector end, from the top of the card
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  let marginLayer = null;
+  let marginRenderTimer = null;
+  let marginLayoutFrame = null;
+  let marginResizeObserver = null;
+  let marginEditing = null; // { annotationId, textarea, openingNote, savedNote, saveTimer }
+
+  function setMarginNotesEnabled(enabled) {
+    if (enabled === !!marginLayer) return;
+
+    if (!enabled) {
+      finishMarginEdit();
+      clearTimeout(marginRenderTimer);
+      cancelAnimationFrame(marginLayoutFrame);
+      window.removeEventListener('scroll', scheduleMarginLayout, true);
+      window.removeEventListener('resize', scheduleMarginLayout);
+      marginResizeObserver?.disconnect();
+      marginLayer.remove();
+      marginLayer = null;
+      document.documentElement.classList.remove('annotatepro-margin-notes-active');
+      return;
+    }
+
+    marginLayer = document.createElement('div');
+    marginLayer.className = 'annotatepro-margin-notes';
+    marginLayer.innerHTML = `
+      <svg class="annotatepro-margin-connectors"></svg>
+      <div class="annotatepro-margin-cards"></div>
+    `;
+    setupMarginCardListeners(marginLayer.querySelector('.annotatepro-margin-cards'));
+    document.body.appendChild(marginLayer);
+    document.documentElement.classList.add('annotatepro-margin-notes-active');
+
+    // Scroll events of inner scrolling containers only reach a capturing listener
+    window.addEventListener('scroll', scheduleMarginLayout, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleMarginLayout);
+    marginResizeObserver = marginResizeObserver || new ResizeObserver(scheduleMarginLayout);
+    marginResizeObserver.observe(document.body);
+
+    renderMarginNotes();
+  }
+
+  /**
+   * Rebuild the cards shortly (notes were added, edited, removed or re-anchored)
+   */
+  function scheduleMarginNotes() {
+    if (!marginLayer) return;
+    clearTimeout(marginRenderTimer);
+    marginRenderTimer = setTimeout(renderMarginNotes, 50);
+  }
+
+  function scheduleMarginLayout() {
+    if (!marginLayer || marginLayoutFrame) return;
+    marginLayoutFrame = requestAnimationFrame(() => {
+      marginLayoutFrame = null;
+      layoutMarginNotes();
+    });
+  }
+
+  /**
+   * Sync the cards with the annotation data map; the card being edited is left alone
+   */
+  function renderMarginNotes() {
+    if (!marginLayer) return;
+
+    const cardsEl = marginLayer.querySelector('.annotatepro-margin-cards');
+    const stale = new Map([...cardsEl.children].map(card => [card.dataset.annotationId, card]));
+
+    for (const annotation of annotationDataMap.values()) {
+      const isEditing = marginEditing?.annotationId === annotation.id;
+      if (!isEditing && !annotation.note?.trim()) continue;
+      if (!document.querySelector(`[data-annotatepro-id="${annotation.id}"]`)) continue;
+
+      let card = stale.get(annotation.id);
+      stale.delete(annotation.id);
+      if (!card) {
+        card = document.createElement('div');
+        card.className = 'annotatepro-margin-card';
+        card.dataset.annotationId = annotation.id;
+        cardsEl.appendChild(card);
+      }
+      card.style.setProperty('--annotatepro-color', getMarginConnectorColor(annotation));
+      if (!isEditing) {
+        fillMarginCard(card, annotation);
+      }
+    }
+
+    for (const card of stale.values()) {
+      card.remove();
+    }
+
+    layoutMarginNotes();
+  }
+
+  function getMarginConnectorColor(annotation) {
+    const color = getAnnotationColor(annotation);
+    return color === 'transparent' ? '#9ca3af' : color;
+  }
+
+  function fillMarginCard(card, annotation) {
+    const quote = annotation.textSnapshot || '(element)';
+    card.innerHTML = `
+      <div class="annotatepro-margin-card-header">
+        <span class="annotatepro-margin-card-quote" title="Go to annotation">${escapeHtml(quote.length > 60 ? quote.slice(0, 60) + '...' : quote)}</span>
+        <button class="annotatepro-margin-card-expand" title="Open full editor">&#x2922;</button>
+      </div>
+      <div class="annotatepro-margin-card-note" title="Click to edit">${renderFormattedNote(annotation.note || '')}</div>
+    `;
+  }
+
+  function setupMarginCardListeners(cardsEl) {
+    cardsEl.addEventListener('click', (e) => {
+      const card = e.target.closest('.annotatepro-margin-card');
+      if (!card) return;
+      e.stopPropagation();
+
+      const annotationId = card.dataset.annotationId;
+      if (e.target.closest('.annotatepro-margin-card-quote')) {
+        revealAnnotation(annotationId);
+      } else if (e.target.closest('.annotatepro-margin-card-expand')) {
+        finishMarginEdit();
+        const annotation = annotationDataMap.get(annotationId);
+        if (annotation) createNoteModal(annotation);
+      } else if (e.target.closest('.annotatepro-margin-card-note')) {
+        startMarginEdit(card);
+      }
+    });
+
+    // Hovering a card points out its highlight
+    cardsEl.addEventListener('mouseover', (e) => setMarginFocus(e.target.closest('.annotatepro-margin-card'), true));
+    cardsEl.addEventListener('mouseout', (e) => {
+      const card = e.target.closest('.annotatepro-margin-card');
+      if (card && !card.contains(e.relatedTarget)) setMarginFocus(card, false);
+    });
+  }
+
+  function setMarginFocus(card, focused) {
+    if (!card || card.classList.contains('focused') === focused) return;
+    card.classList.toggle('focused', focused);
+    document.querySelectorAll(`[data-annotatepro-id="${card.dataset.annotationId}"]`)
+      .forEach(el => el.classList.toggle('annotatepro-margin-focus', focused));
+    scheduleMarginLayout();
+  }
+
+  /**
+   * Edit a note in place; saves as you type, like the note editor
+   */
+  function startMarginEdit(card) {
+    const annotation = annotationDataMap.get(card.dataset.annotationId);
+    if (!annotation || marginEditing?.annotationId === annotation.id) return;
+    finishMarginEdit();
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'annotatepro-margin-card-textarea';
+    textarea.placeholder = 'Add a note...';
+    textarea.value = annotation.note || '';
+    card.querySelector('.annotatepro-margin-card-note').replaceWith(textarea);
+    card.classList.add('editing');
+
+    marginEditing = {
+      annotationId: annotation.id,
+      textarea,
+      openingNote: annotation.note || '',
+      savedNote: annotation.note || '',
+      saveTimer: null
+    };
+    const editing = marginEditing;
+
+    const fitTextarea = () => {
+      textarea.style.height = 'auto';
+      textarea.style.height = `${textarea.scrollHeight}px`;
+      scheduleMarginLayout();
+    };
+
+    setupAutoCapitalize(textarea);
+    textarea.addEventListener('input', () => {
+      fitTextarea();
+      clearTimeout(editing.saveTimer);
+      editing.saveTimer = setTimeout(() => saveMarginNote(editing), 500);
+    });
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        textarea.blur();
+      }
+    });
+    textarea.addEventListener('blur', () => finishMarginEdit());
+
+    fitTextarea();
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }
+
+  async function saveMarginNote(editing) {
+    const note = editing.textarea.value;
+    if (note === editing.savedNote) return;
+
+    try {
+      await sendMessage(MessageType.UPDATE_ANNOTATION, {
+        id: editing.annotationId,
+        patch: { note }
+      });
+      editing.savedNote = note;
+
+      const annotation = annotationDataMap.get(editing.annotationId);
+      if (annotation) annotation.note = note;
+      updateNoteBadge(editing.annotationId, !!note.trim());
+    } catch (err) {
+      console.error('AnnotatePro: Failed to save note', err);
+      showToast('Failed to save note', 'error');
+    }
+  }
+
+  /**
+   * Leave edit mode: save what's left, then record one undo step for the session
+   */
+  async function finishMarginEdit() {
+    const editing = marginEditing;
+    if (!editing) return;
+    marginEditing = null;
+
+    clearTimeout(editing.saveTimer);
+    await saveMarginNote(editing);
+    if (editing.savedNote !== editing.openingNote) {
+      recordPatch(editing.annotationId, 'note edit', { note: editing.openingNote }, { note: editing.savedNote });
+    }
+
+    editing.textarea.closest('.annotatepro-margin-card')?.classList.remove('editing');
+    renderMarginNotes();
+  }
+
+  /**
+   * First visible line box of an annotation, or null if it isn't rendered
+   */
+  function getMarginAnchorRect(annotationId) {
+    for (const el of document.querySelectorAll(`[data-annotatepro-id="${annotationId}"]`)) {
+      const rect = el.getClientRects()[0];
+      if (rect && (rect.width || rect.height)) return rect;
+    }
+    return null;
+  }
+
+  function layoutMarginNotes() {
+    if (!marginLayer) return;
+
+    const cardsEl = marginLayer.querySelector('.annotatepro-margin-cards');
+    const svg = marginLayer.querySelector('.annotatepro-margin-connectors');
+
+    // Stay clear of the sidebar when it is open on the same side
+    const sidebar = document.querySelector('.annotatepro-sidebar.right:not(.collapsed)');
+    cardsEl.style.right = sidebar ? `${document.documentElement.clientWidth - sidebar.getBoundingClientRect().left}px` : '';
+    const gutterLeft = cardsEl.getBoundingClientRect().left + MARGIN_CARD_GAP;
+
+    const placed = [];
+    for (const card of cardsEl.children) {
+      const rect = getMarginAnchorRect(card.dataset.annotationId);
+      card.hidden = !rect;
+      if (rect) placed.push({ card, rect });
+    }
+    placed.sort((a, b) => a.rect.top - b.rect.top);
+
+    // Level with the anchor, or just below the previous card
+    let nextTop = -Infinity;
+    svg.replaceChildren();
+    for (const { card, rect } of placed) {
+      const top = Math.max(rect.top, nextTop);
+      card.style.top = `${top}px`;
+      nextTop = top + card.offsetHeight + MARGIN_CARD_GAP;
+
+      const startX = Math.min(rect.right, gutterLeft);
+      const startY = rect.top + rect.height / 2;
+      const endY = top + MARGIN_CONNECTOR_OFFSET;
+      const midX = (startX + gutterLeft) / 2;
+
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', `M ${startX} ${startY} C ${midX} ${startY}, ${midX} ${endY}, ${gutterLeft} ${endY}`);
+      path.setAttribute('stroke', card.style.getPropertyValue('--annotatepro-color'));
+      if (card.classList.contains('focused')) path.setAttribute('class', 'focused');
+      svg.appendChild(path);
+    }
+  }
+
   // ============ Main Content Script ============
 
   const MessageType = {
@@ -1654,7 +2844,15 @@
     GET_PAGE_ANNOTATIONS: 'GET_PAGE_ANNOTATIONS',
     GET_ANNOTATION: 'GET_ANNOTATION',
     GET_ALL_COLORS: 'GET_ALL_COLORS',
-    ADD_COLOR: 'ADD_COLOR'
+    ADD_COLOR: 'ADD_COLOR',
+    UPDATE_ANCHOR_STATUS: 'UPDATE_ANCHOR_STATUS',
+    ADD_TAG: 'ADD_TAG',
+    GET_ALL_TAGS: 'GET_ALL_TAGS',
+    ADD_GROUP: 'ADD_GROUP',
+    ADD_TO_GROUP: 'ADD_TO_GROUP',
+    CLAIM_PENDING_REVEAL: 'CLAIM_PENDING_REVEAL',
+    CLEAR_PAGE_ANNOTATIONS: 'CLEAR_PAGE_ANNOTATIONS',
+    RESTORE_ANNOTATIONS: 'RESTORE_ANNOTATIONS'
   };
 
   // Cache for colors loaded from database
@@ -1662,9 +2860,14 @@
   let colorsLoaded = false;
 
   // Clipboard history tracking
-  const MAX_CLIPBOARD_ENTRIES = 50;
   let clipboardHistory = [];
 
+  // Settings (see shared/settings.js); defaults until init loads them
+  let settings = window.AnnotateProSettings.getDefaultSettings();
+
+  // Effective site rules for this page (see shared/site-rules.js); null until init
+  let siteRules = null;
+
   /**
    * Load clipboard history from storage
    */
@@ -1700,6 +2903,8 @@
     await loadClipboardHistoryFromStorage();
 
     document.addEventListener('copy', async () => {
+      if (!siteRules.clipboard) return;
+
       // Get the copied text from selection
       const selection = window.getSelection();
       if (!selection || selection.isCollapsed) return;
@@ -1721,8 +2926,8 @@
       });
 
       // Trim to max entries
-      if (clipboardHistory.length > MAX_CLIPBOARD_ENTRIES) {
-        clipboardHistory = clipboardHistory.slice(0, MAX_CLIPBOARD_ENTRIES);
+      if (clipboardHistory.length > settings.clipboardHistoryLimit) {
+        clipboardHistory = clipboardHistory.slice(0, settings.clipboardHistoryLimit);
       }
 
       // Expose to window for sidebar access
@@ -1775,32 +2980,18 @@
     if (fallbackColor) return fallbackColor;
     const color = getColorById(colorId);
     if (color) {
-      // Convert hex to rgba with 0.5 alpha for highlights
-      return hexToRgba(color.color, 0.5);
+      return window.AnnotateProColorStyles.getColorPaint(color, settings.highlightOpacity);
     }
     // Default yellow if no color found
-    return 'rgba(255, 235, 59, 0.5)';
-  }
-
-  /**
-   * Convert hex color to rgba
-   */
-  function hexToRgba(hex, alpha = 0.5) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    if (result) {
-      const r = parseInt(result[1], 16);
-      const g = parseInt(result[2], 16);
-      const b = parseInt(result[3], 16);
-      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-    }
-    return hex;
+    return window.AnnotateProColorStyles.hexToRgba('#FFEB3B', settings.highlightOpacity);
   }
 
   /**
    * Get default color ID
    */
   function getDefaultColorId() {
-    const defaultColor = cachedColors.find(c => c.id === 'default-action') || cachedColors[0];
+    const preferredColor = getColorById(siteRules?.defaultColorId) || getColorById(settings.defaultColorId);
+    const defaultColor = preferredColor || cachedColors.find(c => c.id === 'default-action') || cachedColors[0];
     return defaultColor?.id || 'default-action';
   }
 
@@ -1810,8 +3001,29 @@
     return browser.runtime.sendMessage({ type, payload });
   }
 
+  /**
+   * Page key of this tab (normalized URL, see shared/page-url.js)
+   */
   function getPageUrl() {
-    return window.location.href;
+    return window.AnnotateProPageUrl.getCurrentPageUrl();
+  }
+
+  /**
+   * Look up the page key again after normalization settings or aliases change,
+   * and re-render (annotations of other addresses may have merged into this page)
+   */
+  async function refreshPageKey() {
+    await window.AnnotateProPageUrl.resolveCurrentPageUrl({ force: true });
+    await rerenderAnnotations();
+  }
+
+  /**
+   * Remove and re-apply every annotation on the page
+   */
+  async function rerenderAnnotations() {
+    clearAllAnnotationsFromDOM();
+    await loadAnnotations();
+    await loadPageNote();
   }
 
   async function loadAnnotations() {
@@ -1823,9 +3035,13 @@
         return;
       }
 
-      const results = reattachAll(annotations);
+      // Page notes and screenshots have no anchor, and PDF annotations are rendered by the PDF overlay
+      const anchorable = annotations.filter(a =>
+        a.annotationType !== 'page-note' && a.annotationType !== 'screenshot' && !a.pdfMode
+      );
+      const results = reattachAll(anchorable);
 
-      for (const { annotation, element, score } of results.attached) {
+      for (const { annotation, element, anchor } of results.attached) {
         // Check if already attached AND still exists in DOM
         if (attachedAnnotations.has(annotation.id)) {
           const existingElement = document.querySelector(`[data-annotatepro-id="${annotation.id}"]`);
@@ -1837,15 +3053,73 @@
           attachedAnnotations.delete(annotation.id);
         }
 
-        applyAnnotation(element, annotation);
+        applyAnnotation(element, annotation, anchor);
         attachedAnnotations.add(annotation.id);
         setupAnnotationListeners(element, annotation);
+        reportAnchorStatus(annotation, false, anchor);
+      }
+
+      // Surface unmatched annotations in the sidebar's Orphaned section
+      for (const annotation of results.orphaned) {
+        reportAnchorStatus(annotation, true);
       }
     } catch (error) {
       console.error('AnnotatePro: Failed to load annotations', error);
     }
   }
 
+  /**
+   * Save whether an annotation could be anchored on this load, and how confidently
+   * (1 = exact), so the sidebar and dashboard can show orphans and "re-anchored with changes"
+   */
+  function reportAnchorStatus(annotation, orphaned, anchor = null) {
+    const patch = {};
+
+    if (!!annotation.orphaned !== orphaned) {
+      patch.orphaned = orphaned;
+    }
+    if (anchor && anchor.confidence !== undefined &&
+        Math.abs((annotation.anchorConfidence ?? 1) - anchor.confidence) >= 0.01) {
+      patch.anchorConfidence = anchor.confidence;
+    }
+
+    if (Object.keys(patch).length === 0) return;
+
+    Object.assign(annotation, patch);
+    sendMessage(MessageType.UPDATE_ANCHOR_STATUS, { id: annotation.id, ...patch }).catch(error => {
+      console.error('AnnotatePro: Failed to save anchor status', error);
+    });
+  }
+
+  /**
+   * Re-attach an orphaned annotation to the current selection, rewriting its fingerprint
+   */
+  async function reattachOrphanToSelection(annotationId) {
+    const selection = window.getSelection();
+    const fingerprint = createSelectionFingerprint(selection);
+    if (!fingerprint) return;
+
+    try {
+      const updated = await sendMessage(MessageType.UPDATE_ANNOTATION, {
+        id: annotationId,
+        patch: { ...fingerprint, orphaned: false, anchorConfidence: 1 }
+      });
+      if (!updated) return;
+
+      const element = getRangeElement(selection.getRangeAt(0));
+
+      // Drop any stale rendering before applying the new anchor
+      removeAnnotation(annotationId);
+      applyAnnotation(element, updated);
+      attachedAnnotations.add(annotationId);
+      setupAnnotationListeners(element, updated);
+
+      selection.removeAllRanges();
+    } catch (error) {
+      console.error('AnnotatePro: Failed to re-attach annotation', error);
+    }
+  }
+
   async function createHighlight(colorId = null, color = null) {
     const selection = window.getSelection();
     if (!selection || selection.isCollapsed) {
@@ -1870,15 +3144,12 @@
     try {
       const saved = await sendMessage(MessageType.ADD_ANNOTATION, annotation);
 
-      const range = selection.getRangeAt(0);
-      const container = range.commonAncestorContainer;
-      const element = container.nodeType === Node.TEXT_NODE
-        ? container.parentElement
-        : container;
+      const element = getRangeElement(selection.getRangeAt(0));
 
       applyAnnotation(element, saved);
       attachedAnnotations.add(saved.id);
       setupAnnotationListeners(element, saved);
+      recordCreate(saved);
 
       selection.removeAllRanges();
 
@@ -1896,6 +3167,8 @@
       return createTextCheckbox();
     }
 
+    if (element.closest('.annotatepro-margin-notes')) return null;
+
     const fingerprint = createFingerprint(element);
 
     const annotation = {
@@ -1913,6 +3186,7 @@
       applyAnnotation(element, saved);
       attachedAnnotations.add(saved.id);
       setupAnnotationListeners(element, saved);
+      recordCreate(saved);
 
       return saved;
     } catch (error) {
@@ -1970,24 +3244,22 @@
 
         attachedAnnotations.add(saved.id);
 
-        // Get element for listeners
-        const container = wrapper.parentElement || wrapper;
+        // Get element for listeners (outside any highlight the checkbox sits in)
+        const container = getHostElement(wrapper.parentElement) || wrapper;
         setupAnnotationListeners(container, saved);
 
       } catch (wrapError) {
         // surroundContents can fail if selection spans multiple elements
         console.warn('AnnotatePro: Direct wrap failed, falling back to search:', wrapError.message);
 
-        const container = range.commonAncestorContainer;
-        const element = container.nodeType === Node.TEXT_NODE
-          ? container.parentElement
-          : container;
+        const element = getRangeElement(range);
 
         applyAnnotation(element, saved);
         attachedAnnotations.add(saved.id);
         setupAnnotationListeners(element, saved);
       }
 
+      recordCreate(saved);
       selection.removeAllRanges();
 
       return saved;
@@ -1997,16 +3269,205 @@
     }
   }
 
+  /**
+   * Add an annotation (or the whole page when annotationId is null) to a collection.
+   * With no groupId, prompts for a new collection name first.
+   */
+  async function addToCollection(groupId, annotationId = null) {
+    try {
+      let group = null;
+      if (!groupId) {
+        const name = prompt('New collection name:');
+        if (!name || !name.trim()) return;
+        group = await sendMessage(MessageType.ADD_GROUP, { name: name.trim() });
+        groupId = group.id;
+      }
+
+      const payload = annotationId
+        ? { groupId, annotationIds: [annotationId] }
+        : { groupId, pageUrl: getPageUrl(), pageTitle: document.title };
+      group = await sendMessage(MessageType.ADD_TO_GROUP, payload);
+
+      showToast(`${annotationId ? 'Annotation' : 'Page'} added to "${group?.name || 'collection'}"`, 'success');
+    } catch (error) {
+      console.error('AnnotatePro: Failed to add to collection', error);
+      showToast('Failed to add to collection', 'error');
+    }
+  }
+
+  /**
+   * Show a short toast (styles shared with the screenshot editor)
+   */
+  function showToast(message, type = 'info') {
+    const existing = document.querySelector('.annotatepro-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.className = `annotatepro-toast ${type}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(() => toast.remove(), 3000);
+  }
+
   async function deleteAnnotation(annotationId) {
     try {
+      const annotation = annotationDataMap.get(annotationId);
       await sendMessage(MessageType.DELETE_ANNOTATION, { id: annotationId });
       removeAnnotation(annotationId);
       attachedAnnotations.delete(annotationId);
+      recordDelete(annotationId, annotation);
     } catch (error) {
       console.error('AnnotatePro: Failed to delete annotation', error);
     }
   }
 
+  // ============ Undo / Redo ============
+
+  const MAX_UNDO_ENTRIES = 50;
+  const UNDO_TOAST_DURATION = 6000;
+
+  // Focus inside any of these counts as "in AnnotatePro" for Ctrl+Z / Ctrl+Shift+Z
+  const UNDO_FOCUS_SELECTOR = [
+    '.annotatepro-note-modal-overlay', '.annotatepro-note-editor', '.annotatepro-confirm-overlay',
+    '.annotatepro-sidebar', '.annotatepro-toast', '.annotatepro-checkbox'
+  ].join(', ');
+
+  // Operations done in this page, newest last: { label, undo, redo }. Both
+  // directions replay through the background so the database and every other
+  // open view pick the change up from the usual broadcasts.
+  const undoStack = [];
+  const redoStack = [];
+  let historyBusy = false;
+
+  function recordUndo(entry) {
+    undoStack.push(entry);
+    if (undoStack.length > MAX_UNDO_ENTRIES) {
+      undoStack.shift();
+    }
+    redoStack.length = 0;
+    return entry;
+  }
+
+  function getAnnotationLabel(annotation) {
+    if (annotation.annotationType === 'page-note') return 'page note';
+    if (annotation.annotationType === 'screenshot') return 'screenshot';
+    return annotation.annotationType === 'checkbox' ? 'checkbox' : 'highlight';
+  }
+
+  /**
+   * Restore trashed annotations; fails if any has since been purged
+   */
+  async function restoreFromTrash(ids) {
+    const restored = await sendMessage(MessageType.RESTORE_ANNOTATIONS, { ids });
+    if (restored.length < ids.length) {
+      throw new Error('Annotation is no longer in the trash');
+    }
+  }
+
+  function recordCreate(annotation) {
+    return recordUndo({
+      label: `new ${getAnnotationLabel(annotation)}`,
+      undo: () => sendMessage(MessageType.DELETE_ANNOTATION, { id: annotation.id }),
+      redo: () => restoreFromTrash([annotation.id])
+    });
+  }
+
+  /**
+   * Record a delete that already went through and offer to undo it
+   */
+  function recordDelete(annotationId, annotation) {
+    const label = annotation ? getAnnotationLabel(annotation) : 'annotation';
+    const entry = recordUndo({
+      label: `deleted ${label}`,
+      undo: () => restoreFromTrash([annotationId]),
+      redo: () => sendMessage(MessageType.DELETE_ANNOTATION, { id: annotationId })
+    });
+    showUndoToast(`${label.charAt(0).toUpperCase()}${label.slice(1)} deleted`, entry);
+    return entry;
+  }
+
+  function recordPatch(annotationId, label, before, after) {
+    return recordUndo({
+      label,
+      undo: () => sendMessage(MessageType.UPDATE_ANNOTATION, { id: annotationId, patch: before }),
+      redo: () => sendMessage(MessageType.UPDATE_ANNOTATION, { id: annotationId, patch: after })
+    });
+  }
+
+  function recordClearPage(pageUrl, ids) {
+    let clearedIds = ids;
+    return recordUndo({
+      label: 'clear page',
+      undo: () => restoreFromTrash(clearedIds),
+      redo: async () => {
+        ({ ids: clearedIds } = await sendMessage(MessageType.CLEAR_PAGE_ANNOTATIONS, { pageUrl }));
+      }
+    });
+  }
+
+  /**
+   * Undo or redo the latest operation. A failed replay (e.g. the annotation was
+   * purged or edited elsewhere) drops the entry rather than retrying it.
+   */
+  async function replayHistory(direction) {
+    if (historyBusy) return;
+    const [from, to] = direction === 'undo' ? [undoStack, redoStack] : [redoStack, undoStack];
+    const entry = from.pop();
+    if (!entry) {
+      showToast(`Nothing to ${direction}`);
+      return;
+    }
+
+    historyBusy = true;
+    try {
+      await entry[direction]();
+      to.push(entry);
+      showToast(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${entry.label}`);
+    } catch (error) {
+      console.error(`AnnotatePro: Failed to ${direction}`, error);
+      showToast(`Could not ${direction} ${entry.label}`, 'error');
+    } finally {
+      historyBusy = false;
+    }
+  }
+
+  /**
+   * Whether Ctrl+Z should go to AnnotatePro rather than the page. Text fields
+   * keep their native undo.
+   */
+  function hasAnnotateProFocus() {
+    const active = document.activeElement;
+    if (!active || !active.closest(UNDO_FOCUS_SELECTOR)) return false;
+    return !active.matches('textarea, input:not([type="checkbox"]), [contenteditable="true"]');
+  }
+
+  /**
+   * Toast with an Undo button, shown after destructive operations
+   */
+  function showUndoToast(message, entry) {
+    const existing = document.querySelector('.annotatepro-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'annotatepro-toast annotatepro-undo-toast';
+    toast.innerHTML = `
+      <span>${escapeHtml(message)}</span>
+      <button class="annotatepro-toast-action">Undo</button>
+    `;
+    document.body.appendChild(toast);
+
+    toast.querySelector('.annotatepro-toast-action').addEventListener('click', () => {
+      toast.remove();
+      // Only while it is still the latest operation, so the stacks stay in order
+      if (undoStack[undoStack.length - 1] === entry) {
+        replayHistory('undo');
+      }
+    });
+
+    setTimeout(() => toast.remove(), UNDO_TOAST_DURATION);
+  }
+
   // Store annotation data for click-to-edit access
   const annotationDataMap = new Map();
 
@@ -2028,6 +3489,7 @@
             id: annotation.id,
             patch: { checked: isChecked }
           });
+          recordPatch(annotation.id, isChecked ? 'check' : 'uncheck', { checked: !isChecked }, { checked: isChecked });
           // Notify dashboard to update checkbox
           browser.runtime.sendMessage({
             type: 'BROADCAST_CHECKBOX_UPDATE',
@@ -2038,9 +3500,9 @@
       }
     }
 
-    // Click to edit note - find the actual annotated element
-    const annotatedEl = document.querySelector(`[data-annotatepro-id="${annotation.id}"]`);
-    if (annotatedEl) {
+    // Click to edit note - find the actual annotated element(s), one per highlight segment
+    const annotatedEls = document.querySelectorAll(`[data-annotatepro-id="${annotation.id}"]`);
+    for (const annotatedEl of annotatedEls) {
       annotatedEl.addEventListener('click', (e) => {
         // Don't trigger on checkbox input clicks
         if (e.target.classList.contains('annotatepro-checkbox')) return;
@@ -2067,12 +3529,29 @@
 
   function setupKeyboardShortcuts() {
     document.addEventListener('keydown', async (e) => {
-      if (e.altKey && e.key.toLowerCase() === 'h') {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z' && hasAnnotateProFocus()) {
+        e.preventDefault();
+        e.stopPropagation();
+        await replayHistory(e.shiftKey ? 'redo' : 'undo');
+        return;
+      }
+
+      // Alt-key shortcuts can be switched off per site
+      const altShortcuts = e.altKey && siteRules.shortcuts;
+
+      if (altShortcuts && e.key.toLowerCase() === 'h') {
         e.preventDefault();
         await createHighlight();
       }
 
-      if (e.altKey && e.key.toLowerCase() === 'c') {
+      if (altShortcuts && e.key.toLowerCase() === 'm') {
+        e.preventDefault();
+        // A setting, so every open tab switches along
+        const { marginNotes } = await window.AnnotateProSettings.updateSettings({ marginNotes: !settings.marginNotes });
+        showToast(marginNotes ? 'Notes shown in the margin' : 'Margin notes hidden');
+      }
+
+      if (altShortcuts && e.key.toLowerCase() === 'c') {
         e.preventDefault();
         // Check for selection first - createCheckbox will handle it
         const selection = window.getSelection();
@@ -2148,8 +3627,9 @@
       const isMark = el.tagName === 'MARK';
       const isTextCheckbox = el.classList.contains('annotatepro-checkbox-text');
 
-      el.classList.remove('annotatepro-highlight', 'annotatepro-text-highlight', 'annotatepro-checkbox-text');
+      el.classList.remove('annotatepro-highlight', 'annotatepro-text-highlight', 'annotatepro-checkbox-text', 'annotatepro-margin-focus');
       el.style.removeProperty('--annotatepro-color');
+      el.removeAttribute('data-annotatepro-style');
       el.removeAttribute('data-annotatepro-id');
       el.removeAttribute('data-annotatepro-type');
 
@@ -2178,9 +3658,12 @@
     }
 
     attachedAnnotations.clear();
+    scheduleMarginNotes();
   }
 
   browser.runtime.onMessage.addListener((message) => {
+    if (!siteRules?.enabled) return;
+
     switch (message.type) {
       case 'COMMAND_HIGHLIGHT':
         // Support both old intent-based and new colorId-based messages
@@ -2264,20 +3747,27 @@
           // Update local annotation data
           const colorData = annotationDataMap.get(message.annotationId);
           if (colorData) {
-            colorData.color = message.color;
+            // Palette colors come with their colorId so the color's render style applies
+            colorData.colorId = message.colorId || null;
+            colorData.color = message.colorId ? null : message.color;
           }
-          // Update the element (highlight or checkbox wrapper)
-          const colorEl = document.querySelector(`[data-annotatepro-id="${message.annotationId}"]`);
-          if (colorEl) {
-            if (message.color === 'transparent') {
-              colorEl.style.setProperty('--annotatepro-color', 'transparent');
+          // Update the element(s) (highlight segments or checkbox wrapper)
+          const colorEls = document.querySelectorAll(`[data-annotatepro-id="${message.annotationId}"]`);
+          for (const colorEl of colorEls) {
+            if (colorData) {
+              paintAnnotationElement(colorEl, colorData);
             } else {
               colorEl.style.setProperty('--annotatepro-color', message.color);
+              colorEl.removeAttribute('data-annotatepro-style');
             }
           }
         }
         break;
 
+      case 'COMMAND_REVEAL_ANNOTATION':
+        revealAnnotation(message.annotationId);
+        break;
+
       case 'COMMAND_UPDATE_CHECKBOX':
         if (message.annotationId !== undefined) {
           // Update local annotation data
@@ -2329,6 +3819,10 @@
         openPageNoteModal();
         break;
 
+      case 'COMMAND_ADD_TO_COLLECTION':
+        addToCollection(message.groupId, lastContextMenuTarget ? findAnnotationId(lastContextMenuTarget) : null);
+        break;
+
       // ============ Realtime Sync Messages ============
 
       case 'ANNOTATION_ADDED':
@@ -2343,12 +3837,13 @@
           if (message.annotation.annotationType === 'page-note') {
             pageNoteData = message.annotation;
             updatePageNoteBubble();
-          } else if (!attachedAnnotations.has(message.annotation.id)) {
+          } else if (message.annotation.annotationType !== 'screenshot' && !attachedAnnotations.has(message.annotation.id)) {
             const match = reattach(message.annotation);
             if (match) {
-              applyAnnotation(match.element, message.annotation);
+              applyAnnotation(match.element, message.annotation, match.anchor);
               attachedAnnotations.add(message.annotation.id);
               setupAnnotationListeners(match.element, message.annotation);
+              reportAnchorStatus(message.annotation, false, match.anchor);
             }
           }
         }
@@ -2375,22 +3870,11 @@
 
           // Handle specific patch updates
           if (message.patch.colorId !== undefined || message.patch.color !== undefined) {
-            const colorEl = document.querySelector(`[data-annotatepro-id="${message.annotationId}"]`);
-            if (colorEl) {
-              let displayColor;
-              if (message.patch.colorId) {
-                const colorObj = getColorById(message.patch.colorId);
-                displayColor = colorObj ? hexToRgba(colorObj.color, 0.5) : 'rgba(255, 235, 59, 0.5)';
-              } else if (message.patch.color) {
-                displayColor = message.patch.color;
-              }
-
-              if (displayColor) {
-                if (displayColor === 'transparent') {
-                  colorEl.style.setProperty('--annotatepro-color', 'transparent');
-                } else {
-                  colorEl.style.setProperty('--annotatepro-color', displayColor);
-                }
+            const colorEls = document.querySelectorAll(`[data-annotatepro-id="${message.annotationId}"]`);
+            const painted = existingAnnotation || message.patch;
+            if (painted.colorId || painted.color) {
+              for (const colorEl of colorEls) {
+                paintAnnotationElement(colorEl, painted);
               }
             }
           }
@@ -2437,6 +3921,10 @@
         updatePageNoteBubble();
         break;
 
+      case 'PAGE_KEYS_CHANGED':
+        refreshPageKey();
+        break;
+
       case 'DATABASE_CLEARED':
         clearAllAnnotationsFromDOM();
         pageNoteData = null;
@@ -2447,7 +3935,7 @@
       case 'COLOR_ADDED':
       case 'COLOR_UPDATED':
       case 'COLOR_DELETED':
-        loadColors();
+        loadColors().then(repaintAnnotations);
         break;
 
       case 'GET_CLIPBOARD_HISTORY':
@@ -2476,6 +3964,7 @@
             target.classList?.contains('annotatepro-checkbox') ||
             target.classList?.contains('annotatepro-note-editor') ||
             target.classList?.contains('annotatepro-confirm-overlay') ||
+            target.closest?.('.annotatepro-margin-notes') ||
             target.hasAttribute?.('data-annotatepro-id')) {
           return true;
         }
@@ -2485,6 +3974,7 @@
             if (node.classList?.contains('annotatepro-highlight') ||
                 node.classList?.contains('annotatepro-checkbox') ||
                 node.classList?.contains('annotatepro-note-editor') ||
+                node.classList?.contains('annotatepro-margin-notes') ||
                 node.hasAttribute?.('data-annotatepro-id')) {
               return true;
             }
@@ -2523,15 +4013,23 @@
     history.pushState = function(...args) {
       originalPushState.apply(history, args);
       attachedAnnotations.clear();
-      setTimeout(loadAnnotations, 100);
+      setTimeout(reloadForNavigation, 100);
     };
 
     window.addEventListener('popstate', () => {
       attachedAnnotations.clear();
-      setTimeout(loadAnnotations, 100);
+      setTimeout(reloadForNavigation, 100);
     });
   }
 
+  /**
+   * In-page navigation may change the page key
+   */
+  async function reloadForNavigation() {
+    await window.AnnotateProPageUrl.resolveCurrentPageUrl();
+    loadAnnotations();
+  }
+
   /**
    * Listen for sidebar collapse/expand events
    */
@@ -2540,8 +4038,44 @@
       if (event.detail && typeof event.detail.collapsed === 'boolean') {
         sidebarCollapsed = event.detail.collapsed;
         updatePageNoteBubble();
+        // Margin cards move aside once the sidebar has slid in or out
+        setTimeout(scheduleMarginLayout, 300);
+      }
+    });
+
+    // Orphaned panel asks us to re-attach an annotation to the current selection
+    window.addEventListener('annotatepro-reattach-orphan', (event) => {
+      if (event.detail && event.detail.annotationId) {
+        reattachOrphanToSelection(event.detail.annotationId);
+      }
+    });
+
+    // Edits and deletes made in the sidebar share the page's undo history
+    window.addEventListener('annotatepro-sidebar-patch', (event) => {
+      const { annotationId, label, before, after } = event.detail || {};
+      if (annotationId) {
+        recordPatch(annotationId, label, before, after);
       }
     });
+
+    window.addEventListener('annotatepro-sidebar-delete', (event) => {
+      const { annotationId, annotation } = event.detail || {};
+      if (annotationId) {
+        recordDelete(annotationId, annotation);
+      }
+    });
+  }
+
+  /**
+   * Clipboard capture, shortcuts and the default color follow rule edits live;
+   * turning AnnotatePro on or off for the site takes effect on the next load
+   */
+  function setupSiteRulesListener() {
+    browser.storage.onChanged.addListener(async (changes, area) => {
+      if (area !== 'local' || !changes[window.AnnotateProSiteRules.SITE_RULES_KEY]) return;
+      const { enabled } = siteRules;
+      siteRules = { ...(await window.AnnotateProSiteRules.getSiteRules()), enabled };
+    });
   }
 
   async function init() {
@@ -2551,8 +4085,27 @@
       });
     }
 
+    siteRules = await window.AnnotateProSiteRules.getSiteRules();
+    if (!siteRules.enabled) {
+      console.log('AnnotatePro: Disabled on this site by a site rule');
+      return;
+    }
+    setupSiteRulesListener();
+
+    settings = await window.AnnotateProSettings.getSettings();
+    window.AnnotateProSettings.onSettingsChanged((next, changedKeys) => {
+      settings = next;
+      if (changedKeys.includes('highlightOpacity')) {
+        rerenderAnnotations();
+      }
+      if (changedKeys.includes('marginNotes')) {
+        setMarginNotesEnabled(next.marginNotes);
+      }
+    });
+
     // Load colors first so they're available for rendering
     await loadColors();
+    await window.AnnotateProPageUrl.resolveCurrentPageUrl();
 
     setupKeyboardShortcuts();
     setupMutationObserver();
@@ -2560,6 +4113,12 @@
     await setupClipboardTracking();
     await loadAnnotations();
     await loadPageNote();
+    setMarginNotesEnabled(settings.marginNotes);
+
+    // Opened from a reminder notification: scroll to the task
+    sendMessage(MessageType.CLAIM_PENDING_REVEAL, {})
+      .then(annotationId => { if (annotationId) revealAnnotation(annotationId); })
+      .catch(() => {});
 
     console.log('AnnotatePro: Content script initialized');
   }
@@ -9,11 +9,26 @@
   let allPages = [];
   let currentSort = 'recent';
   let searchQuery = '';
-  let activeView = 'all'; // 'all', 'pages', or 'annotations'
+  let activeView = 'all'; // 'all', 'pages', 'annotations', 'tasks', 'collections', or 'trash'
   let searchResults = [];
-  let activeFilters = { types: [], colorIds: [], dateRange: null };
+  let searchTotal = 0; // Total matches; searchResults holds the pages loaded so far
+  let searchRequestId = 0; // Ignore responses from superseded searches
+  let searchHighlight = ''; // Free-text words and phrases of the parsed query
+  let activeFilters = { types: [], colorIds: [], tags: [], dateRange: null };
   let searchDebounceTimer = null;
   let cachedColors = [];
+  let cachedTags = [];
+  let cachedGroups = [];
+  let activeCollectionId = null; // Collection opened in the collections view
+  let cachedSavedSearches = [];
+  let taskGroupBy = 'page'; // 'page', 'color', or 'collection'
+  let taskFilter = 'all'; // 'all', 'open', or 'overdue'
+  let tasksRenderTimer = null;
+  let trashRenderTimer = null;
+  let savedSearchCountTimer = null;
+  let settings = window.AnnotateProSettings.getDefaultSettings();
+
+  const SEARCH_PAGE_SIZE = 50;
 
   // Legacy intent names for backwards compatibility
   const INTENT_NAMES = {
@@ -35,20 +50,6 @@
     DEFAULT: 'rgba(255, 235, 59, 0.5)'
   };
 
-  /**
-   * Convert hex color to rgba
-   */
-  function hexToRgba(hex, alpha = 0.5) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    if (result) {
-      const r = parseInt(result[1], 16);
-      const g = parseInt(result[2], 16);
-      const b = parseInt(result[3], 16);
-      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-    }
-    return hex;
-  }
-
   /**
    * Get color by ID from cache
    */
@@ -64,7 +65,7 @@
     if (color) return color;
     if (colorId) {
       const colorObj = getColorById(colorId);
-      if (colorObj) return hexToRgba(colorObj.color, 0.5);
+      if (colorObj) return window.AnnotateProColorStyles.getColorPaint(colorObj, settings.highlightOpacity);
     }
     if (intent && INTENT_COLORS[intent]) return INTENT_COLORS[intent];
     return INTENT_COLORS.DEFAULT;
@@ -120,12 +121,53 @@
       chip.className = 'filter-chip';
       chip.dataset.colorId = color.id;
       chip.textContent = color.name;
-      chip.style.setProperty('--chip-color', hexToRgba(color.color, 0.3));
+      chip.style.setProperty('--chip-color', window.AnnotateProColorStyles.hexToRgba(color.color, 0.3));
       chip.addEventListener('click', () => toggleFilter('colorIds', color.id));
       colorGroup.appendChild(chip);
     }
   }
 
+  /**
+   * Load tags from database
+   */
+  async function loadTags() {
+    try {
+      cachedTags = await sendMessage('GET_ALL_TAGS', {});
+
+      // Drop filters for tags that no longer exist (renamed, merged or deleted)
+      const names = cachedTags.map(t => t.name);
+      activeFilters.tags = activeFilters.tags.filter(name => names.includes(name));
+
+      updateTagFilterChips();
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+      cachedTags = [];
+    }
+  }
+
+  /**
+   * Update tag filter chips based on cached tags
+   */
+  function updateTagFilterChips() {
+    const tagGroup = document.getElementById('tag-filter-group');
+    if (!tagGroup) return;
+
+    tagGroup.querySelectorAll('.filter-chip').forEach(chip => chip.remove());
+    tagGroup.style.display = cachedTags.length > 0 ? '' : 'none';
+
+    for (const tag of cachedTags) {
+      const chip = document.createElement('button');
+      chip.className = 'filter-chip tag-chip';
+      chip.dataset.tag = tag.name;
+      chip.textContent = `#${tag.name}`;
+      chip.title = `${tag.usageCount || 0} annotation${tag.usageCount === 1 ? '' : 's'}`;
+      chip.addEventListener('click', () => toggleFilter('tags', tag.name));
+      tagGroup.appendChild(chip);
+    }
+
+    updateFilterChipStates();
+  }
+
   // DOM Elements
   const pageListEl = document.getElementById('page-list');
   const emptyStateEl = document.getElementById('empty-state');
@@ -187,7 +229,7 @@
     card.className = 'page-card';
     card.dataset.url = page.pageUrl;
 
-    const totalCount = page.highlightCount + page.checkboxCount + (page.pageNoteCount || 0) + (page.clipboardCount || 0);
+    const totalCount = page.highlightCount + page.checkboxCount + (page.pageNoteCount || 0) + (page.screenshotCount || 0) + (page.clipboardCount || 0);
     const domain = getDomain(page.pageUrl);
 
     card.innerHTML = `
@@ -208,7 +250,9 @@
         ${page.highlightCount > 0 ? `<span class="page-stat highlight-stat"><span class="stat-icon">🖍️</span><span class="stat-value">${page.highlightCount}</span><span class="stat-label">highlights</span></span>` : ''}
         ${page.checkboxCount > 0 ? `<span class="page-stat checkbox-stat"><span class="stat-icon">☑️</span><span class="stat-value">${page.checkedCount || 0}/${page.checkboxCount}</span><span class="stat-label">checked</span></span>` : ''}
         ${page.pageNoteCount > 0 ? `<span class="page-stat pagenote-stat"><span class="stat-icon">📄</span><span class="stat-value">${page.pageNoteCount}</span><span class="stat-label">page note${page.pageNoteCount > 1 ? 's' : ''}</span></span>` : ''}
+        ${page.screenshotCount > 0 ? `<span class="page-stat screenshot-stat"><span class="stat-icon">📷</span><span class="stat-value">${page.screenshotCount}</span><span class="stat-label">screenshot${page.screenshotCount > 1 ? 's' : ''}</span></span>` : ''}
         ${page.clipboardCount > 0 ? `<span class="page-stat clipboard-stat"><span class="stat-icon">📋</span><span class="stat-value">${page.clipboardCount}</span><span class="stat-label">clipboard</span></span>` : ''}
+        ${page.orphanCount > 0 ? `<span class="page-stat orphan-stat" title="Could not be found on the page when it was last opened"><span class="stat-icon">⚠️</span><span class="stat-value">${page.orphanCount}</span><span class="stat-label">orphaned</span></span>` : ''}
       </div>
       <div class="page-card-actions">
         <button class="action-btn open-btn" title="Open page">Open</button>
@@ -287,12 +331,9 @@
             <div class="annotation-list">
               ${sortedAnnotations.map(a => `
                 <div class="annotation-item ${a.annotationType}" data-id="${a.id}">
-                  ${a.annotationType === 'checkbox'
-                    ? `<input type="checkbox" class="annotation-checkbox" ${a.checked ? 'checked' : ''} data-id="${a.id}">`
-                    : `<div class="annotation-type-badge">${a.annotationType === 'page-note' ? '📄' : '🖍️'}</div>`
-                  }
+                  ${renderAnnotationMarker(a)}
                   <div class="annotation-content clickable" data-annotation='${escapeAttr(JSON.stringify(a))}'>
-                    <p class="annotation-text">${escapeHtml(truncate(a.annotationType === 'page-note' ? 'Page Note' : (a.textSnapshot || '(element)'), 100))}</p>
+                    <p class="annotation-text">${escapeHtml(truncate(getAnnotationSummary(a), 100))}</p>
                     <span class="annotation-time">${formatRelativeTime(a.updatedAt)}</span>
                   </div>
                   ${a.note && a.note.trim() ? '<span class="annotation-note-icon" title="Has note">📝</span>' : ''}
@@ -510,6 +551,43 @@
     textarea.dispatchEvent(new Event('input', { bubbles: true }));
   }
 
+  /**
+   * One-line description of an annotation for lists
+   */
+  function getAnnotationSummary(annotation) {
+    if (annotation.annotationType === 'page-note') return 'Page Note';
+    if (annotation.annotationType === 'screenshot') return 'Screenshot';
+    return annotation.textSnapshot || '(element)';
+  }
+
+  /**
+   * Leading checkbox, thumbnail or type badge of a page modal row
+   */
+  function renderAnnotationMarker(annotation) {
+    switch (annotation.annotationType) {
+      case 'checkbox':
+        return `<input type="checkbox" class="annotation-checkbox" ${annotation.checked ? 'checked' : ''} data-id="${annotation.id}">`;
+      case 'screenshot':
+        return renderScreenshotThumbnail(annotation);
+      case 'page-note':
+        return '<div class="annotation-type-badge">📄</div>';
+      default:
+        return '<div class="annotation-type-badge">🖍️</div>';
+    }
+  }
+
+  /**
+   * Thumbnail of a saved screenshot; clicking it opens the image in the
+   * screenshot editor (see the listener in init)
+   */
+  function renderScreenshotThumbnail(annotation) {
+    return `
+      <button class="screenshot-thumbnail" data-screenshot-id="${annotation.id}" title="Open in screenshot editor">
+        <img src="${escapeHtml(annotation.thumbnail || '')}" alt="Screenshot">
+      </button>
+    `;
+  }
+
   /**
    * Escape for HTML attribute
    */
@@ -520,22 +598,25 @@
   /**
    * Show annotation detail modal
    */
-  function showAnnotationDetail(annotation) {
+  function showAnnotationDetail(annotation, { showHistory = false } = {}) {
     const detailModal = document.createElement('div');
     detailModal.className = 'modal-overlay detail-modal-overlay';
 
     const isPageNote = annotation.annotationType === 'page-note';
     const isCheckbox = annotation.annotationType === 'checkbox';
-    const typeLabel = isPageNote ? 'Page Note' : (isCheckbox ? 'Checkbox' : 'Highlight');
+    const isScreenshot = annotation.annotationType === 'screenshot';
+    const typeLabel = isPageNote ? 'Page Note' : (isScreenshot ? 'Screenshot' : (isCheckbox ? 'Checkbox' : 'Highlight'));
     const colorName = getAnnotationColorName(annotation);
-    const colorLabel = colorName !== 'Default' ? ` (${colorName})` : '';
-    const modalTypeClass = isPageNote ? 'page-note-modal' : (isCheckbox ? 'checkbox-modal' : 'highlight-modal');
+    const colorLabel = !isScreenshot && colorName !== 'Default' ? ` (${colorName})` : '';
+    let modalTypeClass = isCheckbox ? 'checkbox-modal' : 'highlight-modal';
+    if (isPageNote) modalTypeClass = 'page-note-modal';
+    else if (isScreenshot) modalTypeClass = 'screenshot-modal';
 
     // Build color swatches from cached colors
     const currentColor = getAnnotationColor(annotation);
     const hasNoColor = currentColor === 'transparent' || !annotation.colorId;
     const colorSwatches = cachedColors.map(c => {
-      const colorValue = hexToRgba(c.color, 0.5);
+      const colorValue = window.AnnotateProColorStyles.getColorPaint(c, settings.highlightOpacity);
       const isActive = c.id === annotation.colorId || colorValue === currentColor;
       return `
         <button class="detail-color-swatch ${isActive ? 'active' : ''}"
@@ -553,7 +634,16 @@
           <button class="modal-close">&times;</button>
         </div>
         <div class="modal-body">
-          ${!isPageNote ? `
+          ${isScreenshot ? `
+          <div class="detail-section">
+            <div class="detail-section-header">
+              <h3>IMAGE</h3>
+              ${annotation.imageWidth ? `<span class="detail-image-size">${annotation.imageWidth} &times; ${annotation.imageHeight}</span>` : ''}
+            </div>
+            ${renderScreenshotThumbnail(annotation)}
+          </div>
+          ` : ''}
+          ${!isPageNote && !isScreenshot ? `
           <div class="detail-section">
             <div class="detail-section-header">
               <h3>FULL TEXT</h3>
@@ -570,7 +660,7 @@
             <p>${annotation.checked ? '✅ Checked' : '⬜ Unchecked'}</p>
           </div>
           ` : ''}
-          ${!isPageNote ? `
+          ${!isPageNote && !isScreenshot ? `
           <div class="detail-section">
             <div class="detail-section-header">
               <h3>COLOR</h3>
@@ -609,6 +699,13 @@
               <p>${new Date(annotation.updatedAt).toLocaleString()}</p>
             </div>
           </div>
+          <div class="detail-section detail-history">
+            <div class="detail-section-header">
+              <h3>HISTORY</h3>
+              <button class="detail-history-toggle">${showHistory ? 'Hide' : 'Show'}</button>
+            </div>
+            <div class="detail-history-list" style="${showHistory ? '' : 'display: none;'}"></div>
+          </div>
         </div>
       </div>
     `;
@@ -683,7 +780,7 @@
           annotation.color = newColorId ? null : newColor;
 
           // Get display color for UI update
-          const displayColor = newColorId ? hexToRgba(getColorById(newColorId)?.color || '#FFEB3B', 0.5) : newColor;
+          const displayColor = getAnnotationColor(annotation);
 
           // Update color in annotation list
           const listItem = document.querySelector(`.annotation-item[data-id="${annotation.id}"]`);
@@ -700,6 +797,7 @@
                 browser.tabs.sendMessage(tab.id, {
                   type: 'COMMAND_UPDATE_COLOR',
                   annotationId: annotation.id,
+                  colorId: annotation.colorId,
                   color: displayColor
                 }).catch(() => {});
               }
@@ -799,21 +897,211 @@
       if (e.target === detailModal) closeDetailModal();
     });
 
+    // Revision history panel
+    const historyToggle = detailModal.querySelector('.detail-history-toggle');
+    const historyList = detailModal.querySelector('.detail-history-list');
+    const onRestored = () => detailModal.remove();
+    historyToggle.addEventListener('click', () => {
+      const visible = historyList.style.display !== 'none';
+      historyList.style.display = visible ? 'none' : '';
+      historyToggle.textContent = visible ? 'Show' : 'Hide';
+      if (!visible) {
+        renderRevisionHistory(historyList, annotation, onRestored);
+      }
+    });
+    if (showHistory) {
+      renderRevisionHistory(historyList, annotation, onRestored);
+    }
+
     document.body.appendChild(detailModal);
   }
 
+  // ============ Revision History ============
+
+  const REVISION_SOURCE_LABELS = {
+    popup: 'Popup',
+    sidebar: 'Sidebar',
+    dashboard: 'Dashboard',
+    content: 'Page',
+    unknown: 'Unknown'
+  };
+
+  /**
+   * Line diff of two texts (longest common subsequence).
+   * Returns [{ type: 'same' | 'added' | 'removed', text }]
+   */
+  function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        result.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'removed', text: a[i++] });
+      } else {
+        result.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+    return result;
+  }
+
+  function renderNoteDiff(oldText, newText) {
+    const markers = { same: ' ', added: '+', removed: '-' };
+    return diffLines(oldText, newText).map(line => `
+      <div class="diff-line diff-${line.type}"><span class="diff-marker">${markers[line.type]}</span>${escapeHtml(line.text) || '&nbsp;'}</div>
+    `).join('');
+  }
+
+  /**
+   * One-line summaries of a revision's non-note changes
+   */
+  function describeRevisionChanges(changes) {
+    const colorName = (colorId, color) => {
+      if (colorId) return getColorById(colorId)?.name || 'Deleted color';
+      return color === 'transparent' ? 'No color' : 'Default';
+    };
+    const formatDate = (time, withTime) => {
+      if (!time) return 'none';
+      return withTime ? new Date(time).toLocaleString() : new Date(time).toLocaleDateString();
+    };
+    const summaries = [];
+
+    if (changes.colorId || changes.color) {
+      const from = colorName(changes.colorId?.from, changes.color?.from);
+      const to = colorName(changes.colorId?.to, changes.color?.to);
+      summaries.push(`Color: ${from} → ${to}`);
+    }
+    if (changes.checked) {
+      summaries.push(changes.checked.to ? 'Checked' : 'Unchecked');
+    }
+    if (changes.tags) {
+      const format = (tags) => (tags || []).map(t => `#${t}`).join(' ') || 'none';
+      summaries.push(`Tags: ${format(changes.tags.from)} → ${format(changes.tags.to)}`);
+    }
+    if (changes.dueAt) {
+      summaries.push(`Due: ${formatDate(changes.dueAt.from)} → ${formatDate(changes.dueAt.to)}`);
+    }
+    if (changes.remindAt) {
+      summaries.push(`Reminder: ${formatDate(changes.remindAt.from, true)} → ${formatDate(changes.remindAt.to, true)}`);
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Render an annotation's revisions, each with the version it produced and a restore button.
+   * onRestored is called before the detail modal is reopened with the restored annotation.
+   */
+  async function renderRevisionHistory(listEl, annotation, onRestored) {
+    listEl.innerHTML = '<div class="detail-history-empty">Loading...</div>';
+
+    let revisions;
+    try {
+      revisions = await sendMessage('GET_ANNOTATION_REVISIONS', { annotationId: annotation.id });
+    } catch (error) {
+      console.error('Failed to load revision history:', error);
+      listEl.innerHTML = '<div class="detail-history-empty">Failed to load history.</div>';
+      return;
+    }
+
+    if (revisions.length === 0) {
+      listEl.innerHTML = '<div class="detail-history-empty">No edits recorded yet.</div>';
+      return;
+    }
+
+    // The version before the oldest recorded edit
+    const oldest = revisions[revisions.length - 1];
+    const original = { ...oldest.snapshot };
+    for (const [field, change] of Object.entries(oldest.changes)) {
+      original[field] = change.from;
+    }
+
+    const versions = revisions.map((revision, index) => ({ revision, snapshot: revision.snapshot, isCurrent: index === 0 }));
+    versions.push({ revision: null, snapshot: original, isCurrent: false });
+
+    listEl.innerHTML = '';
+    for (const { revision, snapshot, isCurrent } of versions) {
+      const item = document.createElement('div');
+      item.className = 'revision-item';
+
+      const summaries = revision ? describeRevisionChanges(revision.changes) : [];
+      const noteChange = revision?.changes.note;
+      const restoredLabel = revision?.restoredFrom ? ' &middot; restored' : '';
+
+      item.innerHTML = `
+        <div class="revision-header">
+          <span class="revision-time">${revision ? escapeHtml(new Date(revision.timestamp).toLocaleString()) : 'Original'}</span>
+          <span class="revision-source">${revision ? escapeHtml(REVISION_SOURCE_LABELS[revision.source] || revision.source) + restoredLabel : `Created ${escapeHtml(new Date(annotation.createdAt).toLocaleDateString())}`}</span>
+          ${isCurrent ? '<span class="revision-current">Current</span>' : '<button class="revision-restore">Restore</button>'}
+        </div>
+        ${summaries.map(text => `<div class="revision-summary">${escapeHtml(text)}</div>`).join('')}
+        ${noteChange ? `<div class="revision-diff">${renderNoteDiff(noteChange.from, noteChange.to)}</div>` : ''}
+        ${!revision && snapshot.note ? `<div class="revision-diff">${renderNoteDiff(snapshot.note, snapshot.note)}</div>` : ''}
+      `;
+
+      item.querySelector('.revision-restore')?.addEventListener('click', async () => {
+        // Only send fields that differ from the current annotation
+        const patch = {};
+        for (const [field, value] of Object.entries(snapshot)) {
+          if (JSON.stringify(annotation[field] ?? null) !== JSON.stringify(value)) {
+            patch[field] = value;
+          }
+        }
+        if (Object.keys(patch).length === 0) {
+          alert('This version matches the current annotation.');
+          return;
+        }
+        if (!confirm('Restore this version? The current version stays in the history.')) return;
+
+        try {
+          const updated = await sendMessage('UPDATE_ANNOTATION', {
+            id: annotation.id,
+            patch,
+            restoredFrom: revision ? revision.id : 'original'
+          });
+          onRestored();
+          showAnnotationDetail(updated, { showHistory: true });
+        } catch (error) {
+          console.error('Failed to restore revision:', error);
+          alert('Failed to restore this version. Please try again.');
+        }
+      });
+
+      listEl.appendChild(item);
+    }
+  }
+
   /**
    * Filter and sort pages
    */
   function getFilteredPages() {
     let filtered = allPages;
 
-    // Filter by search query
+    // Filter by search query (free text and site: apply to pages)
     if (searchQuery) {
-      const query = searchQuery.toLowerCase();
+      const { text, options } = window.AnnotateProQuery.parseQuery(searchQuery, { colors: cachedColors });
+      const query = text.toLowerCase();
       filtered = filtered.filter(page =>
-        page.title.toLowerCase().includes(query) ||
-        page.pageUrl.toLowerCase().includes(query)
+        (!query ||
+          page.title.toLowerCase().includes(query) ||
+          page.pageUrl.toLowerCase().includes(query)) &&
+        (!options.sites || options.sites.some(site => window.AnnotateProQuery.matchesSite(page.pageUrl, site)))
       );
     }
 
@@ -865,17 +1153,61 @@
   }
 
   /**
-   * Perform annotation search
+   * Parse a query with the query language and merge in the filter chips
    */
-  async function performSearch() {
-    const filtersBar = document.getElementById('filters-bar');
-    const options = buildFilterOptions();
+  function buildSearchRequest(query, filters) {
+    const parsed = window.AnnotateProQuery.parseQuery(query, { colors: cachedColors });
+    const options = buildFilterOptions(filters);
+
+    for (const [key, value] of Object.entries(parsed.options)) {
+      options[key] = Array.isArray(value) ? [...(options[key] || []), ...value] : value;
+    }
+
+    return {
+      text: parsed.text,
+      options,
+      errors: parsed.errors,
+      highlight: [parsed.text, ...(parsed.options.phrases || [])].join(' ')
+    };
+  }
+
+  /**
+   * Show query syntax errors under the search box
+   */
+  function renderQueryErrors(errors) {
+    const errorsEl = document.getElementById('search-query-errors');
+    searchInputEl.classList.toggle('has-errors', errors.length > 0);
+    errorsEl.style.display = errors.length > 0 ? '' : 'none';
+    errorsEl.innerHTML = errors.map(error => `
+      <div class="search-query-error">
+        <code>${escapeHtml(searchQuery.slice(error.start, error.end))}</code>
+        ${escapeHtml(error.message)}
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Perform annotation search. Pass { append: true } to load the next page of results.
+   */
+  async function performSearch({ append = false } = {}) {
+    const { text, options, errors, highlight } = buildSearchRequest(searchQuery, activeFilters);
+    const requestId = ++searchRequestId;
+
+    renderQueryErrors(errors);
+    updateSavedSearchStates();
 
     try {
-      searchResults = await sendMessage('SEARCH_ANNOTATIONS', {
-        query: searchQuery,
-        options
+      const response = await sendMessage('SEARCH_ANNOTATIONS', {
+        query: text,
+        options,
+        offset: append ? searchResults.length : 0,
+        limit: SEARCH_PAGE_SIZE
       });
+      if (requestId !== searchRequestId) return;
+
+      searchResults = append ? [...searchResults, ...response.results] : response.results;
+      searchTotal = response.total;
+      searchHighlight = highlight;
       renderSearchResults();
     } catch (error) {
       console.error('Search failed:', error);
@@ -883,21 +1215,25 @@
   }
 
   /**
-   * Build filter options object from activeFilters
+   * Build filter options object from activeFilters (or a saved view's filters)
    */
-  function buildFilterOptions() {
+  function buildFilterOptions(filters = activeFilters) {
     const options = {};
 
-    if (activeFilters.types.length > 0) {
-      options.types = activeFilters.types;
+    if (filters.types.length > 0) {
+      options.types = filters.types;
+    }
+
+    if (filters.colorIds.length > 0) {
+      options.colorIds = filters.colorIds;
     }
 
-    if (activeFilters.colorIds.length > 0) {
-      options.colorIds = activeFilters.colorIds;
+    if (filters.tags.length > 0) {
+      options.tags = filters.tags;
     }
 
-    if (activeFilters.dateRange) {
-      options.dateRange = activeFilters.dateRange;
+    if (filters.dateRange) {
+      options.dateRange = filters.dateRange;
     }
 
     return options;
@@ -909,9 +1245,13 @@
   function highlightMatch(text, query) {
     if (!query || !text) return escapeHtml(text || '');
 
+    // Search matches words and word prefixes, so highlight each query word
+    const words = escapeHtml(query).split(/\s+/).filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return escapeHtml(text);
+
     const escapedText = escapeHtml(text);
-    const escapedQuery = escapeHtml(query);
-    const regex = new RegExp(`(${escapedQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    const regex = new RegExp(`(${words.join('|')})`, 'gi');
     return escapedText.replace(regex, '<mark>$1</mark>');
   }
 
@@ -932,6 +1272,12 @@
       searchInputEl.placeholder = 'Search everything...';
     } else if (view === 'pages') {
       searchInputEl.placeholder = 'Search pages...';
+    } else if (view === 'collections') {
+      searchInputEl.placeholder = 'Search collections...';
+    } else if (view === 'tasks') {
+      searchInputEl.placeholder = 'Search tasks...';
+    } else if (view === 'trash') {
+      searchInputEl.placeholder = 'Search trash...';
     } else {
       searchInputEl.placeholder = 'Search annotations...';
     }
@@ -947,12 +1293,38 @@
     const filtersBar = document.getElementById('filters-bar');
     const searchResultsEl = document.getElementById('search-results');
     const pageListEl = document.getElementById('page-list');
+    const collectionsEl = document.getElementById('collections-view');
+    const tasksEl = document.getElementById('tasks-view');
+    const trashEl = document.getElementById('trash-view');
 
-    if (activeView === 'pages') {
+    collectionsEl.style.display = activeView === 'collections' ? '' : 'none';
+    tasksEl.style.display = activeView === 'tasks' ? '' : 'none';
+    trashEl.style.display = activeView === 'trash' ? '' : 'none';
+
+    if (activeView === 'trash') {
+      pageListEl.style.display = 'none';
+      searchResultsEl.style.display = 'none';
+      filtersBar.style.display = 'none';
+      renderQueryErrors([]);
+      renderTrash();
+    } else if (activeView === 'tasks') {
+      pageListEl.style.display = 'none';
+      searchResultsEl.style.display = 'none';
+      filtersBar.style.display = 'none';
+      renderQueryErrors([]);
+      renderTasks();
+    } else if (activeView === 'collections') {
+      pageListEl.style.display = 'none';
+      searchResultsEl.style.display = 'none';
+      filtersBar.style.display = 'none';
+      renderQueryErrors([]);
+      renderCollections();
+    } else if (activeView === 'pages') {
       // Pages only view
       pageListEl.style.display = '';
       searchResultsEl.style.display = 'none';
       filtersBar.style.display = 'none';
+      renderQueryErrors([]);
       renderPages();
     } else if (activeView === 'annotations') {
       // Annotations only view
@@ -979,9 +1351,9 @@
     // Update result count with context
     const resultCount = document.getElementById('search-result-count');
     if (activeView === 'all') {
-      resultCount.textContent = `${searchResults.length} annotation${searchResults.length !== 1 ? 's' : ''}`;
+      resultCount.textContent = `${searchTotal} annotation${searchTotal !== 1 ? 's' : ''}`;
     } else {
-      resultCount.textContent = `${searchResults.length} annotation${searchResults.length !== 1 ? 's' : ''} found`;
+      resultCount.textContent = `${searchTotal} annotation${searchTotal !== 1 ? 's' : ''} found`;
     }
 
     // Clear existing results
@@ -1003,6 +1375,19 @@
       const card = createAnnotationCard(annotation);
       resultsContainer.appendChild(card);
     }
+
+    if (searchResults.length < searchTotal) {
+      const loadMore = document.createElement('div');
+      loadMore.className = 'search-load-more';
+      loadMore.innerHTML = `
+        <button class="toolbar-btn">Load more (${searchTotal - searchResults.length} remaining)</button>
+      `;
+      loadMore.querySelector('button').addEventListener('click', (e) => {
+        e.target.disabled = true;
+        performSearch({ append: true });
+      });
+      resultsContainer.appendChild(loadMore);
+    }
   }
 
   /**
@@ -1011,6 +1396,7 @@
   function hasActiveFilters() {
     return activeFilters.types.length > 0 ||
            activeFilters.colorIds.length > 0 ||
+           activeFilters.tags.length > 0 ||
            activeFilters.dateRange !== null;
   }
 
@@ -1025,23 +1411,30 @@
     const isPageNote = annotation.annotationType === 'page-note';
     const isCheckbox = annotation.annotationType === 'checkbox';
     const isClipboard = annotation.annotationType === 'clipboard';
+    const isScreenshot = annotation.annotationType === 'screenshot';
     const text = isPageNote ? 'Page Note' : (annotation.textSnapshot || '(no text)');
     const colorName = getAnnotationColorName(annotation);
-    const colorLabel = !isClipboard && colorName !== 'Default' ? ` (${colorName})` : '';
+    const colorLabel = !isClipboard && !isScreenshot && colorName !== 'Default' ? ` (${colorName})` : '';
 
     // Determine type label
     let typeLabel = 'Highlight';
     if (isPageNote) typeLabel = 'Page Note';
     else if (isCheckbox) typeLabel = 'Checkbox';
     else if (isClipboard) typeLabel = 'Clipboard';
+    else if (isScreenshot) typeLabel = 'Screenshot';
 
     // Determine text to display - highlight if searching
     const displayText = searchQuery
-      ? highlightMatch(truncate(text, 150), searchQuery)
+      ? highlightMatch(truncate(text, 150), searchHighlight)
       : escapeHtml(truncate(text, 150));
 
     const noteText = annotation.note && annotation.note.trim()
-      ? (searchQuery ? highlightMatch(truncate(annotation.note, 100), searchQuery) : escapeHtml(truncate(annotation.note, 100)))
+      ? (searchQuery ? highlightMatch(truncate(annotation.note, 100), searchHighlight) : escapeHtml(truncate(annotation.note, 100)))
+      : '';
+
+    // Set by the content script when page text changed and the highlight was fuzzy-matched
+    const reanchoredLabel = annotation.anchorConfidence !== undefined && annotation.anchorConfidence < 1
+      ? `<span class="annotation-card-reanchored" title="Page text changed since this was saved">Re-anchored with changes &middot; ${Math.round(annotation.anchorConfidence * 100)}%</span>`
       : '';
 
     card.innerHTML = `
@@ -1049,13 +1442,15 @@
         <span class="annotation-card-type ${annotation.annotationType}">
           ${typeLabel}${colorLabel}
         </span>
+        ${reanchoredLabel}
         <span class="annotation-card-time">${formatRelativeTime(annotation.updatedAt)}</span>
       </div>
       <div class="annotation-card-content">
         ${isCheckbox ? `<input type="checkbox" class="annotation-card-checkbox" ${annotation.checked ? 'checked' : ''}>` : ''}
         <div class="annotation-card-text">
-          <p class="annotation-card-main-text">${displayText}</p>
+          ${isScreenshot ? renderScreenshotThumbnail(annotation) : `<p class="annotation-card-main-text">${displayText}</p>`}
           ${noteText ? `<p class="annotation-card-note">Note: ${noteText}</p>` : ''}
+          ${annotation.tags?.length ? `<div class="annotation-card-tags">${annotation.tags.map(tag => `<span class="annotation-card-tag">#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
         </div>
       </div>
       <div class="annotation-card-footer">
@@ -1114,7 +1509,12 @@
       } else {
         await sendMessage('DELETE_ANNOTATION', { id: annotation.id });
       }
-      performSearch(); // Refresh results
+      // Refresh results
+      if (activeView === 'collections') {
+        renderCollections();
+      } else {
+        performSearch();
+      }
     });
 
     // Click card to view detail (skip for clipboard items)
@@ -1138,141 +1538,1231 @@
     return card;
   }
 
+  // ============ Collections ============
+
   /**
-   * Toggle filter chip
+   * Load collections with member counts
    */
-  function toggleFilter(category, value) {
-    if (category === 'dateRange') {
-      // Date is single-select
-      activeFilters.dateRange = activeFilters.dateRange === value ? null : value;
-    } else {
-      // Types and intents are multi-select
-      const index = activeFilters[category].indexOf(value);
-      if (index === -1) {
-        activeFilters[category].push(value);
-      } else {
-        activeFilters[category].splice(index, 1);
-      }
+  async function loadGroups() {
+    try {
+      cachedGroups = await sendMessage('GET_GROUPS_SUMMARY');
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+      cachedGroups = [];
     }
-
-    updateFilterChipStates();
-    performSearch();
   }
 
   /**
-   * Update filter chip active states
+   * Render the collections view: the list, or the open collection
    */
-  function updateFilterChipStates() {
-    // Type filters
-    document.querySelectorAll('.filter-chip[data-type]').forEach(chip => {
-      chip.classList.toggle('active', activeFilters.types.includes(chip.dataset.type));
-    });
+  async function renderCollections() {
+    if (activeCollectionId) {
+      await renderCollectionDetail(activeCollectionId);
+      return;
+    }
 
-    // Color filters
-    document.querySelectorAll('.filter-chip[data-color-id]').forEach(chip => {
-      chip.classList.toggle('active', activeFilters.colorIds.includes(chip.dataset.colorId));
-    });
+    await loadGroups();
+    const collectionsEl = document.getElementById('collections-view');
+    const query = searchQuery.toLowerCase();
+    const filtered = query
+      ? cachedGroups.filter(g => g.name.toLowerCase().includes(query))
+      : cachedGroups;
+
+    collectionsEl.innerHTML = `
+      <div class="collections-header">
+        <span class="collections-count">${filtered.length} collection${filtered.length !== 1 ? 's' : ''}</span>
+        <button class="toolbar-btn" id="btn-new-collection">+ New Collection</button>
+      </div>
+      <div class="collections-list"></div>
+    `;
 
-    // Date filters
-    document.querySelectorAll('.filter-chip[data-date]').forEach(chip => {
-      chip.classList.toggle('active', activeFilters.dateRange === chip.dataset.date);
-    });
+    const listEl = collectionsEl.querySelector('.collections-list');
+    if (filtered.length === 0) {
+      listEl.innerHTML = `
+        <div class="search-empty-state">
+          <p>${query ? `No collections match "${escapeHtml(searchQuery)}".` : 'No collections yet.'}</p>
+          ${query ? '' : '<p>Create one here, or use "Add to Collection" in the page right-click menu or the sidebar.</p>'}
+        </div>
+      `;
+    } else {
+      filtered.forEach(group => listEl.appendChild(createCollectionCard(group)));
+    }
 
-    // Clear filters button visibility
-    const clearBtn = document.getElementById('clear-filters');
-    clearBtn.style.display = hasActiveFilters() ? '' : 'none';
+    collectionsEl.querySelector('#btn-new-collection').addEventListener('click', createCollection);
   }
 
   /**
-   * Clear all filters
+   * Create collection card for the collections list
    */
-  function clearFilters() {
-    activeFilters = { types: [], colorIds: [], dateRange: null };
-    updateFilterChipStates();
-    performSearch();
+  function createCollectionCard(group) {
+    const card = document.createElement('div');
+    card.className = 'collection-card';
+    card.dataset.id = group.id;
+
+    card.innerHTML = `
+      <div class="collection-card-header">
+        <span class="collection-card-icon">📁</span>
+        <h3 class="collection-card-name">${escapeHtml(group.name)}</h3>
+        <span class="page-time">${formatRelativeTime(group.updatedAt || group.createdAt)}</span>
+      </div>
+      <p class="collection-card-stats">
+        ${group.annotationCount} annotation${group.annotationCount !== 1 ? 's' : ''} &middot;
+        ${group.pageCount} page${group.pageCount !== 1 ? 's' : ''}
+      </p>
+    `;
+
+    card.addEventListener('click', () => {
+      activeCollectionId = group.id;
+      renderCollections();
+    });
+
+    return card;
   }
 
   /**
-   * Load pages from storage
+   * Prompt for a name and create a collection
    */
-  async function loadPages() {
+  async function createCollection() {
+    const name = prompt('New collection name:');
+    if (!name || !name.trim()) return;
+
     try {
-      allPages = await sendMessage('GET_PAGES_SUMMARY');
-      renderPages();
+      const group = await sendMessage('ADD_GROUP', { name: name.trim() });
+      activeCollectionId = group.id;
+      renderCollections();
     } catch (error) {
-      console.error('Failed to load pages:', error);
+      console.error('Failed to create collection:', error);
+      alert(`Failed to create collection. A collection named "${name.trim()}" may already exist.`);
     }
   }
 
   /**
-   * Format bytes to human readable string
+   * Render one collection: its pages and the annotations added to it
    */
-  function formatBytes(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
-  }
+  async function renderCollectionDetail(groupId) {
+    const collectionsEl = document.getElementById('collections-view');
 
-  /**
-   * Update storage usage display
-   */
-  async function updateStorageInfo() {
-    const storageEl = document.getElementById('storage-used');
+    let contents;
     try {
-      if (navigator.storage && navigator.storage.estimate) {
-        const estimate = await navigator.storage.estimate();
-        const used = estimate.usage || 0;
-        const quota = estimate.quota || 0;
-        const percent = quota > 0 ? ((used / quota) * 100).toFixed(1) : 0;
-
-        storageEl.textContent = formatBytes(used);
-        storageEl.title = `${formatBytes(used)} of ${formatBytes(quota)} (${percent}%)`;
-      } else {
-        storageEl.textContent = 'N/A';
-      }
+      contents = await sendMessage('GET_GROUP_CONTENTS', { id: groupId });
     } catch (error) {
-      console.error('Failed to get storage estimate:', error);
-      storageEl.textContent = 'N/A';
+      // Deleted elsewhere - fall back to the list
+      console.error('Failed to load collection:', error);
+      activeCollectionId = null;
+      renderCollections();
+      return;
     }
-  }
 
-  /**
-   * Export all annotations to JSON file
-   */
-  async function exportAnnotations() {
-    try {
-      const annotations = await sendMessage('GET_ALL_ANNOTATIONS');
+    const { group, annotations } = contents;
+    const pages = group.pages || [];
+    const members = annotations.filter(a => (a.groupIds || []).includes(group.id));
+
+    collectionsEl.innerHTML = `
+      <div class="collection-detail-header">
+        <button class="collection-back-btn" title="All collections">&larr; Collections</button>
+        <h2 class="collection-detail-name">📁 ${escapeHtml(group.name)}</h2>
+        <div class="toolbar-btn-group">
+          <button class="toolbar-btn" data-action="export-md" title="Export this collection as Markdown">Export MD</button>
+          <button class="toolbar-btn" data-action="export-json" title="Export this collection as JSON">Export JSON</button>
+          <button class="toolbar-btn" data-action="rename">Rename</button>
+          <button class="toolbar-btn toolbar-btn-danger" data-action="delete">Delete</button>
+        </div>
+      </div>
+      ${pages.length > 0 ? `
+        <h3 class="collection-section-title">Pages (${pages.length})</h3>
+        <div class="page-list collection-pages"></div>
+      ` : ''}
+      ${members.length > 0 ? `
+        <h3 class="collection-section-title">Annotations (${members.length})</h3>
+        <div class="search-results-list collection-annotations"></div>
+      ` : ''}
+      ${pages.length === 0 && members.length === 0 ? `
+        <div class="search-empty-state">
+          <p>This collection is empty.</p>
+          <p>Use "Add to Collection" in the page right-click menu or the sidebar to add annotations and pages.</p>
+        </div>
+      ` : ''}
+    `;
 
-      if (annotations.length === 0) {
-        alert('No annotations to export.');
+    // Whole pages - reuse page cards with a remove button
+    const pagesEl = collectionsEl.querySelector('.collection-pages');
+    for (const page of pages) {
+      const summary = allPages.find(p => p.pageUrl === page.pageUrl) || {
+        pageUrl: page.pageUrl,
+        title: page.pageTitle || page.pageUrl,
+        highlightCount: 0,
+        checkboxCount: 0,
+        pageNoteCount: 0,
+        lastUpdated: page.addedAt
+      };
+      const card = createPageCard(summary);
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'action-btn collection-remove-btn';
+      removeBtn.title = 'Remove page from collection';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await sendMessage('REMOVE_FROM_GROUP', { groupId: group.id, pageUrl: page.pageUrl });
+        renderCollections();
+      });
+      card.querySelector('.page-card-actions').appendChild(removeBtn);
+      pagesEl.appendChild(card);
+    }
+
+    // Annotations added individually
+    const annotationsEl = collectionsEl.querySelector('.collection-annotations');
+    for (const annotation of members) {
+      const card = createAnnotationCard(annotation);
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'annotation-card-remove';
+      removeBtn.title = 'Remove from collection';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await sendMessage('REMOVE_FROM_GROUP', { groupId: group.id, annotationId: annotation.id });
+        renderCollections();
+      });
+      card.querySelector('.annotation-card-delete').before(removeBtn);
+      annotationsEl.appendChild(card);
+    }
+
+    collectionsEl.querySelector('.collection-back-btn').addEventListener('click', () => {
+      activeCollectionId = null;
+      renderCollections();
+    });
+
+    collectionsEl.querySelector('.collection-detail-header').addEventListener('click', async (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (!action) return;
+
+      if (action === 'export-md' || action === 'export-json') {
+        exportCollection(group, annotations, action === 'export-md' ? 'md' : 'json');
+      } else if (action === 'rename') {
+        const name = prompt('Rename collection:', group.name);
+        if (!name || !name.trim() || name.trim() === group.name) return;
+        try {
+          await sendMessage('UPDATE_GROUP', { id: group.id, patch: { name: name.trim() } });
+          renderCollections();
+        } catch (error) {
+          console.error('Failed to rename collection:', error);
+          alert(`Failed to rename collection. A collection named "${name.trim()}" may already exist.`);
+        }
+      } else if (action === 'delete') {
+        if (!confirm(`Delete collection "${group.name}"?\n\nThe annotations and pages in it are not deleted.`)) return;
+        await sendMessage('DELETE_GROUP', { id: group.id });
+        activeCollectionId = null;
+        renderCollections();
+      }
+    });
+  }
+
+  /**
+   * Export a collection's annotations (direct members and whole pages) as Markdown or JSON
+   */
+  async function exportCollection(group, annotations, format) {
+    if (annotations.length === 0) {
+      alert('This collection has no annotations to export.');
+      return;
+    }
+
+    const slug = group.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+      if (format === 'md') {
+        downloadFile(buildMarkdownExport(annotations, group.name), 'text/markdown', `annotatepro-${slug}-${date}.md`);
+      } else {
+        const exportData = await buildJsonExport(annotations, {
+          collection: { id: group.id, name: group.name, pages: group.pages || [] }
+        });
+        downloadFile(JSON.stringify(exportData, null, 2), 'application/json', `annotatepro-${slug}-${date}.json`);
+      }
+    } catch (error) {
+      console.error('Failed to export collection:', error);
+      alert('Failed to export collection. Please try again.');
+    }
+  }
+
+  // ============ Trash ============
+
+  /**
+   * Render the trash view: deleted annotations with restore and permanent delete
+   */
+  async function renderTrash() {
+    const trashEl = document.getElementById('trash-view');
+
+    let trashed = [];
+    let retentionDays = 0;
+    try {
+      ({ annotations: trashed, retentionDays } = await sendMessage('GET_TRASH', {}));
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    }
+
+    const query = searchQuery.toLowerCase();
+    const filtered = query
+      ? trashed.filter(a => [a.textSnapshot, a.note, a.pageTitle, a.pageUrl]
+        .some(field => field && field.toLowerCase().includes(query)))
+      : trashed;
+    filtered.sort((a, b) => b.deletedAt - a.deletedAt);
+
+    trashEl.innerHTML = `
+      <div class="trash-header">
+        <span class="trash-count">${filtered.length} deleted annotation${filtered.length !== 1 ? 's' : ''}</span>
+        <select class="tasks-group-select" id="trash-retention" title="Deleted annotations are removed for good after this long">
+          ${window.AnnotateProSettings.SETTINGS_SCHEMA.trashRetentionDays.options.map(o => `
+            <option value="${o.value}" ${o.value === retentionDays ? 'selected' : ''}>${o.label}</option>
+          `).join('')}
+        </select>
+        <button class="toolbar-btn" id="btn-restore-all" ${filtered.length === 0 ? 'disabled' : ''}>Restore All</button>
+        <button class="toolbar-btn toolbar-btn-danger" id="btn-empty-trash" ${trashed.length === 0 ? 'disabled' : ''}>Empty Trash</button>
+      </div>
+      <div class="trash-list"></div>
+    `;
+
+    const listEl = trashEl.querySelector('.trash-list');
+    if (filtered.length === 0) {
+      listEl.innerHTML = `
+        <div class="search-empty-state">
+          <p>${query ? `No deleted annotations match "${escapeHtml(searchQuery)}".` : 'The trash is empty.'}</p>
+        </div>
+      `;
+    } else {
+      filtered.forEach(a => listEl.appendChild(createTrashItem(a, retentionDays)));
+    }
+
+    trashEl.querySelector('#trash-retention').addEventListener('change', async (e) => {
+      const days = Number(e.target.value);
+      const purgeCount = days
+        ? trashed.filter(a => a.deletedAt <= Date.now() - days * 86400000).length
+        : 0;
+      if (purgeCount > 0 && !confirm(`${purgeCount} annotation${purgeCount !== 1 ? 's have' : ' has'} been in the trash longer than that and will be deleted permanently. Continue?`)) {
+        e.target.value = retentionDays;
         return;
       }
+      try {
+        // The background purges and sends TRASH_UPDATED when the setting changes
+        await window.AnnotateProSettings.updateSettings({ trashRetentionDays: days });
+      } catch (error) {
+        console.error('Failed to update trash retention:', error);
+      }
+    });
 
-      const exportData = {
-        version: 1,
-        exportedAt: new Date().toISOString(),
-        annotationCount: annotations.length,
-        annotations: annotations
-      };
+    trashEl.querySelector('#btn-restore-all').addEventListener('click', () => {
+      restoreFromTrash(filtered.map(a => a.id));
+    });
 
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
+    trashEl.querySelector('#btn-empty-trash').addEventListener('click', async () => {
+      if (!confirm(`Permanently delete ${trashed.length} annotation${trashed.length !== 1 ? 's' : ''} in the trash? This cannot be undone.`)) {
+        return;
+      }
+      try {
+        await sendMessage('EMPTY_TRASH', {});
+      } catch (error) {
+        console.error('Failed to empty trash:', error);
+        alert('Failed to empty trash. Please try again.');
+      }
+    });
+  }
 
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `annotatepro-backup-${new Date().toISOString().slice(0, 10)}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+  /**
+   * Create a trash list row
+   */
+  function createTrashItem(annotation, retentionDays) {
+    const item = document.createElement('div');
+    item.className = 'trash-item';
+    item.dataset.id = annotation.id;
+
+    const text = getAnnotationSummary(annotation);
+    let expires = '';
+    if (retentionDays) {
+      const daysLeft = Math.max(0, Math.ceil((annotation.deletedAt + retentionDays * 86400000 - Date.now()) / 86400000));
+      expires = ` &middot; ${daysLeft === 0 ? 'deleted permanently soon' : `deleted permanently in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`}`;
+    }
+
+    item.innerHTML = `
+      <span class="trash-item-color" style="background: ${getAnnotationColor(annotation)}"></span>
+      <div class="trash-item-body">
+        <p class="trash-item-text">${escapeHtml(truncate(text, 120))}</p>
+        ${annotation.note ? `<p class="trash-item-note">${escapeHtml(truncate(annotation.note, 120))}</p>` : ''}
+        <div class="trash-item-meta">
+          <a href="#" class="trash-item-page" title="${escapeHtml(annotation.pageUrl)}">${escapeHtml(annotation.pageTitle || getDomain(annotation.pageUrl))}</a>
+          &middot; Moved to trash ${formatRelativeTime(annotation.deletedAt).toLowerCase()}${expires}
+        </div>
+      </div>
+      <button class="annotation-card-remove trash-restore-btn">Restore</button>
+      <button class="annotation-card-remove trash-purge-btn">Delete Forever</button>
+    `;
+
+    item.querySelector('.trash-item-page').addEventListener('click', (e) => {
+      e.preventDefault();
+      browser.tabs.create({ url: annotation.pageUrl });
+    });
+
+    item.querySelector('.trash-restore-btn').addEventListener('click', () => {
+      restoreFromTrash([annotation.id]);
+    });
+
+    item.querySelector('.trash-purge-btn').addEventListener('click', async () => {
+      if (!confirm('Permanently delete this annotation? This cannot be undone.')) return;
+      try {
+        await sendMessage('PURGE_ANNOTATIONS', { ids: [annotation.id] });
+      } catch (error) {
+        console.error('Failed to delete annotation:', error);
+      }
+    });
+
+    return item;
+  }
+
+  /**
+   * Re-render the trash view shortly after changes (a restore broadcasts once per annotation)
+   */
+  function scheduleTrashRender() {
+    if (activeView !== 'trash') return;
+    clearTimeout(trashRenderTimer);
+    trashRenderTimer = setTimeout(renderTrash, 200);
+  }
+
+  /**
+   * Restore annotations; the background re-renders them in open tabs
+   */
+  async function restoreFromTrash(ids) {
+    if (ids.length === 0) return;
+    try {
+      await sendMessage('RESTORE_ANNOTATIONS', { ids });
+    } catch (error) {
+      console.error('Failed to restore annotations:', error);
+      alert('Failed to restore. Please try again.');
+    }
+  }
+
+  // ============ Tasks ============
+
+  const {
+    getTaskItems,
+    isOverdue,
+    parseNoteTaskLine,
+    formatNoteTaskLine,
+    parseLocalDate,
+    formatLocalDate,
+    formatLocalTime
+  } = window.AnnotateProTasks;
+
+  /**
+   * Collect tasks: checkbox annotations plus [] / [x] lines in any annotation's note
+   */
+  function collectTasks(annotations) {
+    const tasks = [];
+
+    for (const annotation of annotations) {
+      for (const item of getTaskItems(annotation)) {
+        tasks.push({
+          ...item,
+          id: item.lineIndex === null ? annotation.id : `${annotation.id}:${item.lineIndex}`,
+          annotation
+        });
+      }
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Whether an annotation belongs to a collection, directly or through a whole page
+   */
+  function isInCollection(annotation, group) {
+    return (annotation.groupIds || []).includes(group.id) ||
+      (group.pages || []).some(p => p.pageUrl === annotation.pageUrl);
+  }
+
+  /**
+   * Bucket tasks by page, color or collection. Returns [{ key, label, tasks }]
+   * A task in several collections is listed under each of them.
+   */
+  function groupTasks(tasks, groupBy) {
+    const buckets = new Map();
+    const add = (key, label, task) => {
+      if (!buckets.has(key)) buckets.set(key, { key, label, tasks: [] });
+      buckets.get(key).tasks.push(task);
+    };
+
+    for (const task of tasks) {
+      const annotation = task.annotation;
+
+      if (groupBy === 'color') {
+        add(annotation.colorId || 'none', getAnnotationColorName(annotation), task);
+      } else if (groupBy === 'collection') {
+        const groups = cachedGroups.filter(g => isInCollection(annotation, g));
+        if (groups.length === 0) add('none', 'No collection', task);
+        groups.forEach(g => add(g.id, g.name, task));
+      } else {
+        add(annotation.pageUrl, annotation.pageTitle || annotation.pageUrl, task);
+      }
+    }
+
+    // Open tasks first, earliest due first, newest annotations first, note items in line order
+    for (const bucket of buckets.values()) {
+      bucket.tasks.sort((a, b) =>
+        (a.checked - b.checked) ||
+        ((a.dueAt || Infinity) - (b.dueAt || Infinity) || 0) ||
+        ((b.annotation.updatedAt || 0) - (a.annotation.updatedAt || 0)) ||
+        ((a.lineIndex ?? -1) - (b.lineIndex ?? -1))
+      );
+    }
+
+    return Array.from(buckets.values()).sort((a, b) => {
+      if (a.key === 'none') return 1;
+      if (b.key === 'none') return -1;
+      return a.label.localeCompare(b.label);
+    });
+  }
+
+  /**
+   * Render the tasks view: every checkbox and note checklist item across all pages
+   */
+  async function renderTasks() {
+    const tasksEl = document.getElementById('tasks-view');
+    let annotations;
+
+    try {
+      [annotations] = await Promise.all([sendMessage('GET_ALL_ANNOTATIONS'), loadGroups()]);
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+      return;
+    }
+
+    let tasks = collectTasks(annotations);
+    const query = searchQuery.toLowerCase();
+    if (query) {
+      tasks = tasks.filter(t =>
+        t.text.toLowerCase().includes(query) ||
+        (t.annotation.pageTitle || '').toLowerCase().includes(query)
+      );
+    }
+
+    const now = Date.now();
+    const openCount = tasks.filter(t => !t.checked).length;
+    const overdueCount = tasks.filter(t => isOverdue(t, now)).length;
+    const doneCount = tasks.length - openCount;
+    if (taskFilter === 'open') {
+      tasks = tasks.filter(t => !t.checked);
+    } else if (taskFilter === 'overdue') {
+      tasks = tasks.filter(t => isOverdue(t, now));
+    }
+
+    tasksEl.innerHTML = `
+      <div class="tasks-header">
+        <span class="tasks-count">
+          ${openCount} open &middot; ${doneCount} done
+          ${overdueCount > 0 ? `&middot; <span class="tasks-overdue-count">${overdueCount} overdue</span>` : ''}
+        </span>
+        <select class="tasks-group-select" id="tasks-filter">
+          <option value="all" ${taskFilter === 'all' ? 'selected' : ''}>All tasks</option>
+          <option value="open" ${taskFilter === 'open' ? 'selected' : ''}>Open</option>
+          <option value="overdue" ${taskFilter === 'overdue' ? 'selected' : ''}>Overdue</option>
+        </select>
+        <select class="tasks-group-select" id="tasks-group-by">
+          <option value="page" ${taskGroupBy === 'page' ? 'selected' : ''}>Group by page</option>
+          <option value="color" ${taskGroupBy === 'color' ? 'selected' : ''}>Group by color</option>
+          <option value="collection" ${taskGroupBy === 'collection' ? 'selected' : ''}>Group by collection</option>
+        </select>
+      </div>
+      <div class="tasks-list"></div>
+    `;
+
+    tasksEl.querySelector('#tasks-filter').addEventListener('change', (e) => {
+      taskFilter = e.target.value;
+      renderTasks();
+    });
+    tasksEl.querySelector('#tasks-group-by').addEventListener('change', (e) => {
+      taskGroupBy = e.target.value;
+      renderTasks();
+    });
+
+    const listEl = tasksEl.querySelector('.tasks-list');
+    if (tasks.length === 0) {
+      listEl.innerHTML = `
+        <div class="search-empty-state">
+          <p>${query ? `No tasks match "${escapeHtml(searchQuery)}".` : getEmptyTasksMessage(doneCount)}</p>
+          ${query || taskFilter !== 'all' ? '' : '<p>Add checkboxes to pages, or write "[] item" lines in a note.</p>'}
+        </div>
+      `;
+      return;
+    }
+
+    for (const bucket of groupTasks(tasks, taskGroupBy)) {
+      listEl.appendChild(createTaskGroup(bucket));
+    }
+  }
+
+  function getEmptyTasksMessage(doneCount) {
+    if (taskFilter === 'overdue') return 'Nothing overdue.';
+    if (taskFilter === 'open' && doneCount > 0) return 'All tasks are done.';
+    return 'No tasks yet.';
+  }
+
+  /**
+   * Create a task group section with its items
+   */
+  function createTaskGroup(bucket) {
+    const section = document.createElement('section');
+    section.className = 'task-group';
+    const done = bucket.tasks.filter(t => t.checked).length;
+
+    section.innerHTML = `
+      <div class="task-group-header">
+        <h3 class="task-group-title">${escapeHtml(bucket.label)}</h3>
+        <span class="task-group-progress">${done}/${bucket.tasks.length}</span>
+      </div>
+      <ul class="task-items"></ul>
+    `;
+
+    const itemsEl = section.querySelector('.task-items');
+    for (const task of bucket.tasks) {
+      itemsEl.appendChild(createTaskItem(task));
+    }
+
+    return section;
+  }
+
+  /**
+   * Create a task row: toggle in place, open the page from its source link
+   */
+  function createTaskItem(task) {
+    const { annotation } = task;
+    const item = document.createElement('li');
+    item.className = `task-item${task.checked ? ' done' : ''}${isOverdue(task) ? ' overdue' : ''}`;
+
+    item.innerHTML = `
+      <input type="checkbox" class="task-checkbox" ${task.checked ? 'checked' : ''}>
+      <div class="task-body">
+        <span class="task-text">${escapeHtml(truncate(task.text, 200))}</span>
+        <div class="task-meta">
+          <span class="task-color-dot" style="background: ${getAnnotationColor(annotation)}" title="${escapeHtml(getAnnotationColorName(annotation))}"></span>
+          ${task.lineIndex !== null ? '<span class="task-source-badge">note</span>' : ''}
+          ${task.dueAt ? `<span class="task-due-badge" title="Due date">📅 ${escapeHtml(formatDueDate(task.dueAt))}</span>` : ''}
+          ${task.remindAt ? `<span class="task-remind-badge" title="Reminder">⏰ ${escapeHtml(new Date(task.remindAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }))}</span>` : ''}
+          <a href="#" class="task-schedule-link" title="Set due date and reminder">Schedule</a>
+          ${taskGroupBy !== 'page' ? `<a href="#" class="task-page-link">${escapeHtml(truncate(annotation.pageTitle || annotation.pageUrl, 60))}</a>` : ''}
+          <a href="#" class="task-open-link" title="Open page">↗</a>
+        </div>
+        <div class="task-schedule" style="display: none;">
+          <label>Due <input type="date" class="task-due-input" value="${task.dueAt ? formatLocalDate(task.dueAt) : ''}"></label>
+          <label>Remind <input type="datetime-local" class="task-remind-input" value="${task.remindAt ? `${formatLocalDate(task.remindAt)}T${formatLocalTime(task.remindAt)}` : ''}"></label>
+          <button class="task-schedule-save">Save</button>
+          <button class="task-schedule-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    item.querySelector('.task-checkbox').addEventListener('change', (e) => {
+      item.classList.toggle('done', e.target.checked);
+      toggleTask(task, e.target.checked);
+    });
+
+    const scheduleEl = item.querySelector('.task-schedule');
+    item.querySelector('.task-schedule-link').addEventListener('click', (e) => {
+      e.preventDefault();
+      scheduleEl.style.display = scheduleEl.style.display === 'none' ? '' : 'none';
+    });
+    item.querySelector('.task-schedule-cancel').addEventListener('click', () => {
+      scheduleEl.style.display = 'none';
+    });
+    item.querySelector('.task-schedule-save').addEventListener('click', () => {
+      const [remindDate, remindTime] = item.querySelector('.task-remind-input').value.split('T');
+      updateTaskSchedule(task, {
+        dueAt: parseLocalDate(item.querySelector('.task-due-input').value),
+        remindAt: parseLocalDate(remindDate, remindTime)
+      });
+    });
+
+    item.querySelectorAll('.task-page-link, .task-open-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        browser.tabs.create({ url: annotation.pageUrl });
+      });
+    });
+
+    return item;
+  }
+
+  /**
+   * Toggle a task through UPDATE_ANNOTATION; the resulting broadcasts sync open tabs
+   */
+  async function toggleTask(task, checked) {
+    try {
+      if (task.lineIndex === null) {
+        await sendMessage('UPDATE_ANNOTATION', { id: task.annotation.id, patch: { checked } });
+        // Notify other views, as the content script does for its own checkboxes
+        browser.runtime.sendMessage({
+          type: 'BROADCAST_CHECKBOX_UPDATE',
+          annotationId: task.annotation.id,
+          checked
+        }).catch(() => {});
+        return;
+      }
+
+      await updateNoteTaskLine(task, { checked });
+    } catch (error) {
+      console.error('Failed to update task:', error);
+      renderTasks();
+    }
+  }
+
+  /**
+   * Set or clear a task's due date and reminder (null clears)
+   */
+  async function updateTaskSchedule(task, { dueAt, remindAt }) {
+    try {
+      if (task.lineIndex === null) {
+        await sendMessage('UPDATE_ANNOTATION', { id: task.annotation.id, patch: { dueAt, remindAt } });
+      } else {
+        await updateNoteTaskLine(task, { dueAt, remindAt });
+      }
+    } catch (error) {
+      console.error('Failed to update task schedule:', error);
+    }
+    renderTasks();
+  }
+
+  /**
+   * Rewrite one checklist line of a note with the given changes
+   */
+  async function updateNoteTaskLine(task, changes) {
+    // Re-read the note so edits made elsewhere since rendering are not overwritten
+    const annotation = await sendMessage('GET_ANNOTATION', { id: task.annotation.id });
+    const lines = (annotation?.note || '').split('\n');
+    const parsed = parseNoteTaskLine(lines[task.lineIndex] || '');
+    if (!parsed || parsed.text !== task.text) {
+      renderTasks();
+      return;
+    }
+
+    lines[task.lineIndex] = formatNoteTaskLine({ ...parsed, ...changes });
+    await sendMessage('UPDATE_ANNOTATION', { id: annotation.id, patch: { note: lines.join('\n') } });
+  }
+
+  /**
+   * Format a due date relative to today where that reads better
+   */
+  function formatDueDate(dueAt) {
+    const today = parseLocalDate(formatLocalDate(Date.now()));
+    const days = Math.round((dueAt - today) / (24 * 60 * 60 * 1000));
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Tomorrow';
+    if (days === -1) return 'Yesterday';
+    return new Date(dueAt).toLocaleDateString([], { dateStyle: 'medium' });
+  }
+
+  /**
+   * Re-render the tasks view shortly after changes (batches bursts of broadcasts)
+   */
+  function scheduleTasksRender() {
+    if (activeView !== 'tasks') return;
+    clearTimeout(tasksRenderTimer);
+    tasksRenderTimer = setTimeout(renderTasks, 200);
+  }
+
+  // ============ Smart Views (saved searches) ============
+
+  /**
+   * Copy a filters object, filling in missing fields
+   */
+  function normalizeFilters(filters = {}) {
+    return {
+      types: [...(filters.types || [])],
+      colorIds: [...(filters.colorIds || [])],
+      tags: [...(filters.tags || [])],
+      dateRange: filters.dateRange || null
+    };
+  }
+
+  /**
+   * Load saved searches from database
+   */
+  async function loadSavedSearches() {
+    try {
+      cachedSavedSearches = await sendMessage('GET_ALL_SAVED_SEARCHES', {});
+    } catch (error) {
+      console.error('Failed to load saved searches:', error);
+      cachedSavedSearches = [];
+    }
+    renderSavedSearches();
+    refreshSavedSearchCounts();
+  }
+
+  /**
+   * Render smart view chips in the navigation bar
+   */
+  function renderSavedSearches() {
+    const bar = document.getElementById('saved-views-bar');
+    const list = bar.querySelector('.saved-views-list');
+    bar.style.display = cachedSavedSearches.length > 0 ? '' : 'none';
+    list.innerHTML = '';
+
+    for (const search of cachedSavedSearches) {
+      const chip = document.createElement('div');
+      chip.className = 'saved-view-chip';
+      chip.dataset.id = search.id;
+      chip.title = search.query || 'Filters only';
+      chip.innerHTML = `
+        <button class="saved-view-open">
+          <span class="saved-view-name">${escapeHtml(search.name)}</span>
+          <span class="saved-view-count">…</span>
+        </button>
+        <button class="saved-view-action" data-action="export" title="Export as collection (JSON)">⤓</button>
+        <button class="saved-view-action" data-action="rename" title="Rename">✎</button>
+        <button class="saved-view-action" data-action="delete" title="Delete">&times;</button>
+      `;
+
+      chip.querySelector('.saved-view-open').addEventListener('click', () => applySavedSearch(search));
+      chip.querySelectorAll('.saved-view-action').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (btn.dataset.action === 'export') exportSavedSearch(search);
+          else if (btn.dataset.action === 'rename') renameSavedSearch(search);
+          else deleteSavedSearch(search);
+        });
+      });
+
+      list.appendChild(chip);
+    }
+
+    updateSavedSearchStates();
+  }
+
+  /**
+   * Mark the smart view matching the current search and filters as active
+   */
+  function updateSavedSearchStates() {
+    const current = JSON.stringify(normalizeFilters(activeFilters));
+    document.querySelectorAll('.saved-view-chip').forEach(chip => {
+      const search = cachedSavedSearches.find(s => s.id === chip.dataset.id);
+      chip.classList.toggle('active', !!search &&
+        search.query === searchQuery &&
+        JSON.stringify(normalizeFilters(search.filters)) === current);
+    });
+  }
+
+  /**
+   * Search request for a smart view. Clipboard items are not annotations, so
+   * views count and export annotations only.
+   */
+  function buildSavedSearchRequest(search) {
+    const { text, options } = buildSearchRequest(search.query, normalizeFilters(search.filters));
+    return { text, options: { ...options, excludeClipboard: true } };
+  }
+
+  /**
+   * Fetch live result counts for every smart view
+   */
+  async function refreshSavedSearchCounts() {
+    for (const search of cachedSavedSearches) {
+      const { text, options } = buildSavedSearchRequest(search);
+      try {
+        const { total } = await sendMessage('SEARCH_ANNOTATIONS', { query: text, options, limit: 0 });
+        const countEl = document.querySelector(`.saved-view-chip[data-id="${search.id}"] .saved-view-count`);
+        if (countEl) countEl.textContent = total;
+      } catch (error) {
+        console.error('Failed to count smart view:', error);
+      }
+    }
+  }
+
+  /**
+   * Refresh smart view counts shortly after annotation changes (batches bursts of broadcasts)
+   */
+  function scheduleSavedSearchCounts() {
+    if (cachedSavedSearches.length === 0) return;
+    clearTimeout(savedSearchCountTimer);
+    savedSearchCountTimer = setTimeout(refreshSavedSearchCounts, 500);
+  }
+
+  /**
+   * Save the current search and filters as a named smart view
+   */
+  async function saveCurrentSearch() {
+    if (!searchQuery && !hasActiveFilters()) {
+      alert('Type a search or choose some filters first, then save them as a smart view.');
+      return;
+    }
+
+    const name = prompt('Name this smart view:', searchQuery);
+    if (!name || !name.trim()) return;
+
+    try {
+      await sendMessage('ADD_SAVED_SEARCH', {
+        name: name.trim(),
+        query: searchQuery,
+        filters: normalizeFilters(activeFilters)
+      });
+    } catch (error) {
+      console.error('Failed to save smart view:', error);
+      alert('Failed to save smart view. Please try again.');
+    }
+  }
+
+  /**
+   * Load a smart view's query and filters into the search box and filter chips
+   */
+  function applySavedSearch(search) {
+    searchQuery = search.query;
+    searchInputEl.value = search.query;
+    document.getElementById('search-clear').classList.toggle('visible', search.query.length > 0);
+    activeFilters = normalizeFilters(search.filters);
+    updateFilterChipStates();
+
+    if (activeView === 'annotations') {
+      updateView();
+    } else {
+      switchView('annotations');
+    }
+  }
+
+  async function renameSavedSearch(search) {
+    const name = prompt('Rename smart view:', search.name);
+    if (!name || !name.trim() || name.trim() === search.name) return;
+
+    try {
+      await sendMessage('UPDATE_SAVED_SEARCH', { id: search.id, patch: { name: name.trim() } });
+    } catch (error) {
+      console.error('Failed to rename smart view:', error);
+      alert('Failed to rename smart view. Please try again.');
+    }
+  }
+
+  async function deleteSavedSearch(search) {
+    if (!confirm(`Delete smart view "${search.name}"? Annotations are not affected.`)) return;
+
+    try {
+      await sendMessage('DELETE_SAVED_SEARCH', { id: search.id });
+    } catch (error) {
+      console.error('Failed to delete smart view:', error);
+    }
+  }
+
+  /**
+   * Export a smart view's current matches as a collection, so importing it recreates the group
+   */
+  async function exportSavedSearch(search) {
+    const { text, options } = buildSavedSearchRequest(search);
+
+    try {
+      const { results } = await sendMessage('SEARCH_ANNOTATIONS', {
+        query: text,
+        options,
+        limit: Number.MAX_SAFE_INTEGER
+      });
+
+      // Members carry the view id so import groups them
+      const annotations = results.map(({ searchScore, ...a }) => ({ ...a, groupIds: [...(a.groupIds || []), search.id] }));
+
+      await exportCollection({ id: search.id, name: search.name, pages: [] }, annotations, 'json');
+    } catch (error) {
+      console.error('Failed to export smart view:', error);
+      alert('Failed to export smart view. Please try again.');
+    }
+  }
+
+  /**
+   * Toggle filter chip
+   */
+  function toggleFilter(category, value) {
+    if (category === 'dateRange') {
+      // Date is single-select
+      activeFilters.dateRange = activeFilters.dateRange === value ? null : value;
+    } else {
+      // Types and intents are multi-select
+      const index = activeFilters[category].indexOf(value);
+      if (index === -1) {
+        activeFilters[category].push(value);
+      } else {
+        activeFilters[category].splice(index, 1);
+      }
+    }
+
+    updateFilterChipStates();
+    performSearch();
+  }
+
+  /**
+   * Update filter chip active states
+   */
+  function updateFilterChipStates() {
+    // Type filters
+    document.querySelectorAll('.filter-chip[data-type]').forEach(chip => {
+      chip.classList.toggle('active', activeFilters.types.includes(chip.dataset.type));
+    });
+
+    // Color filters
+    document.querySelectorAll('.filter-chip[data-color-id]').forEach(chip => {
+      chip.classList.toggle('active', activeFilters.colorIds.includes(chip.dataset.colorId));
+    });
+
+    // Tag filters
+    document.querySelectorAll('.filter-chip[data-tag]').forEach(chip => {
+      chip.classList.toggle('active', activeFilters.tags.includes(chip.dataset.tag));
+    });
+
+    // Date filters
+    document.querySelectorAll('.filter-chip[data-date]').forEach(chip => {
+      chip.classList.toggle('active', activeFilters.dateRange === chip.dataset.date);
+    });
+
+    // Clear filters button visibility
+    const clearBtn = document.getElementById('clear-filters');
+    clearBtn.style.display = hasActiveFilters() ? '' : 'none';
+  }
+
+  /**
+   * Clear all filters
+   */
+  function clearFilters() {
+    activeFilters = { types: [], colorIds: [], tags: [], dateRange: null };
+    updateFilterChipStates();
+    performSearch();
+  }
+
+  /**
+   * Load pages from storage
+   */
+  async function loadPages() {
+    try {
+      allPages = await sendMessage('GET_PAGES_SUMMARY');
+      renderPages();
+    } catch (error) {
+      console.error('Failed to load pages:', error);
+    }
+  }
+
+  /**
+   * Format bytes to human readable string
+   */
+  function formatBytes(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+  }
+
+  /**
+   * Update storage usage display
+   */
+  async function updateStorageInfo() {
+    const storageEl = document.getElementById('storage-used');
+    try {
+      if (navigator.storage && navigator.storage.estimate) {
+        const estimate = await navigator.storage.estimate();
+        const used = estimate.usage || 0;
+        const quota = estimate.quota || 0;
+        const percent = quota > 0 ? ((used / quota) * 100).toFixed(1) : 0;
+
+        storageEl.textContent = formatBytes(used);
+        storageEl.title = `${formatBytes(used)} of ${formatBytes(quota)} (${percent}%)`;
+      } else {
+        storageEl.textContent = 'N/A';
+      }
+    } catch (error) {
+      console.error('Failed to get storage estimate:', error);
+      storageEl.textContent = 'N/A';
+    }
+  }
+
+  /**
+   * Trigger a download of text content
+   */
+  function downloadFile(content, mimeType, filename) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Build the JSON backup object (extra fields are merged in, e.g. a collection)
+   */
+  async function buildJsonExport(annotations, extra = {}) {
+    const tags = await sendMessage('GET_ALL_TAGS', {});
+    const usedTags = new Set(annotations.flatMap(a => a.tags || []));
+
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      annotationCount: annotations.length,
+      annotations: annotations,
+      // Scoped exports only carry the tags they use
+      tags: tags
+        .filter(t => !extra.collection || usedTags.has(t.name))
+        .map(t => ({ name: t.name })),
+      ...extra
+    };
+  }
+
+  /**
+   * Export all annotations to JSON file
+   */
+  async function exportAnnotations() {
+    try {
+      const annotations = await sendMessage('GET_ALL_ANNOTATIONS');
+
+      if (annotations.length === 0) {
+        alert('No annotations to export.');
+        return;
+      }
+
+      const exportData = await buildJsonExport(annotations);
+      downloadFile(
+        JSON.stringify(exportData, null, 2),
+        'application/json',
+        `annotatepro-backup-${new Date().toISOString().slice(0, 10)}.json`
+      );
     } catch (error) {
       console.error('Failed to export annotations:', error);
       alert('Failed to export annotations. Please try again.');
     }
   }
 
+  /**
+   * Build a Markdown document (TOC + one section per page) from annotations
+   */
+  function buildMarkdownExport(annotations, title = 'AnnotatePro Export') {
+    const { formatTagsMarkdown } = window.AnnotateProTags;
+
+    // Group annotations by pageUrl
+    const pageMap = new Map();
+    for (const a of annotations) {
+      if (!pageMap.has(a.pageUrl)) {
+        pageMap.set(a.pageUrl, {
+          pageUrl: a.pageUrl,
+          pageTitle: a.pageTitle || getDomain(a.pageUrl),
+          annotations: []
+        });
+      }
+      pageMap.get(a.pageUrl).annotations.push(a);
+    }
+
+    const pages = Array.from(pageMap.values());
+
+    // Build markdown with Table of Contents
+    let md = `---
+exported: ${new Date().toISOString()}
+total_pages: ${pages.length}
+total_annotations: ${annotations.length}
+---
+
+# ${title}
+
+Exported: ${new Date().toLocaleString()}
+
+## Table of Contents
+
+`;
+
+    // Generate TOC
+    for (let i = 0; i < pages.length; i++) {
+      const page = pages[i];
+      const anchor = `page-${i + 1}`;
+      md += `${i + 1}. [${page.pageTitle}](#${anchor}) (${page.annotations.length} annotations)\n`;
+    }
+
+    md += `\n---\n\n`;
+
+    // Generate each page section
+    for (let i = 0; i < pages.length; i++) {
+      const page = pages[i];
+      const anchor = `page-${i + 1}`;
+      const domain = getDomain(page.pageUrl);
+
+      md += `## <a id="${anchor}"></a>${page.pageTitle}\n\n`;
+      md += `Source: [${domain}](${page.pageUrl})\n\n`;
+
+      // Group annotations by type
+      const pageNotes = page.annotations.filter(a => a.annotationType === 'page-note');
+      const highlights = page.annotations.filter(a => a.annotationType === 'highlight');
+      const checkboxes = page.annotations.filter(a => a.annotationType === 'checkbox');
+      const screenshots = page.annotations.filter(a => a.annotationType === 'screenshot');
+
+      // Group highlights by color
+      const highlightsByColor = {};
+      for (const h of highlights) {
+        const colorName = getAnnotationColorName(h);
+        if (!highlightsByColor[colorName]) {
+          highlightsByColor[colorName] = [];
+        }
+        highlightsByColor[colorName].push(h);
+      }
+
+      // Page Notes
+      if (pageNotes.length > 0) {
+        md += `### Page Notes\n`;
+        for (const note of pageNotes) {
+          if (note.note && note.note.trim()) {
+            md += `- ${note.note.trim().replace(/\n/g, '\n  ')}\n`;
+            md += formatTagsMarkdown(note);
+          }
+        }
+        md += `\n`;
+      }
+
+      // Highlights
+      if (highlights.length > 0) {
+        md += `### Highlights\n\n`;
+        for (const [colorName, items] of Object.entries(highlightsByColor)) {
+          md += `#### ${colorName}\n`;
+          for (const h of items) {
+            const text = h.textSnapshot || '(no text)';
+            md += `- "${text}"\n`;
+            if (h.note && h.note.trim()) {
+              md += `  - Note: ${h.note.trim().replace(/\n/g, '\n    ')}\n`;
+            }
+            md += formatTagsMarkdown(h);
+          }
+          md += `\n`;
+        }
+      }
+
+      // Checkboxes
+      if (checkboxes.length > 0) {
+        md += `### Checkboxes\n`;
+        for (const cb of checkboxes) {
+          const checked = cb.checked ? 'x' : ' ';
+          const text = cb.textSnapshot || '(no text)';
+          md += `- [${checked}] ${text}\n`;
+          if (cb.note && cb.note.trim()) {
+            md += `  - Note: ${cb.note.trim().replace(/\n/g, '\n    ')}\n`;
+          }
+          md += formatTagsMarkdown(cb);
+        }
+        md += `\n`;
+      }
+
+      // Screenshots (the images stay in AnnotatePro)
+      if (screenshots.length > 0) {
+        md += `### Screenshots\n`;
+        for (const shot of screenshots) {
+          const size = shot.imageWidth ? ` (${shot.imageWidth}×${shot.imageHeight})` : '';
+          md += `- Screenshot${size}, saved ${new Date(shot.createdAt).toLocaleString()}\n`;
+          if (shot.note && shot.note.trim()) {
+            md += `  - Note: ${shot.note.trim().replace(/\n/g, '\n    ')}\n`;
+          }
+          md += formatTagsMarkdown(shot);
+        }
+        md += `\n`;
+      }
+
+      md += `---\n\n`;
+    }
+
+    return md;
+  }
+
   /**
    * Export all annotations to Markdown file
    */
@@ -1285,128 +2775,249 @@
         return;
       }
 
-      // Group annotations by pageUrl
-      const pageMap = new Map();
-      for (const a of annotations) {
-        if (!pageMap.has(a.pageUrl)) {
-          pageMap.set(a.pageUrl, {
-            pageUrl: a.pageUrl,
-            pageTitle: a.pageTitle || getDomain(a.pageUrl),
-            annotations: []
-          });
-        }
-        pageMap.get(a.pageUrl).annotations.push(a);
+      downloadFile(
+        buildMarkdownExport(annotations),
+        'text/markdown',
+        `annotatepro-export-${new Date().toISOString().slice(0, 10)}.md`
+      );
+    } catch (error) {
+      console.error('Failed to export annotations to markdown:', error);
+      alert('Failed to export annotations. Please try again.');
+    }
+  }
+
+  // ============ iCalendar Export ============
+
+  /**
+   * Escape a TEXT property value (RFC 5545 section 3.3.11)
+   */
+  function escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets; continuation lines start with a space
+   */
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+      const charSize = encoder.encode(char).length;
+      if (size + charSize > 75) {
+        parts.push(current);
+        current = ' ';
+        size = 1;
+      }
+      current += char;
+      size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+  }
+
+  function formatIcsDate(timestamp) {
+    return formatLocalDate(timestamp).replace(/-/g, '');
+  }
+
+  function formatIcsDateTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Build an RFC 5545 calendar with one VTODO (or all-day VEVENT) per dated task
+   */
+  function buildIcsExport(tasks, componentType = 'VTODO') {
+    const stamp = formatIcsDateTime(Date.now());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//AnnotatePro//Task Export//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:AnnotatePro Tasks'
+    ];
+
+    for (const task of tasks) {
+      const { annotation } = task;
+      const colorName = getAnnotationColorName(annotation);
+
+      // Checkbox notes describe the task; checklist items come from a note on something else
+      const details = task.lineIndex === null
+        ? (annotation.note || '').trim()
+        : `From note on: ${annotation.textSnapshot || annotation.pageTitle || annotation.pageUrl}`;
+      const description = [details, annotation.pageUrl].filter(Boolean).join('\n\n');
+
+      lines.push(`BEGIN:${componentType}`);
+      lines.push(`UID:${task.id}@annotatepro`);
+      lines.push(`DTSTAMP:${stamp}`);
+      if (componentType === 'VEVENT') {
+        const nextDay = new Date(task.dueAt);
+        nextDay.setDate(nextDay.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(task.dueAt)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatIcsDate(nextDay.getTime())}`);
+        lines.push('TRANSP:TRANSPARENT');
+      } else {
+        lines.push(`DUE;VALUE=DATE:${formatIcsDate(task.dueAt)}`);
+        lines.push(`STATUS:${task.checked ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      }
+      lines.push(`SUMMARY:${escapeIcsText(task.text)}`);
+      lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+      lines.push(`URL:${annotation.pageUrl}`);
+      lines.push(`CATEGORIES:${[colorName, ...(annotation.tags || [])].map(escapeIcsText).join(',')}`);
+
+      if (task.remindAt && !task.checked) {
+        lines.push('BEGIN:VALARM');
+        lines.push('ACTION:DISPLAY');
+        lines.push(`DESCRIPTION:${escapeIcsText(task.text)}`);
+        lines.push(`TRIGGER;VALUE=DATE-TIME:${formatIcsDateTime(task.remindAt)}`);
+        lines.push('END:VALARM');
       }
 
-      const pages = Array.from(pageMap.values());
+      lines.push(`END:${componentType}`);
+    }
 
-      // Build markdown with Table of Contents
-      let md = `---
-exported: ${new Date().toISOString()}
-total_pages: ${pages.length}
-total_annotations: ${annotations.length}
----
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
 
-# AnnotatePro Export
+  /**
+   * Show the iCalendar export dialog: pick a scope (all, one page, one collection) and entry type
+   */
+  async function showIcsExport() {
+    let tasks;
+    try {
+      const [annotations] = await Promise.all([sendMessage('GET_ALL_ANNOTATIONS'), loadGroups()]);
+      tasks = collectTasks(annotations).filter(t => t.dueAt);
+    } catch (error) {
+      console.error('Failed to load tasks for export:', error);
+      alert('Failed to export tasks. Please try again.');
+      return;
+    }
 
-Exported: ${new Date().toLocaleString()}
+    if (tasks.length === 0) {
+      alert('No tasks with a due date to export.\n\nSet a due date on a checkbox, or add @due(YYYY-MM-DD) to a note checklist item.');
+      return;
+    }
 
-## Table of Contents
+    const pages = new Map();
+    for (const task of tasks) {
+      pages.set(task.annotation.pageUrl, task.annotation.pageTitle || task.annotation.pageUrl);
+    }
+    const groups = cachedGroups.filter(g => tasks.some(t => isInCollection(t.annotation, g)));
 
-`;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay ics-export-overlay';
+    modal.innerHTML = `
+      <div class="modal ics-export-modal">
+        <div class="modal-header">
+          <h2>Export Calendar (.ics)</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="ics-export-help">Exports checkboxes and note checklist items that have a due date.</p>
+          <label class="ics-export-field">
+            <span>Scope</span>
+            <select class="ics-export-scope">
+              <option value="all">All pages</option>
+              <option value="page">One page</option>
+              ${groups.length > 0 ? '<option value="collection">One collection</option>' : ''}
+            </select>
+          </label>
+          <label class="ics-export-field ics-export-page" style="display: none;">
+            <span>Page</span>
+            <select class="ics-export-page-select">
+              ${Array.from(pages).map(([url, title]) => `<option value="${escapeHtml(url)}">${escapeHtml(truncate(title, 70))}</option>`).join('')}
+            </select>
+          </label>
+          <label class="ics-export-field ics-export-collection" style="display: none;">
+            <span>Collection</span>
+            <select class="ics-export-collection-select">
+              ${groups.map(g => `<option value="${g.id}">${escapeHtml(g.name)}</option>`).join('')}
+            </select>
+          </label>
+          <label class="ics-export-field">
+            <span>Export as</span>
+            <select class="ics-export-type">
+              <option value="VTODO">Tasks (VTODO)</option>
+              <option value="VEVENT">All-day events (VEVENT)</option>
+            </select>
+          </label>
+          <label class="ics-export-checkbox">
+            <input type="checkbox" class="ics-export-completed"> Include completed tasks
+          </label>
+        </div>
+        <div class="modal-footer">
+          <span class="ics-export-count"></span>
+          <button class="modal-done-btn">Export</button>
+        </div>
+      </div>
+    `;
 
-      // Generate TOC
-      for (let i = 0; i < pages.length; i++) {
-        const page = pages[i];
-        const anchor = `page-${i + 1}`;
-        md += `${i + 1}. [${page.pageTitle}](#${anchor}) (${page.annotations.length} annotations)\n`;
+    const scopeEl = modal.querySelector('.ics-export-scope');
+    const pageEl = modal.querySelector('.ics-export-page-select');
+    const collectionEl = modal.querySelector('.ics-export-collection-select');
+    const completedEl = modal.querySelector('.ics-export-completed');
+    const countEl = modal.querySelector('.ics-export-count');
+
+    const getSelectedTasks = () => tasks.filter(t => {
+      if (t.checked && !completedEl.checked) return false;
+      if (scopeEl.value === 'page') return t.annotation.pageUrl === pageEl.value;
+      if (scopeEl.value === 'collection') {
+        const group = cachedGroups.find(g => g.id === collectionEl.value);
+        return !!group && isInCollection(t.annotation, group);
       }
+      return true;
+    });
 
-      md += `\n---\n\n`;
-
-      // Generate each page section
-      for (let i = 0; i < pages.length; i++) {
-        const page = pages[i];
-        const anchor = `page-${i + 1}`;
-        const domain = getDomain(page.pageUrl);
-
-        md += `## <a id="${anchor}"></a>${page.pageTitle}\n\n`;
-        md += `Source: [${domain}](${page.pageUrl})\n\n`;
+    const update = () => {
+      modal.querySelector('.ics-export-page').style.display = scopeEl.value === 'page' ? '' : 'none';
+      modal.querySelector('.ics-export-collection').style.display = scopeEl.value === 'collection' ? '' : 'none';
+      const count = getSelectedTasks().length;
+      countEl.textContent = `${count} task${count === 1 ? '' : 's'}`;
+    };
 
-        // Group annotations by type
-        const pageNotes = page.annotations.filter(a => a.annotationType === 'page-note');
-        const highlights = page.annotations.filter(a => a.annotationType === 'highlight');
-        const checkboxes = page.annotations.filter(a => a.annotationType === 'checkbox');
+    [scopeEl, pageEl, collectionEl, completedEl].forEach(el => el.addEventListener('change', update));
+    update();
 
-        // Group highlights by color
-        const highlightsByColor = {};
-        for (const h of highlights) {
-          const colorName = getAnnotationColorName(h);
-          if (!highlightsByColor[colorName]) {
-            highlightsByColor[colorName] = [];
-          }
-          highlightsByColor[colorName].push(h);
-        }
+    const closeModal = () => modal.remove();
 
-        // Page Notes
-        if (pageNotes.length > 0) {
-          md += `### Page Notes\n`;
-          for (const note of pageNotes) {
-            if (note.note && note.note.trim()) {
-              md += `- ${note.note.trim().replace(/\n/g, '\n  ')}\n`;
-            }
-          }
-          md += `\n`;
-        }
+    modal.querySelector('.modal-done-btn').addEventListener('click', () => {
+      const selected = getSelectedTasks();
+      if (selected.length === 0) {
+        alert('No tasks in this scope.');
+        return;
+      }
 
-        // Highlights
-        if (highlights.length > 0) {
-          md += `### Highlights\n\n`;
-          for (const [colorName, items] of Object.entries(highlightsByColor)) {
-            md += `#### ${colorName}\n`;
-            for (const h of items) {
-              const text = h.textSnapshot || '(no text)';
-              md += `- "${text}"\n`;
-              if (h.note && h.note.trim()) {
-                md += `  - Note: ${h.note.trim().replace(/\n/g, '\n    ')}\n`;
-              }
-            }
-            md += `\n`;
-          }
-        }
+      let name = 'tasks';
+      if (scopeEl.value === 'page') {
+        name = getDomain(pageEl.value);
+      } else if (scopeEl.value === 'collection') {
+        name = cachedGroups.find(g => g.id === collectionEl.value)?.name || 'collection';
+      }
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tasks';
 
-        // Checkboxes
-        if (checkboxes.length > 0) {
-          md += `### Checkboxes\n`;
-          for (const cb of checkboxes) {
-            const checked = cb.checked ? 'x' : ' ';
-            const text = cb.textSnapshot || '(no text)';
-            md += `- [${checked}] ${text}\n`;
-            if (cb.note && cb.note.trim()) {
-              md += `  - Note: ${cb.note.trim().replace(/\n/g, '\n    ')}\n`;
-            }
-          }
-          md += `\n`;
-        }
+      downloadFile(
+        buildIcsExport(selected, modal.querySelector('.ics-export-type').value),
+        'text/calendar',
+        `annotatepro-${slug}-${new Date().toISOString().slice(0, 10)}.ics`
+      );
+      closeModal();
+    });
 
-        md += `---\n\n`;
-      }
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
 
-      // Download the markdown file
-      const blob = new Blob([md], { type: 'text/markdown' });
-      const url = URL.createObjectURL(blob);
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `annotatepro-export-${new Date().toISOString().slice(0, 10)}.md`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    } catch (error) {
-      console.error('Failed to export annotations to markdown:', error);
-      alert('Failed to export annotations. Please try again.');
-    }
+    document.body.appendChild(modal);
   }
 
   /**
@@ -1431,12 +3042,18 @@ Exported: ${new Date().toLocaleString()}
       const confirmMsg = `Import ${data.annotations.length} annotations?\n\nThis will add to your existing annotations. Duplicates will be skipped.`;
       if (!confirm(confirmMsg)) return;
 
-      const result = await sendMessage('IMPORT_ANNOTATIONS', { annotations: data.annotations });
+      const result = await sendMessage('IMPORT_ANNOTATIONS', {
+        annotations: data.annotations,
+        tags: Array.isArray(data.tags) ? data.tags : [],
+        collection: data.collection || null
+      });
 
-      alert(`Import complete!\n\nImported: ${result.imported}\nSkipped (duplicates): ${result.skipped}`);
+      const collectionLine = result.collection ? `\nCollection: ${result.collection.name}` : '';
+      alert(`Import complete!\n\nImported: ${result.imported}\nSkipped (duplicates): ${result.skipped}${collectionLine}`);
 
       // Refresh the page list
       loadPages();
+      loadTags();
       updateStorageInfo();
     } catch (error) {
       console.error('Failed to import annotations:', error);
@@ -1455,19 +3072,40 @@ Exported: ${new Date().toLocaleString()}
     const modal = document.createElement('div');
     modal.className = 'modal-overlay color-management-overlay';
 
+    const { COLOR_STYLES, MIN_OPACITY, MAX_OPACITY, getColorStyle, getColorPaint, getPreviewCss } = window.AnnotateProColorStyles;
+
+    const getPreviewStyle = (color) => getPreviewCss(getColorStyle(color), getColorPaint(color, settings.highlightOpacity));
+
     const renderColorList = () => {
       return cachedColors.map((color, index) => `
         <div class="color-item" data-id="${color.id}" data-sort="${color.sortOrder}">
           <div class="color-item-drag" title="Drag to reorder">⋮⋮</div>
-          <div class="color-item-swatch" style="background: ${hexToRgba(color.color, 0.5)}"></div>
+          <div class="color-item-swatch" style="background: ${getColorPaint(color, settings.highlightOpacity)}"></div>
           <input type="text" class="color-item-name" value="${escapeHtml(color.name)}" placeholder="Color name">
           <input type="color" class="color-item-picker" value="${color.color}">
           <span class="color-item-usage">${color.usageCount || 0} uses</span>
           ${color.isDefault ? '<span class="color-item-default">Default</span>' : `<button class="color-item-delete" title="Delete">&times;</button>`}
+          <div class="color-item-render">
+            <select class="color-item-style" title="How highlights in this color are drawn">
+              ${COLOR_STYLES.map(s => `<option value="${s.id}" ${s.id === getColorStyle(color) ? 'selected' : ''}>${s.label}</option>`).join('')}
+            </select>
+            <label class="color-item-opacity-label">
+              Opacity
+              <input type="number" class="color-item-opacity" min="${MIN_OPACITY}" max="${MAX_OPACITY}" step="0.05"
+                     value="${color.opacity ?? ''}" placeholder="Auto"
+                     title="Leave empty to use the highlight opacity setting (fills) or full strength (lines)">
+            </label>
+            <span class="color-item-preview" style="${getPreviewStyle(color)}">Sample text</span>
+          </div>
         </div>
       `).join('');
     };
 
+    const refreshColorItem = (item, color) => {
+      item.querySelector('.color-item-swatch').style.background = getColorPaint(color, settings.highlightOpacity);
+      item.querySelector('.color-item-preview').style.cssText = getPreviewStyle(color);
+    };
+
     modal.innerHTML = `
       <div class="modal color-management-modal">
         <div class="modal-header">
@@ -1534,8 +3172,10 @@ Exported: ${new Date().toLocaleString()}
 
           // Update cache and UI
           const color = cachedColors.find(c => c.id === colorId);
-          if (color) color.color = newColor;
-          item.querySelector('.color-item-swatch').style.background = hexToRgba(newColor, 0.5);
+          if (color) {
+            color.color = newColor;
+            refreshColorItem(item, color);
+          }
 
           statusEl.textContent = 'Saved';
           setTimeout(() => { statusEl.textContent = ''; }, 1500);
@@ -1546,6 +3186,36 @@ Exported: ${new Date().toLocaleString()}
       }
     });
 
+    // Render style and opacity changes
+    colorList.addEventListener('change', async (e) => {
+      const isStyle = e.target.classList.contains('color-item-style');
+      const isOpacity = e.target.classList.contains('color-item-opacity');
+      if (!isStyle && !isOpacity) return;
+
+      const item = e.target.closest('.color-item');
+      const colorId = item.dataset.id;
+      const patch = isStyle ? { style: e.target.value } : { opacity: e.target.value };
+
+      try {
+        statusEl.textContent = 'Saving...';
+        const updated = await sendMessage('UPDATE_COLOR', { id: colorId, patch });
+
+        // Update cache and UI
+        const index = cachedColors.findIndex(c => c.id === colorId);
+        if (index !== -1) cachedColors[index] = updated;
+        refreshColorItem(item, updated);
+
+        statusEl.textContent = 'Saved';
+        setTimeout(() => { statusEl.textContent = ''; }, 1500);
+      } catch (err) {
+        // Put back the saved value
+        const color = cachedColors.find(c => c.id === colorId);
+        if (isOpacity) e.target.value = color?.opacity ?? '';
+        statusEl.textContent = err.message || 'Error';
+        console.error('Failed to save color style:', err);
+      }
+    });
+
     // Delete color
     colorList.addEventListener('click', async (e) => {
       if (e.target.classList.contains('color-item-delete')) {
@@ -1631,6 +3301,330 @@ Exported: ${new Date().toLocaleString()}
     document.body.appendChild(modal);
   }
 
+  /**
+   * Show tag management modal (rename, merge, delete)
+   */
+  function showTagManagement() {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay tag-management-overlay';
+
+    const renderTagList = () => {
+      if (cachedTags.length === 0) {
+        return '<p class="tag-list-empty">No tags yet. Add tags from the note editor on any highlight or checkbox.</p>';
+      }
+
+      return cachedTags.map(tag => `
+        <div class="tag-item" data-id="${tag.id}">
+          <span class="tag-item-hash">#</span>
+          <input type="text" class="tag-item-name" value="${escapeHtml(tag.name)}" placeholder="Tag name">
+          <span class="tag-item-usage">${tag.usageCount || 0} uses</span>
+          <select class="tag-item-merge" title="Merge into another tag" ${cachedTags.length < 2 ? 'disabled' : ''}>
+            <option value="">Merge into...</option>
+            ${cachedTags.filter(t => t.id !== tag.id).map(t => `<option value="${t.id}">#${escapeHtml(t.name)}</option>`).join('')}
+          </select>
+          <button class="tag-item-delete" title="Delete">&times;</button>
+        </div>
+      `).join('');
+    };
+
+    modal.innerHTML = `
+      <div class="modal tag-management-modal">
+        <div class="modal-header">
+          <h2>Manage Tags</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="tag-management-help">Renaming, merging or deleting a tag updates every annotation that uses it.</p>
+          <div class="tag-list" id="tag-list">
+            ${renderTagList()}
+          </div>
+        </div>
+        <div class="modal-footer">
+          <span class="tag-save-status"></span>
+          <button class="modal-done-btn">Done</button>
+        </div>
+      </div>
+    `;
+
+    const statusEl = modal.querySelector('.tag-save-status');
+    const tagList = modal.querySelector('#tag-list');
+
+    const refreshTagList = async () => {
+      await loadTags();
+      tagList.innerHTML = renderTagList();
+    };
+
+    const showStatus = (text) => {
+      statusEl.textContent = text;
+      setTimeout(() => { statusEl.textContent = ''; }, 1500);
+    };
+
+    // Rename on commit (blur/Enter) rather than per keystroke - it rewrites annotations
+    tagList.addEventListener('change', async (e) => {
+      const item = e.target.closest('.tag-item');
+      if (!item) return;
+      const tag = cachedTags.find(t => t.id === item.dataset.id);
+      if (!tag) return;
+
+      if (e.target.classList.contains('tag-item-name')) {
+        const newName = e.target.value.trim();
+        if (!newName) {
+          e.target.value = tag.name;
+          return;
+        }
+
+        try {
+          statusEl.textContent = 'Saving...';
+          await sendMessage('RENAME_TAG', { id: tag.id, name: newName });
+          await refreshTagList();
+          showStatus('Saved');
+        } catch (err) {
+          statusEl.textContent = 'Error';
+          console.error('Failed to rename tag:', err);
+          alert(err.message || 'Failed to rename tag.');
+          e.target.value = tag.name;
+        }
+      } else if (e.target.classList.contains('tag-item-merge')) {
+        const target = cachedTags.find(t => t.id === e.target.value);
+        if (!target) return;
+
+        if (!confirm(`Merge #${tag.name} into #${target.name}?\n\n${tag.usageCount || 0} annotation(s) will be retagged and #${tag.name} will be removed.`)) {
+          e.target.value = '';
+          return;
+        }
+
+        try {
+          statusEl.textContent = 'Merging...';
+          await sendMessage('MERGE_TAG', { sourceId: tag.id, targetId: target.id });
+          await refreshTagList();
+          showStatus('Merged');
+        } catch (err) {
+          statusEl.textContent = 'Error';
+          console.error('Failed to merge tag:', err);
+        }
+      }
+    });
+
+    tagList.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('tag-item-name')) {
+        e.target.blur();
+      }
+    });
+
+    // Delete tag
+    tagList.addEventListener('click', async (e) => {
+      if (!e.target.classList.contains('tag-item-delete')) return;
+      const item = e.target.closest('.tag-item');
+      const tag = cachedTags.find(t => t.id === item.dataset.id);
+      if (!tag) return;
+
+      const confirmMsg = tag.usageCount > 0
+        ? `#${tag.name} is used by ${tag.usageCount} annotation(s).\n\nDelete it and remove it from those annotations?`
+        : `Delete #${tag.name}?`;
+      if (!confirm(confirmMsg)) return;
+
+      try {
+        statusEl.textContent = 'Deleting...';
+        await sendMessage('DELETE_TAG', { id: tag.id });
+        await refreshTagList();
+        showStatus('Deleted');
+      } catch (err) {
+        statusEl.textContent = 'Error';
+        console.error('Failed to delete tag:', err);
+      }
+    });
+
+    // Close modal
+    const closeModal = () => {
+      modal.remove();
+      // Refresh results to reflect any tag changes
+      updateView();
+    };
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-done-btn').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  const URL_ALIAS_SOURCE_LABELS = {
+    manual: 'Manual',
+    canonical: 'Canonical link'
+  };
+
+  /**
+   * Show URL normalization settings and page aliases: which addresses count as the same page
+   */
+  async function showPageUrlSettings() {
+    let config;
+    try {
+      config = await sendMessage('GET_PAGE_URL_CONFIG', {});
+    } catch (error) {
+      console.error('Failed to load URL settings:', error);
+      return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay url-settings-overlay';
+
+    const renderAliasList = () => {
+      if (config.aliases.length === 0) {
+        return '<p class="tag-list-empty">No aliases yet.</p>';
+      }
+
+      return config.aliases.map(alias => `
+        <div class="alias-item" data-url="${escapeHtml(alias.url)}">
+          <div class="alias-item-urls">
+            <span class="alias-item-url" title="${escapeHtml(alias.url)}">${escapeHtml(alias.url)}</span>
+            <span class="alias-item-target" title="${escapeHtml(alias.targetUrl)}">→ ${escapeHtml(alias.targetUrl)}</span>
+          </div>
+          <span class="alias-item-source">${URL_ALIAS_SOURCE_LABELS[alias.source] || alias.source}</span>
+          <button class="tag-item-delete alias-item-delete" title="Remove alias">&times;</button>
+        </div>
+      `).join('');
+    };
+
+    const { settings } = config;
+    modal.innerHTML = `
+      <div class="modal url-settings-modal">
+        <div class="modal-header">
+          <h2>Page URLs</h2>
+          <button class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="tag-management-help">Annotations are stored per page. These rules decide when two addresses are the same page.</p>
+
+          <h3 class="url-settings-section-title">Normalization</h3>
+          <label class="url-settings-option">
+            <input type="checkbox" id="url-strip-tracking" ${settings.stripTrackingParams ? 'checked' : ''}>
+            Ignore tracking parameters (utm_*, fbclid, gclid, ...)
+          </label>
+          <label class="url-settings-field">
+            <span>Also ignore:</span>
+            <input type="text" id="url-extra-params" value="${escapeHtml(settings.extraTrackingParams.join(', '))}" placeholder="e.g. ref, source">
+          </label>
+          <label class="url-settings-field">
+            <span>Anchors (#...):</span>
+            <select id="url-hash-mode">
+              <option value="routes" ${settings.hashMode === 'routes' ? 'selected' : ''}>Ignore, except app routes (#/ and #!)</option>
+              <option value="strip" ${settings.hashMode === 'strip' ? 'selected' : ''}>Always ignore</option>
+              <option value="keep" ${settings.hashMode === 'keep' ? 'selected' : ''}>Keep (each anchor is its own page)</option>
+            </select>
+          </label>
+          <label class="url-settings-option">
+            <input type="checkbox" id="url-use-canonical" ${settings.useCanonicalLink ? 'checked' : ''}>
+            Follow the page's canonical link (joins AMP and mirror copies)
+          </label>
+          <button class="toolbar-btn" id="btn-apply-url-settings">Apply</button>
+
+          <h3 class="url-settings-section-title">Aliases</h3>
+          <p class="tag-management-help">Treat an address as the same document as another page. Its annotations are merged into that page.</p>
+          <div class="alias-form">
+            <input type="url" id="alias-from" list="known-page-urls" placeholder="Address">
+            <span>→</span>
+            <input type="url" id="alias-to" list="known-page-urls" placeholder="Same document as">
+            <button class="toolbar-btn" id="btn-add-alias">Add</button>
+          </div>
+          <datalist id="known-page-urls">
+            ${allPages.map(page => `<option value="${escapeHtml(page.pageUrl)}"></option>`).join('')}
+          </datalist>
+          <div class="alias-list">
+            ${renderAliasList()}
+          </div>
+        </div>
+        <div class="modal-footer">
+          <span class="tag-save-status"></span>
+          <button class="modal-done-btn">Done</button>
+        </div>
+      </div>
+    `;
+
+    const statusEl = modal.querySelector('.tag-save-status');
+    const aliasList = modal.querySelector('.alias-list');
+
+    const refreshAliasList = async () => {
+      config = await sendMessage('GET_PAGE_URL_CONFIG', {});
+      aliasList.innerHTML = renderAliasList();
+    };
+
+    const showStatus = (text) => {
+      statusEl.textContent = text;
+      setTimeout(() => { statusEl.textContent = ''; }, 1500);
+    };
+
+    modal.querySelector('#btn-apply-url-settings').addEventListener('click', async () => {
+      if (!confirm('Apply these rules to all stored pages?\n\nPages whose addresses now match are merged, and are not split again if the rules change back.')) {
+        return;
+      }
+
+      try {
+        // The background re-keys stored pages when these settings change
+        await window.AnnotateProSettings.updateSettings({
+          stripTrackingParams: modal.querySelector('#url-strip-tracking').checked,
+          extraTrackingParams: modal.querySelector('#url-extra-params').value,
+          hashMode: modal.querySelector('#url-hash-mode').value,
+          useCanonicalLink: modal.querySelector('#url-use-canonical').checked
+        });
+        showStatus('Saved');
+      } catch (err) {
+        statusEl.textContent = 'Error';
+        console.error('Failed to update URL settings:', err);
+      }
+    });
+
+    modal.querySelector('#btn-add-alias').addEventListener('click', async () => {
+      const fromInput = modal.querySelector('#alias-from');
+      const toInput = modal.querySelector('#alias-to');
+      const url = fromInput.value.trim();
+      const targetUrl = toInput.value.trim();
+      if (!url || !targetUrl) return;
+
+      try {
+        statusEl.textContent = 'Saving...';
+        await sendMessage('ADD_PAGE_ALIAS', { url, targetUrl });
+        fromInput.value = '';
+        toInput.value = '';
+        await refreshAliasList();
+        showStatus('Saved');
+      } catch (err) {
+        statusEl.textContent = 'Error';
+        console.error('Failed to add page alias:', err);
+        alert(err.message || 'Failed to add alias.');
+      }
+    });
+
+    aliasList.addEventListener('click', async (e) => {
+      if (!e.target.classList.contains('alias-item-delete')) return;
+      const alias = config.aliases.find(a => a.url === e.target.closest('.alias-item').dataset.url);
+      if (!alias) return;
+
+      if (!confirm(`Stop treating ${alias.url} as ${alias.targetUrl}?\n\nAnnotations already merged stay on ${alias.targetUrl}.`)) return;
+
+      try {
+        statusEl.textContent = 'Removing...';
+        await sendMessage('DELETE_PAGE_ALIAS', { url: alias.url });
+        await refreshAliasList();
+        showStatus('Removed');
+      } catch (err) {
+        statusEl.textContent = 'Error';
+        console.error('Failed to remove page alias:', err);
+      }
+    });
+
+    const closeModal = () => modal.remove();
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-done-btn').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    document.body.appendChild(modal);
+  }
+
   /**
    * Clear all data from the database
    */
@@ -1643,16 +3637,12 @@ Exported: ${new Date().toLocaleString()}
       return;
     }
 
-    const confirmMsg = `Are you sure you want to delete ALL ${count} annotations?\n\nThis action cannot be undone. All highlights, checkboxes, and notes will be permanently lost.\n\nTip: Click "Export" first to create a backup of your data.`;
+    const confirmMsg = `Are you sure you want to delete ALL ${count} annotations?\n\nThey will be moved to the Trash, where you can restore them until the trash is emptied.\n\nTip: Click "Export" first to create a backup of your data.`;
     if (!confirm(confirmMsg)) return;
 
-    // Double confirmation for safety
-    const doubleConfirm = confirm('This will permanently delete all your annotations. Are you absolutely sure?');
-    if (!doubleConfirm) return;
-
     try {
       await sendMessage('CLEAR_ALL_ANNOTATIONS');
-      alert('All annotations have been deleted.');
+      alert('All annotations have been moved to the Trash.');
       loadPages();
       updateStorageInfo();
     } catch (error) {
@@ -1721,6 +3711,15 @@ Exported: ${new Date().toLocaleString()}
       });
     });
 
+    // Screenshot thumbnails open the editor. Capture phase, so the card or row
+    // underneath does not also open its detail view.
+    document.addEventListener('click', (e) => {
+      const thumbnail = e.target.closest('.screenshot-thumbnail');
+      if (!thumbnail) return;
+      e.stopPropagation();
+      window.annotateProScreenshot.openSavedScreenshot(thumbnail.dataset.screenshotId);
+    }, true);
+
     // Filter chip handlers for types and dates (colors added dynamically in updateColorFilterChips)
     document.querySelectorAll('.filter-chip[data-type]').forEach(chip => {
       chip.addEventListener('click', () => toggleFilter('types', chip.dataset.type));
@@ -1745,6 +3744,9 @@ Exported: ${new Date().toLocaleString()}
     // Export Markdown button
     document.getElementById('btn-export-md').addEventListener('click', exportAllToMarkdown);
 
+    // Export calendar button
+    document.getElementById('btn-export-ics').addEventListener('click', showIcsExport);
+
     // Import button and file input
     const importFileEl = document.getElementById('import-file');
     document.getElementById('btn-import').addEventListener('click', () => {
@@ -1760,6 +3762,12 @@ Exported: ${new Date().toLocaleString()}
     // Color management button
     document.getElementById('btn-manage-colors').addEventListener('click', showColorManagement);
 
+    // Tag management button
+    document.getElementById('btn-manage-tags').addEventListener('click', showTagManagement);
+
+    // Page URL settings and aliases button
+    document.getElementById('btn-page-urls').addEventListener('click', showPageUrlSettings);
+
     // Clear database button
     document.getElementById('btn-clear-db').addEventListener('click', clearDatabase);
 
@@ -1773,11 +3781,38 @@ Exported: ${new Date().toLocaleString()}
         case 'ANNOTATIONS_IMPORTED':
           loadPages();
           updateStorageInfo();
+          scheduleSavedSearchCounts();
+          scheduleTasksRender();
+          if (activeView === 'collections') renderCollections();
+          scheduleTrashRender();
+          break;
+
+        case 'TRASH_UPDATED':
+          scheduleTrashRender();
+          break;
+
+        case 'SAVED_SEARCH_ADDED':
+        case 'SAVED_SEARCH_UPDATED':
+        case 'SAVED_SEARCH_DELETED':
+          // Also how this tab's own edits show up
+          loadSavedSearches();
+          break;
+
+        case 'GROUP_ADDED':
+        case 'GROUP_UPDATED':
+        case 'GROUP_DELETED':
+          if (activeView === 'collections') renderCollections();
           break;
 
         case 'ANNOTATION_UPDATED':
           // Update specific UI elements without full refresh
           if (message.annotationId && message.patch) {
+            // Update screenshot thumbnails after the image was edited
+            if (message.patch.thumbnail) {
+              document.querySelectorAll(`.screenshot-thumbnail[data-screenshot-id="${message.annotationId}"] img`).forEach(img => {
+                img.src = message.patch.thumbnail;
+              });
+            }
             // Update checkbox in modal if open
             if (message.patch.checked !== undefined) {
               const checkbox = document.querySelector(`.annotation-checkbox[data-id="${message.annotationId}"]`);
@@ -1805,9 +3840,19 @@ Exported: ${new Date().toLocaleString()}
             }
             // Refresh page list to update counts (for checkbox state changes)
             loadPages();
+            scheduleSavedSearchCounts();
+            scheduleTasksRender();
           }
           break;
 
+        case 'TAG_ADDED':
+        case 'TAG_UPDATED':
+        case 'TAG_DELETED':
+          loadTags().then(() => {
+            if (activeView !== 'pages') performSearch();
+          });
+          break;
+
         case 'CHECKBOX_UPDATED':
           // Update checkbox in modal if open
           const checkbox = document.querySelector(`.annotation-checkbox[data-id="${message.annotationId}"]`);
@@ -1816,14 +3861,44 @@ Exported: ${new Date().toLocaleString()}
           }
           // Refresh page list to update counts
           loadPages();
+          scheduleSavedSearchCounts();
+          scheduleTasksRender();
           break;
       }
     });
 
-    // Load colors first, then pages and storage info
-    loadColors().then(() => {
+    // Highlight opacity is drawn into every preview
+    window.AnnotateProSettings.onSettingsChanged((next, changedKeys) => {
+      settings = next;
+      if (changedKeys.includes('highlightOpacity')) {
+        updateView();
+      }
+    });
+
+    // Smart views
+    document.getElementById('btn-save-view').addEventListener('click', saveCurrentSearch);
+
+    const loadSettings = window.AnnotateProSettings.getSettings().then(loaded => {
+      settings = loaded;
+    });
+
+    // Load settings, colors and tags first (smart views resolve color names), then pages and storage info
+    Promise.all([loadSettings, loadColors(), loadTags()]).then(() => {
+      loadSavedSearches();
       loadPages().then(() => {
-        updateView(); // Initialize the "All" view properly
+        // The popup links straight to a view, e.g. ?view=tasks&filter=overdue
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('view') === 'tasks') {
+          taskFilter = ['open', 'overdue'].includes(params.get('filter')) ? params.get('filter') : 'all';
+          switchView('tasks');
+        } else {
+          updateView(); // Initialize the "All" view properly
+        }
+
+        // The options page links to the color manager (?manage=colors)
+        if (params.get('manage') === 'colors') {
+          showColorManagement();
+        }
       });
       updateStorageInfo();
     });
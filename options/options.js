@@ -0,0 +1,413 @@
+/**
+ * Options Page Script for AnnotatePro
+ * Settings (rendered from the schema in shared/settings.js) and site rules
+ */
+
+(function() {
+  'use strict';
+
+  const { SITE_RULES_KEY, SITE_RULE_DEFAULTS, resolveSiteRules } = window.AnnotateProSiteRules;
+  const { SETTINGS_SECTIONS, SETTINGS_SCHEMA } = window.AnnotateProSettings;
+
+  // On/off settings of a rule, in column order
+  const TOGGLE_SETTINGS = [
+    { key: 'enabled', label: 'AnnotatePro' },
+    { key: 'clipboard', label: 'Clipboard capture' },
+    { key: 'autoOpenSidebar', label: 'Open sidebar' },
+    { key: 'shortcuts', label: 'Alt shortcuts' }
+  ];
+
+  let settings = window.AnnotateProSettings.getDefaultSettings();
+  let siteRules = [];
+  let cachedColors = [];
+  let statusTimer = null;
+
+  const settingsContainer = document.getElementById('settings-sections');
+  const rulesList = document.getElementById('site-rules-list');
+  const testInput = document.getElementById('site-rule-test-url');
+  const testResult = document.getElementById('site-rule-test-result');
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function onOff(value) {
+    return value ? 'On' : 'Off';
+  }
+
+  function getColorName(colorId) {
+    const color = cachedColors.find(c => c.id === colorId);
+    if (color) return color.name;
+    return colorId ? 'Deleted color' : cachedColors[0]?.name || 'First color';
+  }
+
+  function showStatus(text) {
+    const statusEl = document.getElementById('save-status');
+    statusEl.textContent = text;
+    statusEl.classList.add('visible');
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => statusEl.classList.remove('visible'), 1500);
+  }
+
+  // ============ Settings ============
+
+  function createSettingControl(key, field) {
+    const id = `setting-${key}`;
+
+    switch (field.type) {
+      case 'boolean':
+        return `<input type="checkbox" id="${id}" data-key="${key}">`;
+
+      case 'number':
+      case 'integer':
+        return `<input type="number" id="${id}" data-key="${key}" min="${field.min}" max="${field.max}" step="${field.step || 1}">`;
+
+      case 'enum':
+        return `
+          <select id="${id}" data-key="${key}">
+            ${field.options.map(o => `<option value="${o.value}">${escapeHtml(o.label)}</option>`).join('')}
+          </select>
+        `;
+
+      case 'colorId':
+        return `
+          <select id="${id}" data-key="${key}">
+            <option value="">First color</option>
+            ${cachedColors.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('')}
+          </select>
+        `;
+
+      case 'stringList':
+        return `<input type="text" id="${id}" data-key="${key}" placeholder="${escapeHtml(field.placeholder || '')}" spellcheck="false">`;
+    }
+    return '';
+  }
+
+  function renderSettings() {
+    settingsContainer.innerHTML = SETTINGS_SECTIONS.map(section => {
+      const fields = Object.entries(SETTINGS_SCHEMA).filter(([, field]) => field.section === section.id);
+
+      return `
+        <section class="options-section">
+          <h2 class="section-title">${escapeHtml(section.label)}</h2>
+          ${section.description ? `<p class="section-help">${escapeHtml(section.description)}</p>` : ''}
+          <div class="settings-list">
+            ${fields.map(([key, field]) => `
+              <div class="setting-row ${field.type === 'boolean' ? 'setting-row-checkbox' : ''}">
+                <div class="setting-text">
+                  <label class="setting-label" for="setting-${key}">${escapeHtml(field.label)}</label>
+                  ${field.description ? `<p class="setting-description">${escapeHtml(field.description)}</p>` : ''}
+                  <p class="setting-error" data-error-for="${key}"></p>
+                </div>
+                <div class="setting-control">${createSettingControl(key, field)}</div>
+              </div>
+            `).join('')}
+            ${section.id === 'annotations' ? `
+              <div class="setting-row">
+                <div class="setting-text">
+                  <span class="setting-label">Colors</span>
+                  <p class="setting-description">Rename, recolor, add or remove highlight colors.</p>
+                </div>
+                <div class="setting-control">
+                  <button class="secondary-btn" id="btn-manage-colors">Manage colors</button>
+                </div>
+              </div>
+            ` : ''}
+          </div>
+        </section>
+      `;
+    }).join('');
+
+    applySettingValues();
+  }
+
+  /**
+   * Show the current settings in the controls (set as properties, never parsed as HTML)
+   */
+  function applySettingValues() {
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      const control = settingsContainer.querySelector(`[data-key="${key}"]`);
+      if (!control) continue;
+
+      const value = settings[key];
+      if (field.type === 'boolean') {
+        control.checked = value;
+      } else if (field.type === 'stringList') {
+        control.value = value.join(', ');
+      } else if (field.type === 'colorId' && value && !cachedColors.some(c => c.id === value)) {
+        control.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(value)}">Deleted color</option>`);
+        control.value = value;
+      } else {
+        control.value = value ?? '';
+      }
+    }
+  }
+
+  async function saveSetting(control) {
+    const key = control.dataset.key;
+    const field = SETTINGS_SCHEMA[key];
+    const errorEl = settingsContainer.querySelector(`[data-error-for="${key}"]`);
+    const value = field.type === 'boolean' ? control.checked : control.value;
+
+    if (field.confirm && !confirm(field.confirm)) {
+      applySettingValues();
+      return;
+    }
+
+    try {
+      settings = await window.AnnotateProSettings.updateSettings({ [key]: value });
+      errorEl.textContent = '';
+      applySettingValues();
+      showStatus('Saved');
+    } catch (error) {
+      errorEl.textContent = error.message;
+      console.error('Failed to save setting:', error);
+    }
+  }
+
+  async function resetSettings() {
+    if (!confirm('Reset all settings to their defaults? Site rules are kept.\n\nPage address settings also re-key stored pages, and a shorter trash period deletes older trashed annotations.')) {
+      return;
+    }
+
+    try {
+      settings = await window.AnnotateProSettings.updateSettings(window.AnnotateProSettings.getDefaultSettings());
+      settingsContainer.querySelectorAll('.setting-error').forEach(el => { el.textContent = ''; });
+      applySettingValues();
+      showStatus('Settings reset');
+    } catch (error) {
+      console.error('Failed to reset settings:', error);
+      showStatus('Failed to reset');
+    }
+  }
+
+  // ============ Site Rules ============
+
+  async function saveRules() {
+    try {
+      await browser.storage.local.set({ [SITE_RULES_KEY]: siteRules });
+      showStatus('Saved');
+    } catch (error) {
+      console.error('Failed to save site rules:', error);
+      showStatus('Failed to save');
+    }
+    renderTestResult();
+  }
+
+  function createRuleRow(rule, index) {
+    const row = document.createElement('div');
+    row.className = 'site-rule';
+    row.dataset.id = rule.id;
+
+    const toggles = TOGGLE_SETTINGS.map(({ key, label }) => `
+      <label class="site-rule-setting">
+        <span>${label}</span>
+        <select data-setting="${key}">
+          <option value="">Default (${onOff(SITE_RULE_DEFAULTS[key])})</option>
+          <option value="on">On</option>
+          <option value="off">Off</option>
+        </select>
+      </label>
+    `).join('');
+
+    const colorOptions = cachedColors.map(c =>
+      `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`
+    ).join('');
+
+    row.innerHTML = `
+      <div class="site-rule-top">
+        <input type="text" class="site-rule-pattern" placeholder="example.com" spellcheck="false">
+        <div class="site-rule-actions">
+          <button class="icon-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="icon-btn" data-action="down" title="Move down" ${index === siteRules.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="icon-btn delete-btn" data-action="delete" title="Delete rule">&times;</button>
+        </div>
+      </div>
+      <div class="site-rule-settings">
+        ${toggles}
+        <label class="site-rule-setting">
+          <span>Default color</span>
+          <select data-setting="defaultColorId">
+            <option value="">Default (${escapeHtml(getColorName(settings.defaultColorId))})</option>
+            ${colorOptions}
+          </select>
+        </label>
+      </div>
+    `;
+
+    // Values are set as properties so patterns never pass through the HTML parser
+    row.querySelector('.site-rule-pattern').value = rule.pattern || '';
+    for (const { key } of TOGGLE_SETTINGS) {
+      const value = rule[key] === true ? 'on' : rule[key] === false ? 'off' : '';
+      row.querySelector(`[data-setting="${key}"]`).value = value;
+    }
+
+    const colorSelect = row.querySelector('[data-setting="defaultColorId"]');
+    if (rule.defaultColorId && !cachedColors.some(c => c.id === rule.defaultColorId)) {
+      colorSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(rule.defaultColorId)}">Deleted color</option>`);
+    }
+    colorSelect.value = rule.defaultColorId || '';
+
+    return row;
+  }
+
+  function renderRules() {
+    rulesList.innerHTML = '';
+
+    if (siteRules.length === 0) {
+      rulesList.innerHTML = '<p class="empty-state">No site rules. AnnotatePro uses its defaults everywhere.</p>';
+      return;
+    }
+
+    siteRules.forEach((rule, index) => rulesList.appendChild(createRuleRow(rule, index)));
+  }
+
+  function renderTestResult() {
+    const url = testInput.value.trim();
+    if (!url) {
+      testResult.textContent = '';
+      return;
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      testResult.innerHTML = '<span class="test-invalid">Not a valid address</span>';
+      return;
+    }
+
+    const resolved = resolveSiteRules(siteRules, url);
+    const matched = resolved.matchedRuleIds
+      .map(id => siteRules.find(rule => rule.id === id)?.pattern)
+      .filter(Boolean);
+
+    testResult.innerHTML = `
+      <div class="test-matched">
+        ${matched.length > 0
+          ? `Matching rules: ${matched.map(pattern => `<code>${escapeHtml(pattern)}</code>`).join(', ')}`
+          : 'No rule matches; defaults apply.'}
+      </div>
+      <div class="test-settings">
+        ${TOGGLE_SETTINGS.map(({ key, label }) => `<span>${label}: <strong>${onOff(resolved[key])}</strong></span>`).join('')}
+        <span>Default color: <strong>${escapeHtml(getColorName(resolved.defaultColorId))}</strong></span>
+      </div>
+    `;
+  }
+
+  function addRule() {
+    siteRules.push({
+      id: crypto.randomUUID(),
+      pattern: '',
+      enabled: null,
+      clipboard: null,
+      autoOpenSidebar: null,
+      defaultColorId: null,
+      shortcuts: null,
+      createdAt: Date.now()
+    });
+    renderRules();
+    rulesList.lastElementChild.querySelector('.site-rule-pattern').focus();
+  }
+
+  // ============ Init ============
+
+  function setupListeners() {
+    settingsContainer.addEventListener('change', (e) => {
+      if (e.target.dataset.key) {
+        saveSetting(e.target);
+      }
+    });
+
+    settingsContainer.addEventListener('click', (e) => {
+      if (e.target.id === 'btn-manage-colors') {
+        browser.tabs.create({ url: browser.runtime.getURL('dashboard/dashboard.html?manage=colors') });
+      }
+    });
+
+    document.getElementById('btn-reset-settings').addEventListener('click', resetSettings);
+
+    // Settings changed elsewhere (sidebar resize, dashboard, another options tab)
+    window.AnnotateProSettings.onSettingsChanged((next, changedKeys) => {
+      settings = next;
+      applySettingValues();
+      if (changedKeys.includes('defaultColorId')) {
+        renderRules();
+        renderTestResult();
+      }
+    });
+
+    document.getElementById('btn-add-rule').addEventListener('click', addRule);
+
+    rulesList.addEventListener('change', (e) => {
+      const row = e.target.closest('.site-rule');
+      const rule = row && siteRules.find(r => r.id === row.dataset.id);
+      if (!rule) return;
+
+      if (e.target.classList.contains('site-rule-pattern')) {
+        rule.pattern = e.target.value.trim();
+        e.target.value = rule.pattern;
+      } else if (e.target.dataset.setting === 'defaultColorId') {
+        rule.defaultColorId = e.target.value || null;
+      } else if (e.target.dataset.setting) {
+        rule[e.target.dataset.setting] = e.target.value === '' ? null : e.target.value === 'on';
+      }
+
+      saveRules();
+    });
+
+    rulesList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const index = siteRules.findIndex(r => r.id === button.closest('.site-rule').dataset.id);
+      if (index === -1) return;
+
+      const action = button.dataset.action;
+      if (action === 'delete') {
+        const pattern = siteRules[index].pattern;
+        if (pattern && !confirm(`Delete the rule for "${pattern}"?`)) return;
+        siteRules.splice(index, 1);
+      } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= siteRules.length) return;
+        [siteRules[index], siteRules[target]] = [siteRules[target], siteRules[index]];
+      }
+
+      renderRules();
+      saveRules();
+    });
+
+    testInput.addEventListener('input', renderTestResult);
+
+    // Rules edited in another options tab
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[SITE_RULES_KEY]) return;
+      const rules = changes[SITE_RULES_KEY].newValue || [];
+      if (JSON.stringify(rules) === JSON.stringify(siteRules)) return;
+      siteRules = rules;
+      renderRules();
+      renderTestResult();
+    });
+  }
+
+  async function init() {
+    try {
+      cachedColors = await browser.runtime.sendMessage({ type: 'GET_ALL_COLORS', payload: {} });
+      cachedColors.sort((a, b) => a.sortOrder - b.sortOrder);
+    } catch (error) {
+      console.error('Failed to load colors:', error);
+    }
+
+    settings = await window.AnnotateProSettings.getSettings();
+    const { [SITE_RULES_KEY]: rules = [] } = await browser.storage.local.get(SITE_RULES_KEY);
+    siteRules = rules;
+
+    renderSettings();
+    renderRules();
+    setupListeners();
+  }
+
+  init();
+})();
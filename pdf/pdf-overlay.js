@@ -18,6 +18,10 @@
   let totalPages = 1;
   let currentScale = 1;
   let pageOverlays = new Map(); // Map of page number -> overlay element
+  let siteDefaultColorId = null; // Default color from the site rules
+  let settings = window.AnnotateProSettings.getDefaultSettings();
+  let cachedColors = [];
+  const renderedAnnotations = new Map(); // Map of annotation id -> annotation
 
   /**
    * Detect if current page is a PDF
@@ -160,8 +164,8 @@
     // Set up observers for page changes and zoom
     setupPdfObservers();
 
-    // Load existing annotations
-    loadPdfAnnotations();
+    // Load colors, then existing annotations
+    loadColors().then(loadPdfAnnotations);
 
     console.log('AnnotatePro: PDF.js overlay initialized');
   }
@@ -347,12 +351,53 @@
     });
   }
 
+  /**
+   * Load colors from the database
+   */
+  async function loadColors() {
+    try {
+      cachedColors = await browser.runtime.sendMessage({
+        type: 'GET_ALL_COLORS',
+        payload: {}
+      });
+    } catch (error) {
+      console.error('AnnotatePro: Failed to load colors', error);
+      cachedColors = [];
+    }
+  }
+
+  /**
+   * Draw a highlight with its color's style and opacity. Older PDF annotations
+   * stored a fixed color; it is only used when the color record is gone.
+   */
+  function paintPdfHighlight(el, annotation) {
+    const { getColorPaint, getColorStyle } = window.AnnotateProColorStyles;
+    const colorObj = annotation.colorId ? cachedColors.find(c => c.id === annotation.colorId) : null;
+
+    const paint = colorObj
+      ? getColorPaint(colorObj, settings.highlightOpacity)
+      : annotation.color || `rgba(255, 235, 59, ${settings.highlightOpacity})`;
+    el.dataset.style = colorObj ? getColorStyle(colorObj) : 'fill';
+    el.style.setProperty('--annotatepro-color', paint);
+  }
+
+  /**
+   * Repaint all rendered highlights (colors or opacity changed)
+   */
+  function repaintPdfHighlights() {
+    for (const annotation of renderedAnnotations.values()) {
+      if (annotation.annotationType !== 'highlight') continue;
+      const el = document.querySelector(`.annotatepro-pdf-annotation[data-annotation-id="${annotation.id}"]`);
+      if (el) paintPdfHighlight(el, annotation);
+    }
+  }
+
   /**
    * Load existing PDF annotations
    */
   async function loadPdfAnnotations() {
     try {
-      const pageUrl = window.location.href;
+      const pageUrl = window.AnnotateProPageUrl.getCurrentPageUrl();
       const annotations = await browser.runtime.sendMessage({
         type: 'GET_PAGE_ANNOTATIONS',
         payload: { pageUrl }
@@ -398,9 +443,8 @@
 
     // Style based on annotation type
     if (annotation.annotationType === 'highlight') {
-      const color = annotation.color || 'rgba(255, 235, 59, 0.4)';
-      annotEl.style.background = color;
-      annotEl.style.mixBlendMode = 'multiply';
+      annotEl.classList.add('highlight');
+      paintPdfHighlight(annotEl, annotation);
     } else if (annotation.annotationType === 'checkbox') {
       annotEl.innerHTML = `
         <input type="checkbox"
@@ -446,6 +490,7 @@
     }
 
     overlay.appendChild(annotEl);
+    renderedAnnotations.set(annotation.id, annotation);
   }
 
   /**
@@ -539,7 +584,7 @@
   /**
    * Create a PDF annotation from selection
    */
-  async function createPdfHighlight(colorId) {
+  async function createPdfHighlight(colorId = siteDefaultColorId || settings.defaultColorId) {
     const selection = window.getSelection();
     if (!selection || selection.isCollapsed) return;
 
@@ -570,35 +615,13 @@
       height: (rangeRect.height / pageRect.height) * 100
     };
 
-    // Get color value
-    let color = 'rgba(255, 235, 59, 0.4)';
-    if (colorId) {
-      try {
-        const colors = await browser.runtime.sendMessage({
-          type: 'GET_ALL_COLORS',
-          payload: {}
-        });
-        const colorObj = colors.find(c => c.id === colorId);
-        if (colorObj) {
-          const hex = colorObj.color;
-          const r = parseInt(hex.slice(1, 3), 16);
-          const g = parseInt(hex.slice(3, 5), 16);
-          const b = parseInt(hex.slice(5, 7), 16);
-          color = `rgba(${r}, ${g}, ${b}, 0.4)`;
-        }
-      } catch (e) {
-        console.error('Failed to load colors', e);
-      }
-    }
-
-    // Create annotation
+    // Create annotation (drawn from the color record, like page highlights)
     const annotation = {
       annotationType: 'highlight',
-      pageUrl: window.location.href,
+      pageUrl: window.AnnotateProPageUrl.getCurrentPageUrl(),
       pageTitle: document.title,
       textSnapshot: text,
       colorId: colorId || 'default-action',
-      color,
       pdfMode: true,
       pdfPage: pageNum,
       pdfCoordinates: coords,
@@ -642,7 +665,7 @@
 
     const annotation = {
       annotationType: 'checkbox',
-      pageUrl: window.location.href,
+      pageUrl: window.AnnotateProPageUrl.getCurrentPageUrl(),
       pageTitle: document.title,
       checked: false,
       pdfMode: true,
@@ -679,16 +702,26 @@
         if (message.annotationId) {
           const el = document.querySelector(`[data-annotation-id="${message.annotationId}"]`);
           if (el) el.remove();
+          renderedAnnotations.delete(message.annotationId);
         }
         break;
 
+      case 'COLOR_ADDED':
+      case 'COLOR_UPDATED':
+      case 'COLOR_DELETED':
+        loadColors().then(repaintPdfHighlights);
+        break;
+
       case 'ANNOTATION_UPDATED':
         // Refresh the annotation display
         if (message.annotationId) {
           const el = document.querySelector(`[data-annotation-id="${message.annotationId}"]`);
           if (el && message.patch) {
-            if (message.patch.color) {
-              el.style.background = message.patch.color;
+            const annotation = renderedAnnotations.get(message.annotationId);
+            if (annotation) Object.assign(annotation, message.patch);
+            if (annotation?.annotationType === 'highlight' &&
+                (message.patch.colorId !== undefined || message.patch.color !== undefined)) {
+              paintPdfHighlight(el, annotation);
             }
             if (message.patch.checked !== undefined) {
               const cb = el.querySelector('.annotatepro-pdf-checkbox');
@@ -703,7 +736,18 @@
   /**
    * Initialize on load
    */
-  function init() {
+  async function init() {
+    const siteRules = await window.AnnotateProSiteRules.getSiteRules();
+    if (!siteRules.enabled) return;
+    siteDefaultColorId = siteRules.defaultColorId;
+    settings = await window.AnnotateProSettings.getSettings();
+    window.AnnotateProSettings.onSettingsChanged((next, changedKeys) => {
+      settings = next;
+      if (changedKeys.includes('highlightOpacity')) {
+        repaintPdfHighlights();
+      }
+    });
+
     // Check for PDF on load
     const detection = detectPdf();
 
@@ -10,6 +10,8 @@ const MessageType = {
   GET_ALL_ANNOTATIONS: 'GET_ALL_ANNOTATIONS',
   GET_ANNOTATION_COUNT: 'GET_ANNOTATION_COUNT',
   CLEAR_PAGE_ANNOTATIONS: 'CLEAR_PAGE_ANNOTATIONS',
+  RESOLVE_PAGE_URL: 'RESOLVE_PAGE_URL',
+  SEARCH_ANNOTATIONS: 'SEARCH_ANNOTATIONS',
   GET_ALL_COLORS: 'GET_ALL_COLORS'
 };
 
@@ -37,20 +39,8 @@ let currentTab = null;
 let pageAnnotations = [];
 let activeNoteEditor = null;
 let cachedColors = [];
-
-/**
- * Convert hex color to rgba
- */
-function hexToRgba(hex, alpha = 0.5) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (result) {
-    const r = parseInt(result[1], 16);
-    const g = parseInt(result[2], 16);
-    const b = parseInt(result[3], 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-  }
-  return hex;
-}
+let showOverdueOnly = false;
+let settings = window.AnnotateProSettings.getDefaultSettings();
 
 /**
  * Get color by ID from cache
@@ -72,7 +62,7 @@ function getAnnotationColor(annotation) {
   if (colorId) {
     const colorObj = getColorById(colorId);
     if (colorObj) {
-      return hexToRgba(colorObj.color, 0.5);
+      return window.AnnotateProColorStyles.getColorPaint(colorObj, settings.highlightOpacity);
     }
   }
 
@@ -131,10 +121,10 @@ async function getCurrentTab() {
 }
 
 /**
- * Get page URL from tab
+ * Get the page key of a tab (resolved by the background when the popup loads)
  */
 function getPageUrl(tab) {
-  return tab.url;
+  return tab.pageUrl || tab.url;
 }
 
 /**
@@ -148,7 +138,19 @@ function renderAnnotationList() {
   const items = listEl.querySelectorAll('.annotation-item');
   items.forEach(item => item.remove());
 
-  if (pageAnnotations.length === 0) {
+  const { hasOverdueItem, getTaskItems, isOverdue } = window.AnnotateProTasks;
+  const overdueCount = pageAnnotations.filter(a => hasOverdueItem(a)).length;
+  if (overdueCount === 0) {
+    showOverdueOnly = false;
+  }
+  const filterBtn = document.getElementById('btn-overdue-filter');
+  filterBtn.style.display = overdueCount > 0 ? '' : 'none';
+  filterBtn.classList.toggle('active', showOverdueOnly);
+  document.getElementById('page-overdue-count').textContent = overdueCount;
+
+  const visibleAnnotations = showOverdueOnly ? pageAnnotations.filter(a => hasOverdueItem(a)) : pageAnnotations;
+
+  if (visibleAnnotations.length === 0) {
     emptyEl.style.display = 'block';
     return;
   }
@@ -156,7 +158,7 @@ function renderAnnotationList() {
   emptyEl.style.display = 'none';
 
   // Sort annotations: page notes first, then by updated time
-  const sortedAnnotations = [...pageAnnotations].sort((a, b) => {
+  const sortedAnnotations = [...visibleAnnotations].sort((a, b) => {
     if (a.annotationType === 'page-note' && b.annotationType !== 'page-note') return -1;
     if (a.annotationType !== 'page-note' && b.annotationType === 'page-note') return 1;
     return (b.updatedAt || 0) - (a.updatedAt || 0);
@@ -168,16 +170,32 @@ function renderAnnotationList() {
     item.dataset.id = annotation.id;
 
     const isPageNote = annotation.annotationType === 'page-note';
+    const isScreenshot = annotation.annotationType === 'screenshot';
     const color = getAnnotationColor(annotation);
-    const text = isPageNote ? 'Page Note' : (annotation.textSnapshot || '(no text)');
+    const text = isPageNote ? 'Page Note' : (isScreenshot ? 'Screenshot' : (annotation.textSnapshot || '(no text)'));
     const isCheckbox = annotation.annotationType === 'checkbox';
     const hasNote = annotation.note && annotation.note.trim().length > 0;
 
+    // Earliest due date among the annotation's open task items
+    const dueItems = getTaskItems(annotation).filter(t => !t.checked && t.dueAt);
+    const nextDue = dueItems.sort((a, b) => a.dueAt - b.dueAt)[0];
+    const dueBadge = nextDue
+      ? `<span class="annotation-due${isOverdue(nextDue) ? ' overdue' : ''}" title="Due date">📅 ${new Date(nextDue.dueAt).toLocaleDateString()}</span>`
+      : '';
+
+    let marker = `<span class="annotation-color" style="background: ${color}"></span>`;
+    if (isPageNote) {
+      marker = '<span class="annotation-icon">📄</span>';
+    } else if (isScreenshot) {
+      marker = `<button class="annotation-thumbnail" title="Open in screenshot editor"><img src="${escapeHtml(annotation.thumbnail || '')}" alt=""></button>`;
+    }
+
     item.innerHTML = `
-      ${isPageNote ? '<span class="annotation-icon">📄</span>' : `<span class="annotation-color" style="background: ${color}"></span>`}
+      ${marker}
       <div class="annotation-main">
         <span class="annotation-text" title="${escapeHtml(text)}">${escapeHtml(text.slice(0, 50))}${text.length > 50 ? '...' : ''}</span>
         ${hasNote ? '<span class="annotation-note-indicator" title="Has note">📝</span>' : ''}
+        ${dueBadge}
       </div>
       ${isCheckbox ? `<input type="checkbox" class="popup-checkbox" ${annotation.checked ? 'checked' : ''} title="Toggle checkbox">` : ''}
       <button class="annotation-delete" title="Delete annotation">&times;</button>
@@ -189,6 +207,23 @@ function renderAnnotationList() {
       toggleNoteEditor(item, annotation);
     });
 
+    // Thumbnail opens the screenshot in the page's editor
+    const thumbnailEl = item.querySelector('.annotation-thumbnail');
+    if (thumbnailEl) {
+      thumbnailEl.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+          await browser.tabs.sendMessage(currentTab.id, {
+            type: 'COMMAND_OPEN_SCREENSHOT',
+            annotationId: annotation.id
+          });
+          window.close();
+        } catch (err) {
+          console.error('Failed to open screenshot:', err);
+        }
+      });
+    }
+
     // Checkbox toggle handler
     const checkboxEl = item.querySelector('.popup-checkbox');
     if (checkboxEl) {
@@ -238,12 +273,13 @@ function toggleNoteEditor(item, annotation) {
 
   const currentColor = getAnnotationColor(annotation);
   const isCheckbox = annotation.annotationType === 'checkbox';
-  const isPageNote = annotation.annotationType === 'page-note';
+  // Page notes and screenshots have no color
+  const isUncolored = annotation.annotationType === 'page-note' || annotation.annotationType === 'screenshot';
   const hasNoColor = currentColor === 'transparent' || !annotation.colorId;
 
   // Build color swatches from cached colors
   const colorSwatches = cachedColors.map(c => {
-    const colorValue = hexToRgba(c.color, 0.5);
+    const colorValue = window.AnnotateProColorStyles.getColorPaint(c, settings.highlightOpacity);
     const isActive = c.id === annotation.colorId || colorValue === currentColor;
     return `
       <button class="color-swatch ${isActive ? 'active' : ''}"
@@ -258,7 +294,7 @@ function toggleNoteEditor(item, annotation) {
   const editorEl = document.createElement('div');
   editorEl.className = 'annotation-note-editor';
   editorEl.innerHTML = `
-    ${!isPageNote ? `
+    ${!isUncolored ? `
     <div class="color-picker">
       ${colorSwatches}
       ${isCheckbox ? `<button class="color-swatch color-clear ${hasNoColor ? 'active' : ''}" data-color="transparent" title="No color">&times;</button>` : ''}
@@ -308,7 +344,7 @@ function toggleNoteEditor(item, annotation) {
         annotation.color = newColorId ? null : newColor;
 
         // Update color indicator in list
-        const displayColor = newColorId ? hexToRgba(getColorById(newColorId)?.color || '#FFEB3B', 0.5) : newColor;
+        const displayColor = getAnnotationColor(annotation);
         const colorIndicator = item.querySelector('.annotation-color');
         if (colorIndicator) {
           colorIndicator.style.background = displayColor;
@@ -319,6 +355,7 @@ function toggleNoteEditor(item, annotation) {
           await browser.tabs.sendMessage(currentTab.id, {
             type: 'COMMAND_UPDATE_COLOR',
             annotationId: annotation.id,
+            colorId: annotation.colorId,
             color: displayColor
           });
         } catch (e) {}
@@ -537,6 +574,23 @@ async function updateStats() {
   }
 }
 
+/**
+ * Show how many annotations have overdue tasks across all pages
+ */
+async function updateOverdueCount() {
+  try {
+    const { total } = await browser.runtime.sendMessage({
+      type: MessageType.SEARCH_ANNOTATIONS,
+      payload: { query: '', options: { overdue: true }, limit: 0 }
+    });
+
+    document.getElementById('overdue-all-count').textContent = total;
+    document.getElementById('overdue-all-link').style.display = total > 0 ? '' : 'none';
+  } catch (error) {
+    console.error('Failed to load overdue count:', error);
+  }
+}
+
 /**
  * Load annotations for current page
  */
@@ -645,6 +699,8 @@ async function updateStorageInfo() {
  * Export annotations on current page to Markdown file
  */
 function exportToMarkdown() {
+  const { formatTagsMarkdown } = window.AnnotateProTags;
+
   if (pageAnnotations.length === 0) {
     alert('No annotations to export on this page.');
     return;
@@ -689,6 +745,7 @@ Source: [${domain}](${pageUrl})
     for (const note of pageNotes) {
       if (note.note && note.note.trim()) {
         md += `- ${note.note.trim().replace(/\n/g, '\n  ')}\n`;
+        md += formatTagsMarkdown(note);
       }
     }
     md += `\n`;
@@ -705,6 +762,7 @@ Source: [${domain}](${pageUrl})
         if (h.note && h.note.trim()) {
           md += `  - Note: ${h.note.trim().replace(/\n/g, '\n    ')}\n`;
         }
+        md += formatTagsMarkdown(h);
       }
       md += `\n`;
     }
@@ -720,6 +778,7 @@ Source: [${domain}](${pageUrl})
       if (cb.note && cb.note.trim()) {
         md += `  - Note: ${cb.note.trim().replace(/\n/g, '\n    ')}\n`;
       }
+      md += formatTagsMarkdown(cb);
     }
     md += `\n`;
   }
@@ -919,6 +978,24 @@ function init() {
     window.close();
   });
 
+  document.getElementById('btn-settings').addEventListener('click', () => {
+    browser.runtime.openOptionsPage();
+    window.close();
+  });
+
+  // Overdue filter for this page's list
+  document.getElementById('btn-overdue-filter').addEventListener('click', () => {
+    showOverdueOnly = !showOverdueOnly;
+    renderAnnotationList();
+  });
+
+  // Overdue tasks link - open the dashboard tasks view
+  document.getElementById('overdue-all-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    browser.tabs.create({ url: browser.runtime.getURL('dashboard/dashboard.html?view=tasks&filter=overdue') });
+    window.close();
+  });
+
   // Page note button
   document.getElementById('btn-page-note').addEventListener('click', async () => {
     if (currentTab) {
@@ -957,10 +1034,9 @@ async function loadSidebarState() {
     if (response) {
       updateSidebarUI(response);
     } else {
-      // Fallback to storage if content script not available
-      const result = await browser.storage.local.get('sidebarSettings');
-      const settings = result.sidebarSettings || { collapsed: true, position: 'right' };
-      updateSidebarUI(settings);
+      // Fallback to the settings if content script not available
+      const { sidebarPosition } = await window.AnnotateProSettings.getSettings();
+      updateSidebarUI({ collapsed: true, position: sidebarPosition });
     }
   } catch (error) {
     console.error('Failed to load sidebar state:', error);
@@ -1003,7 +1079,8 @@ async function loadPopupData() {
     // Wake up background script first (ensures DB is ready)
     await wakeBackground();
 
-    // Load colors first so they're available for rendering
+    // Load settings and colors first so they're available for rendering
+    settings = await window.AnnotateProSettings.getSettings();
     await loadColors();
 
     currentTab = await getCurrentTab();
@@ -1015,6 +1092,11 @@ async function loadPopupData() {
       !currentTab.url.startsWith('chrome:');
 
     if (isAccessibleUrl) {
+      currentTab.pageUrl = await browser.runtime.sendMessage({
+        type: MessageType.RESOLVE_PAGE_URL,
+        payload: { url: currentTab.url }
+      });
+
       // Run these in parallel for faster loading
       await Promise.all([
         loadAnnotations(),
@@ -1030,8 +1112,9 @@ async function loadPopupData() {
       document.getElementById('section-no-selection').style.display = '';
     }
 
-    // Update storage info (non-critical, do last)
+    // Update storage info and overdue count (non-critical, do last)
     updateStorageInfo();
+    updateOverdueCount();
 
     // Load sidebar state
     loadSidebarState();
@@ -1,6 +1,7 @@
 /**
  * AnnotatePro Screenshot Editor
- * Ephemeral screenshot capture and annotation
+ * Screenshot capture and annotation. Edited images can be copied, downloaded,
+ * or saved to AnnotatePro as a 'screenshot' annotation on the page.
  */
 
 (function() {
@@ -14,23 +15,92 @@
   let editorEl = null;
   let canvas = null;
   let ctx = null;
-  let originalImage = null;
+  let originalImage = null; // The capture; shapes are drawn over it
+  let renderFrame = null;
+
+  // Annotation id of the saved screenshot being edited (null until saved)
+  let savedScreenshotId = null;
 
   // Drawing state
   let currentTool = 'pen';
   let currentColor = '#FF0000';
   let strokeWidth = 3;
-  let isDrawing = false;
-  let startX = 0;
-  let startY = 0;
-  let lastX = 0;
-  let lastY = 0;
-
-  // History for undo/redo
-  let history = [];
-  let historyIndex = -1;
+
+  // Shapes drawn over the capture, bottom to top. They are plain objects so the
+  // list can be saved with the screenshot and edited again later:
+  //   pen      { color, width, points: [[x, y], ...] }
+  //   highlight { color, width, points }  (a wider, translucent pen)
+  //   rect     { color, width, x, y, w, h }
+  //   ellipse  { color, width, x, y, w, h }
+  //   arrow    { color, width, x1, y1, x2, y2 }
+  //   text     { color, size, x, y, text }
+  //   step     { color, width, x, y, number }  (x, y is the badge center)
+  //   callout  { color, width, x, y, w, h, tailX, tailY, text }
+  //   blur, pixelate, redact  { color, width, x, y, w, h }
+  // each with an id and type. The redaction shapes hide the capture beneath
+  // them (width sets the blur or block size, color the redact fill) and are
+  // always drawn under the other shapes. A shape in the list is never changed in place;
+  // edits replace it with a new object, so undo can keep the old one.
+  let shapes = [];
+  let selectedId = null;
+  let draftShape = null; // Being drawn, not yet in shapes
+  let dragState = null; // { mode: 'draw' | 'move' | 'resize', startX, startY, original, handle }
+  let editingTextId = null; // Text (or callout text) hidden while its text box is open
+
+  // Site rules can turn AnnotatePro off for this site
+  let siteEnabled = false;
+  window.AnnotateProSiteRules.getSiteRules().then(rules => {
+    siteEnabled = rules.enabled;
+  });
+
+  // Undo/redo history of commands: { type: 'add' | 'remove', shape, index },
+  // { type: 'update', before, after } or, for crops, { type: 'crop', before,
+  // after } holding { image, shapes }
+  let undoStack = [];
+  let redoStack = [];
   const MAX_HISTORY = 50;
 
+  // Version of the saved markup ({ version, shapes })
+  const MARKUP_VERSION = 1;
+  const REDACTION_TYPES = ['blur', 'pixelate', 'redact'];
+  const SHAPE_TYPES = ['pen', 'highlight', 'rect', 'ellipse', 'arrow', 'text', 'step', 'callout', ...REDACTION_TYPES];
+
+  // Selection handles and hit testing, in screen pixels
+  const HANDLE_SIZE = 8;
+  const HIT_TOLERANCE = 6;
+  const SELECTION_COLOR = '#6366f1';
+  const HANDLE_CURSORS = {
+    nw: 'nwse-resize',
+    se: 'nwse-resize',
+    ne: 'nesw-resize',
+    sw: 'nesw-resize',
+    start: 'move',
+    end: 'move',
+    tail: 'move'
+  };
+
+  // Shapes smaller than this (in canvas pixels) are treated as a stray click
+  const MIN_SHAPE_SIZE = 3;
+
+  const TEXT_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+  const TEXT_LINE_HEIGHT = 1.2;
+
+  // Highlighter strokes are this many times the stroke size
+  const HIGHLIGHTER_WIDTH_SCALE = 4;
+  const HIGHLIGHTER_OPACITY = 0.4;
+
+  // Callout box placed above and right of its tail, in screen pixels; the
+  // padding is in canvas pixels
+  const CALLOUT_WIDTH = 180;
+  const CALLOUT_HEIGHT = 60;
+  const CALLOUT_OFFSET = 40;
+  const CALLOUT_PADDING = 8;
+  const CALLOUT_FILL = '#FFFFFF';
+
+  // Thumbnail stored on the annotation for lists
+  const THUMBNAIL_MAX_WIDTH = 320;
+  const THUMBNAIL_MAX_HEIGHT = 240;
+
   // Tool colors
   const COLORS = [
     '#FF0000', // Red
@@ -50,6 +120,12 @@
     large: 8
   };
 
+  // Blur and pixelate blocks are this many times the stroke size
+  const REDACTION_BLOCK_SCALE = 3;
+
+  // Check for canvas size limits (typically ~16k pixels max)
+  const MAX_CAPTURE_DIMENSION = 16000;
+
   /**
    * Start area selection mode
    */
@@ -182,12 +258,153 @@
   }
 
   /**
-   * Capture a specific element
+   * Start element picker mode: outline the element under the pointer, move to
+   * its parent or child with the arrow keys, and click (or press Enter) to
+   * capture exactly that element
+   */
+  function startElementPicker() {
+    const picker = document.createElement('div');
+    picker.className = 'annotatepro-element-picker';
+    picker.innerHTML = `
+      <div class="annotatepro-selection-instructions">
+        Click an element to capture it. &uarr; parent, &darr; child, Enter to capture, ESC to cancel.
+      </div>
+      <div class="annotatepro-picker-outline" style="display: none;"></div>
+      <div class="annotatepro-picker-label" style="display: none;"></div>
+    `;
+    const outline = picker.querySelector('.annotatepro-picker-outline');
+    const label = picker.querySelector('.annotatepro-picker-label');
+
+    let current = null;
+    // Elements left with ArrowUp, so ArrowDown goes back the same way
+    let descendPath = [];
+
+    function isPickable(element) {
+      return element instanceof Element &&
+        element !== document.documentElement &&
+        !element.closest('.annotatepro-sidebar, .annotatepro-margin-notes, .annotatepro-toast');
+    }
+
+    function describeElement(element) {
+      let description = element.tagName.toLowerCase();
+      if (element.id) {
+        description += `#${element.id}`;
+      } else if (element.classList.length > 0) {
+        description += `.${element.classList[0]}`;
+      }
+      return description;
+    }
+
+    function setCurrent(element) {
+      current = element;
+      const rect = element.getBoundingClientRect();
+
+      outline.style.display = 'block';
+      outline.style.left = rect.left + 'px';
+      outline.style.top = rect.top + 'px';
+      outline.style.width = rect.width + 'px';
+      outline.style.height = rect.height + 'px';
+
+      label.style.display = 'block';
+      label.style.left = Math.max(0, rect.left) + 'px';
+      label.style.top = Math.max(0, rect.top - 26) + 'px';
+      label.textContent = `${describeElement(element)}  ${Math.round(rect.width)} x ${Math.round(rect.height)}`;
+    }
+
+    function onMouseMove(e) {
+      if (e.target === current || !isPickable(e.target)) return;
+      descendPath = [];
+      setCurrent(e.target);
+    }
+
+    function onScroll() {
+      if (current) setCurrent(current);
+    }
+
+    // Keep the page from reacting to the clicks that pick
+    function onMouseButton(e) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    function onClick(e) {
+      onMouseButton(e);
+      if (current) pick(current);
+    }
+
+    function onKeyDown(e) {
+      if (e.key === 'Escape') {
+        stop();
+      } else if (e.key === 'ArrowUp') {
+        const parent = current?.parentElement;
+        if (parent && parent !== document.documentElement) {
+          descendPath.push(current);
+          setCurrent(parent);
+        }
+      } else if (e.key === 'ArrowDown') {
+        // Skip children with no size (scripts, hidden elements)
+        const child = descendPath.pop() || [...(current?.children || [])].find(c => {
+          const rect = c.getBoundingClientRect();
+          return rect.width > 0 && rect.height > 0;
+        });
+        if (child) setCurrent(child);
+      } else if (e.key === 'Enter') {
+        if (current) pick(current);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    }
+
+    function stop() {
+      picker.remove();
+      document.removeEventListener('mousemove', onMouseMove, true);
+      document.removeEventListener('mousedown', onMouseButton, true);
+      document.removeEventListener('mouseup', onMouseButton, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('keydown', onKeyDown, true);
+      window.removeEventListener('scroll', onScroll, true);
+    }
+
+    function pick(element) {
+      stop();
+      captureElement(element, { padding: 0 });
+    }
+
+    document.addEventListener('mousemove', onMouseMove, true);
+    document.addEventListener('mousedown', onMouseButton, true);
+    document.addEventListener('mouseup', onMouseButton, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    window.addEventListener('scroll', onScroll, true);
+
+    document.body.appendChild(picker);
+  }
+
+  /**
+   * Capture a specific element with some padding around it. Elements larger
+   * than the window are stitched together from several captures.
    */
-  async function captureElement(element) {
+  async function captureElement(element, { padding = 20 } = {}) {
     try {
       const rect = element.getBoundingClientRect();
-      const padding = 20;
+
+      if (rect.width + padding * 2 > window.innerWidth || rect.height + padding * 2 > window.innerHeight) {
+        const { pageWidth, pageHeight } = getPageSize();
+        const left = Math.max(0, rect.left + window.scrollX - padding);
+        const top = Math.max(0, rect.top + window.scrollY - padding);
+        const width = Math.min(pageWidth, rect.right + window.scrollX + padding) - left;
+        const height = Math.min(pageHeight, rect.bottom + window.scrollY + padding) - top;
+
+        if (width > MAX_CAPTURE_DIMENSION || height > MAX_CAPTURE_DIMENSION) {
+          showToast('Element too large to capture. Try visible area instead.', 'error');
+          return;
+        }
+
+        openEditor(await captureStitched(left, top, width, height));
+        return;
+      }
 
       // Ensure element is in viewport
       element.scrollIntoView({ behavior: 'instant', block: 'center' });
@@ -205,8 +422,8 @@
       if (response && response.dataUrl) {
         const left = Math.max(0, newRect.left - padding);
         const top = Math.max(0, newRect.top - padding);
-        const width = newRect.width + padding * 2;
-        const height = newRect.height + padding * 2;
+        const width = newRect.right + padding - left;
+        const height = newRect.bottom + padding - top;
 
         const croppedDataUrl = await cropImage(response.dataUrl, left, top, width, height);
         openEditor(croppedDataUrl);
@@ -217,36 +434,57 @@
     }
   }
 
+  /**
+   * Scrollable size of the page in CSS pixels
+   */
+  function getPageSize() {
+    return {
+      pageWidth: Math.max(
+        document.documentElement.scrollWidth,
+        document.body.scrollWidth || 0
+      ),
+      pageHeight: Math.max(
+        document.documentElement.scrollHeight,
+        document.body.scrollHeight || 0
+      )
+    };
+  }
+
   /**
    * Capture the whole page by stitching viewport captures
    */
   async function captureWholePage() {
+    const { pageWidth, pageHeight } = getPageSize();
+
+    if (pageWidth > MAX_CAPTURE_DIMENSION || pageHeight > MAX_CAPTURE_DIMENSION) {
+      showToast('Page too large for full capture. Try visible area instead.', 'error');
+      return;
+    }
+
+    try {
+      openEditor(await captureStitched(0, 0, pageWidth, pageHeight));
+    } catch (error) {
+      console.error('AnnotatePro: Whole page capture failed', error);
+      showToast('Failed to capture whole page', 'error');
+    }
+  }
+
+  /**
+   * Capture a region of the page (in page coordinates) by scrolling through
+   * it one viewport at a time and stitching the captures together. Restores
+   * the scroll position afterwards; returns a PNG data URL.
+   */
+  async function captureStitched(left, top, width, height) {
     // Save original scroll position
     const originalScrollX = window.scrollX;
     const originalScrollY = window.scrollY;
 
-    // Calculate page dimensions
-    const pageWidth = Math.max(
-      document.documentElement.scrollWidth,
-      document.body.scrollWidth || 0
-    );
-    const pageHeight = Math.max(
-      document.documentElement.scrollHeight,
-      document.body.scrollHeight || 0
-    );
     const viewportWidth = window.innerWidth;
     const viewportHeight = window.innerHeight;
 
-    // Check for canvas size limits (typically ~16k pixels max)
-    const MAX_DIMENSION = 16000;
-    if (pageWidth > MAX_DIMENSION || pageHeight > MAX_DIMENSION) {
-      showToast('Page too large for full capture. Try visible area instead.', 'error');
-      return;
-    }
-
     // Calculate segments needed
-    const cols = Math.ceil(pageWidth / viewportWidth);
-    const rows = Math.ceil(pageHeight / viewportHeight);
+    const cols = Math.ceil(width / viewportWidth);
+    const rows = Math.ceil(height / viewportHeight);
     const totalSegments = cols * rows;
 
     // Device pixel ratio for high-DPI screens
@@ -254,8 +492,8 @@
 
     // Create output canvas
     const outputCanvas = document.createElement('canvas');
-    outputCanvas.width = pageWidth * dpr;
-    outputCanvas.height = pageHeight * dpr;
+    outputCanvas.width = width * dpr;
+    outputCanvas.height = height * dpr;
     const ctx = outputCanvas.getContext('2d');
 
     // Show progress overlay
@@ -266,11 +504,8 @@
 
       for (let row = 0; row < rows; row++) {
         for (let col = 0; col < cols; col++) {
-          const x = col * viewportWidth;
-          const y = row * viewportHeight;
-
           // Scroll to segment position
-          window.scrollTo(x, y);
+          window.scrollTo(left + col * viewportWidth, top + row * viewportHeight);
 
           // Wait for render (allows lazy-loaded content to appear)
           await delay(150);
@@ -306,9 +541,10 @@
           // Load and draw the segment
           const img = await loadImage(response.dataUrl);
 
-          // Calculate actual position (may be offset if at edge)
-          const actualX = window.scrollX;
-          const actualY = window.scrollY;
+          // Calculate actual position (may be offset if at edge); the
+          // canvas clips whatever falls outside the region
+          const actualX = window.scrollX - left;
+          const actualY = window.scrollY - top;
 
           ctx.drawImage(img, actualX * dpr, actualY * dpr);
 
@@ -317,18 +553,11 @@
         }
       }
 
+      return outputCanvas.toDataURL('image/png');
+    } finally {
       // Restore original scroll position
       window.scrollTo(originalScrollX, originalScrollY);
-
-      // Hide progress and open editor
-      hideCaptureProgress();
-      openEditor(outputCanvas.toDataURL('image/png'));
-
-    } catch (error) {
-      console.error('AnnotatePro: Whole page capture failed', error);
-      window.scrollTo(originalScrollX, originalScrollY);
       hideCaptureProgress();
-      showToast('Failed to capture whole page', 'error');
     }
   }
 
@@ -403,24 +632,22 @@
   }
 
   /**
-   * Crop image to specified region
+   * Crop image to specified region. The region is in CSS pixels, scaled by the
+   * device pixel ratio unless another scale (image pixels per unit) is given.
    */
-  async function cropImage(dataUrl, x, y, width, height) {
+  async function cropImage(dataUrl, x, y, width, height, scale = window.devicePixelRatio || 1) {
     return new Promise((resolve) => {
       const img = new Image();
       img.onload = () => {
-        // Account for device pixel ratio
-        const dpr = window.devicePixelRatio || 1;
-
         const cropCanvas = document.createElement('canvas');
-        cropCanvas.width = width * dpr;
-        cropCanvas.height = height * dpr;
+        cropCanvas.width = width * scale;
+        cropCanvas.height = height * scale;
 
         const cropCtx = cropCanvas.getContext('2d');
         cropCtx.drawImage(
           img,
-          x * dpr, y * dpr, width * dpr, height * dpr,
-          0, 0, width * dpr, height * dpr
+          x * scale, y * scale, width * scale, height * scale,
+          0, 0, width * scale, height * scale
         );
 
         resolve(cropCanvas.toDataURL('image/png'));
@@ -430,12 +657,16 @@
   }
 
   /**
-   * Open the screenshot editor
+   * Open the screenshot editor. Pass the annotationId of a saved screenshot to
+   * save changes back to it, and its markup to edit its shapes again.
    */
-  function openEditor(imageDataUrl) {
+  function openEditor(imageDataUrl, { annotationId = null, markup = null } = {}) {
     // Reset state
-    history = [];
-    historyIndex = -1;
+    savedScreenshotId = annotationId;
+    shapes = [];
+    selectedId = null;
+    undoStack = [];
+    redoStack = [];
     currentTool = 'pen';
     currentColor = '#FF0000';
     strokeWidth = SIZES.medium;
@@ -453,9 +684,12 @@
           <button class="annotatepro-editor-btn annotatepro-editor-btn-secondary" data-action="export-pdf">
             Export as PDF
           </button>
-          <button class="annotatepro-editor-btn annotatepro-editor-btn-primary" data-action="download">
+          <button class="annotatepro-editor-btn annotatepro-editor-btn-secondary" data-action="download">
             Download PNG
           </button>
+          <button class="annotatepro-editor-btn annotatepro-editor-btn-primary" data-action="save">
+            Save to AnnotatePro
+          </button>
           <button class="annotatepro-editor-btn annotatepro-editor-btn-close" data-action="close">
             &times;
           </button>
@@ -464,6 +698,11 @@
       <div class="annotatepro-editor-toolbar">
         <div class="annotatepro-toolbar-group">
           <span class="annotatepro-toolbar-label">Tools</span>
+          <button class="annotatepro-tool-btn" data-tool="select" title="Select and move (V)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M4 3l7 17 2.5-7.5L21 10z"/>
+            </svg>
+          </button>
           <button class="annotatepro-tool-btn active" data-tool="pen" title="Pen (P)">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M12 19l7-7 3 3-7 7-3-3z"/>
@@ -471,6 +710,12 @@
               <path d="M2 2l7.586 7.586"/>
             </svg>
           </button>
+          <button class="annotatepro-tool-btn" data-tool="highlight" title="Highlighter (H)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M9 11l-6 6v3h9l3-3"/>
+              <path d="M22 12l-4.6 4.6a2 2 0 01-2.8 0l-5.2-5.2a2 2 0 010-2.8L14 4"/>
+            </svg>
+          </button>
           <button class="annotatepro-tool-btn" data-tool="rect" title="Rectangle (R)">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <rect x="3" y="3" width="18" height="18" rx="2"/>
@@ -494,6 +739,47 @@
               <line x1="8" y1="20" x2="16" y2="20"/>
             </svg>
           </button>
+          <button class="annotatepro-tool-btn" data-tool="callout" title="Callout (L)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15a2 2 0 01-2 2H7l-4 4V5a2 2 0 012-2h14a2 2 0 012 2z"/>
+            </svg>
+          </button>
+          <button class="annotatepro-tool-btn" data-tool="step" title="Numbered step (N)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="9"/>
+              <path d="M10 9.5l2.5-1.5v8"/>
+            </svg>
+          </button>
+          <button class="annotatepro-tool-btn" data-tool="crop" title="Crop (C)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M6 2v14a2 2 0 002 2h14"/>
+              <path d="M18 22V8a2 2 0 00-2-2H2"/>
+            </svg>
+          </button>
+        </div>
+        <div class="annotatepro-toolbar-divider"></div>
+        <div class="annotatepro-toolbar-group">
+          <span class="annotatepro-toolbar-label">Hide</span>
+          <button class="annotatepro-tool-btn" data-tool="blur" title="Blur (B)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="9" stroke-dasharray="2 3"/>
+              <circle cx="12" cy="12" r="4"/>
+            </svg>
+          </button>
+          <button class="annotatepro-tool-btn" data-tool="pixelate" title="Pixelate (M)">
+            <svg viewBox="0 0 24 24" fill="currentColor" stroke="none">
+              <rect x="3" y="3" width="6" height="6"/>
+              <rect x="15" y="3" width="6" height="6"/>
+              <rect x="9" y="9" width="6" height="6"/>
+              <rect x="3" y="15" width="6" height="6"/>
+              <rect x="15" y="15" width="6" height="6"/>
+            </svg>
+          </button>
+          <button class="annotatepro-tool-btn" data-tool="redact" title="Redact (X)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="3" y="8" width="18" height="8" fill="currentColor"/>
+            </svg>
+          </button>
         </div>
         <div class="annotatepro-toolbar-divider"></div>
         <div class="annotatepro-toolbar-group">
@@ -521,13 +807,13 @@
         </div>
         <div class="annotatepro-toolbar-divider"></div>
         <div class="annotatepro-toolbar-group">
-          <button class="annotatepro-tool-btn" data-action="undo" title="Undo (Ctrl+Z)">
+          <button class="annotatepro-tool-btn" data-action="undo" title="Undo (Ctrl+Z)" disabled>
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M3 7v6h6"/>
               <path d="M21 17a9 9 0 00-9-9 9 9 0 00-6 2.3L3 13"/>
             </svg>
           </button>
-          <button class="annotatepro-tool-btn" data-action="redo" title="Redo (Ctrl+Y)">
+          <button class="annotatepro-tool-btn" data-action="redo" title="Redo (Ctrl+Y)" disabled>
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M21 7v6h-6"/>
               <path d="M3 17a9 9 0 019-9 9 9 0 016 2.3l3 2.7"/>
@@ -535,6 +821,12 @@
           </button>
         </div>
       </div>
+      <div class="annotatepro-editor-warning" hidden>
+        <span>Redactions are still separate layers. Exports are flattened, but saving keeps the original capture so they stay editable.</span>
+        <button class="annotatepro-editor-btn annotatepro-editor-btn-secondary" data-action="flatten">
+          Flatten redactions
+        </button>
+      </div>
       <div class="annotatepro-editor-canvas-container">
         <div class="annotatepro-editor-canvas-wrapper">
           <canvas class="annotatepro-editor-canvas"></canvas>
@@ -542,6 +834,10 @@
       </div>
       <div class="annotatepro-editor-shortcuts">
         <kbd>ESC</kbd> Close &nbsp;
+        <kbd>V</kbd> Select &nbsp;
+        <kbd>B</kbd> <kbd>M</kbd> <kbd>X</kbd> Blur, pixelate, redact &nbsp;
+        <kbd>Del</kbd> Delete shape &nbsp;
+        <kbd>Ctrl+S</kbd> Save &nbsp;
         <kbd>Ctrl+Z</kbd> Undo &nbsp;
         <kbd>Ctrl+Y</kbd> Redo &nbsp;
         <kbd>Ctrl+C</kbd> Copy
@@ -560,8 +856,9 @@
       originalImage = img;
       canvas.width = img.width;
       canvas.height = img.height;
-      ctx.drawImage(img, 0, 0);
-      saveToHistory();
+      shapes = loadMarkup(markup);
+      updateRedactionWarning();
+      render();
     };
     img.src = imageDataUrl;
 
@@ -577,32 +874,33 @@
     editorEl.querySelector('[data-action="copy"]').addEventListener('click', copyToClipboard);
     editorEl.querySelector('[data-action="export-pdf"]').addEventListener('click', exportAsPdf);
     editorEl.querySelector('[data-action="download"]').addEventListener('click', downloadScreenshot);
+    editorEl.querySelector('[data-action="save"]').addEventListener('click', saveToAnnotatePro);
     editorEl.querySelector('[data-action="close"]').addEventListener('click', closeEditor);
+    editorEl.querySelector('[data-action="flatten"]').addEventListener('click', flattenRedactions);
 
     // Tool buttons
     editorEl.querySelectorAll('[data-tool]').forEach(btn => {
-      btn.addEventListener('click', () => {
-        currentTool = btn.dataset.tool;
-        editorEl.querySelectorAll('[data-tool]').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-      });
+      btn.addEventListener('click', () => setTool(btn.dataset.tool));
     });
 
-    // Color buttons
+    // Color buttons (also recolor the selected shape)
     editorEl.querySelectorAll('[data-color]').forEach(btn => {
       btn.addEventListener('click', () => {
         currentColor = btn.dataset.color;
         editorEl.querySelectorAll('[data-color]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
+        updateSelectedShape({ color: currentColor });
       });
     });
 
-    // Size buttons
+    // Size buttons (also resize the selected shape's stroke or text)
     editorEl.querySelectorAll('[data-size]').forEach(btn => {
       btn.addEventListener('click', () => {
         strokeWidth = SIZES[btn.dataset.size];
         editorEl.querySelectorAll('[data-size]').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
+        const selected = getSelectedShape();
+        updateSelectedShape(selected?.type === 'text' ? { size: getTextSize(strokeWidth) } : { width: strokeWidth });
       });
     });
 
@@ -615,6 +913,7 @@
     canvas.addEventListener('mousemove', onCanvasMouseMove);
     canvas.addEventListener('mouseup', onCanvasMouseUp);
     canvas.addEventListener('mouseleave', onCanvasMouseUp);
+    canvas.addEventListener('dblclick', onCanvasDoubleClick);
 
     // Keyboard shortcuts
     document.addEventListener('keydown', onEditorKeyDown);
@@ -634,231 +933,1034 @@
   }
 
   /**
-   * Canvas mouse down handler
+   * Canvas pixels per screen pixel (the canvas is scaled down to fit)
    */
-  function onCanvasMouseDown(e) {
-    const coords = getCanvasCoords(e);
-    startX = coords.x;
-    startY = coords.y;
-    lastX = coords.x;
-    lastY = coords.y;
-    isDrawing = true;
+  function getCanvasScale() {
+    const rect = canvas.getBoundingClientRect();
+    return rect.width ? canvas.width / rect.width : 1;
+  }
 
-    if (currentTool === 'text') {
-      isDrawing = false;
-      showTextInput(coords.x, coords.y);
+  /**
+   * Switch tools; leaving the select tool drops the selection
+   */
+  function setTool(tool) {
+    currentTool = tool;
+    editorEl.querySelectorAll('[data-tool]').forEach(b => {
+      b.classList.toggle('active', b.dataset.tool === tool);
+    });
+    if (tool !== 'select') {
+      selectShape(null);
+    }
+    canvas.style.cursor = tool === 'select' ? 'default' : (tool === 'text' ? 'text' : '');
+  }
+
+  // ============ Shapes ============
+
+  function generateShapeId() {
+    return `shape_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function getTextSize(width) {
+    return 12 + width * 2;
+  }
+
+  function getStepRadius(width) {
+    return 10 + width * 2;
+  }
+
+  /**
+   * Font size of a text shape or callout
+   */
+  function getFontSize(shape) {
+    return shape.type === 'callout' ? getTextSize(shape.width) : shape.size;
+  }
+
+  function getLineWidth(shape) {
+    return shape.type === 'highlight' ? shape.width * HIGHLIGHTER_WIDTH_SCALE : shape.width;
+  }
+
+  function getNextStepNumber() {
+    return shapes.reduce((max, s) => (s.type === 'step' ? Math.max(max, s.number) : max), 0) + 1;
+  }
+
+  /**
+   * Callout box position for a tail (or pointer) at x, y
+   */
+  function placeCalloutBox(x, y, h) {
+    const offset = CALLOUT_OFFSET * getCanvasScale();
+    return { x: x + offset, y: y - offset - h };
+  }
+
+  /**
+   * A new shape at the pointer for the drawing tools
+   */
+  function createShape(tool, x, y) {
+    const base = { id: generateShapeId(), type: tool, color: currentColor, width: strokeWidth };
+    switch (tool) {
+      case 'pen':
+      case 'highlight':
+        return { ...base, points: [[x, y]] };
+      case 'arrow':
+        return { ...base, x1: x, y1: y, x2: x, y2: y };
+      case 'step':
+        return { ...base, x, y, number: getNextStepNumber() };
+      case 'callout': {
+        // The tail points at the click; dragging carries the box away from it
+        const scale = getCanvasScale();
+        const w = CALLOUT_WIDTH * scale;
+        const h = CALLOUT_HEIGHT * scale;
+        return { ...base, ...placeCalloutBox(x, y, h), w, h, tailX: x, tailY: y, text: '' };
+      }
+      default:
+        return { ...base, x, y, w: 0, h: 0 };
+    }
+  }
+
+  /**
+   * Extend the shape being drawn to the pointer
+   */
+  function updateDraftShape(shape, x, y) {
+    switch (shape.type) {
+      case 'pen':
+      case 'highlight':
+        shape.points.push([x, y]);
+        return shape;
+      case 'arrow':
+        return { ...shape, x2: x, y2: y };
+      case 'callout':
+        return { ...shape, ...placeCalloutBox(x, y, shape.h) };
+      default:
+        return {
+          ...shape,
+          x: Math.min(dragState.startX, x),
+          y: Math.min(dragState.startY, y),
+          w: Math.abs(x - dragState.startX),
+          h: Math.abs(y - dragState.startY)
+        };
+    }
+  }
+
+  function isShapeTooSmall(shape) {
+    switch (shape.type) {
+      case 'pen':
+      case 'highlight':
+      case 'callout':
+        return false;
+      case 'arrow':
+        return Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < MIN_SHAPE_SIZE;
+      default:
+        return shape.w < MIN_SHAPE_SIZE && shape.h < MIN_SHAPE_SIZE;
+    }
+  }
+
+  function getTextLines(shape) {
+    return shape.text.split('\n');
+  }
+
+  function getShapeBounds(shape) {
+    switch (shape.type) {
+      case 'pen':
+      case 'highlight':
+      case 'arrow': {
+        const points = shape.type === 'arrow' ? [[shape.x1, shape.y1], [shape.x2, shape.y2]] : shape.points;
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+      }
+      case 'text': {
+        const lines = getTextLines(shape);
+        ctx.save();
+        ctx.font = `${shape.size}px ${TEXT_FONT}`;
+        const w = Math.max(...lines.map(line => ctx.measureText(line).width));
+        ctx.restore();
+        return { x: shape.x, y: shape.y, w, h: lines.length * shape.size * TEXT_LINE_HEIGHT };
+      }
+      case 'step': {
+        const r = getStepRadius(shape.width);
+        return { x: shape.x - r, y: shape.y - r, w: r * 2, h: r * 2 };
+      }
+      // The callout's bounds are its box; the tail has its own handle
+      default:
+        return { x: shape.x, y: shape.y, w: shape.w, h: shape.h };
+    }
+  }
+
+  function moveShape(shape, dx, dy) {
+    switch (shape.type) {
+      case 'pen':
+      case 'highlight':
+        return { ...shape, points: shape.points.map(([x, y]) => [x + dx, y + dy]) };
+      case 'arrow':
+        return { ...shape, x1: shape.x1 + dx, y1: shape.y1 + dy, x2: shape.x2 + dx, y2: shape.y2 + dy };
+      case 'callout':
+        return { ...shape, x: shape.x + dx, y: shape.y + dy, tailX: shape.tailX + dx, tailY: shape.tailY + dy };
+      default:
+        return { ...shape, x: shape.x + dx, y: shape.y + dy };
+    }
+  }
+
+  /**
+   * Drag a handle of the shape to the pointer. Corner handles keep the
+   * opposite corner in place; arrow and callout tail handles move that point.
+   */
+  function resizeShape(shape, handle, x, y) {
+    if (shape.type === 'arrow') {
+      return handle === 'start' ? { ...shape, x1: x, y1: y } : { ...shape, x2: x, y2: y };
+    }
+    if (handle === 'tail') {
+      return { ...shape, tailX: x, tailY: y };
+    }
+
+    const bounds = getShapeBounds(shape);
+    const fixedX = handle.includes('w') ? bounds.x + bounds.w : bounds.x;
+    const fixedY = handle.includes('n') ? bounds.y + bounds.h : bounds.y;
+    const next = {
+      x: Math.min(fixedX, x),
+      y: Math.min(fixedY, y),
+      w: Math.abs(x - fixedX),
+      h: Math.abs(y - fixedY)
+    };
+
+    if (shape.type === 'pen' || shape.type === 'highlight') {
+      const scaleX = bounds.w ? next.w / bounds.w : 1;
+      const scaleY = bounds.h ? next.h / bounds.h : 1;
+      return {
+        ...shape,
+        points: shape.points.map(([px, py]) => [
+          next.x + (px - bounds.x) * scaleX,
+          next.y + (py - bounds.y) * scaleY
+        ])
+      };
+    }
+
+    return { ...shape, ...next };
+  }
+
+  /**
+   * Distance from a point to the segment (x1, y1)-(x2, y2)
+   */
+  function distanceToSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSq)) : 0;
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+  }
+
+  function hitTestShape(shape, x, y, tolerance) {
+    switch (shape.type) {
+      case 'pen':
+      case 'highlight': {
+        const reach = tolerance + getLineWidth(shape) / 2;
+        const points = shape.points;
+        if (points.length === 1) {
+          return Math.hypot(x - points[0][0], y - points[0][1]) <= reach;
+        }
+        for (let i = 1; i < points.length; i++) {
+          if (distanceToSegment(x, y, ...points[i - 1], ...points[i]) <= reach) return true;
+        }
+        return false;
+      }
+      case 'arrow':
+        return distanceToSegment(x, y, shape.x1, shape.y1, shape.x2, shape.y2) <= tolerance + shape.width / 2;
+      case 'ellipse': {
+        const rx = shape.w / 2 + tolerance;
+        const ry = shape.h / 2 + tolerance;
+        const nx = (x - (shape.x + shape.w / 2)) / rx;
+        const ny = (y - (shape.y + shape.h / 2)) / ry;
+        return nx * nx + ny * ny <= 1;
+      }
+      case 'callout': {
+        const onBox = x >= shape.x - tolerance && x <= shape.x + shape.w + tolerance &&
+          y >= shape.y - tolerance && y <= shape.y + shape.h + tolerance;
+        return onBox || distanceToSegment(x, y, shape.x + shape.w / 2, shape.y + shape.h / 2,
+          shape.tailX, shape.tailY) <= tolerance + shape.width;
+      }
+      default: {
+        const bounds = getShapeBounds(shape);
+        return x >= bounds.x - tolerance && x <= bounds.x + bounds.w + tolerance &&
+          y >= bounds.y - tolerance && y <= bounds.y + bounds.h + tolerance;
+      }
+    }
+  }
+
+  /**
+   * Topmost shape under the pointer
+   */
+  function findShapeAt(x, y) {
+    const tolerance = HIT_TOLERANCE * getCanvasScale();
+    const ordered = getDrawOrder();
+    for (let i = ordered.length - 1; i >= 0; i--) {
+      if (hitTestShape(ordered[i], x, y, tolerance)) return ordered[i];
+    }
+    return null;
+  }
+
+  function getHandles(shape) {
+    if (shape.type === 'arrow') {
+      return [
+        { name: 'start', x: shape.x1, y: shape.y1 },
+        { name: 'end', x: shape.x2, y: shape.y2 }
+      ];
+    }
+    // Text and steps are resized with the size buttons
+    if (shape.type === 'text' || shape.type === 'step') return [];
+
+    const { x, y, w, h } = getShapeBounds(shape);
+    const handles = [
+      { name: 'nw', x, y },
+      { name: 'ne', x: x + w, y },
+      { name: 'sw', x, y: y + h },
+      { name: 'se', x: x + w, y: y + h }
+    ];
+    if (shape.type === 'callout') {
+      handles.push({ name: 'tail', x: shape.tailX, y: shape.tailY });
+    }
+    return handles;
+  }
+
+  function findHandleAt(shape, x, y) {
+    const reach = (HANDLE_SIZE / 2 + 2) * getCanvasScale();
+    const handle = getHandles(shape).find(h => Math.abs(h.x - x) <= reach && Math.abs(h.y - y) <= reach);
+    return handle ? handle.name : null;
+  }
+
+  function isRedaction(shape) {
+    return REDACTION_TYPES.includes(shape.type);
+  }
+
+  /**
+   * Shapes bottom to top as drawn: redactions first, over the capture only
+   */
+  function getDrawOrder() {
+    return [...shapes.filter(isRedaction), ...shapes.filter(s => !isRedaction(s))];
+  }
+
+  function getShape(id) {
+    return shapes.find(s => s.id === id) || null;
+  }
+
+  function getSelectedShape() {
+    return selectedId ? getShape(selectedId) : null;
+  }
+
+  function selectShape(id) {
+    if (selectedId === id) return;
+    selectedId = id;
+    requestRender();
+  }
+
+  /**
+   * Shapes from saved markup; anything unrecognized is dropped
+   */
+  function loadMarkup(markup) {
+    if (!markup || !Array.isArray(markup.shapes)) return [];
+    return markup.shapes.filter(shape => shape && SHAPE_TYPES.includes(shape.type) && shape.id);
+  }
+
+  /**
+   * The shapes in the form saved with a screenshot
+   */
+  function getMarkup() {
+    return { version: MARKUP_VERSION, shapes };
+  }
+
+  // ============ Commands (undo/redo) ============
+
+  function insertShape(shape, index) {
+    shapes.splice(Math.min(index, shapes.length), 0, shape);
+  }
+
+  function removeShape(id) {
+    shapes = shapes.filter(s => s.id !== id);
+    if (selectedId === id) selectedId = null;
+  }
+
+  function replaceShape(shape) {
+    shapes = shapes.map(s => (s.id === shape.id ? shape : s));
+  }
+
+  function applyCommand(command, reverse) {
+    switch (command.type) {
+      case 'add':
+        if (reverse) removeShape(command.shape.id);
+        else insertShape(command.shape, command.index);
+        break;
+      case 'remove':
+        if (reverse) insertShape(command.shape, command.index);
+        else removeShape(command.shape.id);
+        break;
+      case 'update':
+        replaceShape(reverse ? command.before : command.after);
+        break;
+      case 'crop': {
+        const { image, shapes: croppedShapes } = reverse ? command.before : command.after;
+        originalImage = image;
+        canvas.width = image.width;
+        canvas.height = image.height;
+        shapes = croppedShapes;
+        if (selectedId && !getShape(selectedId)) {
+          selectedId = null;
+        }
+        break;
+      }
+    }
+    updateRedactionWarning();
+    requestRender();
+  }
+
+  /**
+   * Apply a command and record it for undo
+   */
+  function runCommand(command) {
+    applyCommand(command, false);
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) {
+      undoStack.shift();
+    }
+    redoStack = [];
+    updateHistoryButtons();
+  }
+
+  function addShape(shape) {
+    runCommand({ type: 'add', shape, index: shapes.length });
+  }
+
+  function updateSelectedShape(patch) {
+    const selected = getSelectedShape();
+    if (!selected) return;
+    runCommand({ type: 'update', before: selected, after: { ...selected, ...patch } });
+  }
+
+  function deleteSelectedShape() {
+    const selected = getSelectedShape();
+    if (!selected) return;
+    runCommand({ type: 'remove', shape: selected, index: shapes.indexOf(selected) });
+  }
+
+  /**
+   * Undo last action
+   */
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
+    applyCommand(command, true);
+    redoStack.push(command);
+    updateHistoryButtons();
+  }
+
+  /**
+   * Redo last undone action
+   */
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+    applyCommand(command, false);
+    undoStack.push(command);
+    updateHistoryButtons();
+  }
+
+  function updateHistoryButtons() {
+    if (!editorEl) return;
+    editorEl.querySelector('[data-action="undo"]').disabled = undoStack.length === 0;
+    editorEl.querySelector('[data-action="redo"]').disabled = redoStack.length === 0;
+  }
+
+  /**
+   * Crop the capture to a region. Shapes move with it, and those left
+   * entirely outside are dropped.
+   */
+  async function cropToRegion(region) {
+    const x = Math.max(0, Math.round(region.x));
+    const y = Math.max(0, Math.round(region.y));
+    const w = Math.min(canvas.width, Math.round(region.x + region.w)) - x;
+    const h = Math.min(canvas.height, Math.round(region.y + region.h)) - y;
+    if (w < MIN_SHAPE_SIZE || h < MIN_SHAPE_SIZE) {
+      requestRender();
       return;
     }
 
-    if (currentTool === 'pen') {
-      ctx.beginPath();
-      ctx.moveTo(startX, startY);
-      ctx.strokeStyle = currentColor;
-      ctx.lineWidth = strokeWidth;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
+    try {
+      const image = await loadImage(await cropImage(originalImage.src, x, y, w, h, 1));
+      if (!editorEl) return;
+
+      const croppedShapes = shapes
+        .filter(shape => {
+          const bounds = getShapeBounds(shape);
+          return bounds.x <= x + w && bounds.x + bounds.w >= x && bounds.y <= y + h && bounds.y + bounds.h >= y;
+        })
+        .map(shape => moveShape(shape, -x, -y));
+
+      runCommand({
+        type: 'crop',
+        before: { image: originalImage, shapes },
+        after: { image, shapes: croppedShapes }
+      });
+    } catch (error) {
+      console.error('AnnotatePro: Failed to crop screenshot', error);
+      showToast('Failed to crop screenshot', 'error');
     }
   }
 
+  // ============ Redactions ============
+
+  function hasUnflattenedRedactions() {
+    return shapes.some(isRedaction);
+  }
+
+  function updateRedactionWarning() {
+    if (!editorEl) return;
+    editorEl.querySelector('.annotatepro-editor-warning').hidden = !hasUnflattenedRedactions();
+  }
+
   /**
-   * Canvas mouse move handler
+   * Burn the redactions into the capture. The hidden pixels are gone from the
+   * editor (and from the screenshot once saved); this clears undo history.
    */
-  function onCanvasMouseMove(e) {
-    if (!isDrawing) return;
+  async function flattenRedactions() {
+    if (!hasUnflattenedRedactions()) return;
+    if (!confirm('Flatten the redactions into the image? They can no longer be moved or removed, and undo history is cleared.')) return;
+
+    const flatCanvas = document.createElement('canvas');
+    flatCanvas.width = canvas.width;
+    flatCanvas.height = canvas.height;
+    const flatCtx = flatCanvas.getContext('2d');
+    flatCtx.drawImage(originalImage, 0, 0);
+    for (const shape of shapes.filter(isRedaction)) {
+      drawRedaction(flatCtx, shape);
+    }
 
-    const coords = getCanvasCoords(e);
+    try {
+      const image = await loadImage(flatCanvas.toDataURL('image/png'));
+      if (!editorEl) return;
+      originalImage = image;
+    } catch (error) {
+      console.error('AnnotatePro: Failed to flatten redactions', error);
+      showToast('Failed to flatten redactions', 'error');
+      return;
+    }
 
-    if (currentTool === 'pen') {
-      ctx.lineTo(coords.x, coords.y);
-      ctx.stroke();
-      lastX = coords.x;
-      lastY = coords.y;
-    } else {
-      // For shapes, redraw from history
-      restoreFromHistory();
-      drawShape(currentTool, startX, startY, coords.x, coords.y);
+    shapes = shapes.filter(s => !isRedaction(s));
+    if (selectedId && !getShape(selectedId)) {
+      selectedId = null;
+    }
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
+    updateRedactionWarning();
+    render();
+    showToast('Redactions flattened', 'success');
+  }
+
+  /**
+   * Hide the pixels under a redaction shape, reading them from the target
+   * canvas. Blur and pixelate work from a copy scaled down to one pixel per
+   * block, so the detail is discarded rather than just smoothed over.
+   */
+  function drawRedaction(targetCtx, shape) {
+    const x = Math.max(0, Math.floor(shape.x));
+    const y = Math.max(0, Math.floor(shape.y));
+    const w = Math.min(targetCtx.canvas.width, Math.ceil(shape.x + shape.w)) - x;
+    const h = Math.min(targetCtx.canvas.height, Math.ceil(shape.y + shape.h)) - y;
+    if (w <= 0 || h <= 0) return;
+
+    targetCtx.save();
+    if (shape.type === 'redact') {
+      targetCtx.fillStyle = shape.color;
+      targetCtx.fillRect(x, y, w, h);
+      targetCtx.restore();
+      return;
+    }
+
+    const block = shape.width * REDACTION_BLOCK_SCALE;
+    const reduced = document.createElement('canvas');
+    reduced.width = Math.max(1, Math.ceil(w / block));
+    reduced.height = Math.max(1, Math.ceil(h / block));
+    reduced.getContext('2d').drawImage(targetCtx.canvas, x, y, w, h, 0, 0, reduced.width, reduced.height);
+
+    targetCtx.beginPath();
+    targetCtx.rect(x, y, w, h);
+    targetCtx.clip();
+    targetCtx.imageSmoothingEnabled = false;
+    targetCtx.drawImage(reduced, x, y, w, h);
+
+    // The blur is drawn over the blocks, so its soft edges never show the original
+    if (shape.type === 'blur') {
+      targetCtx.imageSmoothingEnabled = true;
+      targetCtx.filter = `blur(${block / 2}px)`;
+      targetCtx.drawImage(reduced, x, y, w, h);
     }
+    targetCtx.restore();
+  }
+
+  // ============ Rendering ============
+
+  function requestRender() {
+    if (renderFrame) return;
+    renderFrame = requestAnimationFrame(() => {
+      renderFrame = null;
+      render();
+    });
   }
 
   /**
-   * Canvas mouse up handler
+   * Redraw the canvas: capture, shapes, the shape being drawn and the selection
    */
-  function onCanvasMouseUp(e) {
-    if (!isDrawing) return;
-    isDrawing = false;
+  function render() {
+    if (!ctx || !originalImage) return;
+
+    drawScene(ctx);
+    if (draftShape?.type === 'crop') {
+      drawCropRegion(draftShape);
+    } else if (draftShape) {
+      drawShape(ctx, draftShape);
+    }
 
-    if (currentTool !== 'pen') {
-      const coords = getCanvasCoords(e);
-      drawShape(currentTool, startX, startY, coords.x, coords.y);
+    const selected = getSelectedShape();
+    if (selected && selected.id !== editingTextId) {
+      drawSelection(selected);
+    }
+  }
+
+  /**
+   * Draw the capture and its shapes onto a context
+   */
+  function drawScene(targetCtx) {
+    targetCtx.clearRect(0, 0, canvas.width, canvas.height);
+    targetCtx.drawImage(originalImage, 0, 0);
+    for (const shape of getDrawOrder()) {
+      if (shape.id !== editingTextId) {
+        drawShape(targetCtx, shape);
+      } else if (shape.type === 'callout') {
+        drawShape(targetCtx, { ...shape, text: '' });
+      }
     }
+  }
 
-    saveToHistory();
+  /**
+   * The finished image: capture and shapes without the selection. Redactions
+   * are flattened into its pixels.
+   */
+  function getExportCanvas() {
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = canvas.width;
+    exportCanvas.height = canvas.height;
+    drawScene(exportCanvas.getContext('2d'));
+    return exportCanvas;
   }
 
   /**
    * Draw a shape
    */
-  function drawShape(tool, x1, y1, x2, y2) {
-    ctx.strokeStyle = currentColor;
-    ctx.lineWidth = strokeWidth;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
+  function drawShape(targetCtx, shape) {
+    targetCtx.save();
+    targetCtx.strokeStyle = shape.color;
+    targetCtx.fillStyle = shape.color;
+    targetCtx.lineWidth = getLineWidth(shape);
+    targetCtx.lineCap = 'round';
+    targetCtx.lineJoin = 'round';
+
+    switch (shape.type) {
+      case 'pen':
+      case 'highlight': {
+        if (shape.type === 'highlight') {
+          targetCtx.globalAlpha = HIGHLIGHTER_OPACITY;
+          targetCtx.globalCompositeOperation = 'multiply';
+        }
+        const [first, ...rest] = shape.points;
+        targetCtx.beginPath();
+        if (rest.length === 0) {
+          targetCtx.arc(first[0], first[1], targetCtx.lineWidth / 2, 0, Math.PI * 2);
+          targetCtx.fill();
+          break;
+        }
+        targetCtx.moveTo(first[0], first[1]);
+        for (const [x, y] of rest) {
+          targetCtx.lineTo(x, y);
+        }
+        targetCtx.stroke();
+        break;
+      }
 
-    switch (tool) {
       case 'rect':
-        ctx.beginPath();
-        ctx.rect(x1, y1, x2 - x1, y2 - y1);
-        ctx.stroke();
+        targetCtx.beginPath();
+        targetCtx.rect(shape.x, shape.y, shape.w, shape.h);
+        targetCtx.stroke();
         break;
 
       case 'ellipse':
-        const centerX = (x1 + x2) / 2;
-        const centerY = (y1 + y2) / 2;
-        const radiusX = Math.abs(x2 - x1) / 2;
-        const radiusY = Math.abs(y2 - y1) / 2;
-        ctx.beginPath();
-        ctx.ellipse(centerX, centerY, radiusX, radiusY, 0, 0, Math.PI * 2);
-        ctx.stroke();
+        targetCtx.beginPath();
+        targetCtx.ellipse(shape.x + shape.w / 2, shape.y + shape.h / 2, shape.w / 2, shape.h / 2, 0, 0, Math.PI * 2);
+        targetCtx.stroke();
         break;
 
       case 'arrow':
-        drawArrow(ctx, x1, y1, x2, y2);
+        drawArrow(targetCtx, shape);
+        break;
+
+      case 'text':
+        targetCtx.font = `${shape.size}px ${TEXT_FONT}`;
+        targetCtx.textBaseline = 'top';
+        getTextLines(shape).forEach((line, i) => {
+          targetCtx.fillText(line, shape.x, shape.y + i * shape.size * TEXT_LINE_HEIGHT);
+        });
+        break;
+
+      case 'step':
+        drawStep(targetCtx, shape);
+        break;
+
+      case 'callout':
+        drawCallout(targetCtx, shape);
+        break;
+
+      case 'blur':
+      case 'pixelate':
+      case 'redact':
+        drawRedaction(targetCtx, shape);
         break;
     }
+
+    targetCtx.restore();
+  }
+
+  /**
+   * Whether dark text reads better than white on a hex color
+   */
+  function isLightColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    const r = (value >> 16) & 255;
+    const g = (value >> 8) & 255;
+    const b = value & 255;
+    return (r * 299 + g * 587 + b * 114) / 1000 > 160;
+  }
+
+  /**
+   * Draw a numbered step badge
+   */
+  function drawStep(targetCtx, { x, y, width, color, number }) {
+    const r = getStepRadius(width);
+    targetCtx.beginPath();
+    targetCtx.arc(x, y, r, 0, Math.PI * 2);
+    targetCtx.fill();
+
+    targetCtx.fillStyle = isLightColor(color) ? '#000000' : '#FFFFFF';
+    targetCtx.font = `bold ${Math.round(r * 1.1)}px ${TEXT_FONT}`;
+    targetCtx.textAlign = 'center';
+    targetCtx.textBaseline = 'middle';
+    targetCtx.fillText(String(number), x, y + r * 0.05);
+  }
+
+  /**
+   * Draw a callout: a filled box with a tail pointing at tailX, tailY
+   */
+  function drawCallout(targetCtx, shape) {
+    const { x, y, w, h, tailX, tailY } = shape;
+    const centerX = x + w / 2;
+    const centerY = y + h / 2;
+    const angle = Math.atan2(tailY - centerY, tailX - centerX);
+    const base = Math.min(w, h) / 4;
+
+    const box = new Path2D();
+    box.rect(x, y, w, h);
+
+    // The tail starts inside the box, so filling hides where the two join
+    const tail = new Path2D();
+    tail.moveTo(centerX + base * Math.sin(angle), centerY - base * Math.cos(angle));
+    tail.lineTo(tailX, tailY);
+    tail.lineTo(centerX - base * Math.sin(angle), centerY + base * Math.cos(angle));
+    tail.closePath();
+
+    // Stroked at twice the width, then filled over the inner half
+    targetCtx.lineWidth = shape.width * 2;
+    targetCtx.stroke(box);
+    targetCtx.stroke(tail);
+    targetCtx.fillStyle = CALLOUT_FILL;
+    targetCtx.fill(box);
+    targetCtx.fill(tail);
+
+    const size = getFontSize(shape);
+    targetCtx.save();
+    targetCtx.beginPath();
+    targetCtx.rect(x, y, w, h);
+    targetCtx.clip();
+    targetCtx.fillStyle = shape.color;
+    targetCtx.font = `${size}px ${TEXT_FONT}`;
+    targetCtx.textBaseline = 'top';
+    getTextLines(shape).forEach((line, i) => {
+      targetCtx.fillText(line, x + CALLOUT_PADDING, y + CALLOUT_PADDING + i * size * TEXT_LINE_HEIGHT);
+    });
+    targetCtx.restore();
+  }
+
+  /**
+   * Dim everything outside the region being cropped to (editor only)
+   */
+  function drawCropRegion(region) {
+    const scale = getCanvasScale();
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.beginPath();
+    ctx.rect(0, 0, canvas.width, canvas.height);
+    ctx.rect(region.x, region.y, region.w, region.h);
+    ctx.fill('evenodd');
+
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = scale;
+    ctx.setLineDash([4 * scale, 3 * scale]);
+    ctx.strokeRect(region.x, region.y, region.w, region.h);
+    ctx.restore();
   }
 
   /**
    * Draw an arrow
    */
-  function drawArrow(ctx, fromX, fromY, toX, toY) {
-    const headLength = 15 + strokeWidth * 2;
+  function drawArrow(targetCtx, { x1: fromX, y1: fromY, x2: toX, y2: toY, width }) {
+    const headLength = 15 + width * 2;
     const angle = Math.atan2(toY - fromY, toX - fromX);
 
     // Line
-    ctx.beginPath();
-    ctx.moveTo(fromX, fromY);
-    ctx.lineTo(toX, toY);
-    ctx.stroke();
+    targetCtx.beginPath();
+    targetCtx.moveTo(fromX, fromY);
+    targetCtx.lineTo(toX, toY);
+    targetCtx.stroke();
 
     // Arrowhead
-    ctx.beginPath();
-    ctx.moveTo(toX, toY);
-    ctx.lineTo(
+    targetCtx.beginPath();
+    targetCtx.moveTo(toX, toY);
+    targetCtx.lineTo(
       toX - headLength * Math.cos(angle - Math.PI / 6),
       toY - headLength * Math.sin(angle - Math.PI / 6)
     );
-    ctx.moveTo(toX, toY);
-    ctx.lineTo(
+    targetCtx.moveTo(toX, toY);
+    targetCtx.lineTo(
       toX - headLength * Math.cos(angle + Math.PI / 6),
       toY - headLength * Math.sin(angle + Math.PI / 6)
     );
-    ctx.stroke();
+    targetCtx.stroke();
   }
 
   /**
-   * Show text input at position
+   * Dashed outline and handles around the selected shape (editor only)
    */
-  function showTextInput(x, y) {
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = rect.width / canvas.width;
-    const scaleY = rect.height / canvas.height;
+  function drawSelection(shape) {
+    const scale = getCanvasScale();
+    const handleSize = HANDLE_SIZE * scale;
+
+    ctx.save();
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.lineWidth = scale;
+
+    if (shape.type !== 'arrow') {
+      const bounds = getShapeBounds(shape);
+      const pad = 4 * scale;
+      ctx.setLineDash([4 * scale, 3 * scale]);
+      ctx.strokeRect(bounds.x - pad, bounds.y - pad, bounds.w + pad * 2, bounds.h + pad * 2);
+      ctx.setLineDash([]);
+    }
 
-    const input = document.createElement('textarea');
-    input.className = 'annotatepro-text-input-overlay';
-    input.style.left = (rect.left + x * scaleX) + 'px';
-    input.style.top = (rect.top + y * scaleY) + 'px';
-    input.style.color = currentColor;
-    input.style.fontSize = (12 + strokeWidth * 2) + 'px';
+    ctx.fillStyle = '#FFFFFF';
+    for (const handle of getHandles(shape)) {
+      ctx.fillRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+      ctx.strokeRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+    }
+    ctx.restore();
+  }
 
-    const wrapper = editorEl.querySelector('.annotatepro-editor-canvas-wrapper');
-    wrapper.appendChild(input);
-    input.focus();
+  // ============ Pointer Handling ============
 
-    function commitText() {
-      const text = input.value.trim();
-      if (text) {
-        ctx.font = `${12 + strokeWidth * 2}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
-        ctx.fillStyle = currentColor;
-        ctx.fillText(text, x, y + (12 + strokeWidth * 2));
-        saveToHistory();
+  /**
+   * Canvas mouse down handler
+   */
+  function onCanvasMouseDown(e) {
+    if (e.button !== 0) return;
+    const { x, y } = getCanvasCoords(e);
+
+    if (currentTool === 'select') {
+      const selected = getSelectedShape();
+      const handle = selected && findHandleAt(selected, x, y);
+      if (handle) {
+        dragState = { mode: 'resize', startX: x, startY: y, original: selected, handle };
+        return;
       }
-      input.remove();
-    }
 
-    input.addEventListener('blur', commitText);
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault();
-        commitText();
+      const shape = findShapeAt(x, y);
+      selectShape(shape ? shape.id : null);
+      if (shape) {
+        dragState = { mode: 'move', startX: x, startY: y, original: shape };
       }
-      if (e.key === 'Escape') {
-        input.remove();
-      }
-    });
+      return;
+    }
+
+    if (currentTool === 'text') {
+      showTextInput(x, y);
+      return;
+    }
+
+    if (currentTool === 'step') {
+      addShape(createShape('step', x, y));
+      return;
+    }
+
+    dragState = { mode: 'draw', startX: x, startY: y };
+    draftShape = createShape(currentTool, x, y);
+    requestRender();
   }
 
   /**
-   * Save current canvas state to history
+   * Canvas mouse move handler
    */
-  function saveToHistory() {
-    // Remove any redo states
-    if (historyIndex < history.length - 1) {
-      history = history.slice(0, historyIndex + 1);
-    }
+  function onCanvasMouseMove(e) {
+    const { x, y } = getCanvasCoords(e);
 
-    // Save current state
-    history.push(canvas.toDataURL());
-    historyIndex++;
+    if (!dragState) {
+      updateCanvasCursor(x, y);
+      return;
+    }
 
-    // Limit history size
-    if (history.length > MAX_HISTORY) {
-      history.shift();
-      historyIndex--;
+    switch (dragState.mode) {
+      case 'draw':
+        draftShape = updateDraftShape(draftShape, x, y);
+        break;
+      case 'move':
+        replaceShape(moveShape(dragState.original, x - dragState.startX, y - dragState.startY));
+        break;
+      case 'resize':
+        replaceShape(resizeShape(dragState.original, dragState.handle, x, y));
+        break;
     }
+    requestRender();
   }
 
   /**
-   * Restore canvas from current history state
+   * Canvas mouse up handler: record what the drag did
    */
-  function restoreFromHistory() {
-    if (historyIndex >= 0 && history[historyIndex]) {
-      const img = new Image();
-      img.onload = () => {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0);
-      };
-      img.src = history[historyIndex];
+  function onCanvasMouseUp() {
+    if (!dragState) return;
+    const { mode, original } = dragState;
+    dragState = null;
+
+    if (mode === 'draw') {
+      const shape = draftShape;
+      draftShape = null;
+      if (shape.type === 'crop') {
+        cropToRegion(shape);
+      } else if (isShapeTooSmall(shape)) {
+        requestRender();
+      } else {
+        addShape(shape);
+        if (shape.type === 'callout') {
+          editShapeText(shape);
+        }
+      }
+      return;
+    }
+
+    const current = getShape(original.id);
+    if (current && current !== original) {
+      runCommand({ type: 'update', before: original, after: current });
     }
   }
 
   /**
-   * Undo last action
+   * Double-click a text shape or callout (select tool) to edit its text
    */
-  function undo() {
-    if (historyIndex > 0) {
-      historyIndex--;
-      const img = new Image();
-      img.onload = () => {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0);
-      };
-      img.src = history[historyIndex];
+  function onCanvasDoubleClick(e) {
+    if (currentTool !== 'select') return;
+    const { x, y } = getCanvasCoords(e);
+    const shape = findShapeAt(x, y);
+    if (shape?.type === 'text' || shape?.type === 'callout') {
+      editShapeText(shape);
+    }
+  }
+
+  function editShapeText(shape) {
+    if (shape.type === 'callout') {
+      showTextInput(shape.x + CALLOUT_PADDING, shape.y + CALLOUT_PADDING, shape);
+    } else {
+      showTextInput(shape.x, shape.y, shape);
+    }
+  }
+
+  function updateCanvasCursor(x, y) {
+    if (currentTool !== 'select') return;
+    const selected = getSelectedShape();
+    const handle = selected && findHandleAt(selected, x, y);
+    if (handle) {
+      canvas.style.cursor = HANDLE_CURSORS[handle];
+    } else {
+      canvas.style.cursor = findShapeAt(x, y) ? 'move' : 'default';
     }
   }
 
   /**
-   * Redo last undone action
+   * Show a text box at a canvas position; pass a text shape or callout to
+   * edit its text
    */
-  function redo() {
-    if (historyIndex < history.length - 1) {
-      historyIndex++;
-      const img = new Image();
-      img.onload = () => {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0);
-      };
-      img.src = history[historyIndex];
+  function showTextInput(x, y, shape = null) {
+    const scale = 1 / getCanvasScale();
+    const size = shape ? getFontSize(shape) : getTextSize(strokeWidth);
+    const color = shape ? shape.color : currentColor;
+
+    const input = document.createElement('textarea');
+    input.className = 'annotatepro-text-input-overlay';
+    // Offset by the border and padding so the text lines up with the drawn text
+    input.style.left = (x * scale - 10) + 'px';
+    input.style.top = (y * scale - 6) + 'px';
+    input.style.color = color;
+    input.style.fontSize = (size * scale) + 'px';
+    input.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    input.value = shape ? shape.text : '';
+    if (shape?.type === 'callout') {
+      input.style.width = ((shape.w - CALLOUT_PADDING * 2) * scale + 20) + 'px';
+    }
+
+    const wrapper = editorEl.querySelector('.annotatepro-editor-canvas-wrapper');
+    wrapper.appendChild(input);
+    input.focus();
+
+    if (shape) {
+      editingTextId = shape.id;
+      render();
     }
+
+    let closed = false;
+    function closeInput() {
+      closed = true;
+      editingTextId = null;
+      input.remove();
+      requestRender();
+    }
+
+    function commitText() {
+      if (closed) return;
+      const text = input.value.trim();
+      closeInput();
+
+      if (!shape) {
+        if (text) {
+          addShape({ id: generateShapeId(), type: 'text', color, size, x, y, text });
+        }
+      } else if (!text && shape.type === 'text') {
+        selectShape(shape.id);
+        deleteSelectedShape();
+      } else if (text !== shape.text) {
+        runCommand({ type: 'update', before: shape, after: { ...shape, text } });
+      }
+    }
+
+    input.addEventListener('blur', commitText);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        commitText();
+      }
+      if (e.key === 'Escape') {
+        closeInput();
+      }
+    });
   }
 
   /**
@@ -867,7 +1969,7 @@
   async function copyToClipboard() {
     try {
       const blob = await new Promise(resolve => {
-        canvas.toBlob(resolve, 'image/png');
+        getExportCanvas().toBlob(resolve, 'image/png');
       });
 
       await navigator.clipboard.write([
@@ -885,7 +1987,7 @@
    * Download screenshot as PNG
    */
   function downloadScreenshot() {
-    const dataUrl = canvas.toDataURL('image/png');
+    const dataUrl = getExportCanvas().toDataURL('image/png');
     const link = document.createElement('a');
     link.download = `screenshot-${Date.now()}.png`;
     link.href = dataUrl;
@@ -895,13 +1997,109 @@
     showToast('Screenshot downloaded!', 'success');
   }
 
+  /**
+   * Small JPEG of the exported image for annotation lists
+   */
+  function createThumbnail(exportCanvas) {
+    const scale = Math.min(THUMBNAIL_MAX_WIDTH / exportCanvas.width, THUMBNAIL_MAX_HEIGHT / exportCanvas.height, 1);
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = Math.max(1, Math.round(exportCanvas.width * scale));
+    thumbCanvas.height = Math.max(1, Math.round(exportCanvas.height * scale));
+
+    const thumbCtx = thumbCanvas.getContext('2d');
+    // JPEG has no transparency
+    thumbCtx.fillStyle = '#FFFFFF';
+    thumbCtx.fillRect(0, 0, thumbCanvas.width, thumbCanvas.height);
+    thumbCtx.drawImage(exportCanvas, 0, 0, thumbCanvas.width, thumbCanvas.height);
+
+    return thumbCanvas.toDataURL('image/jpeg', 0.8);
+  }
+
+  /**
+   * Save the screenshot as an annotation on this page, or save changes to the
+   * one being edited
+   */
+  async function saveToAnnotatePro() {
+    if (hasUnflattenedRedactions() &&
+        !confirm('The redactions are not flattened. The saved screenshot keeps the original capture, so what they hide can still be recovered. Save anyway?')) {
+      return;
+    }
+
+    const saveBtn = editorEl.querySelector('[data-action="save"]');
+    saveBtn.disabled = true;
+
+    // The flattened image for viewing and export, plus the capture and its
+    // shapes so they can be edited again
+    const exportCanvas = getExportCanvas();
+    const image = {
+      dataUrl: exportCanvas.toDataURL('image/png'),
+      sourceDataUrl: originalImage.src,
+      markup: getMarkup(),
+      thumbnail: createThumbnail(exportCanvas),
+      width: exportCanvas.width,
+      height: exportCanvas.height
+    };
+
+    try {
+      if (savedScreenshotId) {
+        await browser.runtime.sendMessage({
+          type: 'UPDATE_SCREENSHOT',
+          payload: { annotationId: savedScreenshotId, ...image }
+        });
+        showToast('Screenshot updated', 'success');
+      } else {
+        const pageUrl = await window.AnnotateProPageUrl.resolveCurrentPageUrl();
+        const saved = await browser.runtime.sendMessage({
+          type: 'SAVE_SCREENSHOT',
+          payload: { pageUrl, pageTitle: document.title, ...image }
+        });
+        savedScreenshotId = saved.id;
+        showToast('Saved to AnnotatePro', 'success');
+      }
+    } catch (error) {
+      console.error('AnnotatePro: Failed to save screenshot', error);
+      showToast('Failed to save screenshot', 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Reopen a saved screenshot in the editor
+   */
+  async function openSavedScreenshot(annotationId) {
+    try {
+      const image = await browser.runtime.sendMessage({
+        type: 'GET_SCREENSHOT_IMAGE',
+        payload: { annotationId }
+      });
+
+      if (!image) {
+        showToast('Screenshot image not found', 'error');
+        return;
+      }
+
+      // Screenshots saved before shapes were kept open as a flat image
+      closeEditor();
+      if (image.sourceDataUrl) {
+        openEditor(image.sourceDataUrl, { annotationId, markup: image.markup });
+      } else {
+        openEditor(image.dataUrl, { annotationId });
+      }
+    } catch (error) {
+      console.error('AnnotatePro: Failed to open screenshot', error);
+      showToast('Failed to open screenshot', 'error');
+    }
+  }
+
   /**
    * Export screenshot as PDF
    */
   function exportAsPdf() {
     try {
       // Get image as JPEG for smaller PDF size
-      const jpegDataUrl = canvas.toDataURL('image/jpeg', 0.92);
+      const exportCanvas = getExportCanvas();
+      const jpegDataUrl = exportCanvas.toDataURL('image/jpeg', 0.92);
       const jpegBase64 = jpegDataUrl.split(',')[1];
       const jpegBinary = atob(jpegBase64);
 
@@ -914,8 +2112,8 @@
       const availableWidth = maxWidth - (margin * 2);
       const availableHeight = maxHeight - (margin * 2);
 
-      let imgWidth = canvas.width;
-      let imgHeight = canvas.height;
+      let imgWidth = exportCanvas.width;
+      let imgHeight = exportCanvas.height;
 
       // Scale to fit available space
       const scaleX = availableWidth / imgWidth;
@@ -1051,8 +2249,16 @@
       canvas = null;
       ctx = null;
       originalImage = null;
-      history = [];
-      historyIndex = -1;
+      savedScreenshotId = null;
+      cancelAnimationFrame(renderFrame);
+      renderFrame = null;
+      shapes = [];
+      selectedId = null;
+      draftShape = null;
+      dragState = null;
+      editingTextId = null;
+      undoStack = [];
+      redoStack = [];
     }
   }
 
@@ -1062,19 +2268,38 @@
   function onEditorKeyDown(e) {
     if (!editorEl) return;
 
+    // The text box handles its own keys
+    if (e.target.classList?.contains('annotatepro-text-input-overlay')) return;
+
     if (e.key === 'Escape') {
-      closeEditor();
+      // First Escape drops the selection
+      if (selectedId) {
+        selectShape(null);
+      } else {
+        closeEditor();
+      }
+      return;
+    }
+
+    if ((e.key === 'Delete' || e.key === 'Backspace') && selectedId) {
+      e.preventDefault();
+      deleteSelectedShape();
       return;
     }
 
     if (e.ctrlKey || e.metaKey) {
-      if (e.key === 'z') {
+      // Shift makes e.key uppercase
+      const key = e.key.toLowerCase();
+      if (key === 'y' || (e.shiftKey && key === 'z')) {
+        e.preventDefault();
+        redo();
+      } else if (key === 'z') {
         e.preventDefault();
         undo();
-      } else if (e.key === 'y' || (e.shiftKey && e.key === 'z')) {
+      } else if (key === 's') {
         e.preventDefault();
-        redo();
-      } else if (e.key === 'c' && !window.getSelection().toString()) {
+        saveToAnnotatePro();
+      } else if (key === 'c' && !window.getSelection().toString()) {
         e.preventDefault();
         copyToClipboard();
       }
@@ -1082,12 +2307,12 @@
 
     // Tool shortcuts
     if (!e.ctrlKey && !e.metaKey && !e.altKey) {
-      const toolMap = { p: 'pen', r: 'rect', e: 'ellipse', a: 'arrow', t: 'text' };
+      const toolMap = {
+        v: 'select', p: 'pen', h: 'highlight', r: 'rect', e: 'ellipse', a: 'arrow', t: 'text',
+        l: 'callout', n: 'step', c: 'crop', b: 'blur', m: 'pixelate', x: 'redact'
+      };
       if (toolMap[e.key]) {
-        currentTool = toolMap[e.key];
-        editorEl.querySelectorAll('[data-tool]').forEach(b => {
-          b.classList.toggle('active', b.dataset.tool === currentTool);
-        });
+        setTool(toolMap[e.key]);
       }
     }
   }
@@ -1111,6 +2336,8 @@
    * Listen for screenshot commands
    */
   browser.runtime.onMessage.addListener((message) => {
+    if (!siteEnabled) return;
+
     switch (message.type) {
       case 'COMMAND_CAPTURE_AREA':
         startAreaSelection();
@@ -1124,6 +2351,10 @@
         captureWholePage();
         break;
 
+      case 'COMMAND_PICK_ELEMENT':
+        startElementPicker();
+        break;
+
       case 'COMMAND_CAPTURE_ELEMENT':
         if (message.annotationId) {
           const element = document.querySelector(`[data-annotatepro-id="${message.annotationId}"]`);
@@ -1132,15 +2363,23 @@
           }
         }
         break;
+
+      case 'COMMAND_OPEN_SCREENSHOT':
+        if (message.annotationId) {
+          openSavedScreenshot(message.annotationId);
+        }
+        break;
     }
   });
 
   // Expose functions for other scripts
   window.annotateProScreenshot = {
     startAreaSelection,
+    startElementPicker,
     captureVisibleArea,
     captureWholePage,
-    captureElement
+    captureElement,
+    openSavedScreenshot
   };
 
   console.log('AnnotatePro: Screenshot editor initialized');
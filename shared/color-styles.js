@@ -0,0 +1,123 @@
+/**
+ * AnnotatePro Color Styles
+ * How a color is drawn on the page. Each color record carries a render style
+ * and an optional opacity:
+ *   style    'fill' (default), 'underline', 'wavy', 'box', 'strike' or 'bar'
+ *   opacity  0.1 to 1, or null to follow the highlight opacity setting
+ *            (fill only; the line styles are drawn solid)
+ * Loaded as a plain script by the content scripts and extension pages; the
+ * background imports it for its side effect.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProColorStyles) return;
+
+  const COLOR_STYLES = [
+    { id: 'fill', label: 'Background fill' },
+    { id: 'underline', label: 'Underline' },
+    { id: 'wavy', label: 'Wavy underline' },
+    { id: 'box', label: 'Box outline' },
+    { id: 'strike', label: 'Strikethrough' },
+    { id: 'bar', label: 'Margin bar' }
+  ];
+
+  const MIN_OPACITY = 0.1;
+  const MAX_OPACITY = 1;
+
+  function getColorStyle(color) {
+    return COLOR_STYLES.some(s => s.id === color?.style) ? color.style : 'fill';
+  }
+
+  /**
+   * Opacity a color is drawn at; fallbackOpacity is the highlight opacity setting
+   */
+  function getColorOpacity(color, fallbackOpacity) {
+    if (typeof color?.opacity === 'number') return color.opacity;
+    return getColorStyle(color) === 'fill' ? fallbackOpacity : MAX_OPACITY;
+  }
+
+  /**
+   * Convert hex color to rgba; anything else is returned unchanged
+   */
+  function hexToRgba(hex, alpha) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    if (result) {
+      const r = parseInt(result[1], 16);
+      const g = parseInt(result[2], 16);
+      const b = parseInt(result[3], 16);
+      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+    return hex;
+  }
+
+  /**
+   * The rgba value a color record is drawn with
+   */
+  function getColorPaint(color, fallbackOpacity) {
+    return hexToRgba(color.color, getColorOpacity(color, fallbackOpacity));
+  }
+
+  /**
+   * Inline CSS that previews a style on a text snippet (sidebar, dashboard).
+   * value is the paint from getColorPaint().
+   */
+  function getPreviewCss(style, value) {
+    switch (style) {
+      case 'underline':
+        return `text-decoration: underline 2px ${value}; text-underline-offset: 2px;`;
+      case 'wavy':
+        return `text-decoration: underline wavy 1.5px ${value}; text-underline-offset: 3px;`;
+      case 'box':
+        return `box-shadow: inset 0 0 0 1.5px ${value};`;
+      case 'strike':
+        return `text-decoration: line-through 2px ${value};`;
+      case 'bar':
+        return `border-left: 3px solid ${value}; padding-left: 6px;`;
+      default:
+        return `background: ${value};`;
+    }
+  }
+
+  /**
+   * Validate the style fields of a color patch; throws if invalid. Form inputs
+   * give strings, and '' clears the opacity.
+   */
+  function validateColorStyle(patch) {
+    const validated = {};
+
+    if (patch.style !== undefined) {
+      if (!COLOR_STYLES.some(s => s.id === patch.style)) {
+        throw new Error(`Invalid highlight style: ${patch.style}`);
+      }
+      validated.style = patch.style;
+    }
+
+    if (patch.opacity !== undefined) {
+      if (patch.opacity === null || patch.opacity === '') {
+        validated.opacity = null;
+      } else {
+        const opacity = Number(patch.opacity);
+        if (!Number.isFinite(opacity) || opacity < MIN_OPACITY || opacity > MAX_OPACITY) {
+          throw new Error(`Opacity must be between ${MIN_OPACITY} and ${MAX_OPACITY}`);
+        }
+        validated.opacity = opacity;
+      }
+    }
+
+    return validated;
+  }
+
+  globalThis.AnnotateProColorStyles = {
+    COLOR_STYLES,
+    MIN_OPACITY,
+    MAX_OPACITY,
+    getColorStyle,
+    getColorOpacity,
+    hexToRgba,
+    getColorPaint,
+    getPreviewCss,
+    validateColorStyle
+  };
+})();
@@ -0,0 +1,62 @@
+/**
+ * AnnotatePro Page URL
+ * The page key annotations of the current tab are stored under, as resolved by
+ * the background (background/page-urls.js) from the tab URL and the page's
+ * canonical link. Shared by the content scripts of a tab.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProPageUrl) return;
+
+  let resolved = null; // { href, pageUrl }
+  let pending = null; // { href, promise }
+
+  function getCanonicalLink() {
+    return document.querySelector('link[rel="canonical"]')?.href || null;
+  }
+
+  function isAmpDocument() {
+    const html = document.documentElement;
+    return html.hasAttribute('amp') || html.hasAttribute('⚡');
+  }
+
+  /**
+   * Ask the background for the page key of the current location. Pass
+   * { force: true } after the normalization settings or aliases change.
+   */
+  function resolveCurrentPageUrl({ force = false } = {}) {
+    const href = window.location.href;
+    if (!force && resolved?.href === href) return Promise.resolve(resolved.pageUrl);
+    if (!force && pending?.href === href) return pending.promise;
+
+    const promise = browser.runtime.sendMessage({
+      type: 'RESOLVE_PAGE_URL',
+      payload: { url: href, canonicalUrl: getCanonicalLink(), isAmp: isAmpDocument() }
+    }).then(pageUrl => {
+      resolved = { href, pageUrl: pageUrl || href };
+      return resolved.pageUrl;
+    }).catch(error => {
+      console.error('AnnotatePro: Failed to resolve page URL', error);
+      return href;
+    }).finally(() => {
+      if (pending?.promise === promise) pending = null;
+    });
+
+    pending = { href, promise };
+    return promise;
+  }
+
+  /**
+   * Page key of the current location; the raw URL until it has been resolved
+   */
+  function getCurrentPageUrl() {
+    return resolved?.href === window.location.href ? resolved.pageUrl : window.location.href;
+  }
+
+  globalThis.AnnotateProPageUrl = {
+    resolveCurrentPageUrl,
+    getCurrentPageUrl
+  };
+})();
@@ -0,0 +1,229 @@
+/**
+ * AnnotatePro Search Query Parser
+ * Shared by the dashboard and the sidebar (loaded as a plain script in both);
+ * the background imports it for its side effect.
+ *
+ * Syntax:
+ *   color:Risk  tag:vendor  site:github.com  is:unchecked  is:overdue  has:note
+ *   before:2026-09-01  after:2026-08-01  "exact phrase"  -excluded
+ *
+ * parseQuery() returns { text, options, errors }: free-text words for the
+ * full-text index, an options object in the shape applyFilters consumes, and
+ * syntax errors with their position in the input.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProQuery) return;
+
+  const IS_VALUES = {
+    checked: options => { options.checked = true; },
+    unchecked: options => { options.checked = false; },
+    orphaned: options => { options.orphaned = true; },
+    overdue: options => { options.overdue = true; },
+    highlight: options => addUnique(options, 'types', 'highlight'),
+    checkbox: options => addUnique(options, 'types', 'checkbox'),
+    note: options => addUnique(options, 'types', 'page-note'),
+    screenshot: options => addUnique(options, 'types', 'screenshot'),
+    clipboard: options => addUnique(options, 'types', 'clipboard')
+  };
+
+  const HAS_VALUES = {
+    note: options => { options.hasNote = true; },
+    tag: options => { options.hasTags = true; },
+    tags: options => { options.hasTags = true; }
+  };
+
+  // Each qualifier applies its value to options, or returns an error message
+  const QUALIFIERS = {
+    color(value, options, context) {
+      const lower = value.toLowerCase();
+      const color = (context.colors || []).find(c => c.name.toLowerCase() === lower || c.id === value);
+      if (!color) return `Unknown color "${value}"`;
+      addUnique(options, 'colorIds', color.id);
+    },
+
+    tag(value, options) {
+      const name = globalThis.AnnotateProTags.normalizeTagName(value);
+      if (!name) return 'tag: needs a tag name';
+      addUnique(options, 'tags', name);
+    },
+
+    site(value, options) {
+      const site = normalizeSite(value);
+      if (!site) return `Invalid site "${value}"`;
+      addUnique(options, 'sites', site);
+    },
+
+    is(value, options) {
+      const apply = IS_VALUES[value.toLowerCase()];
+      if (!apply) return `Unknown "is:${value}" (try ${Object.keys(IS_VALUES).join(', ')})`;
+      apply(options);
+    },
+
+    has(value, options) {
+      const apply = HAS_VALUES[value.toLowerCase()];
+      if (!apply) return `Unknown "has:${value}" (try note, tag)`;
+      apply(options);
+    },
+
+    before(value, options) {
+      const time = parseDate(value);
+      if (time === null) return `Invalid date "${value}" (use YYYY-MM-DD)`;
+      options.before = time;
+    },
+
+    after(value, options) {
+      const time = parseDate(value);
+      if (time === null) return `Invalid date "${value}" (use YYYY-MM-DD)`;
+      options.after = time;
+    }
+  };
+
+  function addUnique(options, key, value) {
+    options[key] = options[key] || [];
+    if (!options[key].includes(value)) {
+      options[key].push(value);
+    }
+  }
+
+  /**
+   * Reduce a site to its hostname: no protocol, path or leading "www."
+   */
+  function normalizeSite(value) {
+    return value.trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .split(/[/?#]/)[0]
+      .replace(/^www\./, '');
+  }
+
+  /**
+   * Check whether a page URL is on a site (the hostname or any subdomain of
+   * it); site is a value from normalizeSite()
+   */
+  function matchesSite(pageUrl, site) {
+    try {
+      const hostname = normalizeSite(new URL(pageUrl).hostname);
+      return hostname === site || hostname.endsWith(`.${site}`);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Parse YYYY-MM-DD as local midnight; null if invalid
+   */
+  function parseDate(value) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return date.getTime();
+  }
+
+  /**
+   * Split input into terms: [-][qualifier:](word | "quoted text")
+   */
+  function lex(input) {
+    const terms = [];
+    let i = 0;
+
+    while (i < input.length) {
+      if (/\s/.test(input[i])) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      let negated = false;
+      if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        negated = true;
+        i++;
+      }
+
+      let key = null;
+      const keyMatch = /^([a-z]+):/i.exec(input.slice(i));
+      if (keyMatch && QUALIFIERS.hasOwnProperty(keyMatch[1].toLowerCase())) {
+        key = keyMatch[1].toLowerCase();
+        i += keyMatch[0].length;
+      }
+
+      let value;
+      let quoted = false;
+      let unterminated = false;
+      if (input[i] === '"') {
+        quoted = true;
+        const close = input.indexOf('"', i + 1);
+        if (close === -1) {
+          unterminated = true;
+          value = input.slice(i + 1);
+          i = input.length;
+        } else {
+          value = input.slice(i + 1, close);
+          i = close + 1;
+        }
+      } else {
+        value = /^\S*/.exec(input.slice(i))[0];
+        i += value.length;
+      }
+
+      terms.push({ key, value: value.trim(), negated, quoted, unterminated, start, end: i });
+    }
+
+    return terms;
+  }
+
+  /**
+   * Parse a search query. context.colors resolves color: names to colorIds.
+   */
+  function parseQuery(input, context = {}) {
+    const options = {};
+    const words = [];
+    const errors = [];
+
+    for (const term of lex(input || '')) {
+      const addError = (message) => errors.push({ message, start: term.start, end: term.end });
+
+      if (term.unterminated) {
+        addError('Missing closing quote');
+      }
+
+      if (!term.key) {
+        if (!term.value) continue;
+        if (term.negated) {
+          addUnique(options, 'excludeTerms', term.value.toLowerCase());
+        } else if (term.quoted) {
+          addUnique(options, 'phrases', term.value.toLowerCase());
+        } else {
+          words.push(term.value);
+        }
+        continue;
+      }
+
+      if (term.negated) {
+        addError(`"-${term.key}:" is not supported`);
+        continue;
+      }
+      if (!term.value) {
+        addError(`${term.key}: needs a value`);
+        continue;
+      }
+
+      const error = QUALIFIERS[term.key](term.value, options, context);
+      if (error) addError(error);
+    }
+
+    return { text: words.join(' '), options, errors };
+  }
+
+  globalThis.AnnotateProQuery = {
+    parseQuery,
+    normalizeSite,
+    matchesSite
+  };
+})();
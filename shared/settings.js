@@ -0,0 +1,285 @@
+/**
+ * AnnotatePro Settings
+ * Typed settings schema with defaults and validation. Settings are stored as one
+ * object in storage.local; every context reads them through getSettings() and
+ * subscribes with onSettingsChanged(), which is fed by storage.onChanged so a
+ * change made anywhere reaches all tabs, the background and extension pages.
+ * Loaded as a plain script by the content scripts and extension pages; the
+ * background imports it for its side effect.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProSettings) return;
+
+  const SETTINGS_KEY = 'settings';
+
+  const PAGE_URL_CONFIRM = 'Stored pages whose addresses now match are merged, and are not split again if this changes back. Continue?';
+
+  const SETTINGS_SECTIONS = [
+    { id: 'annotations', label: 'Annotations' },
+    { id: 'sidebar', label: 'Sidebar' },
+    { id: 'clipboard', label: 'Clipboard' },
+    { id: 'trash', label: 'Trash' },
+    { id: 'pageUrls', label: 'Page addresses', description: 'When two addresses count as the same page.' }
+  ];
+
+  /**
+   * type: 'boolean', 'number', 'integer', 'enum', 'colorId' (color record id or
+   * null) or 'stringList'. confirm: question asked before the options page applies a change.
+   */
+  const SETTINGS_SCHEMA = {
+    defaultColorId: {
+      type: 'colorId',
+      default: null,
+      section: 'annotations',
+      label: 'Default highlight color',
+      description: 'Used by Alt+H and the Highlight menu item. Site rules can override it.'
+    },
+    highlightOpacity: {
+      type: 'number',
+      default: 0.5,
+      min: 0.1,
+      max: 1,
+      step: 0.05,
+      section: 'annotations',
+      label: 'Highlight opacity'
+    },
+    anchorMinScore: {
+      type: 'number',
+      default: 0.3,
+      min: 0.1,
+      max: 0.9,
+      step: 0.05,
+      section: 'annotations',
+      label: 'Re-anchoring threshold',
+      description: 'How closely a changed page must match before an annotation is re-attached. Higher is stricter.'
+    },
+    marginNotes: {
+      type: 'boolean',
+      default: false,
+      section: 'annotations',
+      label: 'Show notes in the margin',
+      description: 'Lays notes out as cards beside their highlights instead of on hover. Alt+M switches it from any page.'
+    },
+    sidebarPosition: {
+      type: 'enum',
+      default: 'right',
+      options: [
+        { value: 'right', label: 'Right' },
+        { value: 'left', label: 'Left' }
+      ],
+      section: 'sidebar',
+      label: 'Position'
+    },
+    sidebarWidth: {
+      type: 'integer',
+      default: 400,
+      min: 280,
+      max: 1200,
+      section: 'sidebar',
+      label: 'Width',
+      description: 'In pixels; never more than half the window.'
+    },
+    clipboardHistoryLimit: {
+      type: 'integer',
+      default: 50,
+      min: 10,
+      max: 500,
+      section: 'clipboard',
+      label: 'History size',
+      description: 'Copied snippets kept for the sidebar Clipboard tab.'
+    },
+    trashRetentionDays: {
+      type: 'enum',
+      default: 30,
+      options: [
+        { value: 7, label: 'Keep 7 days' },
+        { value: 30, label: 'Keep 30 days' },
+        { value: 90, label: 'Keep 90 days' },
+        { value: 0, label: 'Keep until emptied' }
+      ],
+      section: 'trash',
+      label: 'Deleted annotations',
+      confirm: 'Annotations that have been in the trash longer than the new period are deleted permanently. Continue?'
+    },
+    stripTrackingParams: {
+      type: 'boolean',
+      default: true,
+      section: 'pageUrls',
+      label: 'Ignore tracking parameters (utm_*, fbclid, gclid, ...)',
+      confirm: PAGE_URL_CONFIRM
+    },
+    extraTrackingParams: {
+      type: 'stringList',
+      default: [],
+      section: 'pageUrls',
+      label: 'Also ignore parameters',
+      placeholder: 'e.g. ref, source',
+      confirm: PAGE_URL_CONFIRM
+    },
+    hashMode: {
+      type: 'enum',
+      default: 'routes',
+      options: [
+        { value: 'routes', label: 'Ignore, except app routes (#/ and #!)' },
+        { value: 'strip', label: 'Always ignore' },
+        { value: 'keep', label: 'Keep (each anchor is its own page)' }
+      ],
+      section: 'pageUrls',
+      label: 'Anchors (#...)',
+      confirm: PAGE_URL_CONFIRM
+    },
+    useCanonicalLink: {
+      type: 'boolean',
+      default: true,
+      section: 'pageUrls',
+      label: 'Follow the page\'s canonical link (joins AMP and mirror copies)',
+      confirm: PAGE_URL_CONFIRM
+    }
+  };
+
+  const listeners = [];
+  let currentSettings = null;
+
+  function getDefaultSettings() {
+    const defaults = {};
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      defaults[key] = Array.isArray(field.default) ? [...field.default] : field.default;
+    }
+    return defaults;
+  }
+
+  /**
+   * Validate and coerce one value (form inputs give strings); throws if invalid
+   */
+  function validateSetting(key, value) {
+    const field = SETTINGS_SCHEMA[key];
+    if (!field) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    switch (field.type) {
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        break;
+
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) break;
+        if (field.type === 'integer' && !Number.isInteger(number)) break;
+        if (number < field.min || number > field.max) {
+          throw new Error(`${field.label} must be between ${field.min} and ${field.max}`);
+        }
+        return number;
+      }
+
+      case 'enum': {
+        const option = field.options.find(o => String(o.value) === String(value));
+        if (option) return option.value;
+        break;
+      }
+
+      case 'colorId':
+        if (value === null || value === '') return null;
+        if (typeof value === 'string') return value;
+        break;
+
+      case 'stringList': {
+        const list = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(list)) break;
+        return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+      }
+    }
+
+    throw new Error(`Invalid value for ${field.label}`);
+  }
+
+  /**
+   * Stored settings over the defaults; unknown keys are dropped and invalid
+   * values fall back to their default
+   */
+  function sanitizeSettings(stored) {
+    const settings = getDefaultSettings();
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      if (stored?.[key] === undefined) continue;
+      try {
+        settings[key] = validateSetting(key, stored[key]);
+      } catch {
+        // Keep the default
+      }
+    }
+    return settings;
+  }
+
+  async function getSettings() {
+    if (!currentSettings) {
+      try {
+        const { [SETTINGS_KEY]: stored } = await browser.storage.local.get(SETTINGS_KEY);
+        currentSettings = sanitizeSettings(stored);
+      } catch (error) {
+        console.error('AnnotatePro: Failed to load settings', error);
+        return getDefaultSettings();
+      }
+    }
+    return { ...currentSettings };
+  }
+
+  /**
+   * Validate and save a partial update. Throws on the first invalid value and
+   * saves nothing in that case. Listeners (in every context) are told once
+   * storage reports the change.
+   */
+  async function updateSettings(patch) {
+    const validated = {};
+    for (const [key, value] of Object.entries(patch)) {
+      validated[key] = validateSetting(key, value);
+    }
+
+    const settings = await getSettings();
+    const next = { ...settings, ...validated };
+    if (JSON.stringify(next) !== JSON.stringify(settings)) {
+      await browser.storage.local.set({ [SETTINGS_KEY]: next });
+    }
+    return next;
+  }
+
+  /**
+   * Call callback(settings, changedKeys) whenever settings change
+   */
+  function onSettingsChanged(callback) {
+    listeners.push(callback);
+  }
+
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[SETTINGS_KEY]) return;
+
+    const previous = currentSettings || getDefaultSettings();
+    currentSettings = sanitizeSettings(changes[SETTINGS_KEY].newValue);
+
+    const changedKeys = Object.keys(SETTINGS_SCHEMA)
+      .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(currentSettings[key]));
+    if (changedKeys.length === 0) return;
+
+    for (const callback of listeners) {
+      try {
+        callback({ ...currentSettings }, changedKeys);
+      } catch (error) {
+        console.error('AnnotatePro: Settings listener failed', error);
+      }
+    }
+  });
+
+  globalThis.AnnotateProSettings = {
+    SETTINGS_KEY,
+    SETTINGS_SECTIONS,
+    SETTINGS_SCHEMA,
+    getDefaultSettings,
+    validateSetting,
+    getSettings,
+    updateSettings,
+    onSettingsChanged
+  };
+})();
@@ -0,0 +1,124 @@
+/**
+ * AnnotatePro Site Rules
+ * Per-site overrides matched against the tab URL: whether AnnotatePro runs at
+ * all, clipboard capture, sidebar auto-open, the default highlight color and
+ * the Alt-key shortcuts. Loaded as a plain script by the content scripts and
+ * the options page; the background imports it for its side effect.
+ *
+ * Patterns:
+ *   example.com             example.com and its subdomains
+ *   *.example.com           subdomains of example.com only
+ *   example.com/admin/*     glob over host and path
+ *   https://intranet.*      glob over the full URL (when a scheme is given)
+ *
+ * Rules are checked top to bottom; for each setting the first matching rule
+ * that sets it wins. Unset (null) settings fall through to the defaults.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProSiteRules) return;
+
+  const SITE_RULES_KEY = 'siteRules';
+
+  const SITE_RULE_DEFAULTS = {
+    enabled: true,
+    clipboard: true,
+    autoOpenSidebar: false,
+    defaultColorId: null, // null: the defaultColorId setting
+    shortcuts: true
+  };
+
+  const RULE_SETTINGS = Object.keys(SITE_RULE_DEFAULTS);
+
+  let cachedRules = null;
+
+  function globToRegExp(glob) {
+    const source = glob.split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Whether a URL matches a site pattern
+   */
+  function matchesSitePattern(pattern, rawUrl) {
+    const trimmed = (pattern || '').trim();
+    if (!trimmed) return false;
+
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch {
+      return false;
+    }
+
+    if (trimmed.includes('://')) {
+      return globToRegExp(trimmed).test(url.href);
+    }
+
+    const host = url.hostname.toLowerCase();
+    if (!trimmed.includes('/')) {
+      if (trimmed.includes('*')) return globToRegExp(trimmed).test(host);
+      const domain = trimmed.toLowerCase();
+      return host === domain || host.endsWith(`.${domain}`);
+    }
+
+    return globToRegExp(trimmed).test(`${host}${url.pathname}${url.search}`);
+  }
+
+  /**
+   * Effective settings for a URL, plus the ids of the rules that matched
+   */
+  function resolveSiteRules(rules, url) {
+    const resolved = { ...SITE_RULE_DEFAULTS, matchedRuleIds: [] };
+    const decided = new Set();
+
+    for (const rule of rules || []) {
+      if (!matchesSitePattern(rule.pattern, url)) continue;
+      resolved.matchedRuleIds.push(rule.id);
+
+      for (const key of RULE_SETTINGS) {
+        if (!decided.has(key) && rule[key] !== null && rule[key] !== undefined) {
+          resolved[key] = rule[key];
+          decided.add(key);
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Effective settings for a URL (the current page by default). Falls back to
+   * the defaults if the rules can't be read.
+   */
+  async function getSiteRules(url = globalThis.location?.href) {
+    try {
+      if (!cachedRules) {
+        const { [SITE_RULES_KEY]: rules = [] } = await browser.storage.local.get(SITE_RULES_KEY);
+        cachedRules = rules;
+      }
+      return resolveSiteRules(cachedRules, url);
+    } catch (error) {
+      console.error('AnnotatePro: Failed to load site rules', error);
+      return { ...SITE_RULE_DEFAULTS, matchedRuleIds: [] };
+    }
+  }
+
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SITE_RULES_KEY]) {
+      cachedRules = null;
+    }
+  });
+
+  globalThis.AnnotateProSiteRules = {
+    SITE_RULES_KEY,
+    SITE_RULE_DEFAULTS,
+    matchesSitePattern,
+    resolveSiteRules,
+    getSiteRules
+  };
+})();
@@ -0,0 +1,46 @@
+/**
+ * AnnotatePro Tags
+ * Tag name normalization and formatting shared by every context. Loaded as a
+ * plain script by the content scripts, dashboard and popup; the background
+ * imports it for its side effect.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProTags) return;
+
+  /**
+   * Normalize a tag name: trimmed, no leading '#', lowercase, spaces collapsed to '-'
+   */
+  function normalizeTagName(name) {
+    return String(name || '')
+      .trim()
+      .replace(/^#+/, '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '-');
+  }
+
+  /**
+   * Normalize and de-duplicate a list of tag names
+   */
+  function normalizeTagList(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(normalizeTagName).filter(Boolean))];
+  }
+
+  /**
+   * Format an annotation's tags as a Markdown sub-bullet (empty if untagged)
+   */
+  function formatTagsMarkdown(annotation) {
+    if (!annotation.tags || annotation.tags.length === 0) return '';
+    return `  - Tags: ${annotation.tags.map(tag => `#${tag}`).join(' ')}\n`;
+  }
+
+  globalThis.AnnotateProTags = {
+    normalizeTagName,
+    normalizeTagList,
+    formatTagsMarkdown
+  };
+})();
@@ -0,0 +1,139 @@
+/**
+ * AnnotatePro Task Items
+ * Checkbox annotations and note checklist lines as tasks with an optional due
+ * date and reminder. Loaded as a plain script by the content scripts, dashboard
+ * and popup; the background imports it for its side effect.
+ *
+ * Checkbox annotations store dueAt / remindAt (timestamps). Note checklist lines
+ * carry them inline:
+ *   [] Call the vendor @due(2026-09-01) @remind(2026-08-31 09:00)
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.AnnotateProTasks) return;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const NOTE_TASK_PATTERN = /^\[(x?)\] (.*)$/i;
+  const DUE_TOKEN = /\s*@due\((\d{4}-\d{2}-\d{2})\)/i;
+  const REMIND_TOKEN = /\s*@remind\((\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})\)/i;
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  /**
+   * Parse local date (YYYY-MM-DD) and optional time (HH:MM) to a timestamp; null if invalid
+   */
+  function parseLocalDate(date, time = '00:00') {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    const timeMatch = /^(\d{2}):(\d{2})$/.exec(time || '');
+    if (!dateMatch || !timeMatch) return null;
+
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    const [hours, minutes] = timeMatch.slice(1).map(Number);
+    const result = new Date(year, month - 1, day, hours, minutes);
+    if (result.getMonth() !== month - 1 || result.getDate() !== day || hours > 23 || minutes > 59) {
+      return null;
+    }
+    return result.getTime();
+  }
+
+  function formatLocalDate(timestamp) {
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  function formatLocalTime(timestamp) {
+    const d = new Date(timestamp);
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  /**
+   * Parse a note checklist line. Returns { checked, text, dueAt, remindAt } or null
+   */
+  function parseNoteTaskLine(line) {
+    const match = NOTE_TASK_PATTERN.exec(line);
+    if (!match) return null;
+
+    let text = match[2];
+    let dueAt = null;
+    let remindAt = null;
+
+    const dueMatch = DUE_TOKEN.exec(text);
+    if (dueMatch) {
+      dueAt = parseLocalDate(dueMatch[1]);
+      text = text.replace(DUE_TOKEN, '');
+    }
+
+    const remindMatch = REMIND_TOKEN.exec(text);
+    if (remindMatch) {
+      remindAt = parseLocalDate(remindMatch[1], remindMatch[2]);
+      text = text.replace(REMIND_TOKEN, '');
+    }
+
+    return { checked: !!match[1], text: text.trim(), dueAt, remindAt };
+  }
+
+  /**
+   * Build a note checklist line from its parts (inverse of parseNoteTaskLine)
+   */
+  function formatNoteTaskLine({ checked, text, dueAt, remindAt }) {
+    let line = `${checked ? '[x]' : '[]'} ${text}`;
+    if (dueAt) {
+      line += ` @due(${formatLocalDate(dueAt)})`;
+    }
+    if (remindAt) {
+      line += ` @remind(${formatLocalDate(remindAt)} ${formatLocalTime(remindAt)})`;
+    }
+    return line;
+  }
+
+  /**
+   * Task items of an annotation: the checkbox itself (lineIndex null) plus note checklist lines
+   */
+  function getTaskItems(annotation) {
+    const items = [];
+
+    if (annotation.annotationType === 'checkbox') {
+      items.push({
+        lineIndex: null,
+        text: annotation.textSnapshot || 'Checkbox',
+        checked: !!annotation.checked,
+        dueAt: annotation.dueAt || null,
+        remindAt: annotation.remindAt || null
+      });
+    }
+
+    (annotation.note || '').split('\n').forEach((line, lineIndex) => {
+      const parsed = parseNoteTaskLine(line);
+      if (parsed) {
+        items.push({ lineIndex, ...parsed });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Due dates are whole days: an open item is overdue once its due day has passed
+   */
+  function isOverdue(item, now = Date.now()) {
+    return !item.checked && !!item.dueAt && item.dueAt + DAY_MS <= now;
+  }
+
+  function hasOverdueItem(annotation, now = Date.now()) {
+    return getTaskItems(annotation).some(item => isOverdue(item, now));
+  }
+
+  globalThis.AnnotateProTasks = {
+    parseLocalDate,
+    formatLocalDate,
+    formatLocalTime,
+    parseNoteTaskLine,
+    formatNoteTaskLine,
+    getTaskItems,
+    isOverdue,
+    hasOverdueItem
+  };
+})();
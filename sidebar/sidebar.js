@@ -20,72 +20,99 @@
   let sidebarWidth = 400; // Default width in pixels
   let annotations = [];
   let cachedColors = [];
+  let cachedGroups = [];
+  let collectionMenuEl = null;
   let activeTab = 'annotations'; // 'annotations' or 'clipboard'
   let colorFilter = null;
+  let tagFilter = null;
   let searchQuery = '';
   let clipboardHistory = [];
   let editingAnnotationId = null;
+  let noteEdit = null; // { annotationId, openingNote, saveTimer, pendingNote } while an editor is open
+  let settings = window.AnnotateProSettings.getDefaultSettings();
 
   /**
    * Initialize sidebar
    */
   async function init() {
+    const siteRules = await window.AnnotateProSiteRules.getSiteRules();
+    if (!siteRules.enabled) return;
+
     // Load settings
     await loadSettings();
 
-    // Load colors
+    // Load colors and collections
     await loadColors();
+    await loadGroups();
 
     // Create sidebar elements
     createSidebar();
 
     // Load initial data
+    await window.AnnotateProPageUrl.resolveCurrentPageUrl();
     await loadAnnotations();
     await loadClipboardHistory();
 
     // Set up message listener for real-time updates
     setupMessageListener();
 
+    window.AnnotateProSettings.onSettingsChanged(applySettings);
+
     // Listen for clipboard updates from content script
     window.addEventListener('annotatepro-clipboard-updated', () => {
       loadClipboardHistory();
     });
 
+    if (siteRules.autoOpenSidebar && isCollapsed) {
+      toggleSidebar();
+    }
+
     console.log('AnnotatePro: Sidebar initialized');
   }
 
   /**
-   * Load sidebar settings from storage (position and width only, collapsed state is per-tab)
+   * Load settings (position and width only, collapsed state is per-tab)
    */
   async function loadSettings() {
-    try {
-      const result = await browser.storage.local.get('sidebarSettings');
-      if (result.sidebarSettings) {
-        // Don't load collapsed state - each tab starts collapsed independently
-        position = result.sidebarSettings.position ?? 'right';
-        sidebarWidth = result.sidebarSettings.width ?? 400;
-      }
-    } catch (error) {
-      console.error('AnnotatePro: Failed to load sidebar settings', error);
-    }
+    settings = await window.AnnotateProSettings.getSettings();
+    position = settings.sidebarPosition;
+    sidebarWidth = settings.sidebarWidth;
   }
 
   /**
-   * Save sidebar settings to storage (position and width only)
+   * Save position and width to the settings
    */
   async function saveSettings() {
     try {
-      await browser.storage.local.set({
-        sidebarSettings: {
-          position: position,
-          width: sidebarWidth
-        }
+      await window.AnnotateProSettings.updateSettings({
+        sidebarPosition: position,
+        sidebarWidth: Math.round(sidebarWidth)
       });
     } catch (error) {
       console.error('AnnotatePro: Failed to save sidebar settings', error);
     }
   }
 
+  /**
+   * Follow settings changed in the options page or another tab
+   */
+  function applySettings(next, changedKeys) {
+    settings = next;
+
+    if (settings.sidebarPosition !== position) {
+      position = settings.sidebarPosition;
+      sidebarEl.classList.remove('left', 'right');
+      sidebarEl.classList.add(position);
+    }
+    if (Math.round(sidebarWidth) !== settings.sidebarWidth) {
+      sidebarWidth = settings.sidebarWidth;
+      sidebarEl.style.width = `${sidebarWidth}px`;
+    }
+    if (changedKeys.includes('highlightOpacity') && !isCollapsed && activeTab === 'annotations') {
+      renderAnnotationsList();
+    }
+  }
+
   /**
    * Load colors from background
    */
@@ -102,12 +129,28 @@
     }
   }
 
+  /**
+   * Load collections (groups) from background
+   */
+  async function loadGroups() {
+    try {
+      cachedGroups = await browser.runtime.sendMessage({
+        type: 'GET_ALL_GROUPS',
+        payload: {}
+      });
+      cachedGroups.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('AnnotatePro: Failed to load collections', error);
+      cachedGroups = [];
+    }
+  }
+
   /**
    * Load annotations for current page
    */
   async function loadAnnotations() {
     try {
-      const pageUrl = window.location.href;
+      const pageUrl = window.AnnotateProPageUrl.getCurrentPageUrl();
       annotations = await browser.runtime.sendMessage({
         type: 'GET_PAGE_ANNOTATIONS',
         payload: { pageUrl }
@@ -177,20 +220,6 @@
     return cachedColors.find(c => c.id === colorId);
   }
 
-  /**
-   * Convert hex to rgba
-   */
-  function hexToRgba(hex, alpha = 0.5) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    if (result) {
-      const r = parseInt(result[1], 16);
-      const g = parseInt(result[2], 16);
-      const b = parseInt(result[3], 16);
-      return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-    }
-    return hex;
-  }
-
   /**
    * Get annotation color value
    */
@@ -198,9 +227,25 @@
     if (annotation.color) return annotation.color;
     if (annotation.colorId) {
       const color = getColorById(annotation.colorId);
-      if (color) return hexToRgba(color.color, 0.5);
+      if (color) return window.AnnotateProColorStyles.getColorPaint(color, settings.highlightOpacity);
     }
-    return 'rgba(255, 235, 59, 0.5)';
+    return window.AnnotateProColorStyles.hexToRgba('#FFEB3B', settings.highlightOpacity);
+  }
+
+  /**
+   * Get annotation render style; explicit colors are fills
+   */
+  function getAnnotationStyle(annotation) {
+    if (annotation.color || !annotation.colorId) return 'fill';
+    return window.AnnotateProColorStyles.getColorStyle(getColorById(annotation.colorId));
+  }
+
+  /**
+   * Annotated text drawn the way the page draws it
+   */
+  function renderTextPreview(annotation, text) {
+    const previewCss = window.AnnotateProColorStyles.getPreviewCss(getAnnotationStyle(annotation), getAnnotationColor(annotation));
+    return `<span class="annotatepro-sidebar-item-preview" style="${previewCss}">${escapeHtml(text)}</span>`;
   }
 
   /**
@@ -273,6 +318,7 @@
         <div class="annotatepro-sidebar-actions">
           <button class="annotatepro-sidebar-action-btn" id="annotatepro-dashboard-btn" title="Open Dashboard">📊</button>
           <button class="annotatepro-sidebar-action-btn" id="annotatepro-page-note-btn" title="Page Note">📄<span class="annotatepro-page-note-indicator"></span></button>
+          <button class="annotatepro-sidebar-action-btn" id="annotatepro-collection-btn" title="Add page to collection">📁</button>
           <button class="annotatepro-sidebar-action-btn" id="annotatepro-position-btn" title="Switch side">⇄</button>
           <button class="annotatepro-sidebar-action-btn" id="annotatepro-refresh-btn" title="Refresh">↻</button>
           <button class="annotatepro-sidebar-action-btn" id="annotatepro-close-btn" title="Close sidebar">✕</button>
@@ -285,9 +331,11 @@
       <div class="annotatepro-sidebar-search">
         <div class="annotatepro-sidebar-search-wrapper">
           <span class="annotatepro-sidebar-search-icon">🔍</span>
-          <input type="text" class="annotatepro-sidebar-search-input" id="annotatepro-search" placeholder="Search annotations...">
+          <input type="text" class="annotatepro-sidebar-search-input" id="annotatepro-search" placeholder="Search annotations..."
+            title="Filters: color:Risk tag:vendor is:unchecked has:note before:2026-09-01 &quot;exact phrase&quot; -excluded">
           <button class="annotatepro-sidebar-search-clear" id="annotatepro-search-clear" title="Clear search (Esc)">&times;</button>
         </div>
+        <div class="annotatepro-sidebar-search-errors" id="annotatepro-search-errors" style="display: none;"></div>
       </div>
       <div class="annotatepro-sidebar-filter" id="annotatepro-filter">
         <button class="annotatepro-sidebar-filter-chip active" data-color="all">All</button>
@@ -317,9 +365,9 @@
       detail: { collapsed: isCollapsed }
     }));
 
-    // Load data when opening
+    // Load data when opening (collections can change from the dashboard or other tabs)
     if (!isCollapsed) {
-      loadAnnotations();
+      loadGroups().then(loadAnnotations);
       if (activeTab === 'clipboard') {
         loadClipboardHistory();
       }
@@ -347,7 +395,7 @@
     let startX = 0;
     let startWidth = 0;
 
-    const MIN_WIDTH = 280;
+    const { min: MIN_WIDTH, max: MAX_WIDTH } = window.AnnotateProSettings.SETTINGS_SCHEMA.sidebarWidth;
     const MAX_WIDTH_PERCENT = 0.5; // 50% of screen
 
     function onMouseDown(e) {
@@ -368,7 +416,7 @@
     function onMouseMove(e) {
       if (!isResizing) return;
 
-      const maxWidth = window.innerWidth * MAX_WIDTH_PERCENT;
+      const maxWidth = Math.min(window.innerWidth * MAX_WIDTH_PERCENT, MAX_WIDTH);
       let newWidth;
 
       if (position === 'right') {
@@ -406,7 +454,7 @@
 
     // Double-click to reset to default width
     resizeHandle.addEventListener('dblclick', () => {
-      sidebarWidth = 400;
+      sidebarWidth = window.AnnotateProSettings.SETTINGS_SCHEMA.sidebarWidth.default;
       sidebarEl.style.width = `${sidebarWidth}px`;
       saveSettings();
     });
@@ -455,11 +503,18 @@
       browser.runtime.sendMessage({ type: 'OPEN_DASHBOARD' });
     });
 
+    // Add page to collection button
+    sidebarEl.querySelector('#annotatepro-collection-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      openCollectionMenu(e.currentTarget, null);
+    });
+
     // Position switch button
     sidebarEl.querySelector('#annotatepro-position-btn').addEventListener('click', switchPosition);
 
     // Refresh button
-    sidebarEl.querySelector('#annotatepro-refresh-btn').addEventListener('click', () => {
+    sidebarEl.querySelector('#annotatepro-refresh-btn').addEventListener('click', async () => {
+      await loadGroups();
       loadAnnotations();
       loadClipboardHistory();
     });
@@ -526,22 +581,37 @@
       const chip = e.target.closest('.annotatepro-sidebar-filter-chip');
       if (!chip) return;
 
-      const colorValue = chip.dataset.color;
-      colorFilter = colorValue === 'all' ? null : colorValue;
-
-      // Update active state
-      sidebarEl.querySelectorAll('.annotatepro-sidebar-filter-chip').forEach(c => c.classList.remove('active'));
-      chip.classList.add('active');
+      if (chip.dataset.tag !== undefined) {
+        // Tag chips toggle independently of the color filter
+        tagFilter = tagFilter === chip.dataset.tag ? null : chip.dataset.tag;
+      } else {
+        const colorValue = chip.dataset.color;
+        colorFilter = colorValue === 'all' ? null : colorValue;
+        if (colorValue === 'all') tagFilter = null;
+      }
 
+      // Active states are re-rendered from colorFilter/tagFilter
       renderAnnotationsList();
     });
 
     // Annotation list clicks (delegated)
     sidebarEl.querySelector('#annotatepro-content').addEventListener('click', handleContentClick);
 
+    // Keep the page selection alive when pressing "Re-attach to selection"
+    sidebarEl.querySelector('#annotatepro-content').addEventListener('mousedown', (e) => {
+      if (e.target.closest('.annotatepro-sidebar-item-action.reattach')) {
+        e.preventDefault();
+      }
+    });
+
     // Close editor when clicking anywhere outside of it (inside sidebar)
     sidebarEl.addEventListener('click', (e) => {
+      if (collectionMenuEl && !collectionMenuEl.contains(e.target)) {
+        closeCollectionMenu();
+      }
+
       if (!editingAnnotationId) return;
+      if (e.target.closest('.annotatepro-sidebar-collection-menu')) return;
 
       // Don't close if clicking on action buttons (they have their own handlers)
       if (e.target.closest('.annotatepro-sidebar-item-action')) return;
@@ -555,16 +625,82 @@
       }
     });
 
-    // Close editor when clicking outside sidebar
+    // Close editor and collection menu when clicking outside sidebar
     document.addEventListener('click', (e) => {
-      if (!editingAnnotationId) return;
       if (sidebarEl.contains(e.target)) return;
+      closeCollectionMenu();
+      if (!editingAnnotationId) return;
 
       editingAnnotationId = null;
       renderAnnotationsList();
     });
   }
 
+  /**
+   * Parse the search box with the shared query language (shared/query-parser.js)
+   * and show any syntax errors under it
+   */
+  function getSearchQuery() {
+    const searchInput = sidebarEl.querySelector('#annotatepro-search');
+    const input = searchInput ? searchInput.value.trim() : '';
+    const query = window.AnnotateProQuery.parseQuery(input, { colors: cachedColors });
+
+    const errorsEl = sidebarEl.querySelector('#annotatepro-search-errors');
+    errorsEl.style.display = query.errors.length > 0 ? '' : 'none';
+    errorsEl.innerHTML = query.errors.map(error => `
+      <div class="annotatepro-sidebar-search-error">
+        <code>${escapeHtml(input.slice(error.start, error.end))}</code>
+        ${escapeHtml(error.message)}
+      </div>
+    `).join('');
+
+    return { ...query, input };
+  }
+
+  /**
+   * Check an annotation against a parsed query (same predicates as the dashboard search)
+   */
+  function matchesQuery(annotation, { text, options }) {
+    const haystack = [
+      annotation.textSnapshot,
+      annotation.note,
+      annotation.annotationType,
+      ...(annotation.tags || [])
+    ].filter(Boolean).join('\n').toLowerCase();
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const time = annotation.updatedAt || annotation.createdAt || 0;
+
+    if (!words.every(word => haystack.includes(word))) return false;
+    if (options.phrases && !options.phrases.every(phrase => haystack.includes(phrase))) return false;
+    if (options.excludeTerms && options.excludeTerms.some(term => haystack.includes(term))) return false;
+    if (options.types && !options.types.includes(annotation.annotationType)) return false;
+    if (options.colorIds && !options.colorIds.includes(annotation.colorId)) return false;
+    if (options.tags && !(annotation.tags || []).some(tag => options.tags.includes(tag))) return false;
+    if (options.sites && !options.sites.some(site => isOnSite(annotation.pageUrl, site))) return false;
+    if (typeof options.checked === 'boolean' &&
+      (annotation.annotationType !== 'checkbox' || !!annotation.checked !== options.checked)) return false;
+    if (options.orphaned && !annotation.orphaned) return false;
+    if (options.hasNote && !(annotation.note && annotation.note.trim())) return false;
+    if (options.hasTags && !(annotation.tags && annotation.tags.length > 0)) return false;
+    if (options.overdue && !window.AnnotateProTasks.hasOverdueItem(annotation)) return false;
+    if (options.before && time >= options.before) return false;
+    if (options.after && time < options.after) return false;
+
+    return true;
+  }
+
+  /**
+   * Check whether a URL is on a site (the hostname or any subdomain of it)
+   */
+  function isOnSite(url, site) {
+    try {
+      const hostname = window.AnnotateProQuery.normalizeSite(new URL(url).hostname);
+      return hostname === site || hostname.endsWith(`.${site}`);
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Clear search query and update UI
    */
@@ -598,7 +734,7 @@
       if (e.target.classList.contains('annotatepro-sidebar-checkbox')) {
         // Toggle checkbox
         const isChecked = e.target.checked;
-        await updateAnnotation(annotationId, { checked: isChecked });
+        await updateAnnotation(annotationId, { checked: isChecked }, isChecked ? 'check' : 'uncheck');
         return;
       }
 
@@ -653,14 +789,23 @@
       if (e.target.closest('.annotatepro-sidebar-item-action')) {
         e.stopPropagation(); // Prevent sidebar click listener from interfering
         const action = e.target.closest('.annotatepro-sidebar-item-action');
+        if (!action.classList.contains('collect')) {
+          closeCollectionMenu();
+        }
         if (action.classList.contains('edit')) {
           toggleEditor(annotationId);
         } else if (action.classList.contains('delete')) {
           if (confirm('Delete this annotation?')) {
             await deleteAnnotation(annotationId);
           }
+        } else if (action.classList.contains('reattach')) {
+          reattachOrphan(annotationId);
+        } else if (action.classList.contains('collect')) {
+          openCollectionMenu(action, annotationId);
         } else if (action.classList.contains('goto')) {
           scrollToAnnotation(annotationId);
+        } else if (action.classList.contains('open-screenshot')) {
+          window.annotateProScreenshot?.openSavedScreenshot(annotationId);
         } else if (action.classList.contains('screenshot')) {
           // Capture screenshot of this annotation
           if (window.annotateProScreenshot) {
@@ -681,12 +826,22 @@
       if (e.target.closest('.annotatepro-sidebar-editor-color')) {
         const colorBtn = e.target.closest('.annotatepro-sidebar-editor-color');
         const newColorId = colorBtn.dataset.colorId;
-        await updateAnnotation(annotationId, { colorId: newColorId, color: null });
+        await updateAnnotation(annotationId, { colorId: newColorId, color: null }, 'color change');
         return;
       }
 
-      // Default: scroll to annotation on page
-      scrollToAnnotation(annotationId);
+      // Screenshots open in the editor
+      if (annotation.annotationType === 'screenshot') {
+        if (e.target.closest('.annotatepro-sidebar-item-thumbnail')) {
+          window.annotateProScreenshot?.openSavedScreenshot(annotationId);
+        }
+        return;
+      }
+
+      // Default: scroll to annotation on page (orphans have nothing to scroll to)
+      if (!annotation.orphaned) {
+        scrollToAnnotation(annotationId);
+      }
     }
 
     // Handle clipboard item clicks
@@ -720,22 +875,125 @@
     }
   }
 
+  /**
+   * Show the collection picker below a button. annotationId null means the whole page.
+   */
+  function openCollectionMenu(anchorEl, annotationId) {
+    const wasOpenFor = collectionMenuEl?.dataset.annotationId;
+    closeCollectionMenu();
+    // Clicking the same button again just closes the menu
+    if (wasOpenFor !== undefined && wasOpenFor === (annotationId || '')) return;
+
+    const annotation = annotationId ? annotations.find(a => a.id === annotationId) : null;
+    const memberIds = annotation?.groupIds || [];
+
+    collectionMenuEl = document.createElement('div');
+    collectionMenuEl.className = 'annotatepro-sidebar-collection-menu';
+    collectionMenuEl.dataset.annotationId = annotationId || '';
+    collectionMenuEl.innerHTML = `
+      <div class="annotatepro-sidebar-collection-menu-title">${annotationId ? 'Add annotation to' : 'Add page to'}</div>
+      ${cachedGroups.map(group => {
+        const isMember = memberIds.includes(group.id) ||
+          (!annotationId && (group.pages || []).some(p => p.pageUrl === window.AnnotateProPageUrl.getCurrentPageUrl()));
+        return `
+          <button class="annotatepro-sidebar-collection-menu-item ${isMember ? 'member' : ''}" data-group-id="${group.id}" ${isMember ? 'disabled' : ''}>
+            ${isMember ? '✓ ' : ''}${escapeHtml(group.name)}
+          </button>
+        `;
+      }).join('')}
+      <button class="annotatepro-sidebar-collection-menu-item new" data-group-id="">+ New collection...</button>
+    `;
+
+    const anchorRect = anchorEl.getBoundingClientRect();
+    const sidebarRect = sidebarEl.getBoundingClientRect();
+    collectionMenuEl.style.top = `${anchorRect.bottom - sidebarRect.top + 4}px`;
+    collectionMenuEl.style.left = `${Math.max(8, Math.min(anchorRect.left - sidebarRect.left, sidebarRect.width - 228))}px`;
+
+    collectionMenuEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const item = e.target.closest('.annotatepro-sidebar-collection-menu-item');
+      if (!item || item.disabled) return;
+      closeCollectionMenu();
+      addToCollection(item.dataset.groupId || null, annotationId);
+    });
+
+    sidebarEl.appendChild(collectionMenuEl);
+  }
+
+  function closeCollectionMenu() {
+    if (collectionMenuEl) {
+      collectionMenuEl.remove();
+      collectionMenuEl = null;
+    }
+  }
+
+  /**
+   * Add an annotation (or the whole page) to a collection, creating it first if needed
+   */
+  async function addToCollection(groupId, annotationId) {
+    try {
+      if (!groupId) {
+        const name = prompt('New collection name:');
+        if (!name || !name.trim()) return;
+        const group = await browser.runtime.sendMessage({
+          type: 'ADD_GROUP',
+          payload: { name: name.trim() }
+        });
+        groupId = group.id;
+      }
+
+      const payload = annotationId
+        ? { groupId, annotationIds: [annotationId] }
+        : { groupId, pageUrl: window.AnnotateProPageUrl.getCurrentPageUrl(), pageTitle: document.title };
+      await browser.runtime.sendMessage({ type: 'ADD_TO_GROUP', payload });
+
+      await loadGroups();
+      renderAnnotationsList();
+    } catch (error) {
+      console.error('AnnotatePro: Failed to add to collection', error);
+      alert(`Failed to add to collection: ${error.message}`);
+    }
+  }
+
   /**
    * Scroll to annotation on page
    */
   function scrollToAnnotation(annotationId) {
-    const element = document.querySelector(`[data-annotatepro-id="${annotationId}"]`);
-    if (element) {
-      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    // Highlights spanning several elements render as multiple segments
+    const elements = document.querySelectorAll(`[data-annotatepro-id="${annotationId}"]`);
+    if (elements.length > 0) {
+      elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
       // Flash highlight
-      element.style.transition = 'outline 0.3s';
-      element.style.outline = '3px solid #6366f1';
-      setTimeout(() => {
-        element.style.outline = '';
-      }, 2000);
+      for (const element of elements) {
+        element.style.transition = 'outline 0.3s';
+        element.style.outline = '3px solid #6366f1';
+        setTimeout(() => {
+          element.style.outline = '';
+        }, 2000);
+      }
     }
   }
 
+  /**
+   * Re-attach an orphaned annotation to the text selected on the page.
+   * The content script owns fingerprinting and rendering, so hand it over via a window event.
+   */
+  function reattachOrphan(annotationId) {
+    const selection = window.getSelection();
+    const hasPageSelection = selection && !selection.isCollapsed &&
+      selection.toString().trim().length > 0 &&
+      !sidebarEl.contains(selection.anchorNode);
+
+    if (!hasPageSelection) {
+      alert('Select the text on the page this annotation belongs to, then click "Re-attach to selection".');
+      return;
+    }
+
+    window.dispatchEvent(new CustomEvent('annotatepro-reattach-orphan', {
+      detail: { annotationId }
+    }));
+  }
+
   /**
    * Toggle inline editor for annotation
    */
@@ -749,17 +1007,25 @@
   }
 
   /**
-   * Update annotation
+   * Update annotation. With a label, the change also becomes an undo step.
    */
-  async function updateAnnotation(annotationId, patch) {
+  async function updateAnnotation(annotationId, patch, label = null) {
+    const annotation = annotations.find(a => a.id === annotationId);
+    const before = annotation
+      ? Object.fromEntries(Object.keys(patch).map(key => [key, annotation[key] ?? null]))
+      : null;
+
     try {
       await browser.runtime.sendMessage({
         type: 'UPDATE_ANNOTATION',
-        payload: { id: annotationId, patch }
+        payload: { id: annotationId, patch, source: 'sidebar' }
       });
 
+      if (label && before && Object.keys(patch).some(key => before[key] !== patch[key])) {
+        recordUndoPatch(annotationId, label, before, patch);
+      }
+
       // Update local data
-      const annotation = annotations.find(a => a.id === annotationId);
       if (annotation) {
         Object.assign(annotation, patch);
       }
@@ -780,6 +1046,11 @@
         payload: { id: annotationId }
       });
 
+      // The content script keeps the undo history and shows the undo toast
+      window.dispatchEvent(new CustomEvent('annotatepro-sidebar-delete', {
+        detail: { annotationId, annotation: annotations.find(a => a.id === annotationId) }
+      }));
+
       annotations = annotations.filter(a => a.id !== annotationId);
       renderAnnotationsList();
     } catch (error) {
@@ -788,24 +1059,84 @@
   }
 
   /**
-   * Render color filter chips
+   * Hand a finished edit to the content script, which keeps the page's undo history
+   */
+  function recordUndoPatch(annotationId, label, before, after) {
+    window.dispatchEvent(new CustomEvent('annotatepro-sidebar-patch', {
+      detail: { annotationId, label, before, after }
+    }));
+  }
+
+  /**
+   * Each time the editor opens, start a note session so the auto-saves
+   * become a single undo step once it closes
+   */
+  function syncNoteEdit() {
+    if (noteEdit && noteEdit.annotationId !== editingAnnotationId) {
+      const session = noteEdit;
+      noteEdit = null;
+      finishNoteEdit(session);
+    }
+
+    if (!noteEdit && editingAnnotationId) {
+      const annotation = annotations.find(a => a.id === editingAnnotationId);
+      if (annotation) {
+        noteEdit = { annotationId: annotation.id, openingNote: annotation.note || '', saveTimer: null, pendingNote: null };
+      }
+    }
+  }
+
+  /**
+   * Flush a pending auto-save, then record the session's note change
+   */
+  async function finishNoteEdit(session) {
+    clearTimeout(session.saveTimer);
+    let annotation = annotations.find(a => a.id === session.annotationId);
+    if (!annotation) return;
+
+    if (session.pendingNote !== null) {
+      await updateAnnotation(session.annotationId, { note: session.pendingNote });
+      annotation = annotations.find(a => a.id === session.annotationId) || annotation;
+    }
+
+    const note = annotation.note || '';
+    if (note !== session.openingNote) {
+      const label = annotation.annotationType === 'page-note' ? 'page note edit' : 'note edit';
+      recordUndoPatch(session.annotationId, label, { note: session.openingNote }, { note });
+    }
+  }
+
+  /**
+   * Render color and tag filter chips
    */
   function renderColorFilter() {
     const filterEl = sidebarEl.querySelector('#annotatepro-filter');
 
-    let html = '<button class="annotatepro-sidebar-filter-chip ' + (!colorFilter ? 'active' : '') + '" data-color="all">All</button>';
+    let html = '<button class="annotatepro-sidebar-filter-chip ' + (!colorFilter && !tagFilter ? 'active' : '') + '" data-color="all">All</button>';
 
     for (const color of cachedColors) {
       const isActive = colorFilter === color.id;
       html += `
         <button class="annotatepro-sidebar-filter-chip ${isActive ? 'active' : ''}"
                 data-color="${color.id}"
-                style="--chip-color: ${hexToRgba(color.color, 0.3)}">
+                style="--chip-color: ${window.AnnotateProColorStyles.hexToRgba(color.color, 0.3)}">
           ${escapeHtml(color.name)}
         </button>
       `;
     }
 
+    // Tag chips come from the tags used on this page
+    const pageTags = [...new Set(annotations.flatMap(a => a.tags || []))].sort();
+    if (tagFilter && !pageTags.includes(tagFilter)) {
+      tagFilter = null;
+    }
+    for (const tag of pageTags) {
+      html += `
+        <button class="annotatepro-sidebar-filter-chip tag ${tagFilter === tag ? 'active' : ''}"
+                data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+      `;
+    }
+
     filterEl.innerHTML = html;
   }
 
@@ -816,12 +1147,14 @@
     const listEl = sidebarEl.querySelector('#annotatepro-list');
     const countEl = sidebarEl.querySelector('#annotatepro-count');
 
+    syncNoteEdit();
+
     // Render color filter
     renderColorFilter();
 
-    // Get current search query from input (ensure it's in sync)
-    const searchInput = sidebarEl.querySelector('#annotatepro-search');
-    const currentSearchQuery = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    // Parse current search query from input (ensure it's in sync)
+    const query = getSearchQuery();
+    const currentSearchQuery = query.input;
 
     // Filter annotations
     let filtered = [...annotations];
@@ -831,14 +1164,14 @@
       filtered = filtered.filter(a => a.colorId === colorFilter);
     }
 
+    // Apply tag filter
+    if (tagFilter) {
+      filtered = filtered.filter(a => (a.tags || []).includes(tagFilter));
+    }
+
     // Apply search filter
     if (currentSearchQuery) {
-      filtered = filtered.filter(a => {
-        const text = (a.textSnapshot || '').toLowerCase();
-        const note = (a.note || '').toLowerCase();
-        const type = (a.annotationType || '').toLowerCase();
-        return text.includes(currentSearchQuery) || note.includes(currentSearchQuery) || type.includes(currentSearchQuery);
-      });
+      filtered = filtered.filter(a => matchesQuery(a, query));
     }
 
     // Sort: page notes first, then by updated time
@@ -848,12 +1181,17 @@
       return (b.updatedAt || 0) - (a.updatedAt || 0);
     });
 
-    countEl.textContent = filtered.length;
+    // Orphans failed to anchor on this page load - list them in their own section
+    const orphans = filtered.filter(a => a.orphaned);
+    filtered = filtered.filter(a => !a.orphaned);
 
-    if (filtered.length === 0) {
+    countEl.textContent = filtered.length + orphans.length;
+
+    if (filtered.length === 0 && orphans.length === 0) {
       const emptyMessage = currentSearchQuery
         ? `No annotations matching "${escapeHtml(currentSearchQuery)}"`
-        : (colorFilter ? 'No annotations with this color' : 'Highlight text or add checkboxes to get started');
+        : (tagFilter ? `No annotations tagged #${escapeHtml(tagFilter)}`
+          : (colorFilter ? 'No annotations with this color' : 'Highlight text or add checkboxes to get started'));
 
       listEl.innerHTML = `
         <div class="annotatepro-sidebar-empty">
@@ -865,17 +1203,20 @@
       return;
     }
 
-    listEl.innerHTML = filtered.map(annotation => renderAnnotationItem(annotation)).join('');
+    listEl.innerHTML = filtered.map(annotation => renderAnnotationItem(annotation)).join('') +
+      renderOrphanedSection(orphans);
 
     // Set up note textarea auto-save
     filtered.forEach(annotation => {
       if (editingAnnotationId === annotation.id) {
         const textarea = listEl.querySelector(`[data-annotation-id="${annotation.id}"] .annotatepro-sidebar-editor-textarea`);
-        if (textarea) {
-          let saveTimer;
+        const session = noteEdit;
+        if (textarea && session) {
           textarea.addEventListener('input', () => {
-            clearTimeout(saveTimer);
-            saveTimer = setTimeout(async () => {
+            session.pendingNote = textarea.value;
+            clearTimeout(session.saveTimer);
+            session.saveTimer = setTimeout(async () => {
+              session.pendingNote = null;
               await updateAnnotation(annotation.id, { note: textarea.value });
               const statusEl = textarea.parentElement.querySelector('.annotatepro-sidebar-editor-status');
               if (statusEl) {
@@ -895,25 +1236,29 @@
   function renderAnnotationItem(annotation) {
     const isPageNote = annotation.annotationType === 'page-note';
     const isCheckbox = annotation.annotationType === 'checkbox';
+    const isScreenshot = annotation.annotationType === 'screenshot';
+    // Page notes and screenshots have no color and nothing on the page to go to
+    const isAnchored = !isPageNote && !isScreenshot;
     const color = getAnnotationColor(annotation);
     const colorName = getAnnotationColorName(annotation);
     const text = isPageNote ? 'Page Note' : (annotation.textSnapshot || '(element)');
     const isEditing = editingAnnotationId === annotation.id;
 
-    const typeLabel = isPageNote ? 'Page Note' : (isCheckbox ? 'Checkbox' : 'Highlight');
+    const typeLabel = isPageNote ? 'Page Note' : (isScreenshot ? 'Screenshot' : (isCheckbox ? 'Checkbox' : 'Highlight'));
+    const isReanchored = annotation.anchorConfidence !== undefined && annotation.anchorConfidence < 1;
 
     let editorHtml = '';
     if (isEditing) {
       const colorSwatches = cachedColors.map(c => `
         <button class="annotatepro-sidebar-editor-color ${c.id === annotation.colorId ? 'active' : ''}"
                 data-color-id="${c.id}"
-                style="background: ${hexToRgba(c.color, 0.5)}"
+                style="background: ${window.AnnotateProColorStyles.getColorPaint(c, settings.highlightOpacity)}"
                 title="${escapeHtml(c.name)}"></button>
       `).join('');
 
       editorHtml = `
         <div class="annotatepro-sidebar-editor">
-          ${!isPageNote ? `<div class="annotatepro-sidebar-editor-colors">${colorSwatches}</div>` : ''}
+          ${isAnchored ? `<div class="annotatepro-sidebar-editor-colors">${colorSwatches}</div>` : ''}
           <div class="annotatepro-sidebar-editor-note-header">
             <button class="annotatepro-sidebar-copy-btn note-copy" title="Copy note">Copy</button>
           </div>
@@ -931,26 +1276,104 @@
            style="--annotation-color: ${color}">
         <div class="annotatepro-sidebar-item-header">
           <span class="annotatepro-sidebar-item-type">
-            ${!isPageNote ? `<span class="annotatepro-sidebar-item-color" style="background: ${color}"></span>` : ''}
-            ${typeLabel}${!isPageNote && colorName !== 'Default' ? ` - ${escapeHtml(colorName)}` : ''}
+            ${isAnchored ? `<span class="annotatepro-sidebar-item-color" style="background: ${color}"></span>` : ''}
+            ${typeLabel}${isAnchored && colorName !== 'Default' ? ` - ${escapeHtml(colorName)}` : ''}
           </span>
           <span class="annotatepro-sidebar-item-time">${formatRelativeTime(annotation.updatedAt)}</span>
         </div>
         <div class="annotatepro-sidebar-item-content">
           ${isCheckbox ? `<input type="checkbox" class="annotatepro-sidebar-checkbox" ${annotation.checked ? 'checked' : ''}>` : ''}
           <div class="annotatepro-sidebar-item-content-text">
-            <div class="annotatepro-sidebar-item-text-wrapper">
-              <div class="annotatepro-sidebar-item-text">${escapeHtml(truncate(text, 120))}</div>
-              ${!isPageNote ? `<button class="annotatepro-sidebar-copy-btn text-copy" data-text="${escapeHtml(annotation.textSnapshot || '')}" title="Copy text">Copy</button>` : ''}
-            </div>
+            ${isReanchored ? `<div class="annotatepro-sidebar-item-reanchored" title="Page text changed since this was saved">Re-anchored with changes (${Math.round(annotation.anchorConfidence * 100)}% match)</div>` : ''}
+            ${isScreenshot ? `
+              <button class="annotatepro-sidebar-item-thumbnail" title="Open in screenshot editor">
+                <img src="${escapeHtml(annotation.thumbnail || '')}" alt="Screenshot">
+              </button>
+            ` : `
+              <div class="annotatepro-sidebar-item-text-wrapper">
+                <div class="annotatepro-sidebar-item-text">${isPageNote ? escapeHtml(text) : renderTextPreview(annotation, truncate(text, 120))}</div>
+                ${!isPageNote ? `<button class="annotatepro-sidebar-copy-btn text-copy" data-text="${escapeHtml(annotation.textSnapshot || '')}" title="Copy text">Copy</button>` : ''}
+              </div>
+            `}
             ${annotation.note && !isEditing ? `<div class="annotatepro-sidebar-item-note">${escapeHtml(truncate(annotation.note, 80))}</div>` : ''}
+            ${renderItemLabels(annotation)}
           </div>
         </div>
         ${editorHtml}
         <div class="annotatepro-sidebar-item-actions">
-          <button class="annotatepro-sidebar-item-action goto" title="Go to annotation">Go to</button>
-          ${!isPageNote ? `<button class="annotatepro-sidebar-item-action screenshot" title="Capture screenshot">Screenshot</button>` : ''}
+          ${isScreenshot
+            ? `<button class="annotatepro-sidebar-item-action open-screenshot" title="Open in screenshot editor">Open</button>`
+            : `<button class="annotatepro-sidebar-item-action goto" title="Go to annotation">Go to</button>`}
+          ${isAnchored ? `<button class="annotatepro-sidebar-item-action screenshot" title="Capture screenshot">Screenshot</button>` : ''}
           <button class="annotatepro-sidebar-item-action edit" title="Edit">${isEditing ? 'Done' : 'Edit'}</button>
+          <button class="annotatepro-sidebar-item-action collect" title="Add to collection">Collect</button>
+          <button class="annotatepro-sidebar-item-action delete" title="Delete">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render tag and collection labels for an annotation item
+   */
+  function renderItemLabels(annotation) {
+    const tags = annotation.tags || [];
+    const groups = cachedGroups.filter(g => (annotation.groupIds || []).includes(g.id));
+    if (tags.length === 0 && groups.length === 0) return '';
+
+    return `
+      <div class="annotatepro-sidebar-item-tags">
+        ${tags.map(tag => `<span class="annotatepro-sidebar-item-tag">#${escapeHtml(tag)}</span>`).join('')}
+        ${groups.map(group => `<span class="annotatepro-sidebar-item-collection">📁 ${escapeHtml(group.name)}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the Orphaned section (annotations that no longer match the page)
+   */
+  function renderOrphanedSection(orphans) {
+    if (orphans.length === 0) return '';
+
+    return `
+      <div class="annotatepro-sidebar-orphans">
+        <div class="annotatepro-sidebar-orphans-header">
+          <span>Orphaned</span>
+          <span class="annotatepro-sidebar-orphans-count">${orphans.length}</span>
+        </div>
+        <div class="annotatepro-sidebar-orphans-hint">Not found on this page. Select the matching text, then re-attach.</div>
+        ${orphans.map(annotation => renderOrphanItem(annotation)).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render single orphaned annotation item
+   */
+  function renderOrphanItem(annotation) {
+    const color = getAnnotationColor(annotation);
+    const typeLabel = annotation.annotationType === 'checkbox' ? 'Checkbox' : 'Highlight';
+
+    return `
+      <div class="annotatepro-sidebar-item orphaned ${annotation.annotationType}"
+           data-id="${annotation.id}"
+           data-annotation-id="${annotation.id}"
+           style="--annotation-color: ${color}">
+        <div class="annotatepro-sidebar-item-header">
+          <span class="annotatepro-sidebar-item-type">
+            <span class="annotatepro-sidebar-item-color" style="background: ${color}"></span>
+            ${typeLabel}
+          </span>
+          <span class="annotatepro-sidebar-item-time">${formatRelativeTime(annotation.updatedAt)}</span>
+        </div>
+        <div class="annotatepro-sidebar-item-content">
+          <div class="annotatepro-sidebar-item-content-text">
+            <div class="annotatepro-sidebar-item-text">${renderTextPreview(annotation, truncate(annotation.textSnapshot || '(element)', 120))}</div>
+            ${annotation.note ? `<div class="annotatepro-sidebar-item-note">${escapeHtml(truncate(annotation.note, 80))}</div>` : ''}
+          </div>
+        </div>
+        <div class="annotatepro-sidebar-item-actions">
+          <button class="annotatepro-sidebar-item-action reattach" title="Attach to the text currently selected on the page">Re-attach to selection</button>
           <button class="annotatepro-sidebar-item-action delete" title="Delete">Delete</button>
         </div>
       </div>
@@ -964,17 +1387,18 @@
     const listEl = sidebarEl.querySelector('#annotatepro-list');
     const countEl = sidebarEl.querySelector('#annotatepro-count');
 
-    // Get current search query from input (ensure it's in sync)
-    const searchInput = sidebarEl.querySelector('#annotatepro-search');
-    const currentSearchQuery = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    // Parse current search query from input (ensure it's in sync)
+    const query = getSearchQuery();
 
-    // Filter by search query (only search text content)
+    // Filter by search query (entries are matched like clipboard annotations)
     let filtered = [...clipboardHistory];
-    if (currentSearchQuery) {
-      filtered = filtered.filter(entry => {
-        const text = (entry.text || '').toLowerCase();
-        return text.includes(currentSearchQuery);
-      });
+    if (query.input) {
+      filtered = filtered.filter(entry => matchesQuery({
+        annotationType: 'clipboard',
+        textSnapshot: entry.text,
+        pageUrl: entry.pageUrl,
+        updatedAt: entry.timestamp
+      }, query));
     }
 
     countEl.textContent = filtered.length;
@@ -1013,7 +1437,7 @@
    */
   function setupMessageListener() {
     browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      const currentPageUrl = window.location.href;
+      const currentPageUrl = window.AnnotateProPageUrl.getCurrentPageUrl();
 
       switch (message.type) {
         case 'COMMAND_TOGGLE_SIDEBAR':
@@ -1071,6 +1495,11 @@
           }
           break;
 
+        case 'PAGE_KEYS_CHANGED':
+          // The content script re-resolves the page key; reload once it has
+          window.AnnotateProPageUrl.resolveCurrentPageUrl().then(loadAnnotations);
+          break;
+
         case 'COLOR_ADDED':
         case 'COLOR_UPDATED':
         case 'COLOR_DELETED':